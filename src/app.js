@@ -3,10 +3,12 @@ import connectDB from './configs/database.js';
 import cookieParser from 'cookie-parser';
 import router from './routes/index.routes.js';
 import apiLogger from './utils/apiLogger.js';
+import auditContext from './middleware/auditContext.js';
 import corsConfig from './utils/cors.js';
 import globalErrorHandler from './utils/globalErrorHandler.js';
 import http from 'http';
-// import initializeSocket from './utils/socket.js';
+import initializeSocket from './utils/socket.js';
+import startVehicleComplianceJob from './jobs/vehicleComplianceJob.js';
 
 const app = express();
 const port = process.env.PORT || 8889;
@@ -22,6 +24,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 app.use(apiLogger);
+app.use(auditContext);
 
 const server = http.createServer(app);
 
@@ -38,7 +41,7 @@ app.all('/*splat', (req, res) => {
   });
 });
 
-// initializeSocket(server);
+initializeSocket(server);
 
 app.use(globalErrorHandler);
 
@@ -46,6 +49,8 @@ connectDB()
   .then(async () => {
     console.log(`✔️  Database connected!! ${process.env.DATABASE_USER || ''}`);
 
+    startVehicleComplianceJob();
+
     server.listen(port, () =>
       console.log(
         `✔️  PoultryRecord backend server is listening on ::: ${BASE_URL}`
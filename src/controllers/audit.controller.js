@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import { successResponse } from "../utils/responseHandler.js";
+import AppError from "../utils/AppError.js";
+
+// Get audit logs filtered by entity, document, user and date range
+export const getAuditLogs = async (req, res, next) => {
+    try {
+        const { entity, id, user, from, to, action, page = 1, limit = 50 } = req.query;
+
+        const query = {};
+        if (entity) query.entity = entity;
+        if (action) query.action = action;
+        if (id) {
+            if (!mongoose.Types.ObjectId.isValid(id)) throw new AppError('Invalid document ID', 400);
+            query.entityId = id;
+        }
+        if (user) {
+            if (!mongoose.Types.ObjectId.isValid(user)) throw new AppError('Invalid user ID', 400);
+            query.actor = user;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) {
+                const toDate = new Date(to);
+                toDate.setHours(23, 59, 59, 999);
+                query.createdAt.$lte = toDate;
+            }
+        }
+
+        const logs = await AuditLog.find(query)
+            .populate('actor', 'name email role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await AuditLog.countDocuments(query);
+
+        successResponse(res, "Audit logs retrieved successfully", 200, {
+            logs,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -8,6 +8,7 @@ import Trip from "../models/Trip.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 import { toSignedValue } from "../utils/balanceUtils.js";
+import { getActiveFinancialYear, getFinancialYearForDate, getCarriedOpenings } from "../services/financialYearService.js";
 import mongoose from "mongoose";
 
 // Build hierarchical tree structure
@@ -80,26 +81,33 @@ const buildVoucherBalanceMap = async (asOnDate = null) => {
     }
 
     // Use aggregation to calculate balances efficiently
+    // Group by the entry's account reference; unlinked entries fall back to the name snapshot
     const balanceMap = await Voucher.aggregate([
       { $match: query },
       { $unwind: '$entries' },
       {
         $group: {
-          _id: '$entries.account',
+          _id: {
+            accountId: '$entries.accountId',
+            account: { $cond: [{ $ifNull: ['$entries.accountId', false] }, null, '$entries.account'] }
+          },
           debitTotal: { $sum: { $ifNull: ['$entries.debitAmount', 0] } },
           creditTotal: { $sum: { $ifNull: ['$entries.creditAmount', 0] } }
         }
       }
     ]);
 
-    // Create a map for fast lookup (normalize account names to lowercase)
+    // Create a map for fast lookup (keyed by account ID, or lowercase name for unlinked entries)
     const map = new Map();
     balanceMap.forEach(item => {
-      if (item._id) {
-        const normalizedName = item._id.toString().trim().toLowerCase();
-        map.set(normalizedName, {
-          debitTotal: item.debitTotal || 0,
-          creditTotal: item.creditTotal || 0
+      const key = item._id.accountId
+        ? item._id.accountId.toString()
+        : (item._id.account ? item._id.account.toString().trim().toLowerCase() : null);
+      if (key) {
+        const existing = map.get(key) || { debitTotal: 0, creditTotal: 0 };
+        map.set(key, {
+          debitTotal: existing.debitTotal + (item.debitTotal || 0),
+          creditTotal: existing.creditTotal + (item.creditTotal || 0)
         });
       }
     });
@@ -134,7 +142,14 @@ const calculateCustomerBalance = (customer) => {
 const calculateVendorBalance = (vendor) => {
   return toSignedValue(vendor.outstandingBalance || 0, vendor.outstandingBalanceType || 'credit');
 };
-const calculateGroupBalance = async (group, voucherBalanceMap, ledgerGroupMap, vendorGroupMap, customerGroupMap, allVouchers, allTrips, allStocks, asOnDate = null) => {
+// Opening balance of an account for the year: the balance carried in by the previous year's close, else the master's own
+const openingBalanceOf = (accountType, account, carriedOpenings) => {
+  const key = `${accountType}:${account._id}`;
+  if (carriedOpenings.has(key)) return Math.abs(carriedOpenings.get(key));
+  return account.openingBalance || 0;
+};
+
+const calculateGroupBalance = async (group, voucherBalanceMap, ledgerGroupMap, vendorGroupMap, customerGroupMap, allVouchers, allTrips, allStocks, asOnDate = null, carriedOpenings = new Map()) => {
   let totalBalance = 0;
   let totalDebit = 0;
   let totalCredit = 0;
@@ -150,7 +165,7 @@ const calculateGroupBalance = async (group, voucherBalanceMap, ledgerGroupMap, v
     const ledgerBalance = calculateLedgerBalance(ledger);
     totalDebit += ledgerBalance.debitTotal;
     totalCredit += ledgerBalance.creditTotal;
-    totalOpeningBalance += ledger.openingBalance || 0;
+    totalOpeningBalance += openingBalanceOf('ledger', ledger, carriedOpenings);
     totalOutstandingBalance += ledger.outstandingBalance ?? ledger.openingBalance ?? 0;
 
     // For Assets: Debit - Credit (positive means asset)
@@ -179,7 +194,7 @@ const calculateGroupBalance = async (group, voucherBalanceMap, ledgerGroupMap, v
       totalCredit += Math.abs(balance);
     }
 
-    totalOpeningBalance += vendor.openingBalance || 0;
+    totalOpeningBalance += openingBalanceOf('vendor', vendor, carriedOpenings);
     // outstandingBalance logic might be complex, skipping for now or assume balance
 
     if (group.type === 'Assets') {
@@ -200,7 +215,7 @@ const calculateGroupBalance = async (group, voucherBalanceMap, ledgerGroupMap, v
       totalCredit += Math.abs(balance);
     }
 
-    totalOpeningBalance += customer.openingBalance || 0;
+    totalOpeningBalance += openingBalanceOf('customer', customer, carriedOpenings);
 
     if (group.type === 'Assets') {
       totalBalance += balance;
@@ -212,7 +227,7 @@ const calculateGroupBalance = async (group, voucherBalanceMap, ledgerGroupMap, v
   // Recursively calculate children balances
   if (group.children && group.children.length > 0) {
     for (const child of group.children) {
-      const childBalance = await calculateGroupBalance(child, voucherBalanceMap, ledgerGroupMap, vendorGroupMap, customerGroupMap, allVouchers, allTrips, allStocks, asOnDate);
+      const childBalance = await calculateGroupBalance(child, voucherBalanceMap, ledgerGroupMap, vendorGroupMap, customerGroupMap, allVouchers, allTrips, allStocks, asOnDate, carriedOpenings);
       totalBalance += childBalance.totalBalance;
       totalDebit += childBalance.totalDebit;
       totalCredit += childBalance.totalCredit;
@@ -272,13 +287,20 @@ const calculateCapital = async (voucherBalanceMap, allLedgers) => {
 export const getBalanceSheet = async (req, res, next) => {
   try {
     const { asOnDate } = req.query;
-    const date = asOnDate ? new Date(asOnDate) : new Date();
+    let date = asOnDate ? new Date(asOnDate) : new Date();
+
+    // Default to the active financial year's closing date (or today while the year is running)
+    if (!asOnDate) {
+      const activeYear = await getActiveFinancialYear();
+      if (activeYear.endDate < date) date = new Date(activeYear.endDate);
+    }
 
     // OPTIMIZATION: batch fetch all needed data
     // Query for vouchers/trips/stocks (all active)
     const queryBase = { isActive: true };
     const dateQuery = date ? { date: { $lte: date } } : {};
     const createdQuery = date ? { createdAt: { $lte: date } } : {};
+    const carriedOpenings = await getCarriedOpenings(await getFinancialYearForDate(date));
 
     const [voucherBalanceMap, allLedgers, allVendors, allCustomers, allVouchers, allTrips, allStocks, assetsGroups, liabilityGroups] = await Promise.all([
       buildVoucherBalanceMap(date),
@@ -339,7 +361,8 @@ export const getBalanceSheet = async (req, res, next) => {
           allVouchers,
           allTrips,
           allStocks,
-          date
+          date,
+          carriedOpenings
         );
         // Ensure we have a clean plain object
         const groupId = group._id || group.id;
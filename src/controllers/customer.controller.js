@@ -9,7 +9,9 @@ import AppError from "../utils/AppError.js";
 import bcrypt from 'bcrypt';
 import validator from 'validator';
 import mongoose from "mongoose";
-import { syncOutstandingBalance } from "../utils/balanceUtils.js";
+import { syncOutstandingBalance, toSignedValue } from "../utils/balanceUtils.js";
+import { postingLine, recordPostings } from "../services/postingService.js";
+import { isEntryForAccount, entryAccountConditions } from "../utils/voucherEntryUtils.js";
 
 export const addCustomer = async (req, res, next) => {
     try {
@@ -433,8 +435,8 @@ export const getCustomerDashboardStats = async (req, res, next) => {
                         }
                     }
                 },
-                // For Journal: match via account name if needed (ledger logic uses name)
-                { "entries.account": customer.shopName }
+                // For Journal: match via entry account reference
+                ...entryAccountConditions('customer', customer._id, [customer.shopName])
             ]
         }).lean();
 
@@ -485,7 +487,7 @@ export const getCustomerDashboardStats = async (req, res, next) => {
             } else {
                 particulars = 'JOURNAL';
                 // Calculate journal amount for this customer
-                const entry = voucher.entries?.find(e => e.account === customer.shopName);
+                const entry = voucher.entries?.find(e => isEntryForAccount(e, 'customer', customer._id, [customer.shopName]));
                 if (entry) {
                     amount = entry.debitAmount !== 0 ? entry.debitAmount : entry.creditAmount;
                 }
@@ -544,7 +546,7 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
             customer: customerId,
             isActive: true,
             // status: 'completed' // Matches vendor controller manual override
-        }).lean().populate('vendor', '_id vendorName');
+        }).lean().populate('vendor', '_id vendorName').populate('product', 'name');
 
         // Fetch verified payments for this customer
         // Include all verified payments from Submit Payment popup
@@ -577,10 +579,8 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
                     }
                 },
 
-                // 2. Match via entries.account field (Journal case)
-                customerName ? {
-                    "entries.account": customerName
-                } : {}
+                // 2. Match via entry account reference (Journal case)
+                ...entryAccountConditions('customer', customerId, [customerName])
             ]
         }).populate('account', 'name')
             .sort({ date: 1, createdAt: 1 });
@@ -589,7 +589,7 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
         const stockSales = await InventoryStock.find({
             customerId: customerId,
             type: { $in: ['sale', 'receipt'] } // Include receipts from Manage Stocks
-        }).populate('supervisorId', 'name').populate('vehicleId', 'vehicleNumber').lean();
+        }).populate('supervisorId', 'name').populate('vehicleId', 'vehicleNumber').populate('productId', 'name').lean();
 
         // Transform sales into ledger entries
         const ledgerEntries = [];
@@ -612,7 +612,7 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
                 vehiclesNo: stock.vehicleNumber || stock.vehicleId?.vehicleNumber || '-',
                 driverName: '-',
                 supervisor: stock.supervisorId?.name || '-',
-                product: 'Broiler Chicken',
+                product: stock.productId?.name || 'Broiler Chicken',
                 particulars: particulars,
                 invoiceNo: stock.billNumber || stock.refNo || '-',
                 birds: stock.birds || 0,
@@ -698,7 +698,7 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
                 vehiclesNo: sale.vehicleNumber || '-',
                 driverName: sale.driver || '-',
                 supervisor: '-',
-                product: sale?.vendor?.vendorName || 'Broiler Chicken', // Default product
+                product: sale?.product?.name || sale?.vendor?.vendorName || 'Broiler Chicken', // Product, else vendor name for older records
                 particulars: saleParticularsTitle, // PURCHASE (Portal) or SALES (Admin)
                 invoiceNo: sale.invoiceNumber || '-',
                 birds: sale.sales?.birds || 0,
@@ -907,7 +907,7 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
             const particulars = voucher.voucherType === 'Payment' ? 'RECEIPT' : voucher.voucherType === 'Receipt' ? 'PAYMENT' : 'JOURNAL';
 
             // For Journal Voucher entry: Find matching entry for the logged-in customer
-            const entryJrVchr = voucher.entries.find(e => e.account === customerName);
+            const entryJrVchr = voucher.entries.find(e => isEntryForAccount(e, 'customer', customerId, [customerName]));
             // For Journal Voucher entry: Extract non-zero amount
             const amountJrVchr = entryJrVchr
                 ? (entryJrVchr.debitAmount !== 0 ? entryJrVchr.debitAmount : entryJrVchr.creditAmount)
@@ -1117,17 +1117,6 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
             currentBalance: ledgerEntries[ledgerEntries.length - 1]?.outstandingBalance || 0 // Use the final running balance
         };
 
-        // Self-Healing: Sync calculated ledger balance to customer profile if mismatched
-        // This fixes issues where intermediate updates (like editing middle sales) might have missed propagating the final balance
-        if (customer.outstandingBalance === undefined || Math.abs(customer.outstandingBalance - totals.currentBalance) > 0.01) {
-            await Customer.findByIdAndUpdate(customerId, {
-                outstandingBalance: totals.currentBalance,
-                outstandingBalanceType: 'debit', // Ledger usually tracks the debit balance (receivable)
-                updatedBy: req.user._id
-            });
-            console.log(`Auto-corrected customer ${customer.shopName} balance from ${customer.outstandingBalance} to ${totals.currentBalance}`);
-        }
-
         successResponse(res, "Customer purchase ledger retrieved successfully", 200, {
             ledger: paginatedEntries,
             totals,
@@ -1271,6 +1260,16 @@ export const updateCustomerOutstandingBalance = async (req, res, next) => {
             { new: true, runValidators: false } // Skip validators to avoid gstOrPanNumber validation
         );
 
+        // Record the manual change as an adjustment so the postings journal follows it
+        const difference = toSignedValue(newBalance, newBalanceType) - toSignedValue(oldBalance, oldBalanceType);
+        await recordPostings([
+            postingLine('customer', customer, difference, difference > 0 ? 'debit' : 'credit', 'Manual balance adjustment')
+        ], {
+            sourceType: 'adjustment',
+            sourceId: customer._id,
+            userId: req.user._id
+        });
+
         console.log(`Updated customer ${updatedCustomer.shopName} outstanding balance from ${oldBalance} ${oldBalanceType} to ${newBalance} ${newBalanceType}`);
 
         successResponse(res, "Customer outstanding balance updated successfully", 200, {
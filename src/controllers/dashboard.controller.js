@@ -6,6 +6,7 @@ import InventoryStock from "../models/InventoryStock.js";
 import IndirectSale from "../models/IndirectSale.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
+import { getActiveFinancialYear } from "../services/financialYearService.js";
 import mongoose from "mongoose";
 
 // Helper functions (duplicated from balanceSheet.controller.js)
@@ -55,15 +56,15 @@ const buildTree = (groups) => {
     return rootGroups;
 };
 
-// Helper to merge Periodic Balance into Map
-const mergeToBalanceMap = (map, ledgerName, debit = 0, credit = 0) => {
-    if (!ledgerName) return;
-    const normalizedName = ledgerName.trim().toLowerCase();
+// Helper to merge Periodic Balance into Map (keyed by ledger ID)
+const mergeToBalanceMap = (map, ledgerId, debit = 0, credit = 0) => {
+    if (!ledgerId) return;
+    const key = ledgerId.toString();
 
-    if (!map.has(normalizedName)) {
-        map.set(normalizedName, { debitTotal: 0, creditTotal: 0 });
+    if (!map.has(key)) {
+        map.set(key, { debitTotal: 0, creditTotal: 0 });
     }
-    const entry = map.get(normalizedName);
+    const entry = map.get(key);
     entry.debitTotal += debit;
     entry.creditTotal += credit;
 };
@@ -87,28 +88,32 @@ const buildPeriodBalanceMap = async (startDate, endDate, allLedgers) => {
             { $unwind: '$entries' },
             {
                 $group: {
-                    _id: '$entries.account',
+                    _id: {
+                        accountType: '$entries.accountType',
+                        accountId: '$entries.accountId',
+                        account: { $cond: [{ $ifNull: ['$entries.accountId', false] }, null, '$entries.account'] }
+                    },
                     debitTotal: { $sum: { $ifNull: ['$entries.debitAmount', 0] } },
                     creditTotal: { $sum: { $ifNull: ['$entries.creditAmount', 0] } }
                 }
             }
         ]);
 
+        // Map Name -> ID for entries saved before they carried a ledger reference
+        const ledgerIdByName = new Map();
+        allLedgers.forEach(l => {
+            if (l._id && l.name) ledgerIdByName.set(l.name.trim().toLowerCase(), l._id.toString());
+        });
+
         const map = new Map();
         voucherBalances.forEach(item => {
-            if (item._id) {
-                const normalizedName = item._id.toString().trim().toLowerCase();
-                map.set(normalizedName, {
-                    debitTotal: item.debitTotal || 0,
-                    creditTotal: item.creditTotal || 0
-                });
+            let ledgerId = null;
+            if (item._id.accountId) {
+                if (item._id.accountType === 'ledger') ledgerId = item._id.accountId;
+            } else if (item._id.account) {
+                ledgerId = ledgerIdByName.get(item._id.account.toString().trim().toLowerCase());
             }
-        });
-
-        // Map ID -> Name for lookups
-        const ledgerNameMap = new Map();
-        allLedgers.forEach(l => {
-            if (l._id && l.name) ledgerNameMap.set(l._id.toString(), l.name);
+            mergeToBalanceMap(map, ledgerId, item.debitTotal || 0, item.creditTotal || 0);
         });
 
         // 2. Process Trips (Date filtering on createdAt)
@@ -125,15 +130,9 @@ const buildPeriodBalanceMap = async (startDate, endDate, allLedgers) => {
             if (t.sales) {
                 t.sales.forEach(s => {
                     // Cash Sale -> Debit Cash Ledger
-                    if (s.cashLedger) {
-                        const name = ledgerNameMap.get(s.cashLedger.toString());
-                        if (name) mergeToBalanceMap(map, name, s.cashPaid || 0, 0);
-                    }
+                    if (s.cashLedger) mergeToBalanceMap(map, s.cashLedger, s.cashPaid || 0, 0);
                     // Online Sale -> Debit Bank(Online) Ledger
-                    if (s.onlineLedger) {
-                        const name = ledgerNameMap.get(s.onlineLedger.toString());
-                        if (name) mergeToBalanceMap(map, name, s.onlinePaid || 0, 0);
-                    }
+                    if (s.onlineLedger) mergeToBalanceMap(map, s.onlineLedger, s.onlinePaid || 0, 0);
                 });
             }
         });
@@ -151,8 +150,7 @@ const buildPeriodBalanceMap = async (startDate, endDate, allLedgers) => {
         stocks.forEach(s => {
             // Expense
             if (s.expenseLedgerId) {
-                const name = ledgerNameMap.get(s.expenseLedgerId.toString());
-                if (name) mergeToBalanceMap(map, name, s.amount || 0, 0); // Debit Expense
+                mergeToBalanceMap(map, s.expenseLedgerId, s.amount || 0, 0); // Debit Expense
             }
 
             // Cash/Online Payments/Receipts handling
@@ -162,21 +160,15 @@ const buildPeriodBalanceMap = async (startDate, endDate, allLedgers) => {
             const isCredit = (s.type === 'purchase' || s.type === 'opening');
 
             if (s.cashLedgerId) {
-                const name = ledgerNameMap.get(s.cashLedgerId.toString());
-                if (name) {
-                    const amt = s.cashPaid || 0;
-                    if (isCredit) mergeToBalanceMap(map, name, 0, amt);
-                    else mergeToBalanceMap(map, name, amt, 0);
-                }
+                const amt = s.cashPaid || 0;
+                if (isCredit) mergeToBalanceMap(map, s.cashLedgerId, 0, amt);
+                else mergeToBalanceMap(map, s.cashLedgerId, amt, 0);
             }
 
             if (s.onlineLedgerId) {
-                const name = ledgerNameMap.get(s.onlineLedgerId.toString());
-                if (name) {
-                    const amt = s.onlinePaid || 0;
-                    if (isCredit) mergeToBalanceMap(map, name, 0, amt);
-                    else mergeToBalanceMap(map, name, amt, 0);
-                }
+                const amt = s.onlinePaid || 0;
+                if (isCredit) mergeToBalanceMap(map, s.onlineLedgerId, 0, amt);
+                else mergeToBalanceMap(map, s.onlineLedgerId, amt, 0);
             }
         });
 
@@ -187,10 +179,9 @@ const buildPeriodBalanceMap = async (startDate, endDate, allLedgers) => {
     }
 };
 
-const calculateLedgerBalance = (ledgerName, balanceMap) => {
+const calculateLedgerBalance = (ledgerId, balanceMap) => {
     try {
-        const normalizedName = ledgerName.toString().trim().toLowerCase();
-        const balance = balanceMap.get(normalizedName) || { debitTotal: 0, creditTotal: 0 };
+        const balance = balanceMap.get(ledgerId.toString()) || { debitTotal: 0, creditTotal: 0 };
         return {
             debitTotal: balance.debitTotal,
             creditTotal: balance.creditTotal,
@@ -210,7 +201,7 @@ const calculateGroupBalance = async (group, balanceMap, ledgerGroupMap) => {
     const ledgers = ledgerGroupMap.get(groupId.toString()) || [];
 
     for (const ledger of ledgers) {
-        const ledgerBalance = calculateLedgerBalance(ledger.name, balanceMap);
+        const ledgerBalance = calculateLedgerBalance(ledger._id, balanceMap);
         totalDebit += ledgerBalance.debitTotal;
         totalCredit += ledgerBalance.creditTotal;
 
@@ -238,7 +229,16 @@ const calculateGroupBalance = async (group, balanceMap, ledgerGroupMap) => {
 
 export const getProfitAndLoss = async (req, res, next) => {
     try {
-        const { startDate, endDate } = req.query;
+        let { startDate, endDate } = req.query;
+
+        // Default to the active financial year when no period is given
+        let financialYear = null;
+        if (!startDate && !endDate) {
+            const activeYear = await getActiveFinancialYear();
+            startDate = activeYear.startDate;
+            endDate = activeYear.endDate;
+            financialYear = activeYear.label;
+        }
 
         // Fetch data
         const [allLedgers, incomeGroups, expenseGroups] = await Promise.all([
@@ -310,6 +310,11 @@ export const getProfitAndLoss = async (req, res, next) => {
         const netProfit = totalIncome - totalExpenses;
 
         successResponse(res, "Profit and Loss data retrieved", 200, {
+            period: {
+                startDate: startDate || null,
+                endDate: endDate || null,
+                financialYear
+            },
             income: {
                 groups: processedIncome,
                 total: totalIncome
@@ -376,6 +381,38 @@ export const getStats = async (req, res, next) => {
             totalWeightSold: 0
         };
 
+        // Trip purchases, sales and profit per product
+        const productStats = await Trip.aggregate([
+            { $match: query },
+            { $unwind: '$summary.productBreakdown' },
+            {
+                $group: {
+                    _id: '$summary.productBreakdown.productId',
+                    purchaseAmount: { $sum: '$summary.productBreakdown.purchaseAmount' },
+                    weightPurchased: { $sum: '$summary.productBreakdown.weightPurchased' },
+                    salesAmount: { $sum: '$summary.productBreakdown.salesAmount' },
+                    birdsSold: { $sum: '$summary.productBreakdown.birdsSold' },
+                    weightSold: { $sum: '$summary.productBreakdown.weightSold' },
+                    profitAmount: { $sum: '$summary.productBreakdown.profitAmount' }
+                }
+            },
+            { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+            {
+                $project: {
+                    _id: 0,
+                    productId: '$_id',
+                    product: { $ifNull: [{ $arrayElemAt: ['$product.name', 0] }, ''] },
+                    purchaseAmount: 1,
+                    weightPurchased: 1,
+                    salesAmount: 1,
+                    birdsSold: 1,
+                    weightSold: 1,
+                    profitAmount: 1
+                }
+            },
+            { $sort: { salesAmount: -1 } }
+        ]);
+
         // Recent trips
         const recentTrips = await Trip.find(query)
             .populate('vehicle', 'vehicleNumber')
@@ -385,6 +422,7 @@ export const getStats = async (req, res, next) => {
 
         successResponse(res, "dashboard stats", 200, {
             stats: dashboardStats,
+            productStats,
             recentTrips
         })
     } catch (error) {
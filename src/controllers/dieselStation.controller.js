@@ -1,9 +1,18 @@
+import mongoose from "mongoose";
 import DieselStation from "../models/DieselStation.js";
+import Ledger from "../models/Ledger.js";
+import Trip from "../models/Trip.js";
+import Posting from "../models/Posting.js";
+import DieselPrice from "../models/DieselPrice.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
+import { getStationLedger } from "../services/dieselStationService.js";
+import { deriveAccountBalance } from "../services/postingService.js";
 
 export const createDieselStation = async (req, res, next) => {
+  const session = await mongoose.startSession();
   try {
+    session.startTransaction();
     const stationData = {
       name: req.body.name,
       location: req.body.location,
@@ -11,16 +20,24 @@ export const createDieselStation = async (req, res, next) => {
       updatedBy: req.user._id,
     };
 
-    const station = await DieselStation.create(stationData);
+    const [station] = await DieselStation.create([stationData], { session });
+    await getStationLedger(station, req.user._id, session);
+
+    await session.commitTransaction();
     successResponse(res, "Diesel station created successfully", 201, station);
   } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
     next(error);
+  } finally {
+    session.endSession();
   }
 };
 
 export const getDieselStations = async (req, res, next) => {
   try {
-    const stations = await DieselStation.find({ isActive: true }).sort({ name: 1 });
+    const stations = await DieselStation.find({ isActive: true })
+      .populate('ledger', 'name outstandingBalance outstandingBalanceType')
+      .sort({ name: 1 });
     successResponse(res, "Diesel stations fetched successfully", 200, stations);
   } catch (error) {
     next(error);
@@ -46,6 +63,11 @@ export const updateDieselStation = async (req, res, next) => {
       throw new AppError("Diesel station not found", 404);
     }
 
+    // Keep the station ledger named after the station
+    if (station.ledger && updateData.name) {
+      await Ledger.updateOne({ _id: station.ledger }, { name: station.name, updatedBy: req.user._id });
+    }
+
     successResponse(res, "Diesel station updated successfully", 200, station);
   } catch (error) {
     next(error);
@@ -72,3 +94,261 @@ export const deleteDieselStation = async (req, res, next) => {
   }
 };
 
+// Every fill at the station in a period, by vehicle and trip, with the station ledger's opening,
+// fills, payments and closing balance, to reconcile against the pump's monthly bill
+export const getDieselStationStatement = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to, vehicle } = req.query;
+
+    const station = await DieselStation.findById(id);
+    if (!station) {
+      throw new AppError("Diesel station not found", 404);
+    }
+
+    const today = new Date();
+    const startDate = from ? new Date(from) : new Date(today.getFullYear(), today.getMonth(), 1);
+    const endDate = to ? new Date(to) : new Date(today);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      throw new AppError("from and to must be valid dates", 400);
+    }
+    startDate.setHours(0, 0, 0, 0);
+    endDate.setHours(23, 59, 59, 999);
+
+    const tripQuery = {
+      'diesel.stations': { $elemMatch: { station: station._id, timestamp: { $gte: startDate, $lte: endDate } } }
+    };
+    if (vehicle) tripQuery.vehicle = vehicle;
+
+    const trips = await Trip.find(tripQuery)
+      .select('tripId date vehicle supervisor driver diesel.stations')
+      .populate('vehicle', 'vehicleNumber')
+      .populate('supervisor', 'name')
+      .lean();
+
+    const fills = [];
+    trips.forEach(trip => {
+      (trip.diesel?.stations || []).forEach(fill => {
+        const fillDate = new Date(fill.timestamp);
+        if (String(fill.station) !== String(station._id) || fillDate < startDate || fillDate > endDate) return;
+        fills.push({
+          fillId: fill._id,
+          date: fill.timestamp,
+          tripId: trip.tripId,
+          tripRef: trip._id,
+          vehicle: trip.vehicle?.vehicleNumber || '',
+          supervisor: trip.supervisor?.name || '',
+          driver: trip.driver || '',
+          volume: fill.volume || 0,
+          rate: fill.rate || 0,
+          amount: fill.amount || 0,
+          receipt: fill.receipt || '',
+          posted: !!fill.ledger
+        });
+      });
+    });
+    fills.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const byVehicle = new Map();
+    fills.forEach(fill => {
+      const row = byVehicle.get(fill.vehicle) || { vehicle: fill.vehicle, fills: 0, volume: 0, amount: 0 };
+      row.fills += 1;
+      row.volume = Number((row.volume + fill.volume).toFixed(2));
+      row.amount = Number((row.amount + fill.amount).toFixed(2));
+      byVehicle.set(fill.vehicle, row);
+    });
+
+    // Ledger side: opening before the period, payments made to the pump within it, closing at its end
+    let account = null;
+    const ledger = station.ledger ? await Ledger.findById(station.ledger) : null;
+    if (ledger) {
+      const dayBefore = new Date(startDate.getTime() - 1);
+      const [opening, closing, payments] = await Promise.all([
+        deriveAccountBalance('ledger', ledger, { asOn: dayBefore }),
+        deriveAccountBalance('ledger', ledger, { asOn: endDate }),
+        Posting.find({
+          accountType: 'ledger',
+          accountId: ledger._id,
+          sourceType: { $ne: 'trip_diesel' },
+          date: { $gte: startDate, $lte: endDate }
+        }).sort({ date: 1 }).lean()
+      ]);
+      account = {
+        ledgerId: ledger._id,
+        opening: opening.balance,
+        payments: payments.map(posting => ({
+          date: posting.date,
+          sourceType: posting.sourceType,
+          sourceId: posting.sourceId,
+          narration: posting.narration,
+          debit: posting.debit,
+          credit: posting.credit
+        })),
+        closing: closing.balance,
+        outstanding: { amount: ledger.outstandingBalance, type: ledger.outstandingBalanceType }
+      };
+    }
+
+    successResponse(res, "Diesel station statement", 200, {
+      station: { id: station._id, name: station.name, location: station.location },
+      period: { from: startDate, to: endDate },
+      fills,
+      byVehicle: [...byVehicle.values()].sort((a, b) => b.amount - a.amount),
+      totals: {
+        fills: fills.length,
+        volume: Number(fills.reduce((sum, fill) => sum + fill.volume, 0).toFixed(2)),
+        amount: Number(fills.reduce((sum, fill) => sum + fill.amount, 0).toFixed(2)),
+        unpostedAmount: Number(fills.filter(fill => !fill.posted).reduce((sum, fill) => sum + fill.amount, 0).toFixed(2))
+      },
+      account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record the station's pump price for a day; a second entry for the same day replaces the first
+export const addDieselPrice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { date, rate, notes } = req.body;
+
+    const station = await DieselStation.findOne({ _id: id, isActive: true });
+    if (!station) {
+      throw new AppError("Diesel station not found", 404);
+    }
+    if (!(Number(rate) > 0)) {
+      throw new AppError("rate must be greater than zero", 400);
+    }
+
+    const day = date ? new Date(date) : new Date();
+    if (isNaN(day.getTime())) {
+      throw new AppError("date must be a valid date", 400);
+    }
+    day.setHours(0, 0, 0, 0);
+
+    const price = await DieselPrice.findOneAndUpdate(
+      { station: station._id, date: day },
+      {
+        $set: { rate: Number(rate), notes: notes || '', updatedBy: req.user._id },
+        $setOnInsert: { createdBy: req.user._id }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    successResponse(res, "Diesel price saved", 200, price);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDieselPrices = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const query = { station: id };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const prices = await DieselPrice.find(query)
+      .sort({ date: -1 })
+      .populate('createdBy', 'name');
+
+    successResponse(res, "Diesel prices", 200, prices);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Review queue: fills flagged for rate, tank capacity or km/l, newest first
+export const getDieselAnomalies = async (req, res, next) => {
+  try {
+    const { status = 'pending', station, vehicle, from, to } = req.query;
+
+    const fillMatch = { 'flags.0': { $exists: true } };
+    if (status !== 'all') fillMatch['review.status'] = status;
+    if (station) fillMatch.station = new mongoose.Types.ObjectId(station);
+
+    const tripQuery = { 'diesel.stations': { $elemMatch: fillMatch } };
+    if (vehicle) tripQuery.vehicle = vehicle;
+    if (from || to) {
+      tripQuery.date = {};
+      if (from) tripQuery.date.$gte = new Date(from);
+      if (to) tripQuery.date.$lte = new Date(to);
+    }
+
+    const trips = await Trip.find(tripQuery)
+      .select('tripId date status vehicle supervisor vehicleReadings.totalDistance diesel.stations')
+      .populate('vehicle', 'vehicleNumber tankCapacityLitres')
+      .populate('supervisor', 'name mobileNumber')
+      .populate('diesel.stations.station', 'name location')
+      .populate('diesel.stations.review.reviewedBy', 'name')
+      .lean();
+
+    const anomalies = [];
+    trips.forEach(trip => {
+      trip.diesel.stations.forEach(fill => {
+        if (!fill.flags?.length) return;
+        if (status !== 'all' && fill.review?.status !== status) return;
+        if (station && String(fill.station?._id || fill.station) !== String(station)) return;
+        anomalies.push({
+          tripRef: trip._id,
+          tripId: trip.tripId,
+          tripStatus: trip.status,
+          vehicle: trip.vehicle,
+          supervisor: trip.supervisor,
+          fill: {
+            _id: fill._id,
+            station: fill.station,
+            name: fill.name || fill.stationName,
+            date: fill.timestamp,
+            volume: fill.volume,
+            rate: fill.rate,
+            amount: fill.amount,
+            receipt: fill.receipt
+          },
+          flags: fill.flags,
+          review: fill.review
+        });
+      });
+    });
+    anomalies.sort((a, b) => new Date(b.fill.date) - new Date(a.fill.date));
+
+    successResponse(res, "Diesel anomalies", 200, anomalies);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const reviewDieselAnomaly = async (req, res, next) => {
+  try {
+    const { tripId, fillId } = req.params;
+    const { status, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      throw new AppError("status must be approved or rejected", 400);
+    }
+
+    const trip = await Trip.findById(tripId);
+    if (!trip) {
+      throw new AppError("Trip not found", 404);
+    }
+
+    const fill = trip.diesel.stations.id(fillId);
+    if (!fill || !fill.flags?.length) {
+      throw new AppError("Flagged diesel fill not found", 404);
+    }
+
+    fill.review = { status, note, reviewedBy: req.user._id, reviewedAt: new Date() };
+    trip.updatedBy = req.user._id;
+    await trip.save();
+
+    successResponse(res, `Diesel fill ${status}`, 200, { tripId: trip._id, fill });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,342 @@
+import mongoose from "mongoose";
+import FinancialYear from "../models/FinancialYear.js";
+import YearOpeningBalance from "../models/YearOpeningBalance.js";
+import PeriodLock from "../models/PeriodLock.js";
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import { successResponse } from "../utils/responseHandler.js";
+import AppError from "../utils/AppError.js";
+import { addToBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { postingLine, recordPostings, deriveAccountBalance, compareAccountBalance } from "../services/postingService.js";
+import { financialYearRange } from "../services/periodLockService.js";
+import { getActiveFinancialYear } from "../services/financialYearService.js";
+
+const accountSources = [
+    { accountType: 'customer', model: Customer, name: (doc) => doc.shopName || doc.ownerName || '' },
+    { accountType: 'vendor', model: Vendor, name: (doc) => doc.vendorName || '' },
+    { accountType: 'ledger', model: Ledger, name: (doc) => doc.name || '' }
+];
+
+// Find or create the ledger that receives the year's profit or loss
+const getReservesLedger = async (userId, session) => {
+    const group = await Group.findOne({ slug: 'reserves-surplus' }).session(session);
+    if (!group) {
+        throw new AppError('Reserves & Surplus group not found. Initialize the predefined groups first.', 400);
+    }
+
+    let ledger = await Ledger.findOne({ slug: 'reserves-surplus' }).session(session);
+    if (!ledger) {
+        [ledger] = await Ledger.create([{
+            name: 'RESERVES & SURPLUS',
+            group: group._id,
+            ledgerType: 'other',
+            openingBalance: 0,
+            openingBalanceType: 'credit',
+            outstandingBalance: 0,
+            outstandingBalanceType: 'credit',
+            createdBy: userId,
+            updatedBy: userId
+        }], { session });
+    }
+    return ledger;
+};
+
+export const getFinancialYears = async (req, res, next) => {
+    try {
+        const years = await FinancialYear.find({})
+            .populate('closedBy', 'name')
+            .sort({ startDate: -1 });
+
+        successResponse(res, "Financial years retrieved successfully", 200, years);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getActiveYear = async (req, res, next) => {
+    try {
+        const year = await getActiveFinancialYear();
+        successResponse(res, "Active financial year retrieved successfully", 200, year);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Create a financial year (April-March of startYear unless explicit dates are given)
+export const addFinancialYear = async (req, res, next) => {
+    try {
+        const { startYear, startDate, endDate, label, isActive } = req.body;
+
+        let range;
+        if (startDate && endDate) {
+            const start = new Date(startDate);
+            const end = new Date(endDate);
+            if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+                throw new AppError('Valid start and end dates are required', 400);
+            }
+            start.setHours(0, 0, 0, 0);
+            end.setHours(23, 59, 59, 999);
+            range = {
+                label: label || `${start.getFullYear()}-${String(end.getFullYear() % 100).padStart(2, '0')}`,
+                startDate: start,
+                endDate: end
+            };
+        } else {
+            range = financialYearRange(startYear);
+        }
+
+        const overlapping = await FinancialYear.findOne({
+            startDate: { $lte: range.endDate },
+            endDate: { $gte: range.startDate }
+        });
+        if (overlapping) {
+            throw new AppError(`Financial year overlaps with ${overlapping.label}`, 400);
+        }
+
+        if (isActive) {
+            await FinancialYear.updateMany({ isActive: true }, { $set: { isActive: false } });
+        }
+
+        const year = new FinancialYear({
+            ...range,
+            isActive: !!isActive,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await year.save();
+
+        successResponse(res, "Financial year created successfully", 201, year);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Make a year the default for reports
+export const activateFinancialYear = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const year = await FinancialYear.findById(id);
+        if (!year) throw new AppError('Financial year not found', 404);
+
+        await FinancialYear.updateMany({ isActive: true, _id: { $ne: year._id } }, { $set: { isActive: false } });
+        year.isActive = true;
+        year.updatedBy = req.user._id;
+        await year.save();
+
+        successResponse(res, `Financial year ${year.label} is now active`, 200, year);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Opening balances carried into a year
+export const getYearOpeningBalances = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { accountType } = req.query;
+
+        const year = await FinancialYear.findById(id);
+        if (!year) throw new AppError('Financial year not found', 404);
+
+        const query = { financialYear: year._id };
+        if (accountType) query.accountType = accountType;
+
+        const openings = await YearOpeningBalance.find(query).sort({ accountType: 1, accountName: 1 });
+
+        successResponse(res, "Opening balances retrieved successfully", 200, { financialYear: year, openings });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Close a year: compute closing balances from the postings journal, transfer income and
+// expense ledgers into Reserves & Surplus, carry closings forward as the next year's openings
+// and lock the year
+export const closeFinancialYear = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        session.startTransaction();
+        const { id } = req.params;
+
+        const year = await FinancialYear.findById(id).session(session);
+        if (!year) throw new AppError('Financial year not found', 404);
+        if (year.status === 'closed') {
+            throw new AppError(`Financial year ${year.label} is already closed`, 400);
+        }
+        if (year.endDate > new Date()) {
+            throw new AppError('A financial year can only be closed after it has ended', 400);
+        }
+
+        const earlierOpenYear = await FinancialYear.findOne({ status: 'open', startDate: { $lt: year.startDate } }).session(session);
+        if (earlierOpenYear) {
+            throw new AppError(`Close financial year ${earlierOpenYear.label} first`, 400);
+        }
+
+        // Closings are taken from the journal, so it has to account for every stored balance first
+        const outOfSync = [];
+        for (const { accountType, model, name } of accountSources) {
+            const accounts = await model.find({}).session(session);
+            for (const account of accounts) {
+                const comparison = await compareAccountBalance(accountType, account, session);
+                if (!comparison.inSync) outOfSync.push(name(account));
+            }
+        }
+        if (outOfSync.length > 0) {
+            const listed = outOfSync.slice(0, 5).join(', ') + (outOfSync.length > 5 ? ` and ${outOfSync.length - 5} more` : '');
+            throw new AppError(`Journal does not match the stored balance of ${listed}. Reconcile these accounts before closing ${year.label}`, 400);
+        }
+
+        const reservesLedger = await getReservesLedger(req.user._id, session);
+        const profitAndLossGroups = await Group.find({ type: { $in: ['Income', 'Expenses'] } }).select('_id').session(session).lean();
+        const profitAndLossGroupIds = new Set(profitAndLossGroups.map(g => g._id.toString()));
+
+        const openings = [];
+        const closingLines = [];
+        let transferredSigned = 0; // Net debit moved out of income/expense ledgers
+        let reservesClosingSigned = 0;
+
+        for (const { accountType, model, name } of accountSources) {
+            const accounts = await model.find({}).session(session);
+
+            for (const account of accounts) {
+                const derived = await deriveAccountBalance(accountType, account, { asOn: year.endDate, session });
+                const closingSigned = toSignedValue(derived.balance.amount, derived.balance.type);
+
+                const isProfitAndLoss = accountType === 'ledger' && account.group && profitAndLossGroupIds.has(account.group.toString());
+
+                if (isProfitAndLoss) {
+                    if (Math.abs(closingSigned) >= 0.01) {
+                        const transactionType = closingSigned > 0 ? 'credit' : 'debit';
+                        closingLines.push(postingLine('ledger', account, closingSigned, transactionType, `Transferred to Reserves & Surplus (${year.label})`));
+
+                        const newBalance = addToBalance(
+                            account.outstandingBalance || 0,
+                            account.outstandingBalanceType || 'debit',
+                            Math.abs(closingSigned),
+                            transactionType
+                        );
+                        account.outstandingBalance = newBalance.amount;
+                        account.outstandingBalanceType = newBalance.type;
+                        account.updatedBy = req.user._id;
+                        await account.save();
+
+                        transferredSigned += closingSigned;
+                    }
+                    // Income and expense ledgers start the next year at zero
+                    continue;
+                }
+
+                // Reserves & Surplus opens with the year's profit or loss added, so it is carried forward last
+                if (accountType === 'ledger' && account._id.toString() === reservesLedger._id.toString()) {
+                    reservesClosingSigned = closingSigned;
+                    continue;
+                }
+
+                const closing = fromSignedValue(closingSigned);
+                openings.push({
+                    accountType,
+                    accountId: account._id,
+                    accountName: name(account),
+                    openingBalance: closing.amount,
+                    openingBalanceType: closing.type
+                });
+            }
+        }
+
+        // Profit (net credit in income/expense ledgers) is credited to Reserves & Surplus, loss is debited
+        if (Math.abs(transferredSigned) >= 0.01) {
+            const transactionType = transferredSigned > 0 ? 'debit' : 'credit';
+            closingLines.push(postingLine('ledger', reservesLedger, transferredSigned, transactionType, `Profit & loss for ${year.label}`));
+
+            const newBalance = addToBalance(
+                reservesLedger.outstandingBalance || 0,
+                reservesLedger.outstandingBalanceType || 'credit',
+                Math.abs(transferredSigned),
+                transactionType
+            );
+            reservesLedger.outstandingBalance = newBalance.amount;
+            reservesLedger.outstandingBalanceType = newBalance.type;
+            reservesLedger.updatedBy = req.user._id;
+            await reservesLedger.save();
+        }
+        const reservesBalance = fromSignedValue(reservesClosingSigned + transferredSigned);
+        openings.push({
+            accountType: 'ledger',
+            accountId: reservesLedger._id,
+            accountName: reservesLedger.name,
+            openingBalance: reservesBalance.amount,
+            openingBalanceType: reservesBalance.type
+        });
+
+        await recordPostings(closingLines, {
+            sourceType: 'year_close',
+            sourceId: year._id,
+            date: year.endDate,
+            userId: req.user._id
+        }, session);
+
+        // Next year (created if it does not exist yet) receives the closing balances as openings
+        const nextStart = new Date(year.endDate.getTime() + 1);
+        let nextYear = await FinancialYear.findOne({ startDate: nextStart }).session(session);
+        if (!nextYear) {
+            const range = financialYearRange(nextStart.getFullYear());
+            [nextYear] = await FinancialYear.create([{
+                ...range,
+                startDate: nextStart,
+                createdBy: req.user._id,
+                updatedBy: req.user._id
+            }], { session });
+        }
+
+        await YearOpeningBalance.deleteMany({ financialYear: nextYear._id }).session(session);
+        await YearOpeningBalance.insertMany(
+            openings.map(opening => ({ ...opening, financialYear: nextYear._id })),
+            { session }
+        );
+
+        year.status = 'closed';
+        year.netProfit = Number((-transferredSigned).toFixed(2));
+        year.closedBy = req.user._id;
+        year.closedAt = new Date();
+        year.updatedBy = req.user._id;
+        if (year.isActive) {
+            year.isActive = false;
+            nextYear.isActive = true;
+            nextYear.updatedBy = req.user._id;
+            await nextYear.save();
+        }
+        await year.save();
+
+        // Closed years are locked against further changes
+        await PeriodLock.findOneAndUpdate(
+            { periodType: 'financial_year', startDate: year.startDate },
+            {
+                $set: {
+                    label: year.label,
+                    endDate: year.endDate,
+                    isLocked: true,
+                    lockedBy: req.user._id,
+                    lockedAt: new Date()
+                }
+            },
+            { upsert: true, new: true, session }
+        );
+
+        await session.commitTransaction();
+
+        successResponse(res, `Financial year ${year.label} closed successfully`, 200, {
+            financialYear: year,
+            nextFinancialYear: nextYear,
+            netProfit: year.netProfit,
+            carriedForward: openings.length
+        });
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
@@ -3,6 +3,11 @@ import Customer from '../models/Customer.js';
 import Vendor from '../models/Vendor.js';
 import AppError from '../utils/AppError.js';
 import { successResponse } from '../utils/responseHandler.js';
+import { assertPeriodOpen } from '../services/periodLockService.js';
+import { postingLine, recordPostings, applyLinesToBalances } from '../services/postingService.js';
+import { buildSaleGst, gstPostingLines, applyGstToLedgers } from '../services/gstService.js';
+import { resolveProduct } from '../services/productService.js';
+import Product from '../models/Product.js';
 import mongoose from 'mongoose';
 
 const roundNumber = (value, decimals = 2) => {
@@ -10,10 +15,11 @@ const roundNumber = (value, decimals = 2) => {
     return Number(Number(value).toFixed(decimals));
 };
 
-const generateInvoiceNumber = async () => {
+const generateInvoiceNumber = async (session = null) => {
     const lastRecord = await IndirectSale.findOne({ invoiceNumber: { $exists: true } })
         .sort({ invoiceNumber: -1 })
         .select('invoiceNumber')
+        .session(session)
         .lean();
 
     const lastNumber = lastRecord?.invoiceNumber
@@ -24,6 +30,67 @@ const generateInvoiceNumber = async () => {
     return String(nextNumber).padStart(5, '0');
 };
 
+// Journal lines for what the record owes the vendor and what the customer owes
+const partyPostingLines = (record, reverse = false) => {
+    const debit = reverse ? 'credit' : 'debit';
+    const credit = reverse ? 'debit' : 'credit';
+    return [
+        postingLine('vendor', record.vendor, record.summary?.totalPurchaseAmount, credit, 'Indirect purchase'),
+        postingLine('customer', record.customer, record.sales?.amount, debit, 'Indirect sale')
+    ].filter(line => line.debit > 0 || line.credit > 0);
+};
+
+// What is on the books for a record before it changes
+const postedState = (record) => ({
+    vendor: record.vendor,
+    customer: record.customer,
+    summary: { totalPurchaseAmount: record.summary?.totalPurchaseAmount || 0 },
+    sales: { amount: record.sales?.amount || 0 },
+    gst: record.gst?.applied ? record.gst.toObject() : null
+});
+
+// Recalculate the sale's GST after its amount or customer changed, then move the vendor, customer
+// and output tax balances from what was posted for the record to its new state
+const syncIndirectSalePostings = async (record, posted, userId, session = null) => {
+    let newGst = null;
+    if (record.gstApplicable && (record.sales?.amount || 0) > 0) {
+        const customer = await Customer.findById(record.customer).select('gstOrPanNumber').session(session);
+        const product = record.product ? await Product.findById(record.product).session(session) : null;
+        newGst = await buildSaleGst({
+            amount: record.sales.amount,
+            product: product || 'bird',
+            customerGstin: customer?.gstOrPanNumber,
+            userId,
+            session
+        });
+    }
+
+    const oldPartyLines = partyPostingLines(posted);
+    const newPartyLines = partyPostingLines(record);
+    const partyChanged = JSON.stringify(oldPartyLines) !== JSON.stringify(newPartyLines);
+    const gstChanged = JSON.stringify(gstPostingLines(posted.gst)) !== JSON.stringify(gstPostingLines(newGst));
+
+    const lines = [];
+    if (partyChanged) {
+        const partyLines = [...partyPostingLines(posted, true), ...newPartyLines];
+        await applyLinesToBalances(partyLines, userId, session);
+        lines.push(...partyLines);
+    }
+    if (gstChanged) {
+        await applyGstToLedgers(posted.gst, userId, session, true);
+        await applyGstToLedgers(newGst, userId, session);
+        lines.push(...gstPostingLines(posted.gst, true), ...gstPostingLines(newGst));
+    }
+    await recordPostings(lines, {
+        sourceType: 'indirect_sale',
+        sourceId: record._id,
+        date: record.date,
+        userId
+    }, session);
+
+    record.gst = newGst || undefined;
+};
+
 const buildListFilter = (query) => {
     const filter = { isActive: true };
     const conditions = [];
@@ -42,6 +109,13 @@ const buildListFilter = (query) => {
         conditions.push({ vendor: query.vendor });
     }
 
+    if (query.product) {
+        if (!mongoose.Types.ObjectId.isValid(query.product)) {
+            throw new AppError('Invalid product id', 400);
+        }
+        conditions.push({ product: query.product });
+    }
+
     if (query.search) {
         const regex = new RegExp(query.search, 'i');
         conditions.push({
@@ -74,49 +148,64 @@ const buildListFilter = (query) => {
 };
 
 export const createIndirectSale = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
-        const { date, customer, vendor, place, vehicleNumber, driver, notes } = req.body;
+        session.startTransaction();
+        const { date, customer, vendor, product, place, vehicleNumber, driver, notes, gstApplicable } = req.body;
 
         if (!date || !customer || !vendor) {
             throw new AppError('Date, customer and vendor are required', 400);
         }
 
-        const customerExists = await Customer.findById(customer);
+        await assertPeriodOpen(date, session);
+
+        const customerExists = await Customer.findById(customer).session(session);
         if (!customerExists) {
             throw new AppError('Selected customer not found', 404);
         }
 
-        const vendorExists = await Vendor.findById(vendor);
+        const vendorExists = await Vendor.findById(vendor).session(session);
         if (!vendorExists) {
             throw new AppError('Selected vendor not found', 404);
         }
 
+        const productDoc = await resolveProduct(product, 'bird', session);
+
         const indirectSale = new IndirectSale({
-            invoiceNumber: await generateInvoiceNumber(),
+            invoiceNumber: await generateInvoiceNumber(session),
             date,
             customer,
             vendor,
+            product: productDoc ? productDoc._id : undefined,
             place,
             vehicleNumber,
             driver,
             notes,
+            gstApplicable: gstApplicable === true || gstApplicable === 'true',
             createdBy: req.user._id,
             updatedBy: req.user._id
         });
 
         indirectSale.recalculateSummary();
+        await syncIndirectSalePostings(indirectSale, {}, req.user._id, session);
+
+        await indirectSale.save({ session });
+        await session.commitTransaction();
 
-        await indirectSale.save();
         await indirectSale.populate([
             { path: 'customer', select: 'shopName ownerName contact place tdsApplicable' },
             { path: 'vendor', select: 'vendorName companyName contactNumber' },
+            { path: 'product', select: 'name category' },
             { path: 'createdBy', select: 'name' },
             { path: 'updatedBy', select: 'name' }
         ]);
 
         successResponse(res, 'Indirect purchase and sale created', 201, indirectSale);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
@@ -132,6 +221,7 @@ export const getIndirectSales = async (req, res, next) => {
             IndirectSale.find(filter)
                 .populate('customer', 'shopName ownerName place tdsApplicable')
                 .populate('vendor', 'vendorName companyName')
+                .populate('product', 'name category')
                 .sort({ date: -1, createdAt: -1 })
                 .skip((numericPage - 1) * numericLimit)
                 .limit(numericLimit),
@@ -158,6 +248,7 @@ export const getIndirectSaleById = async (req, res, next) => {
         const record = await IndirectSale.findById(id)
             .populate('customer', 'shopName ownerName contact place tdsApplicable')
             .populate('vendor', 'vendorName companyName contactNumber')
+            .populate('product', 'name category hsnCode')
             .populate('createdBy', 'name')
             .populate('updatedBy', 'name');
 
@@ -172,17 +263,21 @@ export const getIndirectSaleById = async (req, res, next) => {
 };
 
 export const updateIndirectSaleDetails = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
-        const { date, customer, vendor, place, vehicleNumber, driver, notes, status } = req.body;
+        const { date, customer, vendor, product, place, vehicleNumber, driver, notes, status, gstApplicable } = req.body;
 
-        const record = await IndirectSale.findById(id);
+        const record = await IndirectSale.findById(id).session(session);
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        await assertPeriodOpen([record.date, date], session);
+        const posted = postedState(record);
 
         if (customer && customer.toString() !== record.customer.toString()) {
-            const customerExists = await Customer.findById(customer);
+            const customerExists = await Customer.findById(customer).session(session);
             if (!customerExists) {
                 throw new AppError('Selected customer not found', 404);
             }
@@ -190,13 +285,18 @@ export const updateIndirectSaleDetails = async (req, res, next) => {
         }
 
         if (vendor && vendor.toString() !== record.vendor.toString()) {
-            const vendorExists = await Vendor.findById(vendor);
+            const vendorExists = await Vendor.findById(vendor).session(session);
             if (!vendorExists) {
                 throw new AppError('Selected vendor not found', 404);
             }
             record.vendor = vendor;
         }
 
+        if (product !== undefined) {
+            const productDoc = await resolveProduct(product, 'bird', session);
+            record.product = productDoc ? productDoc._id : undefined;
+        }
+
         if (date) record.date = date;
         if (place !== undefined) record.place = place;
         if (vehicleNumber !== undefined) record.vehicleNumber = vehicleNumber;
@@ -205,25 +305,35 @@ export const updateIndirectSaleDetails = async (req, res, next) => {
         if (status && ['draft', 'completed'].includes(status)) {
             record.status = status;
         }
+        if (gstApplicable !== undefined) record.gstApplicable = gstApplicable === true || gstApplicable === 'true';
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        await syncIndirectSalePostings(record, posted, req.user._id, session);
+        await record.save({ session });
+        await session.commitTransaction();
+
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place' },
             { path: 'vendor', select: 'vendorName companyName' },
+            { path: 'product', select: 'name category' },
             { path: 'createdBy', select: 'name' },
             { path: 'updatedBy', select: 'name' }
         ]);
 
         successResponse(res, 'Indirect sale details updated', 200, record);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 export const addPurchase = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         const { dcNumber, birds, weight, rate } = req.body;
 
@@ -231,10 +341,12 @@ export const addPurchase = async (req, res, next) => {
             throw new AppError('Birds, weight and rate are required', 400);
         }
 
-        const record = await IndirectSale.findById(id);
+        const record = await IndirectSale.findById(id).session(session);
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        await assertPeriodOpen(record.date, session);
+        const posted = postedState(record);
 
         const numericBirds = Number(birds) || 0;
         const numericWeight = Number(weight) || 0;
@@ -254,7 +366,10 @@ export const addPurchase = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        await syncIndirectSalePostings(record, posted, req.user._id, session);
+        await record.save({ session });
+        await session.commitTransaction();
+
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place tdsApplicable' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -262,19 +377,26 @@ export const addPurchase = async (req, res, next) => {
 
         successResponse(res, 'Purchase item added', 200, record);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 export const updatePurchase = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id, purchaseId } = req.params;
         const { dcNumber, birds, weight, rate } = req.body;
 
-        const record = await IndirectSale.findById(id);
+        const record = await IndirectSale.findById(id).session(session);
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        await assertPeriodOpen(record.date, session);
+        const posted = postedState(record);
 
         const purchase = record.purchases.id(purchaseId);
         if (!purchase) {
@@ -295,7 +417,10 @@ export const updatePurchase = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        await syncIndirectSalePostings(record, posted, req.user._id, session);
+        await record.save({ session });
+        await session.commitTransaction();
+
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place tdsApplicable' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -303,18 +428,25 @@ export const updatePurchase = async (req, res, next) => {
 
         successResponse(res, 'Purchase item updated', 200, record);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 export const deletePurchase = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id, purchaseId } = req.params;
 
-        const record = await IndirectSale.findById(id);
+        const record = await IndirectSale.findById(id).session(session);
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        await assertPeriodOpen(record.date, session);
+        const posted = postedState(record);
 
         const purchase = record.purchases.id(purchaseId);
         if (!purchase) {
@@ -326,7 +458,10 @@ export const deletePurchase = async (req, res, next) => {
         );
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        await syncIndirectSalePostings(record, posted, req.user._id, session);
+        await record.save({ session });
+        await session.commitTransaction();
+
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place tdsApplicable' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -334,12 +469,17 @@ export const deletePurchase = async (req, res, next) => {
 
         successResponse(res, 'Purchase item removed', 200, record);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 export const updateMortality = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         const { birds } = req.body;
 
@@ -347,10 +487,12 @@ export const updateMortality = async (req, res, next) => {
             throw new AppError('Mortality birds is required', 400);
         }
 
-        const record = await IndirectSale.findById(id);
+        const record = await IndirectSale.findById(id).session(session);
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        await assertPeriodOpen(record.date, session);
+        const posted = postedState(record);
 
         record.mortality = {
             ...(record.mortality ? record.mortality.toObject() : {}),
@@ -359,7 +501,10 @@ export const updateMortality = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        await syncIndirectSalePostings(record, posted, req.user._id, session);
+        await record.save({ session });
+        await session.commitTransaction();
+
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place tdsApplicable' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -367,12 +512,17 @@ export const updateMortality = async (req, res, next) => {
 
         successResponse(res, 'Mortality updated', 200, record);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 export const updateSales = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         const { rate } = req.body;
 
@@ -380,10 +530,12 @@ export const updateSales = async (req, res, next) => {
             throw new AppError('Sales rate is required', 400);
         }
 
-        const record = await IndirectSale.findById(id);
+        const record = await IndirectSale.findById(id).session(session);
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        await assertPeriodOpen(record.date, session);
+        const posted = postedState(record);
 
         const numericRate = Number(rate) || 0;
         record.sales = {
@@ -393,7 +545,10 @@ export const updateSales = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        await syncIndirectSalePostings(record, posted, req.user._id, session);
+        await record.save({ session });
+        await session.commitTransaction();
+
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place tdsApplicable' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -401,7 +556,10 @@ export const updateSales = async (req, res, next) => {
 
         successResponse(res, 'Sales updated', 200, record);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
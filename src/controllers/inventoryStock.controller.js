@@ -1,16 +1,67 @@
+import mongoose from "mongoose";
 import InventoryStock from "../models/InventoryStock.js";
 import Vendor from "../models/Vendor.js";
 import Customer from "../models/Customer.js";
 import Ledger from "../models/Ledger.js";
 import Group from "../models/Group.js";
 import Trip from "../models/Trip.js";
+import Product from "../models/Product.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
 import { addToBalance, subtractFromBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { postingLine, recordPostings } from "../services/postingService.js";
+import { assertPeriodOpen } from "../services/periodLockService.js";
+import { enforceCreditLimit } from "../services/creditLimitService.js";
+import { getInvoiceLayout, renderSaleInvoice, sendInvoicePdf } from "../services/invoicePdfService.js";
+import { buildSaleGst, gstPostingLines, applyGstToLedgers } from "../services/gstService.js";
+import { resolveProduct } from "../services/productService.js";
+
+// Journal lines for a stock record's effect on vendor, customer, ledger and output tax balances
+const stockPostingLines = (stock, reverse = false) => {
+    const debit = reverse ? 'credit' : 'debit';
+    const credit = reverse ? 'debit' : 'credit';
+    const lines = [];
+
+    if (stock.type === 'purchase' || stock.type === 'opening') {
+        if (stock.vendorId) lines.push(postingLine('vendor', stock.vendorId, stock.amount, credit, 'Stock purchase'));
+    } else if (stock.type === 'sale' || stock.type === 'receipt') {
+        if (stock.customerId) {
+            if (stock.type === 'sale') lines.push(postingLine('customer', stock.customerId, stock.amount, debit, 'Stock sale'));
+            lines.push(
+                postingLine('customer', stock.customerId, stock.cashPaid, credit, 'By cash receipt'),
+                postingLine('customer', stock.customerId, stock.onlinePaid, credit, 'By bank receipt'),
+                postingLine('customer', stock.customerId, stock.discount, credit, 'Discount')
+            );
+        }
+        if (stock.cashLedgerId) lines.push(postingLine('ledger', stock.cashLedgerId, stock.cashPaid, debit, 'Cash received'));
+        if (stock.onlineLedgerId) lines.push(postingLine('ledger', stock.onlineLedgerId, stock.onlinePaid, debit, 'Online received'));
+        if (stock.type === 'sale') lines.push(...gstPostingLines(stock.gst, reverse));
+    } else if (stock.type === 'consume') {
+        if (stock.expenseLedgerId) lines.push(postingLine('ledger', stock.expenseLedgerId, stock.amount, debit, 'Feed consumed'));
+    }
+
+    return lines;
+};
+
+const stockPostingSource = (stock, userId) => ({
+    sourceType: 'inventory_stock',
+    sourceId: stock._id,
+    date: stock.date,
+    userId
+});
+
+// Set the entry's product (the default product of its inventory type when none is sent)
+const assignProduct = async (data, session = null) => {
+    const product = await resolveProduct(data.productId, data.inventoryType, session);
+    data.productId = product ? product._id : undefined;
+    return product;
+};
 
 // Add Purchase to Inventory
 export const addPurchase = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const type = req.body.inventoryType || "bird";
         const purchaseData = {
             ...req.body,
@@ -21,6 +72,9 @@ export const addPurchase = async (req, res, next) => {
             birds: type === 'feed' ? 0 : (req.body.birds || 0)
         };
 
+        await assertPeriodOpen(purchaseData.date, session);
+        await assignProduct(purchaseData, session);
+
         // Basic validation
         if (type === 'bird') {
             if (!purchaseData.birds || !purchaseData.weight || !purchaseData.rate) {
@@ -35,7 +89,7 @@ export const addPurchase = async (req, res, next) => {
 
         // --- Vendor Balance Update Logic ---
         if (purchaseData.vendorId) {
-            const vendor = await Vendor.findById(purchaseData.vendorId);
+            const vendor = await Vendor.findById(purchaseData.vendorId).session(session);
             if (vendor) {
                 // A purchase increases the amount we owe to the vendor (Credit)
                 // Using addToBalance with transactionType 'credit'
@@ -49,22 +103,29 @@ export const addPurchase = async (req, res, next) => {
                 vendor.outstandingBalance = newBalance.amount;
                 vendor.outstandingBalanceType = newBalance.type;
                 vendor.updatedBy = req.user._id;
-                await vendor.save();
+                await vendor.save({ session });
             }
         }
         // -----------------------------------
 
         const stock = new InventoryStock(purchaseData);
-        await stock.save();
+        await stock.save({ session });
+        await recordPostings(stockPostingLines(stock), stockPostingSource(stock, req.user._id), session);
+
+        await session.commitTransaction();
 
         const populatedStock = await InventoryStock.findById(stock._id)
             .populate("vendorId", "vendorName")
+            .populate("productId", "name category")
             .populate("vehicleId", "vehicleNumber")
             .populate("supervisorId", "name");
 
         successResponse(res, "Stock purchase added successfully", 201, populatedStock);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
@@ -79,6 +140,9 @@ export const addMortality = async (req, res, next) => {
             date: req.body.date || new Date()
         };
 
+        await assertPeriodOpen(mortalityData.date);
+        await assignProduct(mortalityData);
+
         // Basic validation
         if (!mortalityData.birds || !mortalityData.weight || !mortalityData.rate) {
             throw new AppError("Birds, Weight, and Rate are required", 400);
@@ -108,6 +172,9 @@ export const addWeightLoss = async (req, res, next) => {
             birds: 0 // Always 0 for weight loss/gain
         };
 
+        await assertPeriodOpen(weightLossData.date);
+        await assignProduct(weightLossData);
+
         // Basic validation
         // Weight can be negative or positive. Rate is required.
         if (weightLossData.weight === undefined || weightLossData.rate === undefined) {
@@ -125,7 +192,9 @@ export const addWeightLoss = async (req, res, next) => {
 
 // Add Consume (Feed or other)
 export const addConsume = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const consumeData = {
             ...req.body,
             type: "consume",
@@ -135,6 +204,9 @@ export const addConsume = async (req, res, next) => {
             birds: 0 // Usually 0 for feed consume
         };
 
+        await assertPeriodOpen(consumeData.date, session);
+        await assignProduct(consumeData, session);
+
         // Basic validation
         if (!consumeData.weight || !consumeData.rate) {
             throw new AppError("Quantity (Weight) and Rate are required", 400);
@@ -146,25 +218,25 @@ export const addConsume = async (req, res, next) => {
         }
 
         // 1. Find or Create "FEED CONSUME" Ledger
-        let ledger = await Ledger.findOne({ name: { $regex: /^feed consume$/i } });
+        let ledger = await Ledger.findOne({ name: { $regex: /^feed consume$/i } }).session(session);
         if (!ledger) {
             // Find a suitable group
-            let group = await Group.findOne({ slug: 'direct-expenses' });
-            if (!group) group = await Group.findOne({ slug: 'expenses' }); // Fallback
-            if (!group) group = await Group.findOne({ name: { $regex: /expense/i } });
+            let group = await Group.findOne({ slug: 'direct-expenses' }).session(session);
+            if (!group) group = await Group.findOne({ slug: 'expenses' }).session(session); // Fallback
+            if (!group) group = await Group.findOne({ name: { $regex: /expense/i } }).session(session);
 
             if (group) {
-                ledger = await Ledger.create({
+                [ledger] = await Ledger.create([{
                     name: 'FEED CONSUME',
                     group: group._id,
-                    ledgerType: 'general',
+                    ledgerType: 'other',
                     openingBalance: 0,
                     openingBalanceType: 'debit',
                     outstandingBalance: 0,
                     outstandingBalanceType: 'debit',
                     createdBy: req.user._id,
                     updatedBy: req.user._id
-                });
+                }], { session });
             } else {
                 console.warn("Could not find Expense group to create FEED CONSUME ledger");
             }
@@ -175,7 +247,7 @@ export const addConsume = async (req, res, next) => {
         }
 
         const stock = new InventoryStock(consumeData);
-        await stock.save();
+        await stock.save({ session });
 
         // 2. Update Ledger Balance (Debit)
         if (ledger) {
@@ -190,17 +262,27 @@ export const addConsume = async (req, res, next) => {
             await ledger.save();
         }
 
+        await recordPostings(stockPostingLines(stock), stockPostingSource(stock, req.user._id), session);
+
+        await session.commitTransaction();
+
         successResponse(res, "Consumption added successfully", 201, stock);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 // Add Sale (with Ledger updates)
 export const addSale = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         let saleData = req.body;
 
+        const { overrideCreditLimit, creditOverrideReason, applyGst } = saleData;
         saleData = {
             ...saleData,
             type: "sale",
@@ -209,6 +291,12 @@ export const addSale = async (req, res, next) => {
             date: saleData.date || new Date(),
             amount: Number(saleData.amount),
         };
+        delete saleData.creditOverride; // Only set by the credit limit check below
+        delete saleData.gst; // Only set from the GST settings below
+        let creditLimitWarning = null;
+
+        await assertPeriodOpen(saleData.date, session);
+        const saleProduct = await assignProduct(saleData, session);
 
         // Check stock availability (Simple check - can be improved)
         // Need to calculate current stock? For now, we trust the input validation on frontend 
@@ -223,114 +311,171 @@ export const addSale = async (req, res, next) => {
 
         // Customer Balance Update Logic (Copied from trip.controller.js)
         if (saleData.customerId) {
-            try {
-                const customer = await Customer.findById(saleData.customerId);
-                if (customer) {
-                    const customerBalanceSigned = toSignedValue(
-                        customer.outstandingBalance || 0,
-                        customer.outstandingBalanceType || 'debit'
-                    );
-
-                    const globalOutstandingBalance = customerBalanceSigned;
-                    const totalPaid = (Number(saleData.onlinePaid) || 0) + (Number(saleData.cashPaid) || 0);
-                    const discount = Number(saleData.discount) || 0;
-                    const amount = Number(saleData.amount) || 0;
+            const customer = await Customer.findById(saleData.customerId).session(session);
+            if (customer) {
+                const customerBalanceSigned = toSignedValue(
+                    customer.outstandingBalance || 0,
+                    customer.outstandingBalanceType || 'debit'
+                );
 
-                    let finalBalanceSigned = globalOutstandingBalance;
-                    if (amount > 0) finalBalanceSigned += amount;
-                    if (totalPaid > 0) finalBalanceSigned -= totalPaid;
-                    if (discount > 0) finalBalanceSigned -= discount;
+                const globalOutstandingBalance = customerBalanceSigned;
+                const totalPaid = (Number(saleData.onlinePaid) || 0) + (Number(saleData.cashPaid) || 0);
+                const discount = Number(saleData.discount) || 0;
+                const amount = Number(saleData.amount) || 0;
+
+                let finalBalanceSigned = globalOutstandingBalance;
+                if (amount > 0) finalBalanceSigned += amount;
+                if (totalPaid > 0) finalBalanceSigned -= totalPaid;
+                if (discount > 0) finalBalanceSigned -= discount;
+
+                // Warn or block when the sale takes the customer over their credit limit
+                if (amount > 0) {
+                    const creditCheck = await enforceCreditLimit(customer, finalBalanceSigned, {
+                        user: req.user,
+                        override: overrideCreditLimit === true || overrideCreditLimit === 'true',
+                        reason: creditOverrideReason,
+                        session
+                    });
+                    creditLimitWarning = creditCheck.warning;
+                    if (creditCheck.creditOverride) saleData.creditOverride = creditCheck.creditOverride;
+                }
 
-                    const finalBalanceObj = fromSignedValue(finalBalanceSigned);
+                const finalBalanceObj = fromSignedValue(finalBalanceSigned);
 
-                    saleData.balance = Number(finalBalanceObj.amount.toFixed(2));
+                saleData.balance = Number(finalBalanceObj.amount.toFixed(2));
 
-                    // Update customer
-                    customer.outstandingBalance = finalBalanceObj.amount;
-                    customer.outstandingBalanceType = finalBalanceObj.type;
-                    customer.updatedBy = req.user._id;
-                    await customer.save();
-                }
-            } catch (error) {
-                console.error('Error calculating sale balance:', error);
+                // Update customer
+                customer.outstandingBalance = finalBalanceObj.amount;
+                customer.outstandingBalanceType = finalBalanceObj.type;
+                customer.updatedBy = req.user._id;
+                await customer.save();
             }
         }
 
+        // GST is carved out of the (tax-inclusive) sale amount
+        if ((applyGst === true || applyGst === 'true') && saleData.amount > 0) {
+            const gstCustomer = saleData.customerId
+                ? await Customer.findById(saleData.customerId).select('gstOrPanNumber').session(session)
+                : null;
+            saleData.gst = await buildSaleGst({
+                amount: saleData.amount,
+                product: saleProduct || saleData.inventoryType,
+                customerGstin: gstCustomer?.gstOrPanNumber,
+                userId: req.user._id,
+                session
+            });
+        }
+
         const stock = new InventoryStock(saleData);
-        await stock.save();
+        await stock.save({ session });
+        await applyGstToLedgers(stock.gst, req.user._id, session);
 
         // Update Ledgers
         const cashPaidAmount = Number(saleData.cashPaid) || 0;
         if (cashPaidAmount > 0) {
-            try {
-                let cashLedger;
-                if (saleData.cashLedgerId) {
-                    cashLedger = await Ledger.findById(saleData.cashLedgerId);
-                } else {
-                    // Find default CASH ledger (case insensitive check on name 'Cash')
-                    // Assuming there's a ledger named 'Cash' or similar. 
-                    // Better to find by Group type 'Cash Operations' if structure supported, but Name 'Cash' is common convention or based on User Request "CASH A/C".
-                    // Find default CASH ledger (case insensitive check on name 'Cash' or 'Cash A/C')
-                    cashLedger = await Ledger.findOne({ name: { $regex: /^(cash|cash\s+a\/c)$/i } });
-
-                    // Fallback to finding via group?
-                    if (!cashLedger) {
-                        const cashGroup = await Group.findOne({ name: { $regex: /cash/i } });
-                        if (cashGroup) {
-                            cashLedger = await Ledger.findOne({ group: cashGroup._id });
-                        }
+            let cashLedger;
+            if (saleData.cashLedgerId) {
+                cashLedger = await Ledger.findById(saleData.cashLedgerId).session(session);
+            } else {
+                // Find default CASH ledger (case insensitive check on name 'Cash')
+                // Assuming there's a ledger named 'Cash' or similar. 
+                // Better to find by Group type 'Cash Operations' if structure supported, but Name 'Cash' is common convention or based on User Request "CASH A/C".
+                // Find default CASH ledger (case insensitive check on name 'Cash' or 'Cash A/C')
+                cashLedger = await Ledger.findOne({ name: { $regex: /^(cash|cash\s+a\/c)$/i } }).session(session);
+
+                // Fallback to finding via group?
+                if (!cashLedger) {
+                    const cashGroup = await Group.findOne({ name: { $regex: /cash/i } }).session(session);
+                    if (cashGroup) {
+                        cashLedger = await Ledger.findOne({ group: cashGroup._id }).session(session);
                     }
                 }
+            }
 
-                if (cashLedger) {
-                    const newBalance = addToBalance(
-                        Number(cashLedger.outstandingBalance) || 0,
-                        cashLedger.outstandingBalanceType || 'debit',
-                        cashPaidAmount,
-                        'debit'
-                    );
-                    cashLedger.outstandingBalance = newBalance.amount;
-                    cashLedger.outstandingBalanceType = newBalance.type;
-                    cashLedger.updatedBy = req.user._id;
-                    await cashLedger.save();
-
-                    // Update the stock record with the actual ledger ID used
-                    stock.cashLedgerId = cashLedger._id;
-                    await stock.save();
-                } else {
-                    console.warn("No 'Cash' ledger found to update.");
-                }
-            } catch (err) {
-                console.error("Cash ledger update failed", err);
+            if (cashLedger) {
+                const newBalance = addToBalance(
+                    Number(cashLedger.outstandingBalance) || 0,
+                    cashLedger.outstandingBalanceType || 'debit',
+                    cashPaidAmount,
+                    'debit'
+                );
+                cashLedger.outstandingBalance = newBalance.amount;
+                cashLedger.outstandingBalanceType = newBalance.type;
+                cashLedger.updatedBy = req.user._id;
+                await cashLedger.save();
+
+                // Update the stock record with the actual ledger ID used
+                stock.cashLedgerId = cashLedger._id;
+                await stock.save({ session });
+            } else {
+                console.warn("No 'Cash' ledger found to update.");
             }
         }
 
         const onlinePaidAmount = Number(saleData.onlinePaid) || 0;
         if (saleData.onlineLedgerId && onlinePaidAmount > 0) {
-            try {
-                const onlineLedger = await Ledger.findById(saleData.onlineLedgerId);
-                if (onlineLedger) {
-                    const newBalance = addToBalance(
-                        Number(onlineLedger.outstandingBalance) || 0,
-                        onlineLedger.outstandingBalanceType || 'debit',
-                        onlinePaidAmount,
-                        'debit'
-                    );
-                    onlineLedger.outstandingBalance = newBalance.amount;
-                    onlineLedger.outstandingBalanceType = newBalance.type;
-                    onlineLedger.updatedBy = req.user._id;
-                    await onlineLedger.save();
-                }
-            } catch (err) {
-                console.error("Online ledger update failed", err);
+            const onlineLedger = await Ledger.findById(saleData.onlineLedgerId).session(session);
+            if (onlineLedger) {
+                const newBalance = addToBalance(
+                    Number(onlineLedger.outstandingBalance) || 0,
+                    onlineLedger.outstandingBalanceType || 'debit',
+                    onlinePaidAmount,
+                    'debit'
+                );
+                onlineLedger.outstandingBalance = newBalance.amount;
+                onlineLedger.outstandingBalanceType = newBalance.type;
+                onlineLedger.updatedBy = req.user._id;
+                await onlineLedger.save();
             }
         }
 
+        await recordPostings(stockPostingLines(stock), stockPostingSource(stock, req.user._id), session);
+
+        await session.commitTransaction();
+
         const populatedStock = await InventoryStock.findById(stock._id)
             .populate("customerId", "shopName ownerName")
             .populate("supervisorId", "name");
 
-        successResponse(res, "Sale added successfully", 201, populatedStock);
+        successResponse(res, "Sale added successfully", 201, populatedStock, creditLimitWarning ? { creditLimitWarning } : {});
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+// Printable PDF invoice for a stock sale
+export const getSaleInvoice = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const query = { _id: id, type: 'sale' };
+        if (req.user.role === 'supervisor') query.supervisorId = req.user._id;
+
+        const stock = await InventoryStock.findOne(query)
+            .populate('customerId', 'shopName ownerName place contact gstOrPanNumber');
+        if (!stock) throw new AppError('Sale not found', 404);
+
+        const layout = await getInvoiceLayout();
+        const buffer = await renderSaleInvoice({
+            billNumber: stock.billNumber || stock.refNo,
+            date: stock.date,
+            customer: stock.customerId || {},
+            birds: stock.birds,
+            weight: stock.weight,
+            avgWeight: stock.birds > 0 ? stock.weight / stock.birds : 0,
+            rate: stock.rate,
+            amount: stock.amount,
+            cashPaid: stock.cashPaid,
+            onlinePaid: stock.onlinePaid,
+            discount: stock.discount,
+            balance: stock.balance,
+            gst: stock.gst
+        }, layout);
+
+        sendInvoicePdf(res, buffer, stock.billNumber || stock.refNo);
     } catch (error) {
         next(error);
     }
@@ -338,7 +483,9 @@ export const addSale = async (req, res, next) => {
 
 // Add Receipt
 export const addReceipt = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         let receiptData = req.body;
 
         receiptData = {
@@ -353,90 +500,84 @@ export const addReceipt = async (req, res, next) => {
             amount: 0
         };
 
+        await assertPeriodOpen(receiptData.date, session);
+
         if (!receiptData.cashLedgerId || receiptData.cashLedgerId === '') delete receiptData.cashLedgerId;
         if (!receiptData.onlineLedgerId || receiptData.onlineLedgerId === '') delete receiptData.onlineLedgerId;
         if (!receiptData.customerId || receiptData.customerId === '') delete receiptData.customerId;
 
         // Customer Balance Update (Receipt reduces debt)
         if (receiptData.customerId) {
-            try {
-                const customer = await Customer.findById(receiptData.customerId);
-                if (customer) {
-                    const customerBalanceSigned = toSignedValue(
-                        customer.outstandingBalance || 0,
-                        customer.outstandingBalanceType || 'debit'
-                    );
+            const customer = await Customer.findById(receiptData.customerId).session(session);
+            if (customer) {
+                const customerBalanceSigned = toSignedValue(
+                    customer.outstandingBalance || 0,
+                    customer.outstandingBalanceType || 'debit'
+                );
 
-                    const totalPaid = (Number(receiptData.onlinePaid) || 0) + (Number(receiptData.cashPaid) || 0);
-                    const discount = Number(receiptData.discount) || 0;
+                const totalPaid = (Number(receiptData.onlinePaid) || 0) + (Number(receiptData.cashPaid) || 0);
+                const discount = Number(receiptData.discount) || 0;
 
-                    let finalBalanceSigned = customerBalanceSigned;
-                    if (totalPaid > 0) finalBalanceSigned -= totalPaid;
-                    if (discount > 0) finalBalanceSigned -= discount;
+                let finalBalanceSigned = customerBalanceSigned;
+                if (totalPaid > 0) finalBalanceSigned -= totalPaid;
+                if (discount > 0) finalBalanceSigned -= discount;
 
-                    const finalBalanceObj = fromSignedValue(finalBalanceSigned);
+                const finalBalanceObj = fromSignedValue(finalBalanceSigned);
 
-                    receiptData.balance = Number(finalBalanceObj.amount.toFixed(2));
+                receiptData.balance = Number(finalBalanceObj.amount.toFixed(2));
 
-                    customer.outstandingBalance = finalBalanceObj.amount;
-                    customer.outstandingBalanceType = finalBalanceObj.type;
-                    customer.updatedBy = req.user._id;
-                    await customer.save();
-                }
-            } catch (error) {
-                console.error('Error calculating receipt balance:', error);
+                customer.outstandingBalance = finalBalanceObj.amount;
+                customer.outstandingBalanceType = finalBalanceObj.type;
+                customer.updatedBy = req.user._id;
+                await customer.save();
             }
         }
 
         const stock = new InventoryStock(receiptData);
-        await stock.save();
+        await stock.save({ session });
 
         // Update Ledgers (Receipt = Money In = Debit to Cash/Bank Ledger)
         const cashPaidAmount = Number(receiptData.cashPaid) || 0;
         if (cashPaidAmount > 0) {
-            try {
-                let cashLedger;
-                if (receiptData.cashLedgerId) {
-                    cashLedger = await Ledger.findById(receiptData.cashLedgerId);
-                } else {
-                    // Find default CASH ledger (case insensitive check on name 'Cash' or 'CASH A/C')
-                    cashLedger = await Ledger.findOne({ name: { $regex: /^(cash|cash\s+a\/c)$/i } });
-
-                    // Fallback to finding via group?
-                    if (!cashLedger) {
-                        const cashGroup = await Group.findOne({ name: { $regex: /cash/i } });
-                        if (cashGroup) {
-                            cashLedger = await Ledger.findOne({ group: cashGroup._id });
-                        }
+            let cashLedger;
+            if (receiptData.cashLedgerId) {
+                cashLedger = await Ledger.findById(receiptData.cashLedgerId).session(session);
+            } else {
+                // Find default CASH ledger (case insensitive check on name 'Cash' or 'CASH A/C')
+                cashLedger = await Ledger.findOne({ name: { $regex: /^(cash|cash\s+a\/c)$/i } }).session(session);
+
+                // Fallback to finding via group?
+                if (!cashLedger) {
+                    const cashGroup = await Group.findOne({ name: { $regex: /cash/i } }).session(session);
+                    if (cashGroup) {
+                        cashLedger = await Ledger.findOne({ group: cashGroup._id }).session(session);
                     }
                 }
+            }
 
-                if (cashLedger) {
-                    const newBalance = addToBalance(
-                        Number(cashLedger.outstandingBalance) || 0,
-                        cashLedger.outstandingBalanceType || 'debit',
-                        cashPaidAmount,
-                        'debit'
-                    );
-                    cashLedger.outstandingBalance = newBalance.amount;
-                    cashLedger.outstandingBalanceType = newBalance.type;
-                    cashLedger.updatedBy = req.user._id;
-                    await cashLedger.save();
-
-                    // Update the stock record with the actual ledger ID used
-                    stock.cashLedgerId = cashLedger._id;
-                    await stock.save();
-                } else {
-                    console.warn("No 'Cash' ledger found to update.");
-                }
-            } catch (err) {
-                console.error("Cash ledger update failed", err);
+            if (cashLedger) {
+                const newBalance = addToBalance(
+                    Number(cashLedger.outstandingBalance) || 0,
+                    cashLedger.outstandingBalanceType || 'debit',
+                    cashPaidAmount,
+                    'debit'
+                );
+                cashLedger.outstandingBalance = newBalance.amount;
+                cashLedger.outstandingBalanceType = newBalance.type;
+                cashLedger.updatedBy = req.user._id;
+                await cashLedger.save();
+
+                // Update the stock record with the actual ledger ID used
+                stock.cashLedgerId = cashLedger._id;
+                await stock.save({ session });
+            } else {
+                console.warn("No 'Cash' ledger found to update.");
             }
         }
 
         const onlinePaidAmount = Number(receiptData.onlinePaid) || 0;
         if (receiptData.onlineLedgerId && onlinePaidAmount > 0) {
-            const onlineLedger = await Ledger.findById(receiptData.onlineLedgerId);
+            const onlineLedger = await Ledger.findById(receiptData.onlineLedgerId).session(session);
             if (onlineLedger) {
                 const newBalance = addToBalance(Number(onlineLedger.outstandingBalance), onlineLedger.outstandingBalanceType, onlinePaidAmount, 'debit');
                 onlineLedger.outstandingBalance = newBalance.amount;
@@ -445,21 +586,29 @@ export const addReceipt = async (req, res, next) => {
             }
         }
 
+        await recordPostings(stockPostingLines(stock), stockPostingSource(stock, req.user._id), session);
+
+        await session.commitTransaction();
+
         successResponse(res, "Receipt added successfully", 201, stock);
 
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 // Get All Stocks (Includes Trip Stocks)
 export const getStocks = async (req, res, next) => {
     try {
-        const { startDate, endDate, supervisor, type } = req.query;
+        const { startDate, endDate, supervisor, type, productId } = req.query;
 
         let query = {};
         if (supervisor) query.supervisorId = supervisor;
         if (type) query.type = type;
+        if (productId) query.productId = productId;
         if (startDate || endDate) {
             query.date = {};
             if (startDate) query.date.$gte = new Date(startDate);
@@ -469,6 +618,7 @@ export const getStocks = async (req, res, next) => {
         // 1. Fetch InventoryStock
         const inventoryStocks = await InventoryStock.find(query)
             .populate("vendorId", "vendorName companyName name")
+            .populate("productId", "name category")
             .populate("customerId", "shopName ownerName")
             .populate("vehicleId", "vehicleNumber")
             .populate("supervisorId", "name")
@@ -536,17 +686,33 @@ export const getStocks = async (req, res, next) => {
 // Update Stock (Handles Purchases, Sales, and Receipts)
 export const updateStock = async (req, res, next) => {
     const { id } = req.params;
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const updates = req.body;
+        const { overrideCreditLimit, creditOverrideReason, applyGst } = updates;
+        delete updates.creditOverride; // Only set by the credit limit check below
+        delete updates.gst; // Only set from the GST settings below
+        let creditLimitWarning = null;
 
         // 1. Fetch existing stock
-        const oldStock = await InventoryStock.findById(id);
+        const oldStock = await InventoryStock.findById(id).session(session);
         if (!oldStock) {
-            return res.status(404).json({ message: "Stock record not found" });
+            throw new AppError("Stock record not found", 404);
         }
+        await assertPeriodOpen([oldStock.date, updates.date], session);
 
         const type = oldStock.type;
 
+        // The product can only change within the same inventory type
+        let product = null;
+        if (updates.productId !== undefined) {
+            product = await resolveProduct(updates.productId, oldStock.inventoryType, session);
+            updates.productId = product ? product._id : null;
+        } else if (oldStock.productId) {
+            product = await Product.findById(oldStock.productId).session(session);
+        }
+
         // ---------------------------------------------------------
         // PURCHASE UPDATE LOGIC (Vendor)
         // ---------------------------------------------------------
@@ -563,7 +729,7 @@ export const updateStock = async (req, res, next) => {
             if (isVendorChanged || isAmountChanged) {
                 // A. Revert Old Vendor Balance
                 if (oldVendorId) {
-                    const oldVendor = await Vendor.findById(oldVendorId);
+                    const oldVendor = await Vendor.findById(oldVendorId).session(session);
                     if (oldVendor) {
                         const revertedBalance = addToBalance(
                             oldVendor.outstandingBalance || 0,
@@ -573,13 +739,13 @@ export const updateStock = async (req, res, next) => {
                         );
                         oldVendor.outstandingBalance = revertedBalance.amount;
                         oldVendor.outstandingBalanceType = revertedBalance.type;
-                        await oldVendor.save();
+                        await oldVendor.save({ session });
                     }
                 }
 
                 // B. Apply New Vendor Balance
                 if (newVendorId) {
-                    const newVendor = await Vendor.findById(newVendorId);
+                    const newVendor = await Vendor.findById(newVendorId).session(session);
                     if (newVendor) {
                         const updatedBalance = addToBalance(
                             newVendor.outstandingBalance || 0,
@@ -589,7 +755,7 @@ export const updateStock = async (req, res, next) => {
                         );
                         newVendor.outstandingBalance = updatedBalance.amount;
                         newVendor.outstandingBalanceType = updatedBalance.type;
-                        await newVendor.save();
+                        await newVendor.save({ session });
                     }
                 }
             }
@@ -611,8 +777,39 @@ export const updateStock = async (req, res, next) => {
             if (isSale) oldImpact += (Number(oldStock.amount) || 0);
             oldImpact -= ((Number(oldStock.cashPaid) || 0) + (Number(oldStock.onlinePaid) || 0) + (Number(oldStock.discount) || 0));
 
+            const newCustomerId = updates.customerId?.toString() || oldCustomerId; // Use old if not updated
+            let newImpact = 0;
+            const newAmount = isSale ? (Number(updates.amount) !== undefined ? Number(updates.amount) : Number(oldStock.amount)) : 0;
+            const newCashPaid = Number(updates.cashPaid) !== undefined ? Number(updates.cashPaid) : Number(oldStock.cashPaid);
+            const newOnlinePaid = Number(updates.onlinePaid) !== undefined ? Number(updates.onlinePaid) : Number(oldStock.onlinePaid);
+            const newDiscount = Number(updates.discount) !== undefined ? Number(updates.discount) : Number(oldStock.discount);
+
+            if (isSale) newImpact += newAmount;
+            newImpact -= (newCashPaid + newOnlinePaid + newDiscount);
+
+            // Warn or block when the edit raises the customer's balance over their credit limit
+            const isCustomerChanged = newCustomerId !== oldCustomerId;
+            const balanceIncrease = isCustomerChanged ? newImpact : newImpact - oldImpact;
+            if (isSale && newCustomerId && balanceIncrease > 0) {
+                const customer = await Customer.findById(newCustomerId).session(session);
+                if (customer) {
+                    const balanceAfterSigned = toSignedValue(
+                        customer.outstandingBalance || 0,
+                        customer.outstandingBalanceType || 'debit'
+                    ) + balanceIncrease;
+                    const creditCheck = await enforceCreditLimit(customer, balanceAfterSigned, {
+                        user: req.user,
+                        override: overrideCreditLimit === true || overrideCreditLimit === 'true',
+                        reason: creditOverrideReason,
+                        session
+                    });
+                    creditLimitWarning = creditCheck.warning;
+                    if (creditCheck.creditOverride) updates.creditOverride = creditCheck.creditOverride;
+                }
+            }
+
             if (oldCustomerId) {
-                const oldCustomer = await Customer.findById(oldCustomerId);
+                const oldCustomer = await Customer.findById(oldCustomerId).session(session);
                 if (oldCustomer) {
                     // To revert, subtract the old impact
                     // If impact was positive (increased debt), we subtract it.
@@ -625,23 +822,13 @@ export const updateStock = async (req, res, next) => {
                     );
                     oldCustomer.outstandingBalance = revertedBalance.amount;
                     oldCustomer.outstandingBalanceType = revertedBalance.type;
-                    await oldCustomer.save();
+                    await oldCustomer.save({ session });
                 }
             }
 
             // Apply New Customer Balance
-            const newCustomerId = updates.customerId?.toString() || oldCustomerId; // Use old if not updated
-            let newImpact = 0;
-            const newAmount = isSale ? (Number(updates.amount) !== undefined ? Number(updates.amount) : Number(oldStock.amount)) : 0;
-            const newCashPaid = Number(updates.cashPaid) !== undefined ? Number(updates.cashPaid) : Number(oldStock.cashPaid);
-            const newOnlinePaid = Number(updates.onlinePaid) !== undefined ? Number(updates.onlinePaid) : Number(oldStock.onlinePaid);
-            const newDiscount = Number(updates.discount) !== undefined ? Number(updates.discount) : Number(oldStock.discount);
-
-            if (isSale) newImpact += newAmount;
-            newImpact -= (newCashPaid + newOnlinePaid + newDiscount);
-
             if (newCustomerId) {
-                const newCustomer = await Customer.findById(newCustomerId);
+                const newCustomer = await Customer.findById(newCustomerId).session(session);
                 if (newCustomer) {
                     const updatedBalance = addToBalance(
                         newCustomer.outstandingBalance || 0,
@@ -651,7 +838,7 @@ export const updateStock = async (req, res, next) => {
                     );
                     newCustomer.outstandingBalance = updatedBalance.amount;
                     newCustomer.outstandingBalanceType = updatedBalance.type;
-                    await newCustomer.save();
+                    await newCustomer.save({ session });
                 }
             }
 
@@ -663,24 +850,24 @@ export const updateStock = async (req, res, next) => {
 
             // Revert Old Cash
             if (oldCashLedgerId && oldCashPaid > 0) {
-                const oldCashLedger = await Ledger.findById(oldCashLedgerId);
+                const oldCashLedger = await Ledger.findById(oldCashLedgerId).session(session);
                 if (oldCashLedger) {
                     // Receipt/Sale into Cash = Debit. Revert = Credit.
                     const reverted = addToBalance(oldCashLedger.outstandingBalance, oldCashLedger.outstandingBalanceType, oldCashPaid, 'credit');
                     oldCashLedger.outstandingBalance = reverted.amount;
                     oldCashLedger.outstandingBalanceType = reverted.type;
-                    await oldCashLedger.save();
+                    await oldCashLedger.save({ session });
                 }
             }
             // Apply New Cash
             if (newCashLedgerId && updatedCashPaid > 0) {
-                const newCashLedger = await Ledger.findById(newCashLedgerId);
+                const newCashLedger = await Ledger.findById(newCashLedgerId).session(session);
                 if (newCashLedger) {
                     // Sale/Receipt into Cash = Debit
                     const updated = addToBalance(newCashLedger.outstandingBalance, newCashLedger.outstandingBalanceType, updatedCashPaid, 'debit');
                     newCashLedger.outstandingBalance = updated.amount;
                     newCashLedger.outstandingBalanceType = updated.type;
-                    await newCashLedger.save();
+                    await newCashLedger.save({ session });
                 }
             }
 
@@ -692,22 +879,22 @@ export const updateStock = async (req, res, next) => {
 
             // Revert Old Online
             if (oldOnlineLedgerId && oldOnlinePaid > 0) {
-                const oldOnlineLedger = await Ledger.findById(oldOnlineLedgerId);
+                const oldOnlineLedger = await Ledger.findById(oldOnlineLedgerId).session(session);
                 if (oldOnlineLedger) {
                     const reverted = addToBalance(oldOnlineLedger.outstandingBalance, oldOnlineLedger.outstandingBalanceType, oldOnlinePaid, 'credit');
                     oldOnlineLedger.outstandingBalance = reverted.amount;
                     oldOnlineLedger.outstandingBalanceType = reverted.type;
-                    await oldOnlineLedger.save();
+                    await oldOnlineLedger.save({ session });
                 }
             }
             // Apply New Online
             if (newOnlineLedgerId && updatedOnlinePaid > 0) {
-                const newOnlineLedger = await Ledger.findById(newOnlineLedgerId);
+                const newOnlineLedger = await Ledger.findById(newOnlineLedgerId).session(session);
                 if (newOnlineLedger) {
                     const updated = addToBalance(newOnlineLedger.outstandingBalance, newOnlineLedger.outstandingBalanceType, updatedOnlinePaid, 'debit');
                     newOnlineLedger.outstandingBalance = updated.amount;
                     newOnlineLedger.outstandingBalanceType = updated.type;
-                    await newOnlineLedger.save();
+                    await newOnlineLedger.save({ session });
                 }
             }
         }
@@ -727,7 +914,7 @@ export const updateStock = async (req, res, next) => {
             const targetLedgerId = oldLedgerId; // Simplify: user can't change ledger in frontend
 
             if (targetLedgerId && newAmount !== oldAmount) {
-                const ledger = await Ledger.findById(targetLedgerId);
+                const ledger = await Ledger.findById(targetLedgerId).session(session);
                 if (ledger) {
                     // Revert Old (Credit)
                     // Apply New (Debit)
@@ -741,28 +928,95 @@ export const updateStock = async (req, res, next) => {
 
                     ledger.outstandingBalance = reapplied.amount;
                     ledger.outstandingBalanceType = reapplied.type;
-                    await ledger.save();
+                    await ledger.save({ session });
                 }
             }
         }
 
+        // GST follows the edited amount; applyGst in the body switches it on or off
+        const oldGst = oldStock.gst?.applied ? oldStock.gst.toObject() : null;
+        if (type === 'sale') {
+            const gstWanted = applyGst === undefined ? !!oldGst : (applyGst === true || applyGst === 'true');
+            const saleAmount = updates.amount !== undefined ? Number(updates.amount) : Number(oldStock.amount);
+            if (gstWanted && saleAmount > 0) {
+                const gstCustomer = await Customer.findById(updates.customerId || oldStock.customerId).session(session).select('gstOrPanNumber');
+                updates.gst = await buildSaleGst({
+                    amount: saleAmount,
+                    product: product || oldStock.inventoryType,
+                    customerGstin: gstCustomer?.gstOrPanNumber,
+                    userId: req.user._id,
+                    session
+                });
+            } else {
+                updates.gst = null;
+            }
+
+            await applyGstToLedgers(oldGst, req.user._id, session, true);
+            await applyGstToLedgers(updates.gst, req.user._id, session);
+        }
+
         // 4. Update Stock Record
         const updatedStock = await InventoryStock.findByIdAndUpdate(id, {
             ...updates,
             updatedBy: req.user._id
-        }, { new: true })
+        }, { new: true, session })
             .populate("vendorId", "vendorName")
+            .populate("productId", "name category")
             .populate("customerId", "shopName ownerName")
             .populate("vehicleId", "vehicleNumber")
             .populate("supervisorId", "name");
 
-        successResponse(res, "Stock updated successfully", 200, updatedStock);
+        // Reverse the old record's postings and post the updated record
+        const oldLines = stockPostingLines(oldStock.toObject({ depopulate: true }));
+        const newLines = stockPostingLines(updatedStock.toObject({ depopulate: true }));
+        if (JSON.stringify(oldLines) !== JSON.stringify(newLines)) {
+            await recordPostings([
+                ...stockPostingLines(oldStock.toObject({ depopulate: true }), true),
+                ...newLines
+            ], stockPostingSource(updatedStock, req.user._id), session);
+        }
+
+        await session.commitTransaction();
+
+        successResponse(res, "Stock updated successfully", 200, updatedStock, creditLimitWarning ? { creditLimitWarning } : {});
 
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
+// Purchase, sale and mortality totals per product for the stock stats
+const productStockTotals = async (match) => {
+    const results = await InventoryStock.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: "$productId",
+                inventoryType: { $first: "$inventoryType" },
+                purchaseAmount: { $sum: { $cond: [{ $in: ["$type", ["purchase", "opening"]] }, "$amount", 0] } },
+                purchaseBirds: { $sum: { $cond: [{ $in: ["$type", ["purchase", "opening"]] }, "$birds", 0] } },
+                purchaseWeight: { $sum: { $cond: [{ $in: ["$type", ["purchase", "opening"]] }, "$weight", 0] } },
+                saleAmount: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$amount", 0] } },
+                saleBirds: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$birds", 0] } },
+                saleWeight: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$weight", 0] } },
+                mortalityBirds: { $sum: { $cond: [{ $eq: ["$type", "mortality"] }, "$birds", 0] } },
+                consumeAmount: { $sum: { $cond: [{ $eq: ["$type", "consume"] }, "$amount", 0] } }
+            }
+        },
+        { $lookup: { from: "products", localField: "_id", foreignField: "_id", as: "product" } },
+        { $sort: { saleAmount: -1 } }
+    ]);
+
+    return results.map(({ _id, product, ...totals }) => ({
+        productId: _id || null,
+        product: product[0]?.name || 'Unassigned',
+        ...totals
+    }));
+};
+
 // Get Monthly Stock Stats
 export const getMonthlyStockStats = async (req, res, next) => {
     try {
@@ -826,7 +1080,10 @@ export const getMonthlyStockStats = async (req, res, next) => {
             { $sort: { _id: 1 } }
         ];
 
-        const results = await InventoryStock.aggregate(pipeline);
+        const [results, products] = await Promise.all([
+            InventoryStock.aggregate(pipeline),
+            productStockTotals(pipeline[0].$match)
+        ]);
 
         // Format for frontend
         const months = Array.from({ length: 12 }, (_, i) => {
@@ -849,7 +1106,7 @@ export const getMonthlyStockStats = async (req, res, next) => {
             feedConsumeAmount: acc.feedConsumeAmount + curr.feedConsumeAmount
         }), { purchaseAmount: 0, saleAmount: 0, mortalityBirds: 0, feedConsumeAmount: 0 });
 
-        successResponse(res, "Monthly stock stats fetched", 200, { months, year: currentYear, totals });
+        successResponse(res, "Monthly stock stats fetched", 200, { months, year: currentYear, totals, products });
     } catch (error) {
         next(error);
     }
@@ -916,7 +1173,10 @@ export const getDailyStockStats = async (req, res, next) => {
             { $sort: { _id: -1 } } // Descending date
         ];
 
-        const results = await InventoryStock.aggregate(pipeline);
+        const [results, products] = await Promise.all([
+            InventoryStock.aggregate(pipeline),
+            productStockTotals(pipeline[0].$match)
+        ]);
 
         // Add formatted date string
         const formattedResults = results.map(r => ({
@@ -932,7 +1192,7 @@ export const getDailyStockStats = async (req, res, next) => {
             totalFeedConsumeAmount: acc.totalFeedConsumeAmount + curr.totalFeedConsumeAmount
         }), { totalPurchaseAmount: 0, totalSaleAmount: 0, totalMortalityBirds: 0, totalFeedConsumeAmount: 0 });
 
-        successResponse(res, "Daily stock stats fetched", 200, { days: formattedResults, totals });
+        successResponse(res, "Daily stock stats fetched", 200, { days: formattedResults, totals, products });
 
     } catch (error) {
         next(error);
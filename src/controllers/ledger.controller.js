@@ -10,6 +10,12 @@ import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 import { syncOutstandingBalance } from "../utils/balanceUtils.js";
+import { isEntryForAccount, entryAccountConditions } from "../utils/voucherEntryUtils.js";
+import { getFinancialYearForDate, getCarriedOpenings } from "../services/financialYearService.js";
+
+// A Payment/Receipt moves its cash or bank account by the amount net of TDS; the TDS goes to the voucher's TDS ledger
+const voucherNetAmount = (v) => (v.parties || []).reduce((sum, p) => sum + (p.amount || 0) - (p.tdsAmount || 0), 0);
+const voucherTdsAmount = (v) => (v.parties || []).reduce((sum, p) => sum + (p.tdsAmount || 0), 0);
 
 export const addLedger = async (req, res, next) => {
     try {
@@ -323,7 +329,6 @@ export const getMonthlySummary = async (req, res, next) => {
         const subjectIdStr = id.toString();
         const subjectName = subjectType === 'customer' ? (subject.shopName || subject.ownerName) :
             subjectType === 'vendor' ? subject.vendorName : subject.name;
-        const subjectNameStr = subjectName ? subjectName.trim().toLowerCase() : '';
 
         // Helper
         const addToStats = (date, debit, credit, birds = 0, weight = 0, discount = 0, isDiscountRelated = false) => {
@@ -358,9 +363,7 @@ export const getMonthlySummary = async (req, res, next) => {
             // Entries
             if (v.entries) {
                 v.entries.forEach(e => {
-                    let entryMatch = false;
-                    const entryAcc = e.account ? e.account.toString().trim().toLowerCase() : '';
-                    if (entryAcc === subjectIdStr || entryAcc === subjectNameStr) entryMatch = true;
+                    const entryMatch = isEntryForAccount(e, subjectType, subjectIdStr, [subjectIdStr, subjectName]);
 
                     if (entryMatch) {
                         debit += e.debitAmount || 0;
@@ -393,7 +396,7 @@ export const getMonthlySummary = async (req, res, next) => {
             // Account Header (Ledger)
             if (subjectType === 'ledger' && (v.voucherType === 'Payment' || v.voucherType === 'Receipt') && v.account) {
                 if (v.account.toString() === subjectIdStr) {
-                    const totalAmount = v.parties ? v.parties.reduce((sum, p) => sum + (p.amount || 0), 0) : 0;
+                    const totalAmount = voucherNetAmount(v);
                     if (v.voucherType === 'Payment') credit += totalAmount;
                     else debit += totalAmount;
                     voucherAmount += totalAmount;
@@ -523,7 +526,10 @@ export const getMonthlySummary = async (req, res, next) => {
         let totalYearDebit = months.reduce((acc, m) => acc + m.debit, 0);
         let totalYearCredit = months.reduce((acc, m) => acc + m.credit, 0);
 
-        let yearStartBalanceSigned = yearEndBalanceSigned - (totalYearDebit - totalYearCredit);
+        // A closed previous year fixes the opening; otherwise it is worked back from the outstanding balance
+        const financialYear = await getFinancialYearForDate(startDate);
+        const carriedOpening = (await getCarriedOpenings(financialYear)).get(`${subjectType}:${subject._id}`);
+        let yearStartBalanceSigned = carriedOpening ?? yearEndBalanceSigned - (totalYearDebit - totalYearCredit);
 
         let currentSigned = yearStartBalanceSigned;
         const finalMonths = months.map(m => {
@@ -641,7 +647,6 @@ export const getDailySummary = async (req, res, next) => {
         const subjectIdStr = id.toString();
         const subjectName = subjectType === 'customer' ? (subject.shopName || subject.ownerName) :
             subjectType === 'vendor' ? subject.vendorName : subject.name;
-        const subjectNameStr = subjectName ? subjectName.trim().toLowerCase() : '';
 
         // Process Vouchers
         vouchers.forEach(v => {
@@ -658,15 +663,7 @@ export const getDailySummary = async (req, res, next) => {
             // 1. Check entries
             if (v.entries) {
                 v.entries.forEach(e => {
-                    let entryMatch = false;
-                    const entryAcc = e.account ? e.account.toString().trim().toLowerCase() : '';
-
-                    if (entryAcc === subjectIdStr || entryAcc === subjectNameStr) {
-                        entryMatch = true;
-                    }
-                    if (!entryMatch && e.name && e.name.trim().toLowerCase() === subjectNameStr) {
-                        entryMatch = true;
-                    }
+                    const entryMatch = isEntryForAccount(e, subjectType, subjectIdStr, [subjectIdStr, subjectName]);
 
                     if (entryMatch) {
                         debit += e.debitAmount || 0;
@@ -701,7 +698,7 @@ export const getDailySummary = async (req, res, next) => {
             // 3. Check Account Header (For Ledgers - Payment/Receipt)
             if (subjectType === 'ledger' && (v.voucherType === 'Payment' || v.voucherType === 'Receipt') && v.account) {
                 if (v.account.toString() === subjectIdStr) {
-                    const totalAmount = v.parties ? v.parties.reduce((sum, p) => sum + (p.amount || 0), 0) : 0;
+                    const totalAmount = voucherNetAmount(v);
                     if (v.voucherType === 'Payment') {
                         credit += totalAmount;
                     } else {
@@ -815,9 +812,10 @@ export const getLedgerTransactions = async (req, res, next) => {
         const voucherQuery = {
             isActive: true,
             $or: [
-                { 'entries.account': ledger.name }, // For Journal/Contra (using Name string)
+                ...entryAccountConditions('ledger', id, [ledger.name]), // For Journal/Contra (using entry reference)
                 { account: id },                    // For Payment/Receipt Header (using ObjectId)
-                { 'parties.partyId': id }           // For Payment/Receipt Line Items (using ObjectId)
+                { 'parties.partyId': id },          // For Payment/Receipt Line Items (using ObjectId)
+                { tdsLedger: id }                   // For TDS deducted on Payment/Receipt
             ]
         };
 
@@ -878,7 +876,7 @@ export const getLedgerTransactions = async (req, res, next) => {
                 // If ledger is the ACCOUNT (Header)
                 // e.g. Payment made FROM Cash (this ledger) TO Vendor
                 if (v.account && v.account.toString() === id.toString()) {
-                    const totalAmount = v.parties.reduce((sum, p) => sum + (p.amount || 0), 0);
+                    const totalAmount = voucherNetAmount(v);
                     if (v.voucherType === 'Payment') {
                         credit += totalAmount;
                     } else {
@@ -919,10 +917,21 @@ export const getLedgerTransactions = async (req, res, next) => {
                         }
                     });
                 }
+
+                // If ledger is the voucher's TDS ledger
+                if (v.tdsLedger && v.tdsLedger.toString() === id.toString()) {
+                    const tdsAmount = voucherTdsAmount(v);
+                    if (v.voucherType === 'Payment') {
+                        credit += tdsAmount;
+                    } else {
+                        debit += tdsAmount;
+                    }
+                    description = `TDS - ${v.account ? v.account.name : v.voucherType}`;
+                }
             } else {
                 // Contra / Journal
                 v.entries.forEach(e => {
-                    if (e.account && e.account.toLowerCase() === ledger.name.toLowerCase()) {
+                    if (isEntryForAccount(e, 'ledger', id, [ledger.name])) {
                         debit += e.debitAmount || 0;
                         credit += e.creditAmount || 0;
                     }
@@ -1028,18 +1037,28 @@ export const getLedgerTransactions = async (req, res, next) => {
         let signedOpening = toSignedValue(openingBalance, openingType);
 
         if (queryStartDate) {
+            // Once the previous year is closed its carried opening stands in for everything before the year
+            const preDate = { $lt: queryStartDate };
+            const financialYear = await getFinancialYearForDate(queryStartDate);
+            const carriedOpening = (await getCarriedOpenings(financialYear)).get(`ledger:${ledger._id}`);
+            if (carriedOpening !== undefined) {
+                signedOpening = carriedOpening;
+                preDate.$gte = new Date(financialYear.startDate);
+            }
+
             // Find transactions BEFORE queryStartDate
             const preVoucherQuery = {
                 isActive: true,
-                date: { $lt: queryStartDate },
+                date: preDate,
                 $or: [
-                    { 'entries.account': ledger.name },
+                    ...entryAccountConditions('ledger', id, [ledger.name]),
                     { account: id },
-                    { 'parties.partyId': id }
+                    { 'parties.partyId': id },
+                    { tdsLedger: id }
                 ]
             };
             const preTripQuery = {
-                date: { $lt: queryStartDate },
+                date: preDate,
                 $or: [
                     { 'sales.cashLedger': id },
                     { 'sales.onlineLedger': id }
@@ -1047,7 +1066,7 @@ export const getLedgerTransactions = async (req, res, next) => {
             };
 
             const stackQuery = {
-                date: { $lt: queryStartDate },
+                date: preDate,
                 $or: [
                     { 'cashLedgerId': id },
                     { 'onlineLedgerId': id },
@@ -1056,7 +1075,7 @@ export const getLedgerTransactions = async (req, res, next) => {
             };
 
             const [preVouchers, preTrips, preStocks] = await Promise.all([
-                Voucher.find(preVoucherQuery).lean().select('voucherType date account parties entries'),
+                Voucher.find(preVoucherQuery).lean().select('voucherType date account parties entries tdsLedger'),
                 Trip.find(preTripQuery).lean().select('sales date'),
                 InventoryStock.find(stackQuery).lean().select('cashLedgerId onlineLedgerId cashPaid onlinePaid type')
             ]);
@@ -1066,10 +1085,15 @@ export const getLedgerTransactions = async (req, res, next) => {
                 let credit = 0;
                 if (v.voucherType === 'Payment' || v.voucherType === 'Receipt') {
                     if (v.account && v.account.toString() === id.toString()) {
-                        const total = v.parties.reduce((s, p) => s + (p.amount || 0), 0);
+                        const total = voucherNetAmount(v);
                         if (v.voucherType === 'Payment') credit += total;
                         else debit += total;
                     }
+                    if (v.tdsLedger && v.tdsLedger.toString() === id.toString()) {
+                        const tds = voucherTdsAmount(v);
+                        if (v.voucherType === 'Payment') credit += tds;
+                        else debit += tds;
+                    }
                     if (v.parties) {
                         v.parties.forEach(p => {
                             if (p.partyId && p.partyId.toString() === id.toString()) {
@@ -1080,7 +1104,7 @@ export const getLedgerTransactions = async (req, res, next) => {
                     }
                 } else {
                     v.entries.forEach(e => {
-                        if (e.account && e.account.toLowerCase() === ledger.name.toLowerCase()) {
+                        if (isEntryForAccount(e, 'ledger', id, [ledger.name])) {
                             debit += e.debitAmount || 0;
                             credit += e.creditAmount || 0;
                         }
@@ -0,0 +1,271 @@
+import mongoose from "mongoose";
+import Vehicle from "../models/Vehicle.js";
+import VehicleMaintenance from "../models/VehicleMaintenance.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import AppError from "../utils/AppError.js";
+import { successResponse } from "../utils/responseHandler.js";
+import { recordPostings, applyLinesToBalances } from "../services/postingService.js";
+import { assertPeriodOpen } from "../services/periodLockService.js";
+import {
+    getMaintenanceLedger,
+    maintenancePostingLines,
+    getServiceDueStatus
+} from "../services/maintenanceService.js";
+import { emitVehicleStatus } from "../utils/socket.js";
+
+const maintenanceFields = [
+    'serviceType', 'description', 'serviceDate', 'odometer', 'vendor', 'workshopName', 'parts',
+    'labourAmount', 'paidFromLedger', 'nextDueOdometer', 'nextDueDate', 'status'
+];
+
+const pickMaintenanceFields = (body) => Object.fromEntries(
+    maintenanceFields.filter(field => body[field] !== undefined).map(field => [field, body[field] === '' ? null : body[field]])
+);
+
+const maintenanceSource = (entry, userId) => ({
+    sourceType: 'vehicle_maintenance',
+    sourceId: entry._id,
+    date: entry.serviceDate,
+    userId
+});
+
+// The bill is either paid from a cash/bank ledger or owed to a vendor
+const assertPaymentAccount = async (entry, session) => {
+    if (!(entry.amount > 0)) return;
+    if (entry.paidFromLedger) {
+        if (!await Ledger.exists({ _id: entry.paidFromLedger, isActive: true }).session(session)) {
+            throw new AppError('Paid from ledger not found', 404);
+        }
+    } else if (entry.vendor) {
+        if (!await Vendor.exists({ _id: entry.vendor, isActive: true }).session(session)) {
+            throw new AppError('Vendor not found', 404);
+        }
+    } else {
+        throw new AppError('Select the ledger the bill was paid from or the vendor it is owed to', 400);
+    }
+};
+
+// In-progress entries put the vehicle in maintenance; it goes back to idle once none are left
+const syncVehicleStatus = async (vehicle, userId, session) => {
+    const inProgress = await VehicleMaintenance.exists({ vehicle: vehicle._id, status: 'in-progress', isActive: true }).session(session);
+    let nextStatus = vehicle.currentStatus;
+    if (inProgress && vehicle.currentStatus === 'idle') nextStatus = 'maintenance';
+    if (!inProgress && vehicle.currentStatus === 'maintenance') nextStatus = 'idle';
+    if (nextStatus === vehicle.currentStatus) return false;
+
+    vehicle.currentStatus = nextStatus;
+    vehicle.updatedBy = userId;
+    await vehicle.save({ session });
+    return true;
+};
+
+const findVehicle = async (id, session = null) => {
+    const vehicle = await Vehicle.findOne({ _id: id, isActive: true }).session(session);
+    if (!vehicle) {
+        throw new AppError("Vehicle not found!", 404);
+    }
+    return vehicle;
+};
+
+export const addMaintenance = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        session.startTransaction();
+        const vehicle = await findVehicle(req.params.id, session);
+
+        const entry = new VehicleMaintenance({
+            ...pickMaintenanceFields(req.body),
+            vehicle: vehicle._id,
+            serviceDate: req.body.serviceDate || new Date(),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await assertPeriodOpen(entry.serviceDate, session);
+
+        if (entry.status === 'in-progress' && vehicle.currentStatus === 'in-transit') {
+            throw new AppError('Vehicle is on a trip and cannot be sent for maintenance', 400);
+        }
+
+        await entry.validate();
+        await assertPaymentAccount(entry, session);
+
+        const expenseLedger = await getMaintenanceLedger(req.user._id, session);
+        entry.expenseLedger = expenseLedger._id;
+        await entry.save({ session });
+
+        const lines = maintenancePostingLines(entry);
+        await applyLinesToBalances(lines, req.user._id, session);
+        await recordPostings(lines, maintenanceSource(entry, req.user._id), session);
+
+        const statusChanged = await syncVehicleStatus(vehicle, req.user._id, session);
+
+        await session.commitTransaction();
+        if (statusChanged) emitVehicleStatus(vehicle);
+
+        const populatedEntry = await VehicleMaintenance.findById(entry._id)
+            .populate('vendor', 'vendorName')
+            .populate('paidFromLedger', 'name');
+
+        successResponse(res, "Maintenance entry added", 201, populatedEntry);
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+export const getMaintenanceEntries = async (req, res, next) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const { serviceType, status, startDate, endDate } = req.query;
+
+        const query = { vehicle: vehicle._id, isActive: true };
+        if (serviceType) query.serviceType = serviceType;
+        if (status) query.status = status;
+        if (startDate || endDate) {
+            query.serviceDate = {};
+            if (startDate) query.serviceDate.$gte = new Date(startDate);
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                query.serviceDate.$lte = end;
+            }
+        }
+
+        const [entries, serviceStatus] = await Promise.all([
+            VehicleMaintenance.find(query)
+                .populate('vendor', 'vendorName')
+                .populate('paidFromLedger', 'name')
+                .sort({ serviceDate: -1, createdAt: -1 }),
+            getServiceDueStatus(vehicle._id)
+        ]);
+
+        successResponse(res, "Maintenance entries", 200, {
+            entries,
+            totals: {
+                count: entries.length,
+                partsAmount: Number(entries.reduce((sum, e) => sum + (e.partsAmount || 0), 0).toFixed(2)),
+                labourAmount: Number(entries.reduce((sum, e) => sum + (e.labourAmount || 0), 0).toFixed(2)),
+                amount: Number(entries.reduce((sum, e) => sum + (e.amount || 0), 0).toFixed(2))
+            },
+            serviceStatus
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getMaintenanceById = async (req, res, next) => {
+    try {
+        const entry = await VehicleMaintenance.findOne({ _id: req.params.entryId, vehicle: req.params.id, isActive: true })
+            .populate('vendor', 'vendorName contactNumber')
+            .populate('paidFromLedger', 'name')
+            .populate('expenseLedger', 'name');
+        if (!entry) {
+            throw new AppError("Maintenance entry not found", 404);
+        }
+        successResponse(res, "Maintenance entry", 200, entry);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const updateMaintenance = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        session.startTransaction();
+        const vehicle = await findVehicle(req.params.id, session);
+
+        const entry = await VehicleMaintenance.findOne({ _id: req.params.entryId, vehicle: vehicle._id, isActive: true }).session(session);
+        if (!entry) {
+            throw new AppError("Maintenance entry not found", 404);
+        }
+
+        const oldEntry = entry.toObject();
+
+        entry.set({ ...pickMaintenanceFields(req.body), updatedBy: req.user._id });
+        await assertPeriodOpen([oldEntry.serviceDate, entry.serviceDate], session);
+
+        if (entry.isModified('status') && entry.status === 'in-progress' && vehicle.currentStatus === 'in-transit') {
+            throw new AppError('Vehicle is on a trip and cannot be sent for maintenance', 400);
+        }
+
+        await entry.validate();
+        await assertPaymentAccount(entry, session);
+        await entry.save({ session });
+
+        // Reverse the old bill and post the new one when anything that affects the books changed
+        const oldLines = maintenancePostingLines(oldEntry);
+        const newLines = maintenancePostingLines(entry.toObject());
+        if (JSON.stringify(oldLines) !== JSON.stringify(newLines) ||
+            oldEntry.serviceDate.getTime() !== entry.serviceDate.getTime()) {
+            // The reversal is dated like the bill it cancels, so a bill whose service date moved leaves the old date entirely
+            const reversal = maintenancePostingLines(oldEntry, true);
+            await applyLinesToBalances([...reversal, ...newLines], req.user._id, session);
+            await recordPostings(reversal, maintenanceSource(oldEntry, req.user._id), session);
+            await recordPostings(newLines, maintenanceSource(entry, req.user._id), session);
+        }
+
+        const statusChanged = await syncVehicleStatus(vehicle, req.user._id, session);
+
+        await session.commitTransaction();
+        if (statusChanged) emitVehicleStatus(vehicle);
+
+        const populatedEntry = await VehicleMaintenance.findById(entry._id)
+            .populate('vendor', 'vendorName')
+            .populate('paidFromLedger', 'name');
+
+        successResponse(res, "Maintenance entry updated", 200, populatedEntry);
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+export const deleteMaintenance = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        session.startTransaction();
+        const vehicle = await findVehicle(req.params.id, session);
+
+        const entry = await VehicleMaintenance.findOne({ _id: req.params.entryId, vehicle: vehicle._id, isActive: true }).session(session);
+        if (!entry) {
+            throw new AppError("Maintenance entry not found", 404);
+        }
+        await assertPeriodOpen(entry.serviceDate, session);
+
+        const reversal = maintenancePostingLines(entry.toObject(), true);
+        entry.isActive = false;
+        entry.updatedBy = req.user._id;
+        await entry.save({ session });
+
+        await applyLinesToBalances(reversal, req.user._id, session);
+        await recordPostings(reversal, maintenanceSource(entry, req.user._id), session);
+
+        const statusChanged = await syncVehicleStatus(vehicle, req.user._id, session);
+
+        await session.commitTransaction();
+        if (statusChanged) emitVehicleStatus(vehicle);
+
+        successResponse(res, "Maintenance entry deleted", 200, entry);
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+export const getServiceStatus = async (req, res, next) => {
+    try {
+        const vehicle = await findVehicle(req.params.id);
+        const serviceStatus = await getServiceDueStatus(vehicle._id);
+        successResponse(res, "Service status", 200, serviceStatus);
+    } catch (error) {
+        next(error);
+    }
+};
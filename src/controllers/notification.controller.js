@@ -0,0 +1,79 @@
+import Notification from "../models/Notification.js";
+import AppError from "../utils/AppError.js";
+import { successResponse } from "../utils/responseHandler.js";
+
+// Notifications meant for the user directly or for their role
+const visibleTo = (user) => ({
+    $or: [{ user: user._id }, { user: { $exists: false }, audience: user.role }]
+});
+
+export const getNotifications = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, unread, type } = req.query;
+        const query = visibleTo(req.user);
+        if (type) query.type = type;
+        if (unread === 'true') query.readBy = { $ne: req.user._id };
+
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .sort({ createdAt: -1 })
+                .skip((pageNumber - 1) * pageSize)
+                .limit(pageSize)
+                .lean(),
+            Notification.countDocuments(query),
+            Notification.countDocuments({ ...visibleTo(req.user), readBy: { $ne: req.user._id } })
+        ]);
+
+        const userId = String(req.user._id);
+        const rows = notifications.map(({ readBy, ...notification }) => ({
+            ...notification,
+            isRead: (readBy || []).some(id => String(id) === userId)
+        }));
+
+        successResponse(res, "Notifications fetched successfully", 200, {
+            notifications: rows,
+            unreadCount,
+            pagination: {
+                currentPage: pageNumber,
+                totalPages: Math.ceil(total / pageSize),
+                totalItems: total,
+                itemsPerPage: pageSize
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const markNotificationRead = async (req, res, next) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, ...visibleTo(req.user) },
+            { $addToSet: { readBy: req.user._id } },
+            { new: true }
+        );
+        if (!notification) {
+            throw new AppError("Notification not found", 404);
+        }
+
+        successResponse(res, "Notification marked as read", 200, notification);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany(
+            { ...visibleTo(req.user), readBy: { $ne: req.user._id } },
+            { $addToSet: { readBy: req.user._id } }
+        );
+
+        successResponse(res, "Notifications marked as read", 200, { updated: result.modifiedCount });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -3,6 +3,9 @@ import Trip from '../models/Trip.js';
 import Customer from '../models/Customer.js';
 import AppError from '../utils/AppError.js';
 import { successResponse } from '../utils/responseHandler.js';
+import { postingLine, recordPostings } from '../services/postingService.js';
+import { assertPeriodOpen } from '../services/periodLockService.js';
+import { emitPaymentEvent } from '../utils/socket.js';
 import mongoose from 'mongoose';
 
 // Customer panel - Submit payment
@@ -22,6 +25,8 @@ export const submitPayment = async (req, res, next) => {
             throw new AppError('Payment amount must be greater than zero', 400);
         }
 
+        await assertPeriodOpen(new Date());
+
         // Validate against opening balance
         if (amount > customer.outstandingBalance) {
             throw new AppError('Payment amount cannot exceed opening balance', 400);
@@ -52,6 +57,8 @@ export const submitPayment = async (req, res, next) => {
             { path: 'submittedBy', select: 'name email' }
         ]);
 
+        emitPaymentEvent('payment:submitted', payment);
+
         successResponse(res, "Payment submitted successfully", 201, payment);
     } catch (error) {
         next(error);
@@ -134,7 +141,9 @@ export const getPendingPayments = async (req, res, next) => {
 
 // Admin panel - Verify payment
 export const verifyPayment = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         const { status, adminNotes } = req.body;
         const adminId = req.user._id;
@@ -143,11 +152,19 @@ export const verifyPayment = async (req, res, next) => {
             throw new AppError('Invalid status. Must be verified or rejected', 400);
         }
 
-        const payment = await Payment.findById(id);
+        const payment = await Payment.findById(id).session(session);
         if (!payment) {
             throw new AppError('Payment record not found', 404);
         }
 
+        // Verification posts today; a linked sale is changed on its trip's date
+        const checkDates = [new Date()];
+        if (status === 'verified' && payment.trip) {
+            const linkedTrip = await Trip.findById(payment.trip).select('date').session(session);
+            if (linkedTrip) checkDates.push(linkedTrip.date);
+        }
+        await assertPeriodOpen(checkDates, session);
+
         // Update payment status
         payment.status = status;
         payment.adminNotes = adminNotes;
@@ -159,7 +176,7 @@ export const verifyPayment = async (req, res, next) => {
         // If verified, update the customer's opening balance
         if (status === 'verified') {
             // Find the customer to get current outstanding balance
-            const customer = await Customer.findById(payment.customer);
+            const customer = await Customer.findById(payment.customer).session(session);
             if (customer) {
                 // Calculate new outstanding balance
                 const newOutstandingBalance = Math.max(0, (customer.outstandingBalance || 0) - payment.amount);
@@ -174,13 +191,22 @@ export const verifyPayment = async (req, res, next) => {
                             updatedBy: adminId
                         } 
                     },
-                    { runValidators: false } // Skip validation to avoid "Place is required" error
+                    { runValidators: false, session } // Skip validation to avoid "Place is required" error
                 );
+
+                await recordPostings([
+                    postingLine('customer', customer, payment.amount, 'credit', 'Payment verified')
+                ], {
+                    sourceType: 'payment',
+                    sourceId: payment._id,
+                    date: payment.verifiedAt,
+                    userId: adminId
+                }, session);
             }
 
             // If this is a sale payment (has trip and sale), also update the sale balance
             if (payment.trip && payment.sale) {
-                const trip = await Trip.findById(payment.trip);
+                const trip = await Trip.findById(payment.trip).session(session);
                 if (trip) {
                     const sale = trip.sales.find(s => s._id.toString() === payment.sale.toString());
                     if (sale) {
@@ -195,6 +221,8 @@ export const verifyPayment = async (req, res, next) => {
             }
         }
 
+        await session.commitTransaction();
+
         // Populate the updated payment
         const populateFields = [
             { path: 'customer', select: 'shopName ownerName contact' },
@@ -207,9 +235,14 @@ export const verifyPayment = async (req, res, next) => {
 
         await payment.populate(populateFields);
 
+        emitPaymentEvent('payment:verified', payment);
+
         successResponse(res, `Payment ${status} successfully`, 200, payment);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
@@ -0,0 +1,89 @@
+import PeriodLock from "../models/PeriodLock.js";
+import { successResponse } from "../utils/responseHandler.js";
+import AppError from "../utils/AppError.js";
+import { monthRange, financialYearRange } from "../services/periodLockService.js";
+
+// List closed (and reopened) periods
+export const getPeriodLocks = async (req, res, next) => {
+    try {
+        const { periodType, isLocked } = req.query;
+
+        const query = {};
+        if (periodType) query.periodType = periodType;
+        if (isLocked !== undefined) query.isLocked = isLocked === 'true';
+
+        const periods = await PeriodLock.find(query)
+            .populate('lockedBy', 'name')
+            .populate('reopenedBy', 'name')
+            .sort({ startDate: -1 });
+
+        successResponse(res, "Periods retrieved successfully", 200, periods);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Close a month ("YYYY-MM") or an April-March financial year (starting year)
+export const closePeriod = async (req, res, next) => {
+    try {
+        const { month, financialYear } = req.body;
+
+        if (!month && !financialYear) {
+            throw new AppError('Either month (YYYY-MM) or financialYear is required', 400);
+        }
+
+        const periodType = month ? 'month' : 'financial_year';
+        const range = month ? monthRange(month) : financialYearRange(financialYear);
+
+        if (range.endDate > new Date()) {
+            throw new AppError('A period can only be closed after it has ended', 400);
+        }
+
+        let period = await PeriodLock.findOne({ periodType, startDate: range.startDate });
+        if (period && period.isLocked) {
+            throw new AppError(`Period ${period.label} is already closed`, 400);
+        }
+
+        if (!period) {
+            period = new PeriodLock({ periodType, ...range });
+        }
+        period.isLocked = true;
+        period.lockedBy = req.user._id;
+        period.lockedAt = new Date();
+        await period.save();
+
+        successResponse(res, `Period ${period.label} closed successfully`, 200, period);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Reopen a closed period (Superadmin only)
+export const reopenPeriod = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            throw new AppError('A reason is required to reopen a period', 400);
+        }
+
+        const period = await PeriodLock.findById(id);
+        if (!period) {
+            throw new AppError('Period not found', 404);
+        }
+        if (!period.isLocked) {
+            throw new AppError(`Period ${period.label} is not closed`, 400);
+        }
+
+        period.isLocked = false;
+        period.reopenedBy = req.user._id;
+        period.reopenedAt = new Date();
+        period.reopenReason = reason.trim();
+        await period.save();
+
+        successResponse(res, `Period ${period.label} reopened successfully`, 200, period);
+    } catch (error) {
+        next(error);
+    }
+};
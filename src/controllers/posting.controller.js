@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import Posting from "../models/Posting.js";
+import { successResponse } from "../utils/responseHandler.js";
+import AppError from "../utils/AppError.js";
+import { getAccountModel, compareAccountBalance } from "../services/postingService.js";
+
+const loadAccount = async (accountType, id) => {
+    const AccountModel = getAccountModel(accountType);
+    if (!AccountModel) {
+        throw new AppError('Account type must be customer, vendor or ledger', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Invalid account ID', 400);
+    }
+
+    const account = await AccountModel.findById(id);
+    if (!account) {
+        throw new AppError('Account not found', 404);
+    }
+    return account;
+};
+
+// Get postings of one account, oldest first
+export const getAccountPostings = async (req, res, next) => {
+    try {
+        const { accountType, id } = req.params;
+        const { startDate, endDate, page = 1, limit = 50 } = req.query;
+
+        await loadAccount(accountType, id);
+
+        const query = { accountType, accountId: id };
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) query.date.$lte = new Date(endDate);
+        }
+
+        const postings = await Posting.find(query)
+            .populate('createdBy', 'name')
+            .sort({ date: 1, createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Posting.countDocuments(query);
+
+        successResponse(res, "Postings retrieved successfully", 200, {
+            postings,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Recompute an account's balance from its opening balance and postings
+// and report any difference from the stored outstanding balance
+export const recomputeAccountBalance = async (req, res, next) => {
+    try {
+        const { accountType, id } = req.params;
+
+        const account = await loadAccount(accountType, id);
+        const comparison = await compareAccountBalance(accountType, account);
+
+        successResponse(res, "Account balance recomputed successfully", 200, {
+            accountType,
+            accountId: account._id,
+            name: account.shopName || account.ownerName || account.vendorName || account.name || '',
+            ...comparison
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,102 @@
+import Product from "../models/Product.js";
+import AppError from "../utils/AppError.js";
+import { successResponse } from "../utils/responseHandler.js";
+
+const productFields = ['name', 'category', 'inventoryType', 'unit', 'hsnCode', 'taxRate', 'isDefault'];
+
+const pickProductFields = (body) => Object.fromEntries(
+    productFields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Only one default product per inventory type
+const clearOtherDefaults = async (product) => {
+    if (!product.isDefault) return;
+    await Product.updateMany(
+        { _id: { $ne: product._id }, inventoryType: product.inventoryType, isDefault: true },
+        { isDefault: false }
+    );
+};
+
+export const createProduct = async (req, res, next) => {
+    try {
+        const product = await Product.create({
+            ...pickProductFields(req.body),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+        await clearOtherDefaults(product);
+
+        successResponse(res, "Product created successfully", 201, product);
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new AppError('A product with this name already exists', 400));
+        }
+        next(error);
+    }
+};
+
+export const getProducts = async (req, res, next) => {
+    try {
+        const { inventoryType, category } = req.query;
+        const query = { isActive: true };
+        if (inventoryType) query.inventoryType = inventoryType;
+        if (category) query.category = category;
+
+        const products = await Product.find(query).sort({ name: 1 });
+        successResponse(res, "Products fetched successfully", 200, products);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getProductById = async (req, res, next) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, isActive: true });
+        if (!product) {
+            throw new AppError("Product not found", 404);
+        }
+        successResponse(res, "Product fetched successfully", 200, product);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const updateProduct = async (req, res, next) => {
+    try {
+        const product = await Product.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { ...pickProductFields(req.body), updatedBy: req.user._id },
+            { new: true, runValidators: true }
+        );
+
+        if (!product) {
+            throw new AppError("Product not found", 404);
+        }
+        await clearOtherDefaults(product);
+
+        successResponse(res, "Product updated successfully", 200, product);
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new AppError('A product with this name already exists', 400));
+        }
+        next(error);
+    }
+};
+
+export const deleteProduct = async (req, res, next) => {
+    try {
+        const product = await Product.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { isActive: false, isDefault: false, updatedBy: req.user._id },
+            { new: true }
+        );
+
+        if (!product) {
+            throw new AppError("Product not found", 404);
+        }
+
+        successResponse(res, "Product deleted successfully", 200, product);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import BalanceCorrection from "../models/BalanceCorrection.js";
+import { successResponse } from "../utils/responseHandler.js";
+import AppError from "../utils/AppError.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { sumPostingsByAccount } from "../services/postingService.js";
+
+const ACCOUNT_TYPES = ['customer', 'vendor', 'ledger'];
+
+const accountConfig = {
+    customer: { model: Customer, defaultType: 'debit', name: (doc) => doc.shopName || doc.ownerName || '' },
+    vendor: { model: Vendor, defaultType: 'credit', name: (doc) => doc.vendorName || '' },
+    ledger: { model: Ledger, defaultType: 'debit', name: (doc) => doc.name || '' }
+};
+
+// Derive every account's balance from its opening balance and the postings journal
+// and compare it with the stored outstanding balance
+const buildReconciliation = async (accountTypes = ACCOUNT_TYPES, session = null) => {
+    const postingTotals = await sumPostingsByAccount({ accountType: { $in: accountTypes } }, session);
+
+    const rows = [];
+
+    for (const accountType of accountTypes) {
+        const { model, defaultType, name } = accountConfig[accountType];
+        const accounts = await model.find({ isActive: true }).session(session).lean();
+
+        for (const account of accounts) {
+            const { debitTotal = 0, creditTotal = 0 } = postingTotals.get(`${accountType}:${account._id}`) || {};
+
+            const openingSigned = toSignedValue(account.openingBalance || 0, account.openingBalanceType || defaultType);
+            const recomputedSigned = Number((openingSigned + debitTotal - creditTotal).toFixed(2));
+            const storedSigned = toSignedValue(account.outstandingBalance || 0, account.outstandingBalanceType || defaultType);
+            const difference = Number((storedSigned - recomputedSigned).toFixed(2));
+
+            rows.push({
+                accountType,
+                accountId: account._id,
+                name: name(account),
+                opening: fromSignedValue(openingSigned),
+                debitTotal: Number(debitTotal.toFixed(2)),
+                creditTotal: Number(creditTotal.toFixed(2)),
+                stored: {
+                    amount: account.outstandingBalance || 0,
+                    type: account.outstandingBalanceType || defaultType
+                },
+                recomputed: fromSignedValue(recomputedSigned),
+                difference,
+                inSync: Math.abs(difference) < 0.01
+            });
+        }
+    }
+
+    return rows;
+};
+
+const parseAccountTypes = (type) => {
+    if (!type) return ACCOUNT_TYPES;
+    if (!ACCOUNT_TYPES.includes(type)) {
+        throw new AppError('Type must be customer, vendor or ledger', 400);
+    }
+    return [type];
+};
+
+// Drift report: accounts whose stored balance differs from the journal balance
+export const getReconciliationReport = async (req, res, next) => {
+    try {
+        const { type, includeMatched } = req.query;
+
+        const rows = await buildReconciliation(parseAccountTypes(type));
+        const mismatches = rows.filter(row => !row.inSync);
+
+        successResponse(res, "Reconciliation report generated successfully", 200, {
+            summary: {
+                totalAccounts: rows.length,
+                mismatchedAccounts: mismatches.length,
+                totalDifference: Number(mismatches.reduce((sum, row) => sum + Math.abs(row.difference), 0).toFixed(2))
+            },
+            accounts: includeMatched === 'true' ? rows : mismatches
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Bring stored balances back to the journal balance (all mismatches, or the given accounts).
+// The journal already holds every posted amount, so only the stored balance moves; the
+// BalanceCorrection keeps what was overwritten
+export const applyReconciliation = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        const { type, accounts } = req.body;
+
+        if (accounts !== undefined && !Array.isArray(accounts)) {
+            throw new AppError('Accounts must be an array of { accountType, accountId }', 400);
+        }
+
+        session.startTransaction();
+
+        const rows = await buildReconciliation(parseAccountTypes(type), session);
+        let mismatches = rows.filter(row => !row.inSync);
+
+        if (accounts && accounts.length > 0) {
+            const selected = new Set(accounts.map(a => `${a.accountType}:${a.accountId}`));
+            mismatches = mismatches.filter(row => selected.has(`${row.accountType}:${row.accountId}`));
+        }
+
+        const corrections = [];
+        for (const row of mismatches) {
+            // Skip validators so incomplete legacy records (e.g. missing customer place) can still be corrected
+            await accountConfig[row.accountType].model.findByIdAndUpdate(
+                row.accountId,
+                {
+                    $set: {
+                        outstandingBalance: row.recomputed.amount,
+                        outstandingBalanceType: row.recomputed.type,
+                        updatedBy: req.user._id
+                    }
+                },
+                { runValidators: false, session }
+            );
+
+            corrections.push({
+                accountType: row.accountType,
+                accountId: row.accountId,
+                accountName: row.name,
+                previousBalance: row.stored,
+                correctedBalance: row.recomputed,
+                difference: -row.difference,
+                appliedBy: req.user._id
+            });
+        }
+
+        const created = corrections.length > 0
+            ? await BalanceCorrection.create(corrections, { session, ordered: true })
+            : [];
+
+        await session.commitTransaction();
+
+        successResponse(res, `Corrected ${created.length} account balances`, 200, created);
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+// History of applied corrections
+export const getBalanceCorrections = async (req, res, next) => {
+    try {
+        const { accountType, accountId, page = 1, limit = 50 } = req.query;
+
+        const query = {};
+        if (accountType) query.accountType = accountType;
+        if (accountId) query.accountId = accountId;
+
+        const corrections = await BalanceCorrection.find(query)
+            .populate('appliedBy', 'name')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await BalanceCorrection.countDocuments(query);
+
+        successResponse(res, "Balance corrections retrieved successfully", 200, {
+            corrections,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
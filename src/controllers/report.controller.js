@@ -0,0 +1,1186 @@
+import * as XLSX from "xlsx";
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Trip from "../models/Trip.js";
+import IndirectSale from "../models/IndirectSale.js";
+import InventoryStock from "../models/InventoryStock.js";
+import Voucher from "../models/Voucher.js";
+import Payment from "../models/Payment.js";
+import Vehicle from "../models/Vehicle.js";
+import VehicleMaintenance from "../models/VehicleMaintenance.js";
+import { successResponse } from "../utils/responseHandler.js";
+import AppError from "../utils/AppError.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { isEntryForAccount } from "../utils/voucherEntryUtils.js";
+import { sumPostingsByAccount } from "../services/postingService.js";
+import { getFinancialYearForDate, financialYearStartYear, getCarriedOpenings } from "../services/financialYearService.js";
+import { monthRange } from "../services/periodLockService.js";
+import { financialQuarterRange, panFromTaxId } from "../services/tdsService.js";
+import { AGING_BUCKETS, DAY_MS, settleFifo, bucketTotals, daysBetween } from "../services/agingService.js";
+
+const accountSources = [
+    { accountType: 'ledger', model: Ledger, defaultType: 'debit', name: (doc) => doc.name || '' },
+    { accountType: 'customer', model: Customer, defaultType: 'debit', name: (doc) => doc.shopName || doc.ownerName || '' },
+    { accountType: 'vendor', model: Vendor, defaultType: 'credit', name: (doc) => doc.vendorName || '' }
+];
+
+const round = (value) => Number(value.toFixed(2));
+
+const emptyTotals = () => ({ opening: 0, debit: 0, credit: 0, closing: 0 });
+
+const addTotals = (target, source) => {
+    target.opening += source.opening;
+    target.debit += source.debit;
+    target.credit += source.credit;
+    target.closing += source.closing;
+};
+
+const formatTotals = (totals) => ({
+    opening: fromSignedValue(round(totals.opening)),
+    debit: round(totals.debit),
+    credit: round(totals.credit),
+    closing: fromSignedValue(round(totals.closing))
+});
+
+// Sum a group node and its sub groups, dropping the working fields from the response
+const finalizeGroup = (node) => {
+    const totals = emptyTotals();
+    node.accounts.forEach(account => addTotals(totals, account._signed));
+    node.subGroups.forEach(child => addTotals(totals, finalizeGroup(child)));
+
+    node.accounts.forEach(account => delete account._signed);
+    node.totals = formatTotals(totals);
+    return totals;
+};
+
+// Trial balance as on a date: opening at the start of its financial year, period movements and closing
+// for every ledger, customer and vendor, grouped by the account group hierarchy
+export const getTrialBalance = async (req, res, next) => {
+    try {
+        const { asOn } = req.query;
+
+        const asOnDate = asOn ? new Date(asOn) : new Date();
+        if (isNaN(asOnDate.getTime())) {
+            throw new AppError('Invalid asOn date', 400);
+        }
+        asOnDate.setHours(23, 59, 59, 999);
+
+        const financialYear = await getFinancialYearForDate(asOnDate);
+        const periodStart = new Date(financialYear.startDate);
+
+        // Year closing entries are left out of the period so income and expense ledgers still show
+        // their balances when the trial balance is taken on a closed year's last day
+        const [groups, carriedOpenings, openingMovements, periodMovements, ...accountLists] = await Promise.all([
+            Group.find({ isActive: true }).sort({ name: 1 }).lean(),
+            getCarriedOpenings(financialYear),
+            sumPostingsByAccount({ date: { $lt: periodStart } }),
+            sumPostingsByAccount({ date: { $gte: periodStart, $lte: asOnDate }, sourceType: { $ne: 'year_close' } }),
+            ...accountSources.map(({ model }) => model.find({ isActive: true }).lean())
+        ]);
+
+        const groupMap = new Map();
+        groups.forEach(group => {
+            groupMap.set(group._id.toString(), {
+                id: group._id,
+                name: group.name,
+                type: group.type,
+                parentGroup: group.parentGroup || null,
+                accounts: [],
+                subGroups: []
+            });
+        });
+
+        const ungrouped = {
+            id: null,
+            name: 'Ungrouped',
+            type: null,
+            parentGroup: null,
+            accounts: [],
+            subGroups: []
+        };
+
+        accountSources.forEach(({ accountType, defaultType, name }, index) => {
+            accountLists[index].forEach(account => {
+                const key = `${accountType}:${account._id}`;
+                const before = openingMovements.get(key) || { debitTotal: 0, creditTotal: 0 };
+                const during = periodMovements.get(key) || { debitTotal: 0, creditTotal: 0 };
+
+                // A closed previous year fixes the opening; otherwise it is rebuilt from the journal
+                const openingSigned = carriedOpenings.has(key)
+                    ? carriedOpenings.get(key)
+                    : toSignedValue(account.openingBalance || 0, account.openingBalanceType || defaultType)
+                        + before.debitTotal - before.creditTotal;
+                const closingSigned = openingSigned + during.debitTotal - during.creditTotal;
+
+                const signed = {
+                    opening: openingSigned,
+                    debit: during.debitTotal,
+                    credit: during.creditTotal,
+                    closing: closingSigned
+                };
+
+                const node = (account.group && groupMap.get(account.group.toString())) || ungrouped;
+                node.accounts.push({
+                    accountType,
+                    accountId: account._id,
+                    name: name(account),
+                    ...formatTotals(signed),
+                    _signed: signed
+                });
+            });
+        });
+
+        // Build the hierarchy (a group whose parent is inactive or missing becomes a root)
+        const rootGroups = [];
+        groupMap.forEach(node => {
+            const parent = node.parentGroup && groupMap.get(node.parentGroup.toString());
+            if (parent) {
+                parent.subGroups.push(node);
+            } else {
+                rootGroups.push(node);
+            }
+            delete node.parentGroup;
+        });
+        if (ungrouped.accounts.length > 0) {
+            delete ungrouped.parentGroup;
+            rootGroups.push(ungrouped);
+        }
+
+        const sortAccounts = (node) => {
+            node.accounts.sort((a, b) => a.name.localeCompare(b.name));
+            node.subGroups.forEach(sortAccounts);
+        };
+        rootGroups.forEach(sortAccounts);
+
+        // Grand totals are taken from the account rows so debit and credit balances are summed separately
+        const rows = [];
+        const collectRows = (node) => {
+            rows.push(...node.accounts);
+            node.subGroups.forEach(collectRows);
+        };
+        rootGroups.forEach(collectRows);
+
+        const sumSide = (field, side) => round(rows
+            .filter(row => row[field].type === side)
+            .reduce((sum, row) => sum + row[field].amount, 0));
+
+        const totals = {
+            openingDebit: sumSide('opening', 'debit'),
+            openingCredit: sumSide('opening', 'credit'),
+            periodDebit: round(rows.reduce((sum, row) => sum + row._signed.debit, 0)),
+            periodCredit: round(rows.reduce((sum, row) => sum + row._signed.credit, 0)),
+            closingDebit: sumSide('closing', 'debit'),
+            closingCredit: sumSide('closing', 'credit')
+        };
+        totals.difference = round(totals.closingDebit - totals.closingCredit);
+        totals.isBalanced = Math.abs(totals.difference) < 0.01;
+
+        rootGroups.forEach(finalizeGroup);
+
+        successResponse(res, "Trial balance retrieved successfully", 200, {
+            asOn: asOnDate,
+            period: {
+                startDate: periodStart,
+                endDate: asOnDate,
+                financialYear: financialYear.label
+            },
+            groups: rootGroups,
+            totals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Send report sheets ([{ name, rows }]) as an XLSX download
+const sendWorkbook = (res, sheets, filename) => {
+    const wb = XLSX.utils.book_new();
+    sheets.forEach(({ name, rows }) => {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name);
+    });
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    res.attachment(filename);
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buffer);
+};
+
+const addToMap = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+};
+
+// Open purchase bills per vendor: trip purchases, indirect sale purchases and stock purchases
+// settled first-in-first-out by payments, with due dates from the vendor's payment terms
+const buildVendorPayables = async (vendorQuery, asOn) => {
+    const vendors = await Vendor.find(vendorQuery)
+        .populate('group', 'name')
+        .sort({ vendorName: 1 })
+        .lean();
+    const vendorIds = vendors.map(v => v._id);
+
+    const [trips, indirectSales, stocks, vouchers] = await Promise.all([
+        Trip.find({ 'purchases.supplier': { $in: vendorIds } }).select('date tripId purchases').lean(),
+        IndirectSale.find({ vendor: { $in: vendorIds }, isActive: { $ne: false } }).select('date invoiceNumber vendor purchases').lean(),
+        InventoryStock.find({ vendorId: { $in: vendorIds }, type: { $in: ['purchase', 'opening'] } }).lean(),
+        Voucher.find({ isActive: true, voucherType: { $in: ['Payment', 'Receipt', 'Journal'] } }).lean()
+    ]);
+
+    const billsByVendor = new Map();
+    trips.forEach(trip => {
+        (trip.purchases || []).forEach(purchase => {
+            if (!purchase.supplier) return;
+            addToMap(billsByVendor, purchase.supplier.toString(), {
+                source: 'trip_purchase',
+                reference: purchase.dcNumber || trip.tripId || '',
+                date: purchase.timestamp || trip.date,
+                amount: purchase.amount || 0
+            });
+        });
+    });
+    indirectSales.forEach(sale => {
+        (sale.purchases || []).forEach(purchase => {
+            addToMap(billsByVendor, sale.vendor.toString(), {
+                source: 'indirect_purchase',
+                reference: purchase.dcNumber || sale.invoiceNumber || '',
+                date: sale.date,
+                amount: purchase.amount || 0
+            });
+        });
+    });
+    stocks.forEach(stock => {
+        addToMap(billsByVendor, stock.vendorId.toString(), {
+            source: 'inventory_stock',
+            reference: stock.refNo || stock.billNumber || '',
+            date: stock.date,
+            amount: stock.amount || 0
+        });
+    });
+
+    return vendors.map(vendor => {
+        const key = vendor._id.toString();
+        const bills = [...(billsByVendor.get(key) || [])];
+        let paid = 0;
+
+        const opening = toSignedValue(vendor.openingBalance || 0, vendor.openingBalanceType || 'credit');
+        if (opening < 0) {
+            bills.push({ source: 'opening', reference: 'Opening balance', date: vendor.createdAt, amount: Math.abs(opening) });
+        } else {
+            paid += opening;
+        }
+
+        vouchers.forEach(v => {
+            if (v.voucherType === 'Journal') {
+                const entry = v.entries?.find(e => isEntryForAccount(e, 'vendor', vendor._id, [vendor.vendorName]));
+                if (!entry) return;
+                if (entry.creditAmount > 0) {
+                    bills.push({ source: 'voucher', reference: v.voucherNumber || '', date: v.date, amount: entry.creditAmount });
+                } else {
+                    paid += entry.debitAmount || 0;
+                }
+                return;
+            }
+
+            const partyData = v.parties?.find(p => p.partyId && p.partyId.toString() === key && p.partyType === 'vendor');
+            if (partyData) paid += partyData.amount || 0;
+        });
+
+        const termsDays = vendor.paymentTermsDays || 0;
+        const { openItems, unappliedCredit } = settleFifo(bills, paid, { asOn });
+        openItems.forEach(item => {
+            item.dueDate = new Date(new Date(item.date).getTime() + termsDays * DAY_MS);
+            item.daysOverdue = daysBetween(item.dueDate, asOn);
+        });
+
+        return { vendor, openItems, unappliedCredit };
+    });
+};
+
+// Receivables aging: each customer's unpaid sale amounts (trip sales, indirect sales and stock sales)
+// after applying receipts first-in-first-out, bucketed by days since the sale
+export const getReceivablesAging = async (req, res, next) => {
+    try {
+        const { place, group, supervisor, format, details } = req.query;
+        const asOn = new Date();
+
+        const customerQuery = { isActive: true };
+        if (place) customerQuery.place = { $regex: place.trim(), $options: 'i' };
+        if (group) customerQuery.group = group;
+
+        // Supervisor filter: customers the supervisor has sold to from trips or stock
+        if (supervisor) {
+            const [tripClients, stockClients] = await Promise.all([
+                Trip.distinct('sales.client', { supervisor }),
+                InventoryStock.distinct('customerId', { supervisorId: supervisor, type: 'sale' })
+            ]);
+            customerQuery._id = { $in: [...tripClients, ...stockClients].filter(Boolean) };
+        }
+
+        const customers = await Customer.find(customerQuery)
+            .populate('group', 'name')
+            .sort({ shopName: 1 })
+            .lean();
+        const customerIds = customers.map(c => c._id);
+
+        const [trips, indirectSales, stocks, vouchers, payments] = await Promise.all([
+            Trip.find({ 'sales.client': { $in: customerIds } }).select('date tripId sales').lean(),
+            IndirectSale.find({ customer: { $in: customerIds }, isActive: { $ne: false } }).select('date invoiceNumber customer sales').lean(),
+            InventoryStock.find({ customerId: { $in: customerIds }, type: { $in: ['sale', 'receipt'] } }).lean(),
+            Voucher.find({ isActive: true, voucherType: { $in: ['Payment', 'Receipt', 'Journal'] } }).lean(),
+            // Payments against a sale are already counted through the sale's cashPaid
+            Payment.find({ customer: { $in: customerIds }, status: 'verified', isActive: { $ne: false }, sale: null }).lean()
+        ]);
+
+        // Charges (amounts owed) and settlements per customer
+        const chargesByCustomer = new Map();
+        const settledByCustomer = new Map();
+        const settle = (customerId, amount) => {
+            const key = customerId.toString();
+            settledByCustomer.set(key, (settledByCustomer.get(key) || 0) + (amount || 0));
+        };
+
+        trips.forEach(trip => {
+            (trip.sales || []).forEach(sale => {
+                if (!sale.client) return;
+                addToMap(chargesByCustomer, sale.client.toString(), {
+                    source: 'trip_sale',
+                    reference: sale.billNumber || trip.tripId || '',
+                    date: sale.timestamp || trip.date,
+                    amount: sale.amount || 0
+                });
+                settle(sale.client, (sale.cashPaid || 0) + (sale.onlinePaid || 0) + (sale.discount || 0));
+            });
+        });
+
+        indirectSales.forEach(sale => {
+            addToMap(chargesByCustomer, sale.customer.toString(), {
+                source: 'indirect_sale',
+                reference: sale.invoiceNumber || '',
+                date: sale.date,
+                amount: sale.sales?.amount || 0
+            });
+        });
+
+        stocks.forEach(stock => {
+            if (stock.type === 'sale') {
+                addToMap(chargesByCustomer, stock.customerId.toString(), {
+                    source: 'inventory_stock',
+                    reference: stock.billNumber || '',
+                    date: stock.date,
+                    amount: stock.amount || 0
+                });
+            }
+            settle(stock.customerId, (stock.cashPaid || 0) + (stock.onlinePaid || 0) + (stock.discount || 0));
+        });
+
+        payments.forEach(payment => settle(payment.customer, payment.amount));
+
+        const rows = customers.map(customer => {
+            const key = customer._id.toString();
+            const name = customer.shopName || customer.ownerName || '';
+            const charges = [...(chargesByCustomer.get(key) || [])];
+            let settled = settledByCustomer.get(key) || 0;
+
+            const opening = toSignedValue(customer.openingBalance || 0, customer.openingBalanceType || 'debit');
+            if (opening > 0) {
+                charges.push({ source: 'opening', reference: 'Opening balance', date: customer.createdAt, amount: opening });
+            } else {
+                settled += Math.abs(opening);
+            }
+
+            // Payment vouchers add to what the customer owes, receipts and journal credits settle it
+            vouchers.forEach(v => {
+                if (v.voucherType === 'Journal') {
+                    const entry = v.entries?.find(e => isEntryForAccount(e, 'customer', customer._id, [name]));
+                    if (!entry) return;
+                    if (entry.debitAmount > 0) {
+                        charges.push({ source: 'voucher', reference: v.voucherNumber || '', date: v.date, amount: entry.debitAmount });
+                    } else {
+                        settled += entry.creditAmount || 0;
+                    }
+                    return;
+                }
+
+                const partyData = v.parties?.find(p => p.partyId && p.partyId.toString() === key);
+                if (!partyData) return;
+                if (v.voucherType === 'Payment') {
+                    charges.push({ source: 'voucher', reference: v.voucherNumber || '', date: v.date, amount: partyData.amount || 0 });
+                } else {
+                    settled += partyData.amount || 0;
+                }
+            });
+
+            const { openItems, unappliedCredit } = settleFifo(charges, settled, { asOn });
+            const buckets = bucketTotals(openItems);
+
+            return {
+                customerId: customer._id,
+                name,
+                place: customer.place || '',
+                contact: customer.contact || '',
+                group: customer.group?.name || '',
+                creditLimit: customer.creditLimit || 0,
+                creditDays: customer.creditDays || 0,
+                buckets,
+                totalOutstanding: buckets.total,
+                advance: unappliedCredit,
+                oldestDays: openItems.length > 0 ? Math.max(...openItems.map(item => item.days)) : 0,
+                ...(details === 'true' && { openItems })
+            };
+        }).filter(row => row.totalOutstanding > 0 || row.advance > 0);
+
+        const totals = bucketTotals([]);
+        rows.forEach(row => {
+            Object.keys(totals).forEach(bucketKey => {
+                totals[bucketKey] = Number((totals[bucketKey] + row.buckets[bucketKey]).toFixed(2));
+            });
+        });
+        totals.advance = Number(rows.reduce((sum, row) => sum + row.advance, 0).toFixed(2));
+
+        if (format === 'xlsx') {
+            const sheetRows = rows.map(row => ({
+                'Customer': row.name,
+                'Place': row.place,
+                'Group': row.group,
+                'Contact': row.contact,
+                ...Object.fromEntries(AGING_BUCKETS.map(b => [`${b.key} Days`, row.buckets[b.key]])),
+                'Total Outstanding': row.totalOutstanding,
+                'Advance': row.advance,
+                'Oldest (Days)': row.oldestDays
+            }));
+            sheetRows.push({
+                'Customer': 'TOTAL',
+                ...Object.fromEntries(AGING_BUCKETS.map(b => [`${b.key} Days`, totals[b.key]])),
+                'Total Outstanding': totals.total,
+                'Advance': totals.advance
+            });
+
+            return sendWorkbook(res, [{ name: 'Receivables Aging', rows: sheetRows }], `receivables_aging_${asOn.toISOString().split('T')[0]}.xlsx`);
+        }
+
+        successResponse(res, "Receivables aging retrieved successfully", 200, {
+            asOn,
+            buckets: AGING_BUCKETS.map(b => b.key),
+            customers: rows,
+            totals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Payables aging: each vendor's unpaid purchase bills after applying payments first-in-first-out,
+// bucketed by days since the bill, with the overdue part per the vendor's payment terms
+export const getPayablesAging = async (req, res, next) => {
+    try {
+        const { group, vendor, format, details } = req.query;
+        const asOn = new Date();
+
+        const vendorQuery = { isActive: true };
+        if (group) vendorQuery.group = group;
+        if (vendor) vendorQuery._id = vendor;
+
+        const payables = await buildVendorPayables(vendorQuery, asOn);
+
+        const rows = payables.map(({ vendor: vendorDoc, openItems, unappliedCredit }) => {
+            const buckets = bucketTotals(openItems);
+            return {
+                vendorId: vendorDoc._id,
+                name: vendorDoc.vendorName || '',
+                contact: vendorDoc.contactNumber || '',
+                group: vendorDoc.group?.name || '',
+                paymentTermsDays: vendorDoc.paymentTermsDays || 0,
+                buckets,
+                totalOutstanding: buckets.total,
+                overdue: Number(openItems
+                    .filter(item => item.daysOverdue > 0)
+                    .reduce((sum, item) => sum + item.outstanding, 0)
+                    .toFixed(2)),
+                advance: unappliedCredit,
+                oldestDays: openItems.length > 0 ? Math.max(...openItems.map(item => item.days)) : 0,
+                ...(details === 'true' && { openItems })
+            };
+        }).filter(row => row.totalOutstanding > 0 || row.advance > 0);
+
+        const totals = bucketTotals([]);
+        rows.forEach(row => {
+            Object.keys(totals).forEach(bucketKey => {
+                totals[bucketKey] = Number((totals[bucketKey] + row.buckets[bucketKey]).toFixed(2));
+            });
+        });
+        totals.overdue = Number(rows.reduce((sum, row) => sum + row.overdue, 0).toFixed(2));
+        totals.advance = Number(rows.reduce((sum, row) => sum + row.advance, 0).toFixed(2));
+
+        if (format === 'xlsx') {
+            const sheetRows = rows.map(row => ({
+                'Vendor': row.name,
+                'Group': row.group,
+                'Contact': row.contact,
+                'Payment Terms (Days)': row.paymentTermsDays,
+                ...Object.fromEntries(AGING_BUCKETS.map(b => [`${b.key} Days`, row.buckets[b.key]])),
+                'Total Outstanding': row.totalOutstanding,
+                'Overdue': row.overdue,
+                'Advance': row.advance,
+                'Oldest (Days)': row.oldestDays
+            }));
+            sheetRows.push({
+                'Vendor': 'TOTAL',
+                ...Object.fromEntries(AGING_BUCKETS.map(b => [`${b.key} Days`, totals[b.key]])),
+                'Total Outstanding': totals.total,
+                'Overdue': totals.overdue,
+                'Advance': totals.advance
+            });
+
+            return sendWorkbook(res, [{ name: 'Payables Aging', rows: sheetRows }], `payables_aging_${asOn.toISOString().split('T')[0]}.xlsx`);
+        }
+
+        successResponse(res, "Payables aging retrieved successfully", 200, {
+            asOn,
+            buckets: AGING_BUCKETS.map(b => b.key),
+            vendors: rows,
+            totals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Payment schedule: open purchase bills falling due within the next `days` (default 7), overdue bills included
+export const getPayablesSchedule = async (req, res, next) => {
+    try {
+        const { group, vendor, days = 7 } = req.query;
+        const windowDays = parseInt(days);
+        if (isNaN(windowDays) || windowDays < 0) {
+            throw new AppError('Days must be a non-negative number', 400);
+        }
+
+        const asOn = new Date();
+        const windowEnd = new Date(asOn);
+        windowEnd.setHours(23, 59, 59, 999);
+        windowEnd.setDate(windowEnd.getDate() + windowDays);
+
+        const vendorQuery = { isActive: true };
+        if (group) vendorQuery.group = group;
+        if (vendor) vendorQuery._id = vendor;
+
+        const payables = await buildVendorPayables(vendorQuery, asOn);
+
+        const schedule = payables.map(({ vendor: vendorDoc, openItems }) => {
+            const dueItems = openItems
+                .filter(item => item.dueDate <= windowEnd)
+                .map(item => ({ ...item, isOverdue: item.daysOverdue > 0 }))
+                .sort((a, b) => a.dueDate - b.dueDate);
+
+            return {
+                vendorId: vendorDoc._id,
+                name: vendorDoc.vendorName || '',
+                contact: vendorDoc.contactNumber || '',
+                defaultPaymentMode: vendorDoc.defaultPaymentMode || 'cash',
+                paymentTermsDays: vendorDoc.paymentTermsDays || 0,
+                amountDue: Number(dueItems.reduce((sum, item) => sum + item.outstanding, 0).toFixed(2)),
+                overdueAmount: Number(dueItems.filter(item => item.isOverdue).reduce((sum, item) => sum + item.outstanding, 0).toFixed(2)),
+                nextDueDate: dueItems.length > 0 ? dueItems[0].dueDate : null,
+                bills: dueItems
+            };
+        })
+            .filter(row => row.bills.length > 0)
+            .sort((a, b) => a.nextDueDate - b.nextDueDate);
+
+        successResponse(res, "Payment schedule retrieved successfully", 200, {
+            asOn,
+            dueBy: windowEnd,
+            vendors: schedule,
+            totals: {
+                amountDue: Number(schedule.reduce((sum, row) => sum + row.amountDue, 0).toFixed(2)),
+                overdueAmount: Number(schedule.reduce((sum, row) => sum + row.overdueAmount, 0).toFixed(2))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// GSTR-1 style return for a month: B2B invoices, B2C (small) summary by place of supply and rate,
+// and the HSN summary, from trip, stock and indirect sales that carry GST
+export const getGstr1 = async (req, res, next) => {
+    try {
+        const { month, format } = req.query;
+        const { startDate, endDate } = monthRange(month);
+
+        const [trips, stocks, indirectSales] = await Promise.all([
+            Trip.find({ sales: { $elemMatch: { 'gst.applied': true, timestamp: { $gte: startDate, $lte: endDate } } } })
+                .populate('sales.client', 'shopName ownerName')
+                .lean(),
+            InventoryStock.find({ type: 'sale', 'gst.applied': true, date: { $gte: startDate, $lte: endDate } })
+                .populate('customerId', 'shopName ownerName')
+                .lean(),
+            IndirectSale.find({ isActive: true, 'gst.applied': true, date: { $gte: startDate, $lte: endDate } })
+                .populate('customer', 'shopName ownerName')
+                .lean()
+        ]);
+
+        const invoices = [];
+        const customerName = (customer) => customer?.shopName || customer?.ownerName || '';
+
+        trips.forEach(trip => {
+            (trip.sales || []).forEach(sale => {
+                const saleDate = new Date(sale.timestamp);
+                if (!sale.gst?.applied || saleDate < startDate || saleDate > endDate) return;
+                invoices.push({ invoiceNumber: sale.billNumber, date: saleDate, customer: customerName(sale.client), value: sale.amount, weight: sale.weight, gst: sale.gst });
+            });
+        });
+        stocks.forEach(stock => {
+            invoices.push({ invoiceNumber: stock.billNumber || stock.refNo || '', date: stock.date, customer: customerName(stock.customerId), value: stock.amount, weight: stock.weight, gst: stock.gst });
+        });
+        indirectSales.forEach(sale => {
+            invoices.push({ invoiceNumber: sale.invoiceNumber || '', date: sale.date, customer: customerName(sale.customer), value: sale.sales?.amount || 0, weight: sale.sales?.weight || 0, gst: sale.gst });
+        });
+        invoices.sort((a, b) => a.date - b.date);
+
+        const b2b = invoices
+            .filter(invoice => invoice.gst.invoiceType === 'B2B')
+            .map(invoice => ({
+                gstin: invoice.gst.customerGstin,
+                receiverName: invoice.customer,
+                invoiceNumber: invoice.invoiceNumber,
+                invoiceDate: invoice.date,
+                invoiceValue: round(invoice.value),
+                placeOfSupply: invoice.gst.placeOfSupply,
+                rate: invoice.gst.taxRate,
+                taxableValue: round(invoice.gst.taxableValue),
+                igst: round(invoice.gst.igst),
+                cgst: round(invoice.gst.cgst),
+                sgst: round(invoice.gst.sgst)
+            }));
+
+        // B2C sales are reported in total per place of supply and rate
+        const b2cMap = new Map();
+        invoices
+            .filter(invoice => invoice.gst.invoiceType !== 'B2B')
+            .forEach(invoice => {
+                const key = `${invoice.gst.placeOfSupply}:${invoice.gst.taxRate}`;
+                const row = b2cMap.get(key) || {
+                    type: 'OE',
+                    placeOfSupply: invoice.gst.placeOfSupply,
+                    rate: invoice.gst.taxRate,
+                    taxableValue: 0,
+                    igst: 0,
+                    cgst: 0,
+                    sgst: 0
+                };
+                row.taxableValue = round(row.taxableValue + invoice.gst.taxableValue);
+                row.igst = round(row.igst + invoice.gst.igst);
+                row.cgst = round(row.cgst + invoice.gst.cgst);
+                row.sgst = round(row.sgst + invoice.gst.sgst);
+                b2cMap.set(key, row);
+            });
+        const b2cs = [...b2cMap.values()];
+
+        const hsnMap = new Map();
+        invoices.forEach(invoice => {
+            const key = `${invoice.gst.hsnCode}:${invoice.gst.taxRate}`;
+            const row = hsnMap.get(key) || {
+                hsnCode: invoice.gst.hsnCode,
+                uqc: 'KGS',
+                rate: invoice.gst.taxRate,
+                quantity: 0,
+                totalValue: 0,
+                taxableValue: 0,
+                igst: 0,
+                cgst: 0,
+                sgst: 0
+            };
+            row.quantity = round(row.quantity + (invoice.weight || 0));
+            row.totalValue = round(row.totalValue + (invoice.value || 0));
+            row.taxableValue = round(row.taxableValue + invoice.gst.taxableValue);
+            row.igst = round(row.igst + invoice.gst.igst);
+            row.cgst = round(row.cgst + invoice.gst.cgst);
+            row.sgst = round(row.sgst + invoice.gst.sgst);
+            hsnMap.set(key, row);
+        });
+        const hsn = [...hsnMap.values()];
+
+        const totals = {
+            invoiceCount: invoices.length,
+            taxableValue: round(invoices.reduce((sum, invoice) => sum + invoice.gst.taxableValue, 0)),
+            igst: round(invoices.reduce((sum, invoice) => sum + invoice.gst.igst, 0)),
+            cgst: round(invoices.reduce((sum, invoice) => sum + invoice.gst.cgst, 0)),
+            sgst: round(invoices.reduce((sum, invoice) => sum + invoice.gst.sgst, 0))
+        };
+
+        if (format === 'xlsx') {
+            return sendWorkbook(res, [
+                {
+                    name: 'b2b',
+                    rows: b2b.map(row => ({
+                        'GSTIN/UIN of Recipient': row.gstin,
+                        'Receiver Name': row.receiverName,
+                        'Invoice Number': row.invoiceNumber,
+                        'Invoice Date': new Date(row.invoiceDate).toLocaleDateString('en-IN'),
+                        'Invoice Value': row.invoiceValue,
+                        'Place Of Supply': row.placeOfSupply,
+                        'Rate': row.rate,
+                        'Taxable Value': row.taxableValue,
+                        'Integrated Tax': row.igst,
+                        'Central Tax': row.cgst,
+                        'State/UT Tax': row.sgst
+                    }))
+                },
+                {
+                    name: 'b2cs',
+                    rows: b2cs.map(row => ({
+                        'Type': row.type,
+                        'Place Of Supply': row.placeOfSupply,
+                        'Rate': row.rate,
+                        'Taxable Value': row.taxableValue,
+                        'Integrated Tax': row.igst,
+                        'Central Tax': row.cgst,
+                        'State/UT Tax': row.sgst
+                    }))
+                },
+                {
+                    name: 'hsn',
+                    rows: hsn.map(row => ({
+                        'HSN': row.hsnCode,
+                        'UQC': row.uqc,
+                        'Total Quantity': row.quantity,
+                        'Rate': row.rate,
+                        'Total Value': row.totalValue,
+                        'Taxable Value': row.taxableValue,
+                        'Integrated Tax Amount': row.igst,
+                        'Central Tax Amount': row.cgst,
+                        'State/UT Tax Amount': row.sgst
+                    }))
+                }
+            ], `gstr1_${month}.xlsx`);
+        }
+
+        successResponse(res, "GSTR-1 data retrieved successfully", 200, {
+            month,
+            b2b,
+            b2cs,
+            hsn,
+            totals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Quarterly TDS summary per party and section: TDS deducted on payments to vendors (payable)
+// and TDS deducted by customers on their receipts (receivable), with PAN and certificate status
+export const getTdsSummary = async (req, res, next) => {
+    try {
+        const { quarter, format } = req.query;
+        const year = req.query.year || financialYearStartYear();
+        const { label, startDate, endDate } = financialQuarterRange(year, quarter);
+
+        const vouchers = await Voucher.find({
+            isActive: true,
+            voucherType: { $in: ['Payment', 'Receipt'] },
+            date: { $gte: startDate, $lte: endDate },
+            'parties.tdsAmount': { $gt: 0 }
+        }).sort({ date: 1 }).lean();
+
+        const vendorIds = new Set();
+        const customerIds = new Set();
+        vouchers.forEach(voucher => {
+            (voucher.parties || []).forEach(p => {
+                if (!(p.tdsAmount > 0)) return;
+                (p.partyType === 'vendor' ? vendorIds : customerIds).add(String(p.partyId));
+            });
+        });
+
+        const [vendors, customers] = await Promise.all([
+            Vendor.find({ _id: { $in: [...vendorIds] } }).select('vendorName panNumber gstNumber').lean(),
+            Customer.find({ _id: { $in: [...customerIds] } }).select('shopName ownerName gstOrPanNumber').lean()
+        ]);
+        const partyInfo = new Map([
+            ...vendors.map(v => [`vendor:${v._id}`, { name: v.vendorName, pan: v.panNumber || panFromTaxId(v.gstNumber) }]),
+            ...customers.map(c => [`customer:${c._id}`, { name: c.shopName || c.ownerName, pan: panFromTaxId(c.gstOrPanNumber) }])
+        ]);
+
+        const rows = new Map();
+        vouchers.forEach(voucher => {
+            (voucher.parties || []).forEach(p => {
+                if (!(p.tdsAmount > 0)) return;
+                const partyKey = `${p.partyType}:${p.partyId}`;
+                const key = `${voucher.voucherType}:${partyKey}:${p.tdsSection}`;
+                const info = partyInfo.get(partyKey) || { name: '', pan: '' };
+                const row = rows.get(key) || {
+                    nature: voucher.voucherType === 'Payment' ? 'payable' : 'receivable',
+                    partyType: p.partyType,
+                    partyId: p.partyId,
+                    partyName: info.name,
+                    pan: info.pan,
+                    section: p.tdsSection,
+                    rate: p.tdsRate,
+                    grossAmount: 0,
+                    tdsAmount: 0,
+                    voucherCount: 0,
+                    certificatesPending: 0,
+                    vouchers: []
+                };
+                row.grossAmount = round(row.grossAmount + (p.amount || 0));
+                row.tdsAmount = round(row.tdsAmount + p.tdsAmount);
+                row.voucherCount += 1;
+                if (!p.tdsCertificate || !p.tdsCertificate.number) row.certificatesPending += 1;
+                row.vouchers.push({
+                    voucherId: voucher._id,
+                    voucherNumber: voucher.voucherNumber,
+                    date: voucher.date,
+                    grossAmount: p.amount,
+                    tdsAmount: p.tdsAmount,
+                    certificateNumber: p.tdsCertificate?.number || null,
+                    certificateDate: p.tdsCertificate?.date || null
+                });
+                rows.set(key, row);
+            });
+        });
+
+        const sortRows = (list) => list.sort((a, b) => (a.section || '').localeCompare(b.section || '') || (a.partyName || '').localeCompare(b.partyName || ''));
+        const payable = sortRows([...rows.values()].filter(row => row.nature === 'payable'));
+        const receivable = sortRows([...rows.values()].filter(row => row.nature === 'receivable'));
+        const sumTds = (list) => round(list.reduce((sum, row) => sum + row.tdsAmount, 0));
+
+        const totals = {
+            payable: sumTds(payable),
+            receivable: sumTds(receivable),
+            missingPan: [...payable, ...receivable].filter(row => !row.pan).length
+        };
+
+        if (format === 'xlsx') {
+            const toSheetRow = (row) => ({
+                'Party': row.partyName,
+                'PAN': row.pan,
+                'Section': row.section,
+                'Rate (%)': row.rate,
+                'Gross Amount': row.grossAmount,
+                'TDS Amount': row.tdsAmount,
+                'Vouchers': row.voucherCount,
+                'Certificates Pending': row.certificatesPending
+            });
+            return sendWorkbook(res, [
+                { name: 'TDS Payable', rows: payable.map(toSheetRow) },
+                { name: 'TDS Receivable', rows: receivable.map(toSheetRow) }
+            ], `tds_summary_${label.replace(/\s+/g, '_')}.xlsx`);
+        }
+
+        successResponse(res, "TDS summary retrieved successfully", 200, {
+            period: { label, startDate, endDate },
+            payable,
+            receivable,
+            totals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Planned vs delivered per route stop for trips that have stops, from the sales linked to each stop
+export const getRouteStopReport = async (req, res, next) => {
+    try {
+        const { tripId, vehicle, supervisor, startDate, endDate, format } = req.query;
+
+        const query = { 'route.stops.0': { $exists: true } };
+        if (tripId) query.tripId = tripId;
+        if (vehicle) query.vehicle = vehicle;
+        if (supervisor) query.supervisor = supervisor;
+        if (startDate || endDate) {
+            query.date = {};
+            if (startDate) query.date.$gte = new Date(startDate);
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                query.date.$lte = end;
+            }
+        }
+
+        const trips = await Trip.find(query)
+            .select('tripId date status vehicle supervisor route sales.stop sales.birds sales.weight sales.amount')
+            .populate('vehicle', 'vehicleNumber')
+            .populate('supervisor', 'name')
+            .populate('route.stops.customer', 'shopName ownerName')
+            .sort({ date: -1 })
+            .lean();
+
+        const percent = (delivered, expected) => expected > 0 ? round((delivered / expected) * 100) : null;
+
+        const rows = trips.map(trip => {
+            const stops = (trip.route.stops || [])
+                .slice()
+                .sort((a, b) => a.sequence - b.sequence)
+                .map(stop => {
+                    const stopSales = (trip.sales || []).filter(sale => sale.stop && String(sale.stop) === String(stop._id));
+                    const deliveredBirds = stopSales.reduce((sum, sale) => sum + (sale.birds || 0), 0);
+                    const deliveredWeight = round(stopSales.reduce((sum, sale) => sum + (sale.weight || 0), 0));
+                    return {
+                        stopId: stop._id,
+                        sequence: stop.sequence,
+                        location: stop.location || '',
+                        customer: stop.customer ? (stop.customer.shopName || stop.customer.ownerName || '') : '',
+                        status: stop.status,
+                        visitedAt: stop.visitedAt || null,
+                        odometer: stop.odometer ?? null,
+                        expectedBirds: stop.expectedBirds || 0,
+                        deliveredBirds,
+                        birdsVariance: deliveredBirds - (stop.expectedBirds || 0),
+                        expectedWeight: stop.expectedWeight || 0,
+                        deliveredWeight,
+                        weightVariance: round(deliveredWeight - (stop.expectedWeight || 0)),
+                        fulfilmentPercent: percent(deliveredWeight, stop.expectedWeight || 0),
+                        salesAmount: round(stopSales.reduce((sum, sale) => sum + (sale.amount || 0), 0)),
+                        salesCount: stopSales.length
+                    };
+                });
+
+            const unplannedSales = (trip.sales || []).filter(sale => !sale.stop);
+            return {
+                tripId: trip.tripId,
+                tripRef: trip._id,
+                date: trip.date,
+                status: trip.status,
+                vehicle: trip.vehicle?.vehicleNumber || '',
+                supervisor: trip.supervisor?.name || '',
+                route: `${trip.route.from} - ${trip.route.to}`,
+                stops,
+                totals: {
+                    plannedStops: stops.length,
+                    visited: stops.filter(stop => stop.status === 'visited').length,
+                    partial: stops.filter(stop => stop.status === 'partial').length,
+                    skipped: stops.filter(stop => stop.status === 'skipped').length,
+                    pending: stops.filter(stop => stop.status === 'planned').length,
+                    expectedWeight: round(stops.reduce((sum, stop) => sum + stop.expectedWeight, 0)),
+                    deliveredWeight: round(stops.reduce((sum, stop) => sum + stop.deliveredWeight, 0)),
+                    unplannedWeight: round(unplannedSales.reduce((sum, sale) => sum + (sale.weight || 0), 0))
+                }
+            };
+        });
+
+        if (format === 'xlsx') {
+            const sheetRows = rows.flatMap(trip => trip.stops.map(stop => ({
+                'Trip': trip.tripId,
+                'Date': trip.date ? new Date(trip.date).toLocaleDateString('en-IN') : '',
+                'Vehicle': trip.vehicle,
+                'Stop': stop.sequence,
+                'Location': stop.location,
+                'Customer': stop.customer,
+                'Status': stop.status,
+                'Expected Birds': stop.expectedBirds,
+                'Delivered Birds': stop.deliveredBirds,
+                'Expected Weight': stop.expectedWeight,
+                'Delivered Weight': stop.deliveredWeight,
+                'Weight Variance': stop.weightVariance,
+                'Fulfilment (%)': stop.fulfilmentPercent ?? '',
+                'Odometer': stop.odometer ?? ''
+            })));
+            return sendWorkbook(res, [{ name: 'Route Stops', rows: sheetRows }], 'route_stops.xlsx');
+        }
+
+        successResponse(res, "Route stop report retrieved successfully", 200, rows);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const dayKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+const monthKey = (date) => dayKey(date).slice(0, 7);
+
+// Calendar days from start to end (both included), clipped to the report period
+const addDaysInRange = (set, start, end, periodStart, periodEnd) => {
+    const day = new Date(Math.max(new Date(start), periodStart));
+    day.setHours(0, 0, 0, 0);
+    const last = new Date(Math.min(new Date(end), periodEnd));
+    while (day <= last) {
+        set.add(dayKey(day));
+        day.setDate(day.getDate() + 1);
+    }
+};
+
+const emptyVehicleTotals = () => ({
+    trips: 0,
+    completedTrips: 0,
+    kmDriven: 0,
+    dieselLitres: 0,
+    dieselCost: 0,
+    grossRent: 0,
+    netRent: 0,
+    maintenanceCost: 0,
+    birdsProfit: 0,
+    tripProfit: 0
+});
+
+const finalizeVehicleTotals = (totals) => {
+    const rounded = Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]));
+    return {
+        ...rounded,
+        kmPerLitre: totals.dieselLitres > 0 ? round(totals.kmDriven / totals.dieselLitres) : null,
+        netAfterMaintenance: round(totals.netRent - totals.maintenanceCost),
+        profitPerKm: totals.kmDriven > 0 ? round((totals.tripProfit - totals.maintenanceCost) / totals.kmDriven) : null
+    };
+};
+
+// Per-vehicle rent, diesel, maintenance and profit over a period, with a monthly series per vehicle.
+// Idle days are days in the period with neither a trip nor open maintenance.
+export const getVehicleReport = async (req, res, next) => {
+    try {
+        const { vehicle, format } = req.query;
+        const today = new Date();
+        const periodStart = req.query.from
+            ? new Date(req.query.from)
+            : new Date(financialYearStartYear(today), 3, 1);
+        const periodEnd = req.query.to ? new Date(req.query.to) : new Date(today);
+        if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime())) {
+            throw new AppError('from and to must be valid dates', 400);
+        }
+        periodStart.setHours(0, 0, 0, 0);
+        periodEnd.setHours(23, 59, 59, 999);
+        if (periodStart > periodEnd) {
+            throw new AppError('from must be before to', 400);
+        }
+
+        const vehicleQuery = { isActive: true };
+        if (vehicle) vehicleQuery._id = vehicle;
+
+        const vehicles = await Vehicle.find(vehicleQuery).select('vehicleNumber type currentStatus rentPerKm createdAt').sort({ vehicleNumber: 1 }).lean();
+        const vehicleIds = vehicles.map(v => v._id);
+
+        const [trips, maintenance] = await Promise.all([
+            Trip.find({ vehicle: { $in: vehicleIds }, date: { $gte: periodStart, $lte: periodEnd } })
+                .select('vehicle date status vehicleReadings diesel.totalVolume diesel.totalAmount summary.grossRent summary.totalDieselAmount summary.birdsProfit summary.tripProfit completionDetails.completedAt')
+                .lean(),
+            VehicleMaintenance.find({
+                vehicle: { $in: vehicleIds },
+                isActive: true,
+                serviceDate: { $lte: periodEnd },
+                $or: [{ completedAt: { $gte: periodStart } }, { status: 'in-progress' }, { serviceDate: { $gte: periodStart } }]
+            }).select('vehicle serviceDate completedAt status amount').lean()
+        ]);
+
+        const rows = vehicles.map(v => {
+            const vehicleId = String(v._id);
+            const totals = emptyVehicleTotals();
+            const months = new Map();
+            const monthTotals = (date) => {
+                const key = monthKey(date);
+                if (!months.has(key)) months.set(key, emptyVehicleTotals());
+                return months.get(key);
+            };
+            const tripDays = new Set();
+            const maintenanceDays = new Set();
+
+            trips.filter(trip => String(trip.vehicle) === vehicleId).forEach(trip => {
+                const completed = trip.status === 'completed';
+                const dieselCost = trip.summary?.totalDieselAmount ?? trip.diesel?.totalAmount ?? 0;
+                const grossRent = completed ? (trip.summary?.grossRent || 0) : 0;
+                const values = {
+                    trips: 1,
+                    completedTrips: completed ? 1 : 0,
+                    kmDriven: trip.vehicleReadings?.totalDistance || 0,
+                    dieselLitres: trip.diesel?.totalVolume || 0,
+                    dieselCost,
+                    grossRent,
+                    netRent: completed ? grossRent - dieselCost : 0,
+                    birdsProfit: completed ? (trip.summary?.birdsProfit || 0) : 0,
+                    tripProfit: completed ? (trip.summary?.tripProfit || 0) : 0
+                };
+                [totals, monthTotals(trip.date)].forEach(target => {
+                    Object.entries(values).forEach(([key, value]) => { target[key] += value; });
+                });
+
+                const tripEnd = trip.completionDetails?.completedAt || (completed ? trip.date : today);
+                addDaysInRange(tripDays, trip.date, tripEnd, periodStart, periodEnd);
+            });
+
+            maintenance.filter(entry => String(entry.vehicle) === vehicleId).forEach(entry => {
+                if (entry.serviceDate >= periodStart) {
+                    totals.maintenanceCost += entry.amount || 0;
+                    monthTotals(entry.serviceDate).maintenanceCost += entry.amount || 0;
+                }
+                const entryEnd = entry.status === 'in-progress' ? today : (entry.completedAt || entry.serviceDate);
+                addDaysInRange(maintenanceDays, entry.serviceDate, entryEnd, periodStart, periodEnd);
+            });
+
+            // Days the vehicle existed within the period (up to today)
+            const availableDays = new Set();
+            addDaysInRange(availableDays, Math.max(periodStart, new Date(v.createdAt)), Math.min(periodEnd, today), periodStart, periodEnd);
+            const idleDays = [...availableDays].filter(day => !tripDays.has(day) && !maintenanceDays.has(day)).length;
+
+            return {
+                vehicleId: v._id,
+                vehicleNumber: v.vehicleNumber,
+                type: v.type,
+                currentStatus: v.currentStatus,
+                rentPerKm: v.rentPerKm,
+                ...finalizeVehicleTotals(totals),
+                tripDays: [...tripDays].filter(day => availableDays.has(day)).length,
+                maintenanceDays: [...maintenanceDays].filter(day => availableDays.has(day) && !tripDays.has(day)).length,
+                idleDays,
+                availableDays: availableDays.size,
+                utilizationPercent: availableDays.size > 0
+                    ? round(([...tripDays].filter(day => availableDays.has(day)).length / availableDays.size) * 100)
+                    : null,
+                monthly: [...months.entries()]
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([month, monthValues]) => ({ month, ...finalizeVehicleTotals(monthValues) }))
+            };
+        });
+
+        const fleetTotals = finalizeVehicleTotals(rows.reduce((sum, row) => {
+            Object.keys(sum).forEach(key => { sum[key] += row[key] || 0; });
+            return sum;
+        }, emptyVehicleTotals()));
+
+        if (format === 'xlsx') {
+            return sendWorkbook(res, [
+                {
+                    name: 'Vehicles',
+                    rows: rows.map(row => ({
+                        'Vehicle': row.vehicleNumber,
+                        'Trips': row.trips,
+                        'KM Driven': row.kmDriven,
+                        'Idle Days': row.idleDays,
+                        'Utilization (%)': row.utilizationPercent ?? '',
+                        'Diesel (L)': row.dieselLitres,
+                        'Diesel Cost': row.dieselCost,
+                        'KM/L': row.kmPerLitre ?? '',
+                        'Gross Rent': row.grossRent,
+                        'Net Rent': row.netRent,
+                        'Maintenance': row.maintenanceCost,
+                        'Net After Maintenance': row.netAfterMaintenance,
+                        'Birds Profit': row.birdsProfit
+                    }))
+                },
+                {
+                    name: 'Monthly',
+                    rows: rows.flatMap(row => row.monthly.map(month => ({
+                        'Vehicle': row.vehicleNumber,
+                        'Month': month.month,
+                        'Trips': month.trips,
+                        'KM Driven': month.kmDriven,
+                        'Diesel (L)': month.dieselLitres,
+                        'Diesel Cost': month.dieselCost,
+                        'KM/L': month.kmPerLitre ?? '',
+                        'Gross Rent': month.grossRent,
+                        'Net Rent': month.netRent,
+                        'Maintenance': month.maintenanceCost,
+                        'Birds Profit': month.birdsProfit
+                    })))
+                }
+            ], `vehicle_report_${dayKey(periodStart)}_${dayKey(periodEnd)}.xlsx`);
+        }
+
+        successResponse(res, "Vehicle report retrieved successfully", 200, {
+            period: { from: periodStart, to: periodEnd },
+            vehicles: rows,
+            totals: fleetTotals
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,251 @@
+import mongoose from "mongoose";
+import Staff from "../models/Staff.js";
+import Trip from "../models/Trip.js";
+import Ledger from "../models/Ledger.js";
+import Voucher from "../models/Voucher.js";
+import Sequence from "../models/Sequence.js";
+import AppError from "../utils/AppError.js";
+import { successResponse } from "../utils/responseHandler.js";
+import { assertPeriodOpen } from "../services/periodLockService.js";
+import { applyVoucherBalances } from "../services/voucherService.js";
+import { computeStaffWages, getWagesLedger } from "../services/staffService.js";
+
+const staffFields = [
+    'name', 'role', 'mobileNumber', 'address', 'licenceNumber', 'licenceExpiry',
+    'wageType', 'dailyWage', 'tripAllowance'
+];
+
+const pickStaffFields = (body) => Object.fromEntries(
+    staffFields.filter(field => body[field] !== undefined).map(field => [field, body[field] === '' ? null : body[field]])
+);
+
+// Wage period from the query/body; defaults to the current month
+const parsePeriod = (from, to) => {
+    const today = new Date();
+    const startDate = from ? new Date(from) : new Date(today.getFullYear(), today.getMonth(), 1);
+    const endDate = to ? new Date(to) : new Date(today);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new AppError('from and to must be valid dates', 400);
+    }
+    startDate.setHours(0, 0, 0, 0);
+    endDate.setHours(23, 59, 59, 999);
+    return { startDate, endDate };
+};
+
+// Staff filter from a comma separated query value or a body array; null means all staff
+const parseStaffIds = (staff) => {
+    const staffIds = Array.isArray(staff) ? staff : (staff ? String(staff).split(',') : []);
+    if (staffIds.some(staffId => !mongoose.isValidObjectId(staffId))) {
+        throw new AppError('staff must contain valid staff IDs', 400);
+    }
+    return staffIds.length > 0 ? staffIds : null;
+};
+
+export const createStaff = async (req, res, next) => {
+    try {
+        const staff = await Staff.create({
+            ...pickStaffFields(req.body),
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        successResponse(res, "Staff created successfully", 201, staff);
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new AppError('Staff with this licence number already exists', 400));
+        }
+        next(error);
+    }
+};
+
+export const getStaff = async (req, res, next) => {
+    try {
+        const { role, search, licenceExpiringInDays } = req.query;
+        const query = { isActive: true };
+        if (role) query.role = role;
+        if (search) {
+            const regex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            query.$or = [{ name: regex }, { mobileNumber: regex }, { licenceNumber: regex }];
+        }
+        // Licences expiring within the given days (expired ones included)
+        if (licenceExpiringInDays !== undefined) {
+            const until = new Date();
+            until.setDate(until.getDate() + Number(licenceExpiringInDays));
+            query.licenceExpiry = { $lte: until };
+        }
+
+        const staff = await Staff.find(query).sort({ name: 1 });
+        successResponse(res, "Staff fetched successfully", 200, staff);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Staff member with their trip count and latest trips
+export const getStaffById = async (req, res, next) => {
+    try {
+        const staff = await Staff.findOne({ _id: req.params.id, isActive: true });
+        if (!staff) {
+            throw new AppError("Staff not found", 404);
+        }
+
+        const [tripCount, recentTrips] = await Promise.all([
+            Trip.countDocuments({ 'crew.staff': staff._id }),
+            Trip.find({ 'crew.staff': staff._id })
+                .select('tripId date status vehicle route.from route.to')
+                .populate('vehicle', 'vehicleNumber')
+                .sort({ date: -1 })
+                .limit(10)
+        ]);
+
+        successResponse(res, "Staff fetched successfully", 200, { ...staff.toJSON(), tripCount, recentTrips });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const updateStaff = async (req, res, next) => {
+    try {
+        const staff = await Staff.findOne({ _id: req.params.id, isActive: true });
+        if (!staff) {
+            throw new AppError("Staff not found", 404);
+        }
+
+        staff.set(pickStaffFields(req.body));
+        staff.updatedBy = req.user._id;
+        await staff.save();
+
+        successResponse(res, "Staff updated successfully", 200, staff);
+    } catch (error) {
+        if (error.code === 11000) {
+            return next(new AppError('Staff with this licence number already exists', 400));
+        }
+        next(error);
+    }
+};
+
+export const deleteStaff = async (req, res, next) => {
+    try {
+        const staff = await Staff.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { isActive: false, updatedBy: req.user._id },
+            { new: true }
+        );
+
+        if (!staff) {
+            throw new AppError("Staff not found", 404);
+        }
+
+        successResponse(res, "Staff deleted successfully", 200, staff);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Wages per staff member for completed trips in a period, with what is already paid
+export const getStaffWages = async (req, res, next) => {
+    try {
+        const { from, to, staff } = req.query;
+        const { startDate, endDate } = parsePeriod(from, to);
+        const staffIds = parseStaffIds(staff);
+
+        const rows = await computeStaffWages({ startDate, endDate, staffIds });
+
+        successResponse(res, "Staff wages", 200, {
+            period: { from: startDate, to: endDate },
+            staff: rows,
+            totals: {
+                earned: Number(rows.reduce((sum, row) => sum + row.earned, 0).toFixed(2)),
+                paid: Number(rows.reduce((sum, row) => sum + row.paid, 0).toFixed(2)),
+                payable: Number(rows.reduce((sum, row) => sum + row.payable, 0).toFixed(2))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// One voucher per staff member with wages payable in the period, debiting the staff wages ledger
+// and crediting the cash/bank ledger; the trips paid for are marked so they are not paid again
+export const createWageVouchers = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+        session.startTransaction();
+        const { from, to, account, date, staff } = req.body;
+        const { startDate, endDate } = parsePeriod(from, to);
+        const voucherDate = date ? new Date(date) : new Date();
+
+        await assertPeriodOpen(voucherDate, session);
+
+        if (!account) {
+            throw new AppError('Account (Cash or Bank) is required', 400);
+        }
+        const accountLedger = await Ledger.findById(account).session(session);
+        if (!accountLedger) {
+            throw new AppError('Account ledger not found', 404);
+        }
+
+        const staffIds = parseStaffIds(staff);
+        const rows = (await computeStaffWages({ startDate, endDate, staffIds, session })).filter(row => row.payable > 0);
+        if (rows.length === 0) {
+            throw new AppError('No wages payable for the period', 400);
+        }
+
+        const wagesLedger = await getWagesLedger(req.user._id, session);
+        const period = `${startDate.toLocaleDateString('en-IN')} - ${endDate.toLocaleDateString('en-IN')}`;
+
+        const vouchers = [];
+        for (const row of rows) {
+            const voucherNumber = await Sequence.getNextValue('voucherNumber', session);
+            const units = row.staff.wageType === 'daily' ? `${row.unpaidDays} days` : `${row.unpaidTripCount} trips`;
+
+            const voucher = new Voucher({
+                voucherNumber,
+                // Journal with explicit lines: a Payment would treat the wages ledger as the paid party
+                voucherType: 'Journal',
+                date: voucherDate,
+                partyName: row.staff.name,
+                entries: [
+                    { account: wagesLedger.name, accountType: 'ledger', accountId: wagesLedger._id, debitAmount: row.payable, creditAmount: 0 },
+                    { account: accountLedger.name, accountType: 'ledger', accountId: accountLedger._id, debitAmount: 0, creditAmount: row.payable }
+                ],
+                narration: `Wages of ${row.staff.name} (${row.staff.role}) for ${period}, ${units}`,
+                createdBy: req.user._id,
+                updatedBy: req.user._id
+            });
+            await voucher.save({ session });
+            await applyVoucherBalances(voucher, req.user._id, session);
+
+            // One update per trip so each stamp goes through the audit trail
+            const unpaidTrips = row.trips.filter(trip => !trip.wageVoucher).map(trip => trip.tripRef);
+            for (const tripRef of unpaidTrips) {
+                await Trip.updateOne(
+                    { _id: tripRef },
+                    { $set: { 'crew.$[member].wageVoucher': voucher._id } },
+                    { arrayFilters: [{ 'member.staff': row.staff.id, 'member.wageVoucher': null }], session }
+                );
+            }
+
+            vouchers.push({
+                voucherId: voucher._id,
+                voucherNumber,
+                staff: row.staff,
+                amount: row.payable,
+                trips: unpaidTrips.length
+            });
+        }
+
+        await session.commitTransaction();
+
+        successResponse(res, `${vouchers.length} wage vouchers created`, 201, {
+            period: { from: startDate, to: endDate },
+            vouchers,
+            total: Number(vouchers.reduce((sum, voucher) => sum + voucher.amount, 0).toFixed(2))
+        });
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
@@ -1,13 +1,28 @@
+import mongoose from "mongoose";
 import Trip from "../models/Trip.js";
 import Vehicle from "../models/Vehicle.js";
 import User from "../models/User.js";
 import Customer from "../models/Customer.js";
 import Ledger from "../models/Ledger.js";
+import Staff from "../models/Staff.js";
+import Posting from "../models/Posting.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
 import { addToBalance, subtractFromBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
 import { addSaleWhatsappMessage } from "../utils/addSaleWhatsappMessage.js";
 import sendSMS from "../services/sendSMS.js";
+import { postingLine, recordPostings, applyLinesToBalances } from "../services/postingService.js";
+import { assertPeriodOpen } from "../services/periodLockService.js";
+import { enforceCreditLimit } from "../services/creditLimitService.js";
+import { getInvoiceLayout, renderSaleInvoice, sendInvoicePdf } from "../services/invoicePdfService.js";
+import { buildSaleGst, gstPostingLines, applyGstToLedgers } from "../services/gstService.js";
+import { resolveProduct } from "../services/productService.js";
+import { getTripBreadcrumb } from "../services/locationService.js";
+import { assertVehicleCompliant } from "../services/vehicleComplianceService.js";
+import { getServiceDueStatus } from "../services/maintenanceService.js";
+import { resolveDieselFills, syncDieselPostings } from "../services/dieselStationService.js";
+import { applyDieselFlags, notifyFlaggedFills } from "../services/dieselAnomalyService.js";
+import { emitTripEvent, emitVehicleStatus } from "../utils/socket.js";
 
 const buildTransferPopulate = (depth = 3) => {
     if (depth <= 0) return null;
@@ -30,6 +45,110 @@ const buildTransferPopulate = (depth = 3) => {
     return populateConfig;
 };
 
+// Lots named for a sale or stock entry must be purchases of the same trip
+const assertTripLots = (trip, lotIds) => {
+    if (!lotIds) return;
+    if (!Array.isArray(lotIds)) {
+        throw new AppError('selectedLots must be a list of purchase ids', 400);
+    }
+    const purchaseIds = new Set(trip.purchases.map(p => String(p._id)));
+    const unknown = lotIds.filter(lotId => !purchaseIds.has(String(lotId)));
+    if (unknown.length > 0) {
+        throw new AppError(`Purchase lot not found in this trip: ${unknown.join(', ')}`, 400);
+    }
+};
+
+// Planned stops in route order; customers named on a stop must exist
+const buildRouteStops = async (stops, existingStops = [], session = null) => {
+    if (!Array.isArray(stops)) {
+        throw new AppError('Route stops must be a list', 400);
+    }
+
+    const customerIds = [...new Set(stops.filter(stop => stop.customer).map(stop => String(stop.customer)))];
+    if (customerIds.length > 0) {
+        if (customerIds.some(customerId => !mongoose.Types.ObjectId.isValid(customerId))) {
+            throw new AppError('Invalid customer on route stop', 400);
+        }
+        const found = await Customer.countDocuments({ _id: { $in: customerIds }, isActive: true }).session(session);
+        if (found !== customerIds.length) {
+            throw new AppError('Customer on route stop not found', 404);
+        }
+    }
+
+    return stops
+        .map((stop, index) => {
+            if (!stop.location && !stop.customer) {
+                throw new AppError(`Stop ${index + 1} needs a location or a customer`, 400);
+            }
+            // Keep visit details of stops that are already on the trip
+            const existing = stop._id && existingStops.find(s => String(s._id) === String(stop._id));
+            return {
+                ...(existing ? existing.toObject() : {}),
+                sequence: stop.sequence ?? index + 1,
+                location: stop.location || '',
+                customer: stop.customer || undefined,
+                expectedBirds: Number(stop.expectedBirds) || 0,
+                expectedWeight: Number(stop.expectedWeight) || 0,
+                notes: stop.notes ?? existing?.notes ?? ''
+            };
+        })
+        .sort((a, b) => a.sequence - b.sequence);
+};
+
+// A sale can only link to a planned stop of its own trip
+const assertTripStop = (trip, stopId) => {
+    if (!stopId) return;
+    const stop = (trip.route?.stops || []).find(s => String(s._id) === String(stopId));
+    if (!stop) {
+        throw new AppError('Route stop not found in this trip', 400);
+    }
+};
+
+// Staff on the trip from the staff master; the driver/labour names are kept as snapshots.
+// Members already paid for the trip stay on it, and new drivers need a valid licence.
+const buildTripCrew = async (crew, existingCrew = [], tripDate = new Date(), session = null) => {
+    if (!Array.isArray(crew)) {
+        throw new AppError('Crew must be a list', 400);
+    }
+
+    const paidMissing = existingCrew.filter(member => member.wageVoucher &&
+        !crew.some(c => String(c.staff) === String(member.staff)));
+    if (paidMissing.length > 0) {
+        throw new AppError(`Wages already paid for ${paidMissing.map(member => member.name).join(', ')}; they cannot be removed from the trip`, 400);
+    }
+
+    const staffIds = [...new Set(crew.map(member => String(member.staff || '')))];
+    if (staffIds.some(staffId => !mongoose.Types.ObjectId.isValid(staffId))) {
+        throw new AppError('Invalid staff on crew', 400);
+    }
+    const staffList = await Staff.find({ _id: { $in: staffIds }, isActive: true }).session(session);
+    if (staffList.length !== staffIds.length) {
+        throw new AppError('Crew staff not found', 404);
+    }
+
+    const members = staffIds.map(staffId => {
+        const staff = staffList.find(s => String(s._id) === staffId);
+        const existing = existingCrew.find(member => String(member.staff) === staffId);
+        const role = crew.find(member => String(member.staff) === staffId).role || staff.role;
+        if (!existing && role === 'driver' && staff.licenceExpiry && new Date(staff.licenceExpiry) < new Date(tripDate)) {
+            throw new AppError(`Driving licence of ${staff.name} expired on ${new Date(staff.licenceExpiry).toLocaleDateString('en-IN')}`, 400);
+        }
+        return {
+            staff: staff._id,
+            role,
+            name: staff.name,
+            wageVoucher: existing?.wageVoucher
+        };
+    });
+
+    const namesFor = (roles) => members.filter(member => roles.includes(member.role)).map(member => member.name).join(', ');
+    return {
+        crew: members,
+        driver: namesFor(['driver']),
+        labour: namesFor(['labour', 'cleaner'])
+    };
+};
+
 // Create new trip (Supervisor only)
 export const addTrip = async (req, res, next) => {
     try {
@@ -53,6 +172,8 @@ export const addTrip = async (req, res, next) => {
 
         console.log('Final trip data:', tripData);
 
+        await assertPeriodOpen(tripData.date);
+
         // Validate opening odometer reading
         if (!tripData.vehicleReadings?.opening || tripData.vehicleReadings.opening < 0) {
             throw new AppError('Valid opening odometer reading is required', 400);
@@ -63,6 +184,17 @@ export const addTrip = async (req, res, next) => {
             throw new AppError('Start location and end location are required', 400);
         }
 
+        if (tripData.route.stops) {
+            tripData.route.stops = await buildRouteStops(tripData.route.stops);
+        }
+
+        if (tripData.crew) {
+            const { crew, driver, labour } = await buildTripCrew(tripData.crew, [], tripData.date);
+            tripData.crew = crew;
+            tripData.driver = driver || tripData.driver;
+            tripData.labour = labour || tripData.labour || '';
+        }
+
         // Check if vehicle is available
         const vehicle = await Vehicle.findById(tripData.vehicle);
         if (!vehicle) {
@@ -72,17 +204,38 @@ export const addTrip = async (req, res, next) => {
             throw new AppError('Vehicle is not available for new trip', 400);
         }
 
+        // Expired insurance, PUC, tax, fitness or permit blocks the trip unless an admin overrode it
+        const complianceOverride = assertVehicleCompliant(vehicle);
+        if (complianceOverride) {
+            tripData.complianceOverride = complianceOverride;
+        } else {
+            delete tripData.complianceOverride;
+        }
+
         // Set rent per KM from vehicle
         tripData.rentPerKm = vehicle.rentPerKm || 0;
 
+        // Overdue service does not block the trip, but the supervisor is told about it
+        const serviceStatus = await getServiceDueStatus(vehicle._id);
+        let serviceWarning = null;
+        if (serviceStatus?.isOverdue) {
+            const reasons = [];
+            if (serviceStatus.kmOverdue !== null && serviceStatus.kmOverdue >= 0) reasons.push(`${serviceStatus.kmOverdue} km past the ${serviceStatus.nextDueOdometer} km service`);
+            if (serviceStatus.daysOverdue !== null && serviceStatus.daysOverdue >= 0) reasons.push(`${serviceStatus.daysOverdue} days past the due date`);
+            serviceWarning = {
+                message: `Vehicle ${vehicle.vehicleNumber} is due for service: ${reasons.join(', ')}`,
+                ...serviceStatus
+            };
+        }
+
         const trip = new Trip(tripData);
         await trip.save();
 
         // Update vehicle status
-        await Vehicle.findByIdAndUpdate(tripData.vehicle, {
+        const updatedVehicle = await Vehicle.findByIdAndUpdate(tripData.vehicle, {
             currentStatus: 'in-transit',
             updatedBy: req.user._id
-        });
+        }, { new: true });
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type capacityKg')
@@ -90,7 +243,10 @@ export const addTrip = async (req, res, next) => {
             .populate('purchases.supplier', 'vendorName contactNumber')
             .populate('sales.client', 'shopName ownerName contact');
 
-        successResponse(res, "New trip created!", 201, populatedTrip)
+        emitTripEvent('trip:created', trip, { vehicle: updatedVehicle?.vehicleNumber, route: trip.route });
+        if (updatedVehicle) emitVehicleStatus(updatedVehicle, trip.supervisor);
+
+        successResponse(res, "New trip created!", 201, populatedTrip, serviceWarning ? { serviceWarning } : {})
     } catch (error) {
         next(error);
     }
@@ -178,6 +334,10 @@ export const getTripById = async (req, res, next) => {
             .populate('vehicle', 'vehicleNumber type capacity')
             .populate('supervisor', 'name mobileNumber')
             .populate('purchases.supplier', 'vendorName contactNumber')
+            .populate('purchases.productId', 'name category')
+            .populate('summary.productBreakdown.productId', 'name category')
+            .populate('route.stops.customer', 'shopName ownerName contact place')
+            .populate('crew.staff', 'name role mobileNumber licenceNumber licenceExpiry')
             // .populate('sales.client', 'user shopName ownerName contact place')
             .populate('transferHistory.transferredToSupervisor', 'name mobileNumber')
             .populate({
@@ -228,6 +388,24 @@ export const updateTrip = async (req, res, next) => {
             updatedBy: req.user._id
         };
 
+        const existingTrip = await Trip.findById(id).select('date route.stops crew');
+        if (!existingTrip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen([existingTrip.date, updateData.date]);
+
+        // Stops are kept unless the update sends a new plan
+        if (updateData.route) {
+            updateData.route.stops = updateData.route.stops
+                ? await buildRouteStops(updateData.route.stops, existingTrip.route?.stops || [])
+                : existingTrip.route?.stops || [];
+        }
+
+        if (updateData.crew) {
+            const { crew, driver, labour } = await buildTripCrew(updateData.crew, existingTrip.crew || [], updateData.date || existingTrip.date);
+            updateData.crew = crew;
+            updateData.driver = driver || updateData.driver || existingTrip.driver;
+            updateData.labour = labour || updateData.labour || '';
+        }
+
         const trip = await Trip.findByIdAndUpdate(
             id,
             updateData,
@@ -245,35 +423,83 @@ export const updateTrip = async (req, res, next) => {
 
 // Delete trip (Superadmin only)
 export const deleteTrip = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         if (req.user.role !== 'superadmin') {
             throw new AppError('Only superadmin can delete trips', 403);
         }
 
         const { id } = req.params;
-        const trip = await Trip.findById(id);
+        const trip = await Trip.findById(id).session(session);
 
         if (!trip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(trip.date, session);
 
         // Update vehicle status back to idle
+        let updatedVehicle = null;
         if (trip.vehicle) {
-            await Vehicle.findByIdAndUpdate(trip.vehicle, {
+            updatedVehicle = await Vehicle.findByIdAndUpdate(trip.vehicle, {
                 currentStatus: 'idle',
                 updatedBy: req.user._id
-            });
+            }, { new: true, session });
+        }
+
+        // Take the trip's sales off its customers, cash/bank and tax ledgers
+        await reverseSalePostings(trip, req.user._id, session);
+
+        // Take the trip's purchases off its suppliers
+        for (const purchase of trip.purchases) {
+            await syncPurchasePostings(trip, purchase.toObject(), null, req.user._id, session);
         }
 
-        await Trip.findByIdAndDelete(id);
+        // Take the trip's credit diesel fills off the station ledgers
+        const oldFills = trip.diesel.stations.map(fill => fill.toObject());
+        trip.diesel.stations = [];
+        await syncDieselPostings(trip, oldFills, req.user._id, session);
+
+        await Trip.findByIdAndDelete(id, { session });
+
+        await session.commitTransaction();
+        if (updatedVehicle) emitVehicleStatus(updatedVehicle);
 
         successResponse(res, "Trip deleted successfully", 200);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
+// Journal lines for what a trip purchase owes its supplier
+const purchasePostingLines = (purchase, reverse = false) => {
+    if (!purchase?.supplier) return [];
+    return [postingLine('vendor', purchase.supplier, purchase.amount, reverse ? 'debit' : 'credit', 'Trip purchase')];
+};
+
+// Move the supplier balances from a purchase's old state to its new one and journal the change
+const syncPurchasePostings = async (trip, oldPurchase, newPurchase, userId, session = null) => {
+    const oldLines = purchasePostingLines(oldPurchase);
+    const newLines = purchasePostingLines(newPurchase);
+    if (JSON.stringify(oldLines) === JSON.stringify(newLines)) return;
+
+    const lines = [...purchasePostingLines(oldPurchase, true), ...newLines];
+    await applyLinesToBalances(lines, userId, session);
+    await recordPostings(lines, {
+        sourceType: 'trip_purchase',
+        sourceId: trip._id,
+        sourceLineId: (newPurchase || oldPurchase)._id,
+        date: trip.date,
+        userId
+    }, session);
+};
+
 // Add purchase to trip (Supervisor)
 export const addPurchase = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         const purchaseData = req.body;
 
@@ -282,16 +508,21 @@ export const addPurchase = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await Trip.findOne(query).session(session);
         if (!trip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(trip.date, session);
 
         // Prevent adding purchases to transferred trips
         if (trip.type === 'transferred') {
             throw new AppError('Cannot add purchases to transferred trips. This trip contains transferred stock.', 403);
         }
 
+        const product = await resolveProduct(purchaseData.productId, 'bird', session);
+        purchaseData.productId = product ? product._id : undefined;
+
         // Add purchase
         trip.purchases.push(purchaseData);
+        const addedPurchase = trip.purchases[trip.purchases.length - 1];
 
         // Update summary
         trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
@@ -301,21 +532,95 @@ export const addPurchase = async (req, res, next) => {
         trip.updatedBy = req.user._id;
         await trip.save();
 
+        // The purchase is owed to its supplier
+        await syncPurchasePostings(trip, null, addedPurchase, req.user._id, session);
+
+        await session.commitTransaction();
+
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
             .populate('supervisor', 'name mobileNumber')
             .populate('purchases.supplier', 'vendorName contactNumber')
             .populate('sales.client', 'shopName ownerName contact');
 
+        const newPurchase = trip.purchases[trip.purchases.length - 1];
+        emitTripEvent('trip:purchase-added', trip, {
+            purchaseId: newPurchase._id,
+            dcNumber: newPurchase.dcNumber,
+            birds: newPurchase.birds,
+            weight: newPurchase.weight,
+            amount: newPurchase.amount
+        });
+
         successResponse(res, "Purchase added to trip", 200, populatedTrip);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+// Journal lines for a sale's effect on the customer, the cash/bank ledgers and the output tax ledgers
+const salePostingLines = (sale, reverse = false) => {
+    const debit = reverse ? 'credit' : 'debit';
+    const credit = reverse ? 'debit' : 'credit';
+    const lines = [];
+
+    if (sale.client) {
+        lines.push(
+            postingLine('customer', sale.client, sale.isReceipt ? 0 : sale.amount, debit, 'Sale'),
+            postingLine('customer', sale.client, sale.cashPaid, credit, 'By cash receipt'),
+            postingLine('customer', sale.client, sale.onlinePaid, credit, 'By bank receipt'),
+            postingLine('customer', sale.client, sale.discount, credit, 'Discount')
+        );
+    }
+    if (sale.cashLedger) {
+        lines.push(postingLine('ledger', sale.cashLedger, sale.cashPaid, debit, 'Cash received on sale'));
+    }
+    if (sale.onlineLedger) {
+        lines.push(postingLine('ledger', sale.onlineLedger, sale.onlinePaid, debit, 'Online received on sale'));
+    }
+    lines.push(...gstPostingLines(sale.gst, reverse));
+
+    return lines;
+};
+
+// Undo the trip's sales on the customers, cash/bank ledgers and output tax ledgers exactly as the
+// journal recorded them (edits included). Verified payments are journaled on their own and are kept
+const reverseSalePostings = async (trip, userId, session = null) => {
+    const postings = await Posting.find({ sourceType: 'trip_sale', sourceId: trip._id }).session(session).lean();
+
+    const linesBySale = new Map();
+    postings.forEach(p => {
+        const key = String(p.sourceLineId);
+        if (!linesBySale.has(key)) linesBySale.set(key, []);
+        linesBySale.get(key).push(postingLine(p.accountType, p.accountId, p.debit || p.credit, p.debit > 0 ? 'credit' : 'debit', 'Trip deleted'));
+    });
+
+    for (const sale of trip.sales) {
+        const expected = salePostingLines(sale.toObject()).some(line => line.accountId && (line.debit > 0 || line.credit > 0));
+        if (expected && !linesBySale.has(String(sale._id))) {
+            throw new AppError(`Sale ${sale.billNumber || sale._id} was recorded before the postings journal and cannot be reversed automatically. Correct its balances before deleting the trip.`, 400);
+        }
+
+        const lines = linesBySale.get(String(sale._id)) || [];
+        await applyLinesToBalances(lines, userId, session);
+        await recordPostings(lines, {
+            sourceType: 'trip_sale',
+            sourceId: trip._id,
+            sourceLineId: sale._id,
+            date: sale.timestamp || trip.date,
+            userId
+        }, session);
     }
 };
 
 // Add sale to trip (Supervisor)
 export const addSale = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         let saleData = req.body;
         const sendSms = req.body.sendSms; // Extract SMS flag
@@ -336,17 +641,32 @@ export const addSale = async (req, res, next) => {
         if (!saleData.client || saleData.client === '') {
             delete saleData.client;
         }
+        if (!saleData.stop || saleData.stop === '') {
+            delete saleData.stop;
+        }
+        const { overrideCreditLimit, creditOverrideReason, applyGst } = saleData;
+        delete saleData.creditOverride; // Only set by the credit limit check below
+        delete saleData.gst; // Only set from the GST settings below
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await Trip.findOne(query).session(session);
         if (!trip) throw new AppError('Trip not found', 404);
-
-        // Get vendor name from first purchase if purchases exist
-        if (trip.purchases && trip.purchases.length > 0) {
+        await assertPeriodOpen(trip.date, session);
+        assertTripLots(trip, saleData.selectedLots);
+        assertTripStop(trip, saleData.stop);
+
+        // Product sold: as sent, else the product of the first purchase, else the default bird product
+        const saleProduct = await resolveProduct(saleData.productId || trip.purchases[0]?.productId, 'bird', session);
+        if (saleProduct) {
+            saleData.productId = saleProduct._id;
+            saleData.product = saleProduct.name;
+        } else if (trip.purchases && trip.purchases.length > 0) {
+            // No products set up: keep the vendor name from the first purchase
+            delete saleData.productId;
             // Populate supplier if not already populated
             await trip.populate('purchases.supplier', 'vendorName name');
             const firstPurchase = trip.purchases[0];
@@ -355,111 +675,116 @@ export const addSale = async (req, res, next) => {
             }
         }
 
+        // Customer whose balance this sale moved (for the postings journal)
+        let postedCustomer = null;
+        let creditLimitWarning = null;
+
         // Calculate balance for the sale if customer is provided
         if (saleData.client) {
-            try {
-                const customer = await Customer.findById(saleData.client);
-                if (customer) {
-                    // Store the customer's current outstanding balance at the time of sale creation
-                    const customerBalanceSigned = toSignedValue(
-                        customer.outstandingBalance || 0,
-                        customer.outstandingBalanceType || 'debit'
-                    );
-                    saleData.saleOutBalance = customerBalanceSigned; // Store as signed value for calculations
-                    saleData.saleOutBalanceType = customer.outstandingBalanceType || 'debit';
-
-                    const globalOutstandingBalance = customerBalanceSigned; // Use signed value for calculations
-                    const totalPaid = (saleData.onlinePaid || 0) + (saleData.cashPaid || 0);
-                    const discount = saleData.discount || 0;
-
-                    // Check if this is a receipt entry (birds = 0, weight = 0, amount typically 0)
-                    const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
-                        (saleData.weight === 0 || !saleData.weight) &&
-                        (saleData.amount === 0 || !saleData.amount);
-
-                    // Calculate sequential balances for each particular
-                    // Starting balance (before sale/receipt) - use absolute value for display
-                    const startingBalance = Math.abs(globalOutstandingBalance);
-
-                    if (isReceipt) {
-                        // For receipts: No amount is added, only payments are subtracted
-                        // Step 1: RECEIPT particular balance (starting balance, no change since amount=0)
-                        saleData.balanceForSale = Number(startingBalance.toFixed(2));
-
-                        // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
-                        const balanceForCashPaid = startingBalance - (saleData.cashPaid || 0);
-                        saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
-
-                        // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
-                        const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
-                        saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
-
-                        // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
-                        const balanceForDiscount = balanceForOnlinePaid - discount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    } else {
-                        // For regular sales: Add sale amount, then subtract payments
-                        // Step 1: Add sale amount → Balance for SALE particular
-                        const balanceForSale = startingBalance + saleData.amount;
-                        saleData.balanceForSale = Number(balanceForSale.toFixed(2));
-
-                        // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
-                        const balanceForCashPaid = balanceForSale - (saleData.cashPaid || 0);
-                        saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
-
-                        // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
-                        const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
-                        saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
-
-                        // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
-                        const balanceForDiscount = balanceForOnlinePaid - discount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    }
+            const customer = await Customer.findById(saleData.client).session(session);
+            if (customer) {
+                // Store the customer's current outstanding balance at the time of sale creation
+                const customerBalanceSigned = toSignedValue(
+                    customer.outstandingBalance || 0,
+                    customer.outstandingBalanceType || 'debit'
+                );
+                saleData.saleOutBalance = customerBalanceSigned; // Store as signed value for calculations
+                saleData.saleOutBalanceType = customer.outstandingBalanceType || 'debit';
+
+                const globalOutstandingBalance = customerBalanceSigned; // Use signed value for calculations
+                const totalPaid = (saleData.onlinePaid || 0) + (saleData.cashPaid || 0);
+                const discount = saleData.discount || 0;
+
+                // Check if this is a receipt entry (birds = 0, weight = 0, amount typically 0)
+                const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
+                    (saleData.weight === 0 || !saleData.weight) &&
+                    (saleData.amount === 0 || !saleData.amount);
+
+                // Calculate sequential balances for each particular
+                // Starting balance (before sale/receipt) - use absolute value for display
+                const startingBalance = Math.abs(globalOutstandingBalance);
 
-                    // Calculate the final balance after this sale/receipt
-                    // Work with signed values for accurate calculation
-                    let finalBalanceSigned = globalOutstandingBalance;
+                if (isReceipt) {
+                    // For receipts: No amount is added, only payments are subtracted
+                    // Step 1: RECEIPT particular balance (starting balance, no change since amount=0)
+                    saleData.balanceForSale = Number(startingBalance.toFixed(2));
 
-                    if (!isReceipt && saleData.amount > 0) {
-                        finalBalanceSigned = finalBalanceSigned + saleData.amount;
-                    }
+                    // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
+                    const balanceForCashPaid = startingBalance - (saleData.cashPaid || 0);
+                    saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
 
-                    if (saleData.cashPaid > 0) {
-                        finalBalanceSigned = finalBalanceSigned - saleData.cashPaid;
-                    }
+                    // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
+                    const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
+                    saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
 
-                    if (saleData.onlinePaid > 0) {
-                        finalBalanceSigned = finalBalanceSigned - saleData.onlinePaid;
-                    }
+                    // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
+                    const balanceForDiscount = balanceForOnlinePaid - discount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                } else {
+                    // For regular sales: Add sale amount, then subtract payments
+                    // Step 1: Add sale amount → Balance for SALE particular
+                    const balanceForSale = startingBalance + saleData.amount;
+                    saleData.balanceForSale = Number(balanceForSale.toFixed(2));
+
+                    // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
+                    const balanceForCashPaid = balanceForSale - (saleData.cashPaid || 0);
+                    saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
+
+                    // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
+                    const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
+                    saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
+
+                    // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
+                    const balanceForDiscount = balanceForOnlinePaid - discount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                }
 
-                    if (discount > 0) {
-                        finalBalanceSigned = finalBalanceSigned - discount;
-                    }
+                // Calculate the final balance after this sale/receipt
+                // Work with signed values for accurate calculation
+                let finalBalanceSigned = globalOutstandingBalance;
 
-                    // Convert to balance format for storage
-                    const finalBalanceObj = fromSignedValue(finalBalanceSigned);
-                    const finalBalanceDisplay = finalBalanceObj.amount; // For display (always positive)
+                if (!isReceipt && saleData.amount > 0) {
+                    finalBalanceSigned = finalBalanceSigned + saleData.amount;
+                }
 
-                    // Add balance to sale data (use display value)
-                    saleData.balance = Number(finalBalanceDisplay.toFixed(2));
-                    saleData.outstandingBalance = finalBalanceDisplay; // Store balance AFTER this transaction
+                if (saleData.cashPaid > 0) {
+                    finalBalanceSigned = finalBalanceSigned - saleData.cashPaid;
+                }
 
-                    // Update customer's outstanding balance with the final balance
-                    customer.outstandingBalance = finalBalanceObj.amount;
-                    customer.outstandingBalanceType = finalBalanceObj.type;
-                    customer.updatedBy = req.user._id;
-                    await customer.save();
+                if (saleData.onlinePaid > 0) {
+                    finalBalanceSigned = finalBalanceSigned - saleData.onlinePaid;
                 }
-            } catch (error) {
-                console.error('Error calculating sale balance:', error);
-                saleData.balance = 0;
-                saleData.outstandingBalance = 0;
-                saleData.saleOutBalance = 0;
-                saleData.saleOutBalanceType = 'debit';
-                saleData.balanceForSale = 0;
-                saleData.balanceForCashPaid = 0;
-                saleData.balanceForOnlinePaid = 0;
-                saleData.balanceForDiscount = 0;
+
+                if (discount > 0) {
+                    finalBalanceSigned = finalBalanceSigned - discount;
+                }
+
+                // Warn or block when the sale takes the customer over their credit limit
+                if (!isReceipt) {
+                    const creditCheck = await enforceCreditLimit(customer, finalBalanceSigned, {
+                        user: req.user,
+                        override: overrideCreditLimit === true || overrideCreditLimit === 'true',
+                        reason: creditOverrideReason,
+                        session
+                    });
+                    creditLimitWarning = creditCheck.warning;
+                    if (creditCheck.creditOverride) saleData.creditOverride = creditCheck.creditOverride;
+                }
+
+                // Convert to balance format for storage
+                const finalBalanceObj = fromSignedValue(finalBalanceSigned);
+                const finalBalanceDisplay = finalBalanceObj.amount; // For display (always positive)
+
+                // Add balance to sale data (use display value)
+                saleData.balance = Number(finalBalanceDisplay.toFixed(2));
+                saleData.outstandingBalance = finalBalanceDisplay; // Store balance AFTER this transaction
+
+                // Update customer's outstanding balance with the final balance
+                customer.outstandingBalance = finalBalanceObj.amount;
+                customer.outstandingBalanceType = finalBalanceObj.type;
+                customer.updatedBy = req.user._id;
+                await customer.save();
+                postedCustomer = customer._id;
             }
         } else {
             saleData.balance = 0;
@@ -472,8 +797,27 @@ export const addSale = async (req, res, next) => {
             saleData.balanceForDiscount = 0;
         }
 
+        const isReceiptSale = (saleData.birds === 0 || !saleData.birds) &&
+            (saleData.weight === 0 || !saleData.weight) &&
+            (saleData.amount === 0 || !saleData.amount);
+
+        // GST is carved out of the (tax-inclusive) sale amount
+        if ((applyGst === true || applyGst === 'true') && !isReceiptSale) {
+            const gstCustomer = saleData.client
+                ? await Customer.findById(saleData.client).select('gstOrPanNumber').session(session)
+                : null;
+            saleData.gst = await buildSaleGst({
+                amount: saleData.amount,
+                product: saleProduct || 'bird',
+                customerGstin: gstCustomer?.gstOrPanNumber,
+                userId: req.user._id,
+                session
+            });
+        }
+
         // Add sale
         trip.sales.push(saleData);
+        const addedSale = trip.sales[trip.sales.length - 1];
 
         // Summary will be recalculated by pre-save middleware including stock and transfers
         trip.updatedBy = req.user._id;
@@ -492,29 +836,24 @@ export const addSale = async (req, res, next) => {
         });
 
         if (cashLedgerId && cashPaidAmount > 0) {
-            try {
-                const cashLedger = await Ledger.findById(cashLedgerId);
-                if (cashLedger) {
-                    const currentBalance = Number(cashLedger.outstandingBalance) || 0;
-                    const currentType = cashLedger.outstandingBalanceType || 'debit';
-
-                    const newBalance = addToBalance(
-                        currentBalance,
-                        currentType,
-                        cashPaidAmount,
-                        'debit' // Payment received is a debit to the ledger (money coming in)
-                    );
-
-                    cashLedger.outstandingBalance = newBalance.amount;
-                    cashLedger.outstandingBalanceType = newBalance.type;
-                    cashLedger.updatedBy = req.user._id;
-                    await cashLedger.save();
-                } else {
-                    console.error('Cash ledger not found with ID:', cashLedgerId);
-                }
-            } catch (error) {
-                console.error('Error updating cash ledger:', error);
-                // Don't fail the sale if ledger update fails
+            const cashLedger = await Ledger.findById(cashLedgerId).session(session);
+            if (cashLedger) {
+                const currentBalance = Number(cashLedger.outstandingBalance) || 0;
+                const currentType = cashLedger.outstandingBalanceType || 'debit';
+
+                const newBalance = addToBalance(
+                    currentBalance,
+                    currentType,
+                    cashPaidAmount,
+                    'debit' // Payment received is a debit to the ledger (money coming in)
+                );
+
+                cashLedger.outstandingBalance = newBalance.amount;
+                cashLedger.outstandingBalanceType = newBalance.type;
+                cashLedger.updatedBy = req.user._id;
+                await cashLedger.save();
+            } else {
+                throw new AppError('Cash ledger not found', 404);
             }
         }
 
@@ -522,32 +861,49 @@ export const addSale = async (req, res, next) => {
         const onlineLedgerId = saleData.onlineLedger;
 
         if (onlineLedgerId && onlinePaidAmount > 0) {
-            try {
-                const onlineLedger = await Ledger.findById(onlineLedgerId);
-                if (onlineLedger) {
-                    const currentBalance = Number(onlineLedger.outstandingBalance) || 0;
-                    const currentType = onlineLedger.outstandingBalanceType || 'debit';
-
-                    const newBalance = addToBalance(
-                        currentBalance,
-                        currentType,
-                        onlinePaidAmount,
-                        'debit' // Payment received is a debit to the ledger (money coming in)
-                    );
-
-                    onlineLedger.outstandingBalance = newBalance.amount;
-                    onlineLedger.outstandingBalanceType = newBalance.type;
-                    onlineLedger.updatedBy = req.user._id;
-                    await onlineLedger.save();
-                } else {
-                    console.error('Online ledger not found with ID:', onlineLedgerId);
-                }
-            } catch (error) {
-                console.error('Error updating online ledger:', error);
-                // Don't fail the sale if ledger update fails
+            const onlineLedger = await Ledger.findById(onlineLedgerId).session(session);
+            if (onlineLedger) {
+                const currentBalance = Number(onlineLedger.outstandingBalance) || 0;
+                const currentType = onlineLedger.outstandingBalanceType || 'debit';
+
+                const newBalance = addToBalance(
+                    currentBalance,
+                    currentType,
+                    onlinePaidAmount,
+                    'debit' // Payment received is a debit to the ledger (money coming in)
+                );
+
+                onlineLedger.outstandingBalance = newBalance.amount;
+                onlineLedger.outstandingBalanceType = newBalance.type;
+                onlineLedger.updatedBy = req.user._id;
+                await onlineLedger.save();
+            } else {
+                throw new AppError('Online ledger not found', 404);
             }
         }
 
+        await applyGstToLedgers(addedSale.gst, req.user._id, session);
+
+        await recordPostings(salePostingLines({
+            client: postedCustomer,
+            cashLedger: cashLedgerId,
+            onlineLedger: onlineLedgerId,
+            amount: saleData.amount,
+            cashPaid: saleData.cashPaid,
+            onlinePaid: saleData.onlinePaid,
+            discount: saleData.discount,
+            isReceipt: isReceiptSale,
+            gst: addedSale.gst
+        }), {
+            sourceType: 'trip_sale',
+            sourceId: trip._id,
+            sourceLineId: addedSale._id,
+            date: addedSale.timestamp || new Date(),
+            userId: req.user._id
+        }, session);
+
+        await session.commitTransaction();
+
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
             .populate('supervisor', 'name mobileNumber')
@@ -600,7 +956,65 @@ export const addSale = async (req, res, next) => {
             }
         }
 
-        successResponse(res, "Sale added to trip", 200, populatedTrip);
+        const soldTo = populatedTrip.sales[populatedTrip.sales.length - 1]?.client;
+        emitTripEvent('trip:sale-added', trip, {
+            saleId: addedSale._id,
+            billNumber: addedSale.billNumber,
+            customer: soldTo ? (soldTo.shopName || soldTo.ownerName || '') : '',
+            birds: addedSale.birds,
+            weight: addedSale.weight,
+            amount: addedSale.amount
+        });
+
+        successResponse(res, "Sale added to trip", 200, populatedTrip, creditLimitWarning ? { creditLimitWarning } : {});
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+// Printable PDF invoice for a trip sale
+export const getSaleInvoice = async (req, res, next) => {
+    try {
+        const { id, index } = req.params;
+
+        let query = { _id: id };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        }
+
+        const trip = await Trip.findOne(query)
+            .populate('vehicle', 'vehicleNumber')
+            .populate('sales.client', 'shopName ownerName place contact gstOrPanNumber');
+        if (!trip) throw new AppError('Trip not found', 404);
+
+        const saleIndex = parseInt(index);
+        if (isNaN(saleIndex) || saleIndex < 0 || saleIndex >= trip.sales.length) {
+            throw new AppError('Invalid sale index', 400);
+        }
+        const sale = trip.sales[saleIndex];
+
+        const layout = await getInvoiceLayout();
+        const buffer = await renderSaleInvoice({
+            billNumber: sale.billNumber,
+            date: sale.timestamp || trip.date,
+            reference: [trip.tripId && `Trip: ${trip.tripId}`, trip.vehicle?.vehicleNumber && `Vehicle: ${trip.vehicle.vehicleNumber}`].filter(Boolean).join('   '),
+            customer: sale.client || {},
+            birds: sale.birds,
+            weight: sale.weight,
+            avgWeight: sale.avgWeight,
+            rate: sale.rate,
+            amount: sale.amount,
+            cashPaid: sale.cashPaid,
+            onlinePaid: sale.onlinePaid,
+            discount: sale.discount,
+            balance: sale.balanceForDiscount,
+            gst: sale.gst
+        }, layout);
+
+        sendInvoicePdf(res, buffer, sale.billNumber);
     } catch (error) {
         next(error);
     }
@@ -608,7 +1022,9 @@ export const addSale = async (req, res, next) => {
 
 // Edit purchase in trip (Supervisor)
 export const editPurchase = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id, index } = req.params;
         const purchaseData = req.body;
 
@@ -617,8 +1033,9 @@ export const editPurchase = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await Trip.findOne(query).session(session);
         if (!trip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(trip.date, session);
 
         // Prevent editing purchases in transferred trips
         if (trip.type === 'transferred') {
@@ -631,7 +1048,13 @@ export const editPurchase = async (req, res, next) => {
             throw new AppError('Invalid purchase index', 400);
         }
 
+        if (purchaseData.productId !== undefined) {
+            const product = await resolveProduct(purchaseData.productId, 'bird', session);
+            purchaseData.productId = product ? product._id : undefined;
+        }
+
         // Update purchase
+        const oldPurchase = trip.purchases[purchaseIndex].toObject();
         trip.purchases[purchaseIndex] = { ...trip.purchases[purchaseIndex], ...purchaseData };
 
         // Update summary
@@ -644,41 +1067,20 @@ export const editPurchase = async (req, res, next) => {
             trip.summary.totalPurchaseAmount / trip.summary.totalWeightPurchased : 0;
         trip.summary.avgPurchaseRate = Number(avgPurchaseRate.toFixed(2));
 
-        // Recalculate losses that depend on purchase rate
-        if (trip.losses && trip.losses.length > 0) {
-            trip.losses.forEach(loss => {
-                if (loss.quantity && loss.weight) {
-                    loss.avgWeight = Number((loss.weight / loss.quantity).toFixed(2));
-                }
-                // Ensure rate uses average purchase rate (formula: total purchase cost / total purchase weight)
-                if (avgPurchaseRate > 0) {
-                    loss.rate = Number(avgPurchaseRate.toFixed(2));
-                }
-                // Recalculate total loss using updated average purchase rate
-                loss.total = Number((loss.weight * avgPurchaseRate).toFixed(2));
-            });
-            // Update total losses summary
-            trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
-        }
-
-        // Recalculate stocks that depend on purchase rate
-        if (trip.stocks && trip.stocks.length > 0) {
-            trip.stocks.forEach(stock => {
-                if (stock.birds && stock.weight) {
-                    stock.avgWeight = Number((stock.weight / stock.birds).toFixed(2));
-                }
-                // Update stock rate to match current average purchase rate
-                stock.rate = Number(avgPurchaseRate.toFixed(2));
-                // Recalculate stock value using updated average purchase rate
-                stock.value = Number((stock.weight * avgPurchaseRate).toFixed(2));
-            });
-        }
+        // Losses are re-costed from the purchase lots in the pre-save middleware;
+        // stock entries are revalued at the cost of the lots they now come from
+        trip.$locals.revalueStocksAtCost = true;
 
         // Summary will be recalculated by pre-save middleware including stock and transfers
         // Sales profit margins will be recalculated in the middleware
         trip.updatedBy = req.user._id;
         await trip.save();
 
+        // A new amount or supplier moves the payable from the old purchase to the new one
+        await syncPurchasePostings(trip, oldPurchase, trip.purchases[purchaseIndex], req.user._id, session);
+
+        await session.commitTransaction();
+
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
             .populate('supervisor', 'name mobileNumber')
@@ -687,13 +1089,18 @@ export const editPurchase = async (req, res, next) => {
 
         successResponse(res, "Purchase updated successfully", 200, populatedTrip);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
 // Edit sale in trip (Supervisor)
 export const editSale = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id, index } = req.params;
         const saleData = req.body;
         const sendSms = req.body.sendSms; // Extract SMS flag
@@ -708,18 +1115,28 @@ export const editSale = async (req, res, next) => {
         if (!saleData.client || saleData.client === '') {
             delete saleData.client;
         }
+        if (!saleData.stop || saleData.stop === '') {
+            delete saleData.stop;
+        }
         // Do not allow overwriting original sale date on update
         if (saleData.timestamp) {
             delete saleData.timestamp;
         }
+        const { overrideCreditLimit, creditOverrideReason, applyGst } = saleData;
+        delete saleData.creditOverride; // Only set by the credit limit check below
+        delete saleData.gst; // Only set from the GST settings below
+        let creditLimitWarning = null;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await Trip.findOne(query).session(session);
         if (!trip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(trip.date, session);
+        assertTripLots(trip, saleData.selectedLots);
+        assertTripStop(trip, saleData.stop);
 
         // Validate index
         const saleIndex = parseInt(index);
@@ -739,9 +1156,20 @@ export const editSale = async (req, res, next) => {
         const oldIsReceipt = (oldSale?.birds === 0 || !oldSale?.birds) &&
             (oldSale?.weight === 0 || !oldSale?.weight) &&
             (oldSale?.amount === 0 || !oldSale?.amount);
-
-        // Get vendor name from first purchase if purchases exist
-        if (trip.purchases && trip.purchases.length > 0) {
+        const oldGst = oldSale?.gst?.applied ? oldSale.gst.toObject() : null;
+
+        // Product sold: as sent, else the sale's current product, else the first purchase's or the default one
+        const saleProduct = await resolveProduct(
+            saleData.productId || oldSale?.productId || trip.purchases[0]?.productId,
+            'bird',
+            session
+        );
+        if (saleProduct) {
+            saleData.productId = saleProduct._id;
+            saleData.product = saleProduct.name;
+        } else if (trip.purchases && trip.purchases.length > 0) {
+            // No products set up: keep the vendor name from the first purchase
+            delete saleData.productId;
             await trip.populate('purchases.supplier', 'vendorName name');
             const firstPurchase = trip.purchases[0];
             if (firstPurchase.supplier) {
@@ -752,129 +1180,133 @@ export const editSale = async (req, res, next) => {
         // Process customer balance updates if customer is involved
         let customer = null;
         if (saleData.client || oldClient) {
-            try {
-                const customerId = saleData.client || oldClient;
-                customer = await Customer.findById(customerId);
-
-                if (customer) {
-                    // Get the original customer balance at the time of sale creation (saleOutBalance)
-                    // If saleOutBalance doesn't exist (old sales), use current balance as fallback
-                    let saleOutBalanceSigned = oldSale?.saleOutBalance;
-                    if (saleOutBalanceSigned === undefined || saleOutBalanceSigned === null) {
-                        // Fallback: use current customer balance (for old sales without saleOutBalance)
-                        saleOutBalanceSigned = toSignedValue(
-                            customer.outstandingBalance || 0,
-                            customer.outstandingBalanceType || 'debit'
-                        );
-                    }
-
-                    // STEP 1: Reverse old sale's impact from the original saleOutBalance
-                    // Start from the original balance at sale creation time
-                    let currentBalanceSigned = saleOutBalanceSigned;
-
-                    // Reverse old sale amount (if it was a sale, not receipt)
-                    // Sale increases debt, so reversing means subtracting the amount
-                    if (!oldIsReceipt && oldAmount > 0) {
-                        currentBalanceSigned = currentBalanceSigned - oldAmount;
-                    }
+            const customerId = saleData.client || oldClient;
+            customer = await Customer.findById(customerId).session(session);
+
+            if (customer) {
+                // Get the original customer balance at the time of sale creation (saleOutBalance)
+                // If saleOutBalance doesn't exist (old sales), use current balance as fallback
+                let saleOutBalanceSigned = oldSale?.saleOutBalance;
+                if (saleOutBalanceSigned === undefined || saleOutBalanceSigned === null) {
+                    // Fallback: use current customer balance (for old sales without saleOutBalance)
+                    saleOutBalanceSigned = toSignedValue(
+                        customer.outstandingBalance || 0,
+                        customer.outstandingBalanceType || 'debit'
+                    );
+                }
 
-                    // Reverse old payments (add them back - they paid less, so debt was less reduced)
-                    if (oldCashPaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned + oldCashPaid;
-                    }
+                // STEP 1: Reverse old sale's impact from the original saleOutBalance
+                // Start from the original balance at sale creation time
+                let currentBalanceSigned = saleOutBalanceSigned;
 
-                    if (oldOnlinePaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned + oldOnlinePaid;
-                    }
+                // Reverse old sale amount (if it was a sale, not receipt)
+                // Sale increases debt, so reversing means subtracting the amount
+                if (!oldIsReceipt && oldAmount > 0) {
+                    currentBalanceSigned = currentBalanceSigned - oldAmount;
+                }
 
-                    // Reverse old discount (add it back - they got less discount, so debt was less reduced)
-                    if (oldDiscount > 0) {
-                        currentBalanceSigned = currentBalanceSigned + oldDiscount;
-                    }
+                // Reverse old payments (add them back - they paid less, so debt was less reduced)
+                if (oldCashPaid > 0) {
+                    currentBalanceSigned = currentBalanceSigned + oldCashPaid;
+                }
 
-                    // STEP 2: Apply new sale's impact on customer balance
-                    const newAmount = Number(saleData.amount) || 0;
-                    const newCashPaid = Number(saleData.cashPaid) || 0;
-                    const newOnlinePaid = Number(saleData.onlinePaid) || 0;
-                    const newDiscount = Number(saleData.discount) || 0;
-                    const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
-                        (saleData.weight === 0 || !saleData.weight) &&
-                        (newAmount === 0 || !saleData.amount);
-
-                    // Apply new sale amount (if it's a sale, not receipt)
-                    // Sale increases debt, so add the amount
-                    if (!isReceipt && newAmount > 0) {
-                        currentBalanceSigned = currentBalanceSigned + newAmount;
-                    }
+                if (oldOnlinePaid > 0) {
+                    currentBalanceSigned = currentBalanceSigned + oldOnlinePaid;
+                }
 
-                    // Apply new payments (subtract them - they paid more, so debt is more reduced)
-                    if (newCashPaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned - newCashPaid;
-                    }
+                // Reverse old discount (add it back - they got less discount, so debt was less reduced)
+                if (oldDiscount > 0) {
+                    currentBalanceSigned = currentBalanceSigned + oldDiscount;
+                }
 
-                    if (newOnlinePaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned - newOnlinePaid;
-                    }
+                // STEP 2: Apply new sale's impact on customer balance
+                const newAmount = Number(saleData.amount) || 0;
+                const newCashPaid = Number(saleData.cashPaid) || 0;
+                const newOnlinePaid = Number(saleData.onlinePaid) || 0;
+                const newDiscount = Number(saleData.discount) || 0;
+                const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
+                    (saleData.weight === 0 || !saleData.weight) &&
+                    (newAmount === 0 || !saleData.amount);
+
+                // Apply new sale amount (if it's a sale, not receipt)
+                // Sale increases debt, so add the amount
+                if (!isReceipt && newAmount > 0) {
+                    currentBalanceSigned = currentBalanceSigned + newAmount;
+                }
 
-                    // Apply new discount (subtract it - they got more discount, so debt is more reduced)
-                    if (newDiscount > 0) {
-                        currentBalanceSigned = currentBalanceSigned - newDiscount;
-                    }
+                // Apply new payments (subtract them - they paid more, so debt is more reduced)
+                if (newCashPaid > 0) {
+                    currentBalanceSigned = currentBalanceSigned - newCashPaid;
+                }
 
-                    // STEP 3: Calculate sequential balances for display in ledger
-                    // Use absolute value of signed balance for display calculations
-                    const startingBalance = Math.abs(currentBalanceSigned);
-
-                    if (isReceipt) {
-                        // For receipts: No amount is added, only payments are subtracted
-                        saleData.balanceForSale = Number(startingBalance.toFixed(2));
-                        const balanceForCashPaid = startingBalance - newCashPaid;
-                        saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
-                        const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
-                        saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
-                        const balanceForDiscount = balanceForOnlinePaid - newDiscount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    } else {
-                        // For regular sales: Add sale amount, then subtract payments
-                        const balanceForSale = startingBalance + newAmount;
-                        saleData.balanceForSale = Number(balanceForSale.toFixed(2));
-                        const balanceForCashPaid = balanceForSale - newCashPaid;
-                        saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
-                        const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
-                        saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
-                        const balanceForDiscount = balanceForOnlinePaid - newDiscount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    }
+                if (newOnlinePaid > 0) {
+                    currentBalanceSigned = currentBalanceSigned - newOnlinePaid;
+                }
 
-                    // Final balance after this sale/receipt
-                    let finalBalance = saleData.balanceForDiscount;
-                    finalBalance = Math.max(0, finalBalance);
+                // Apply new discount (subtract it - they got more discount, so debt is more reduced)
+                if (newDiscount > 0) {
+                    currentBalanceSigned = currentBalanceSigned - newDiscount;
+                }
 
-                    saleData.balance = Number(finalBalance.toFixed(2));
-                    saleData.outstandingBalance = finalBalance;
+                // STEP 3: Calculate sequential balances for display in ledger
+                // Use absolute value of signed balance for display calculations
+                const startingBalance = Math.abs(currentBalanceSigned);
 
-                    // Store the original balance at sale creation time for future edits
-                    // Use the original saleOutBalance if it exists, otherwise use the starting balance
-                    saleData.saleOutBalance = saleOutBalanceSigned;
-                    saleData.saleOutBalanceType = oldSale?.saleOutBalanceType || customer.outstandingBalanceType || 'debit';
+                if (isReceipt) {
+                    // For receipts: No amount is added, only payments are subtracted
+                    saleData.balanceForSale = Number(startingBalance.toFixed(2));
+                    const balanceForCashPaid = startingBalance - newCashPaid;
+                    saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
+                    const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
+                    saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
+                    const balanceForDiscount = balanceForOnlinePaid - newDiscount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                } else {
+                    // For regular sales: Add sale amount, then subtract payments
+                    const balanceForSale = startingBalance + newAmount;
+                    saleData.balanceForSale = Number(balanceForSale.toFixed(2));
+                    const balanceForCashPaid = balanceForSale - newCashPaid;
+                    saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
+                    const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
+                    saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
+                    const balanceForDiscount = balanceForOnlinePaid - newDiscount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                }
 
-                    // STEP 4: Update customer's actual outstanding balance with the final balance
-                    const finalBalanceObj = fromSignedValue(currentBalanceSigned);
-                    customer.outstandingBalance = finalBalanceObj.amount;
-                    customer.outstandingBalanceType = finalBalanceObj.type;
-                    customer.updatedBy = req.user._id;
-                    await customer.save();
+                // Final balance after this sale/receipt
+                let finalBalance = saleData.balanceForDiscount;
+                finalBalance = Math.max(0, finalBalance);
+
+                saleData.balance = Number(finalBalance.toFixed(2));
+                saleData.outstandingBalance = finalBalance;
+
+                // Store the original balance at sale creation time for future edits
+                // Use the original saleOutBalance if it exists, otherwise use the starting balance
+                saleData.saleOutBalance = saleOutBalanceSigned;
+                saleData.saleOutBalanceType = oldSale?.saleOutBalanceType || customer.outstandingBalanceType || 'debit';
+
+                // Warn or block when the edit raises the customer's balance over their credit limit
+                const storedBalanceSigned = toSignedValue(
+                    customer.outstandingBalance || 0,
+                    customer.outstandingBalanceType || 'debit'
+                );
+                if (!isReceipt && currentBalanceSigned > storedBalanceSigned) {
+                    const creditCheck = await enforceCreditLimit(customer, currentBalanceSigned, {
+                        user: req.user,
+                        override: overrideCreditLimit === true || overrideCreditLimit === 'true',
+                        reason: creditOverrideReason,
+                        session
+                    });
+                    creditLimitWarning = creditCheck.warning;
+                    if (creditCheck.creditOverride) saleData.creditOverride = creditCheck.creditOverride;
                 }
-            } catch (error) {
-                console.error('Error updating customer balance:', error);
-                saleData.balance = 0;
-                saleData.outstandingBalance = 0;
-                saleData.saleOutBalance = 0;
-                saleData.saleOutBalanceType = 'debit';
-                saleData.balanceForSale = 0;
-                saleData.balanceForCashPaid = 0;
-                saleData.balanceForOnlinePaid = 0;
-                saleData.balanceForDiscount = 0;
+
+                // STEP 4: Update customer's actual outstanding balance with the final balance
+                const finalBalanceObj = fromSignedValue(currentBalanceSigned);
+                customer.outstandingBalance = finalBalanceObj.amount;
+                customer.outstandingBalanceType = finalBalanceObj.type;
+                customer.updatedBy = req.user._id;
+                await customer.save();
             }
         } else {
             saleData.balance = 0;
@@ -887,6 +1319,22 @@ export const editSale = async (req, res, next) => {
             saleData.balanceForDiscount = 0;
         }
 
+        // GST follows the edited amount; applyGst in the body switches it on or off
+        const newAmount = Number(saleData.amount) || 0;
+        const newIsReceipt = (saleData.birds === 0 || !saleData.birds) &&
+            (saleData.weight === 0 || !saleData.weight) &&
+            (newAmount === 0 || !saleData.amount);
+        const gstWanted = applyGst === undefined ? !!oldGst : (applyGst === true || applyGst === 'true');
+        saleData.gst = gstWanted && !newIsReceipt
+            ? await buildSaleGst({
+                amount: newAmount,
+                product: saleProduct || 'bird',
+                customerGstin: customer?.gstOrPanNumber,
+                userId: req.user._id,
+                session
+            })
+            : undefined;
+
         // STEP 5: Update sale in trip (preserve original timestamp/date)
         trip.sales[saleIndex] = { ...trip.sales[saleIndex], ...saleData, timestamp: oldSale.timestamp };
 
@@ -901,125 +1349,155 @@ export const editSale = async (req, res, next) => {
 
         // Handle Cash Ledger updates
         if (saleData.cashLedger || oldCashLedger) {
-            try {
-                // If same ledger is used, apply the difference formula
-                if (saleData.cashLedger && oldCashLedger && saleData.cashLedger.toString() === oldCashLedger.toString()) {
-                    const cashLedger = await Ledger.findById(saleData.cashLedger);
-                    if (cashLedger) {
-                        // Formula: outstandingBalance = current + newCashPaid - oldCashPaid
-                        const difference = newCashPaid - oldCashPaid;
-                        if (difference !== 0) {
-                            const currentBalanceSigned = toSignedValue(
-                                cashLedger.outstandingBalance || 0,
-                                cashLedger.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + difference;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            cashLedger.outstandingBalance = newBalance.amount;
-                            cashLedger.outstandingBalanceType = newBalance.type;
-                            cashLedger.updatedBy = req.user._id;
-                            await cashLedger.save();
-                        }
+            // If same ledger is used, apply the difference formula
+            if (saleData.cashLedger && oldCashLedger && saleData.cashLedger.toString() === oldCashLedger.toString()) {
+                const cashLedger = await Ledger.findById(saleData.cashLedger).session(session);
+                if (cashLedger) {
+                    // Formula: outstandingBalance = current + newCashPaid - oldCashPaid
+                    const difference = newCashPaid - oldCashPaid;
+                    if (difference !== 0) {
+                        const currentBalanceSigned = toSignedValue(
+                            cashLedger.outstandingBalance || 0,
+                            cashLedger.outstandingBalanceType || 'debit'
+                        );
+                        const newBalanceSigned = currentBalanceSigned + difference;
+                        const newBalance = fromSignedValue(newBalanceSigned);
+                        cashLedger.outstandingBalance = newBalance.amount;
+                        cashLedger.outstandingBalanceType = newBalance.type;
+                        cashLedger.updatedBy = req.user._id;
+                        await cashLedger.save();
                     }
-                } else {
-                    // Different ledgers: reverse old, apply new
-                    if (oldCashLedger && oldCashPaid > 0) {
-                        const oldCashLedgerDoc = await Ledger.findById(oldCashLedger);
-                        if (oldCashLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                oldCashLedgerDoc.outstandingBalance || 0,
-                                oldCashLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned - oldCashPaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            oldCashLedgerDoc.outstandingBalance = newBalance.amount;
-                            oldCashLedgerDoc.outstandingBalanceType = newBalance.type;
-                            oldCashLedgerDoc.updatedBy = req.user._id;
-                            await oldCashLedgerDoc.save();
-                        }
+                }
+            } else {
+                // Different ledgers: reverse old, apply new
+                if (oldCashLedger && oldCashPaid > 0) {
+                    const oldCashLedgerDoc = await Ledger.findById(oldCashLedger).session(session);
+                    if (oldCashLedgerDoc) {
+                        const currentBalanceSigned = toSignedValue(
+                            oldCashLedgerDoc.outstandingBalance || 0,
+                            oldCashLedgerDoc.outstandingBalanceType || 'debit'
+                        );
+                        const newBalanceSigned = currentBalanceSigned - oldCashPaid;
+                        const newBalance = fromSignedValue(newBalanceSigned);
+                        oldCashLedgerDoc.outstandingBalance = newBalance.amount;
+                        oldCashLedgerDoc.outstandingBalanceType = newBalance.type;
+                        oldCashLedgerDoc.updatedBy = req.user._id;
+                        await oldCashLedgerDoc.save();
                     }
-                    if (saleData.cashLedger && newCashPaid > 0) {
-                        const newCashLedgerDoc = await Ledger.findById(saleData.cashLedger);
-                        if (newCashLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                newCashLedgerDoc.outstandingBalance || 0,
-                                newCashLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + newCashPaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            newCashLedgerDoc.outstandingBalance = newBalance.amount;
-                            newCashLedgerDoc.outstandingBalanceType = newBalance.type;
-                            newCashLedgerDoc.updatedBy = req.user._id;
-                            await newCashLedgerDoc.save();
-                        }
+                }
+                if (saleData.cashLedger && newCashPaid > 0) {
+                    const newCashLedgerDoc = await Ledger.findById(saleData.cashLedger).session(session);
+                    if (newCashLedgerDoc) {
+                        const currentBalanceSigned = toSignedValue(
+                            newCashLedgerDoc.outstandingBalance || 0,
+                            newCashLedgerDoc.outstandingBalanceType || 'debit'
+                        );
+                        const newBalanceSigned = currentBalanceSigned + newCashPaid;
+                        const newBalance = fromSignedValue(newBalanceSigned);
+                        newCashLedgerDoc.outstandingBalance = newBalance.amount;
+                        newCashLedgerDoc.outstandingBalanceType = newBalance.type;
+                        newCashLedgerDoc.updatedBy = req.user._id;
+                        await newCashLedgerDoc.save();
                     }
                 }
-            } catch (error) {
-                console.error('Error updating cash ledger:', error);
             }
         }
 
         // STEP 7: Update Bank Account Ledger
         // Formula: outstandingBalance = current outstandingBalance + newOnlinePaid - oldOnlinePaid
         if (saleData.onlineLedger || oldOnlineLedger) {
-            try {
-                // If same ledger is used, apply the difference formula
-                if (saleData.onlineLedger && oldOnlineLedger && saleData.onlineLedger.toString() === oldOnlineLedger.toString()) {
-                    const onlineLedger = await Ledger.findById(saleData.onlineLedger);
-                    if (onlineLedger) {
-                        // Formula: outstandingBalance = current + newOnlinePaid - oldOnlinePaid
-                        const difference = newOnlinePaid - oldOnlinePaid;
-                        if (difference !== 0) {
-                            const currentBalanceSigned = toSignedValue(
-                                onlineLedger.outstandingBalance || 0,
-                                onlineLedger.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + difference;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            onlineLedger.outstandingBalance = newBalance.amount;
-                            onlineLedger.outstandingBalanceType = newBalance.type;
-                            onlineLedger.updatedBy = req.user._id;
-                            await onlineLedger.save();
-                        }
+            // If same ledger is used, apply the difference formula
+            if (saleData.onlineLedger && oldOnlineLedger && saleData.onlineLedger.toString() === oldOnlineLedger.toString()) {
+                const onlineLedger = await Ledger.findById(saleData.onlineLedger).session(session);
+                if (onlineLedger) {
+                    // Formula: outstandingBalance = current + newOnlinePaid - oldOnlinePaid
+                    const difference = newOnlinePaid - oldOnlinePaid;
+                    if (difference !== 0) {
+                        const currentBalanceSigned = toSignedValue(
+                            onlineLedger.outstandingBalance || 0,
+                            onlineLedger.outstandingBalanceType || 'debit'
+                        );
+                        const newBalanceSigned = currentBalanceSigned + difference;
+                        const newBalance = fromSignedValue(newBalanceSigned);
+                        onlineLedger.outstandingBalance = newBalance.amount;
+                        onlineLedger.outstandingBalanceType = newBalance.type;
+                        onlineLedger.updatedBy = req.user._id;
+                        await onlineLedger.save();
                     }
-                } else {
-                    // Different ledgers: reverse old, apply new
-                    if (oldOnlineLedger && oldOnlinePaid > 0) {
-                        const oldOnlineLedgerDoc = await Ledger.findById(oldOnlineLedger);
-                        if (oldOnlineLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                oldOnlineLedgerDoc.outstandingBalance || 0,
-                                oldOnlineLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned - oldOnlinePaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            oldOnlineLedgerDoc.outstandingBalance = newBalance.amount;
-                            oldOnlineLedgerDoc.outstandingBalanceType = newBalance.type;
-                            oldOnlineLedgerDoc.updatedBy = req.user._id;
-                            await oldOnlineLedgerDoc.save();
-                        }
+                }
+            } else {
+                // Different ledgers: reverse old, apply new
+                if (oldOnlineLedger && oldOnlinePaid > 0) {
+                    const oldOnlineLedgerDoc = await Ledger.findById(oldOnlineLedger).session(session);
+                    if (oldOnlineLedgerDoc) {
+                        const currentBalanceSigned = toSignedValue(
+                            oldOnlineLedgerDoc.outstandingBalance || 0,
+                            oldOnlineLedgerDoc.outstandingBalanceType || 'debit'
+                        );
+                        const newBalanceSigned = currentBalanceSigned - oldOnlinePaid;
+                        const newBalance = fromSignedValue(newBalanceSigned);
+                        oldOnlineLedgerDoc.outstandingBalance = newBalance.amount;
+                        oldOnlineLedgerDoc.outstandingBalanceType = newBalance.type;
+                        oldOnlineLedgerDoc.updatedBy = req.user._id;
+                        await oldOnlineLedgerDoc.save();
                     }
-                    if (saleData.onlineLedger && newOnlinePaid > 0) {
-                        const newOnlineLedgerDoc = await Ledger.findById(saleData.onlineLedger);
-                        if (newOnlineLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                newOnlineLedgerDoc.outstandingBalance || 0,
-                                newOnlineLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + newOnlinePaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            newOnlineLedgerDoc.outstandingBalance = newBalance.amount;
-                            newOnlineLedgerDoc.outstandingBalanceType = newBalance.type;
-                            newOnlineLedgerDoc.updatedBy = req.user._id;
-                            await newOnlineLedgerDoc.save();
-                        }
+                }
+                if (saleData.onlineLedger && newOnlinePaid > 0) {
+                    const newOnlineLedgerDoc = await Ledger.findById(saleData.onlineLedger).session(session);
+                    if (newOnlineLedgerDoc) {
+                        const currentBalanceSigned = toSignedValue(
+                            newOnlineLedgerDoc.outstandingBalance || 0,
+                            newOnlineLedgerDoc.outstandingBalanceType || 'debit'
+                        );
+                        const newBalanceSigned = currentBalanceSigned + newOnlinePaid;
+                        const newBalance = fromSignedValue(newBalanceSigned);
+                        newOnlineLedgerDoc.outstandingBalance = newBalance.amount;
+                        newOnlineLedgerDoc.outstandingBalanceType = newBalance.type;
+                        newOnlineLedgerDoc.updatedBy = req.user._id;
+                        await newOnlineLedgerDoc.save();
                     }
                 }
-            } catch (error) {
-                console.error('Error updating online ledger:', error);
             }
         }
 
+        // Move the sale's tax between the output tax ledgers
+        await applyGstToLedgers(oldGst, req.user._id, session, true);
+        await applyGstToLedgers(saleData.gst, req.user._id, session);
+
+        // STEP 8: Reverse the old sale's postings and post the edited sale
+        await recordPostings([
+            ...salePostingLines({
+                client: oldClient,
+                cashLedger: oldCashLedger,
+                onlineLedger: oldOnlineLedger,
+                amount: oldAmount,
+                cashPaid: oldCashPaid,
+                onlinePaid: oldOnlinePaid,
+                discount: oldDiscount,
+                isReceipt: oldIsReceipt,
+                gst: oldGst
+            }, true),
+            ...salePostingLines({
+                client: customer ? customer._id : null,
+                cashLedger: saleData.cashLedger,
+                onlineLedger: saleData.onlineLedger,
+                amount: newAmount,
+                cashPaid: newCashPaid,
+                onlinePaid: newOnlinePaid,
+                discount: Number(saleData.discount) || 0,
+                isReceipt: newIsReceipt,
+                gst: saleData.gst
+            })
+        ], {
+            sourceType: 'trip_sale',
+            sourceId: trip._id,
+            sourceLineId: oldSale._id,
+            date: oldSale.timestamp || new Date(),
+            userId: req.user._id
+        }, session);
+
+        await session.commitTransaction();
+
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
             .populate('supervisor', 'name mobileNumber')
@@ -1065,9 +1543,12 @@ export const editSale = async (req, res, next) => {
             }
         }
 
-        successResponse(res, "Sale updated successfully", 200, populatedTrip);
+        successResponse(res, "Sale updated successfully", 200, populatedTrip, creditLimitWarning ? { creditLimitWarning } : {});
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
@@ -1094,6 +1575,7 @@ export const addDeathBirds = async (req, res, next) => {
         if (!trip) {
             return errorResponse(res, "Trip not found or access denied", 404);
         }
+        await assertPeriodOpen(trip.date);
 
         // Calculate purchase totals to determine avgPurchaseRate
         const totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
@@ -1156,7 +1638,9 @@ export const addDeathBirds = async (req, res, next) => {
 
 // Update trip diesel (Supervisor)
 export const updateTripDiesel = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { stations } = req.body;
 
         let query = { _id: req.params.id };
@@ -1164,21 +1648,32 @@ export const updateTripDiesel = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await Trip.findOne(query).session(session);
 
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date, session);
 
-        trip.diesel.stations = stations;
-        trip.diesel.totalVolume = stations.reduce((sum, station) => sum + (station.volume || 0), 0);
-        trip.diesel.totalAmount = stations.reduce((sum, station) => sum + (station.amount || 0), 0);
+        // Fills link to their diesel station; credit fills post to the station's ledger
+        const oldFills = trip.diesel.stations.map(fill => fill.toObject());
+        trip.diesel.stations = await resolveDieselFills(stations, oldFills, req.user._id, session);
+        trip.diesel.totalVolume = trip.diesel.stations.reduce((sum, station) => sum + (station.volume || 0), 0);
+        trip.diesel.totalAmount = trip.diesel.stations.reduce((sum, station) => sum + (station.amount || 0), 0);
+        const flaggedFills = await applyDieselFlags(trip, oldFills, session);
         trip.updatedBy = req.user._id;
         trip.updatedAt = new Date();
 
-        await trip.save();
+        await trip.save({ session });
+        await syncDieselPostings(trip, oldFills, req.user._id, session);
+
+        await session.commitTransaction();
+        notifyFlaggedFills(trip, flaggedFills).catch(error => console.error('Diesel fill notification failed:', error));
 
         successResponse(res, 'Trip diesel updated!', 200, trip)
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error)
+    } finally {
+        session.endSession();
     }
 };
 
@@ -1195,6 +1690,7 @@ export const updateTripExpenses = async (req, res, next) => {
         const trip = await Trip.findOne(query);
 
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
 
         trip.expenses = expenses;
         trip.summary.totalExpenses = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
@@ -1203,6 +1699,11 @@ export const updateTripExpenses = async (req, res, next) => {
 
         await trip.save();
 
+        emitTripEvent('trip:expense-added', trip, {
+            expenseCount: trip.expenses.length,
+            totalExpenses: trip.summary.totalExpenses
+        });
+
         successResponse(res, "Trip expenses updated!", 200, trip);
     } catch (error) {
         next(error)
@@ -1222,6 +1723,7 @@ export const editExpense = async (req, res, next) => {
 
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(trip.date);
 
         // Validate index
         const expenseIndex = parseInt(index);
@@ -1252,7 +1754,9 @@ export const editExpense = async (req, res, next) => {
 
 // Edit diesel station in trip (Supervisor)
 export const editDieselStation = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id, index } = req.params;
         const stationData = req.body;
 
@@ -1261,8 +1765,9 @@ export const editDieselStation = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await Trip.findOne(query).session(session);
         if (!trip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(trip.date, session);
 
         // Validate index
         const stationIndex = parseInt(index);
@@ -1271,7 +1776,14 @@ export const editDieselStation = async (req, res, next) => {
         }
 
         // Update diesel station
-        trip.diesel.stations[stationIndex] = { ...trip.diesel.stations[stationIndex], ...stationData };
+        const oldFills = trip.diesel.stations.map(fill => fill.toObject());
+        const editedFill = { ...oldFills[stationIndex], ...stationData, _id: oldFills[stationIndex]._id };
+        // A new station or name replaces the old link
+        if (stationData.station === undefined && (stationData.stationName !== undefined || stationData.name !== undefined)) {
+            delete editedFill.station;
+        }
+        const [resolvedFill] = await resolveDieselFills([editedFill], oldFills, req.user._id, session);
+        trip.diesel.stations[stationIndex] = resolvedFill;
 
         // Update diesel totals
         trip.diesel.totalVolume = trip.diesel.stations.reduce((sum, station) => sum + (station.volume || 0), 0);
@@ -1280,8 +1792,15 @@ export const editDieselStation = async (req, res, next) => {
         // Update summary
         trip.summary.totalDieselAmount = trip.diesel.totalAmount;
 
+        // Flag rates off the station price, volumes above the tank and unusual km/l for review
+        const flaggedFills = await applyDieselFlags(trip, oldFills, session);
+
         trip.updatedBy = req.user._id;
-        await trip.save();
+        await trip.save({ session });
+        await syncDieselPostings(trip, oldFills, req.user._id, session);
+
+        await session.commitTransaction();
+        notifyFlaggedFills(trip, flaggedFills).catch(error => console.error('Diesel fill notification failed:', error));
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -1291,7 +1810,10 @@ export const editDieselStation = async (req, res, next) => {
 
         successResponse(res, "Diesel station updated successfully", 200, populatedTrip);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 }
 
@@ -1308,6 +1830,7 @@ export const completeTrip = async (req, res, next) => {
         const trip = await Trip.findOne(query);
 
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
 
         // Validate and update vehicle readings
         if (trip.vehicleReadings.opening && closingOdometer < trip.vehicleReadings.opening) {
@@ -1324,6 +1847,12 @@ export const completeTrip = async (req, res, next) => {
         // Calculate total diesel amount
         trip.dieselAmount = trip.diesel.totalAmount || 0;
 
+        // Distance from the location pings, to compare with the odometer
+        const breadcrumb = await getTripBreadcrumb(trip);
+        if (breadcrumb.pingCount > 1) {
+            trip.vehicleReadings.gpsDistance = breadcrumb.gpsDistance;
+        }
+
         // Update completion details
         trip.completionDetails = {
             completedAt: new Date(),
@@ -1397,20 +1926,30 @@ export const completeTrip = async (req, res, next) => {
             trip.summary.fuelEfficiency = Number((trip.vehicleReadings.totalDistance / trip.diesel.totalVolume).toFixed(2));
         }
 
+        // The distance is known now, so km/l can be checked against the vehicle's usual band
+        const flaggedFills = await applyDieselFlags(trip, trip.diesel.stations.map(fill => fill.toObject()));
+
         trip.status = 'completed';
         trip.updatedBy = req.user._id;
         trip.updatedAt = new Date();
 
         await trip.save();
+        notifyFlaggedFills(trip, flaggedFills).catch(error => console.error('Diesel fill notification failed:', error));
 
         // Update vehicle status back to idle
         if (trip.vehicle) {
-            await Vehicle.findByIdAndUpdate(trip.vehicle, {
+            const updatedVehicle = await Vehicle.findByIdAndUpdate(trip.vehicle, {
                 currentStatus: 'idle',
                 updatedBy: req.user._id
-            });
+            }, { new: true });
+            if (updatedVehicle) emitVehicleStatus(updatedVehicle, trip.supervisor);
         }
 
+        emitTripEvent('trip:completed', trip, {
+            netProfit: trip.summary.netProfit,
+            totalDistance: trip.vehicleReadings.totalDistance
+        });
+
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
             .populate('supervisor', 'name mobileNumber')
@@ -1437,6 +1976,9 @@ export const addStock = async (req, res, next) => {
 
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
+
+        assertTripLots(trip, stockData.selectedLots);
 
         // Calculate avgWeight and value
         const avgWeight = stockData.birds > 0 ? stockData.weight / stockData.birds : 0;
@@ -1450,7 +1992,8 @@ export const addStock = async (req, res, next) => {
             value: value,
             rate: stockData.rate,
             addedAt: new Date(),
-            notes: stockData.notes || ''
+            notes: stockData.notes || '',
+            selectedLots: stockData.selectedLots || []
         };
 
         trip.stocks.push(newStock);
@@ -1480,12 +2023,15 @@ export const updateStock = async (req, res, next) => {
 
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
 
         const stockIndex = parseInt(index);
         if (stockIndex < 0 || stockIndex >= trip.stocks.length) {
             throw new AppError('Invalid stock index!', 400);
         }
 
+        assertTripLots(trip, stockData.selectedLots);
+
         // Calculate avgWeight and value
         const avgWeight = stockData.birds > 0 ? stockData.weight / stockData.birds : 0;
         const value = stockData.weight * stockData.rate;
@@ -1498,7 +2044,8 @@ export const updateStock = async (req, res, next) => {
             avgWeight: avgWeight,
             value: value,
             rate: stockData.rate,
-            notes: stockData.notes || ''
+            notes: stockData.notes || '',
+            ...(stockData.selectedLots !== undefined && { selectedLots: stockData.selectedLots })
         };
 
         // Save the trip to trigger pre-save middleware for recalculations
@@ -1525,6 +2072,7 @@ export const deleteStock = async (req, res, next) => {
 
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
 
         const stockIndex = parseInt(index);
         if (stockIndex < 0 || stockIndex >= trip.stocks.length) {
@@ -1607,6 +2155,7 @@ export const updateTripStatus = async (req, res, next) => {
 
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
 
         // Update trip status
         trip.status = status;
@@ -1621,6 +2170,89 @@ export const updateTripStatus = async (req, res, next) => {
     }
 };
 
+// Replace the planned stops of a trip (stops sent with their _id keep their visit details)
+export const updateRouteStops = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { stops } = req.body;
+
+        let query = { _id: id };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        }
+
+        const trip = await Trip.findOne(query);
+        if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
+
+        if (trip.status === 'completed') {
+            throw new AppError('Cannot change stops of a completed trip', 400);
+        }
+
+        const newStops = await buildRouteStops(stops, trip.route?.stops || []);
+        const keptIds = new Set(newStops.filter(stop => stop._id).map(stop => String(stop._id)));
+        const removedWithSales = (trip.route?.stops || []).filter(stop =>
+            !keptIds.has(String(stop._id)) && trip.sales.some(sale => sale.stop && String(sale.stop) === String(stop._id))
+        );
+        if (removedWithSales.length > 0) {
+            throw new AppError('Cannot remove a stop that has sales linked to it', 400);
+        }
+
+        trip.route.stops = newStops;
+        trip.updatedBy = req.user._id;
+        await trip.save();
+
+        const populatedTrip = await Trip.findById(trip._id).populate('route.stops.customer', 'shopName ownerName contact');
+        successResponse(res, "Route stops updated successfully", 200, populatedTrip.route.stops);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Mark a planned stop as visited, partial or skipped
+export const updateStopStatus = async (req, res, next) => {
+    try {
+        const { id, stopId } = req.params;
+        const { status, visitedAt, odometer, notes } = req.body;
+
+        const validStatuses = ['planned', 'visited', 'partial', 'skipped'];
+        if (!validStatuses.includes(status)) {
+            throw new AppError('Invalid status. Must be one of: planned, visited, partial, skipped', 400);
+        }
+
+        let query = { _id: id };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        }
+
+        const trip = await Trip.findOne(query);
+        if (!trip) throw new AppError('Trip not found!', 404);
+        await assertPeriodOpen(trip.date);
+
+        const stop = trip.route?.stops?.id(stopId);
+        if (!stop) throw new AppError('Route stop not found', 404);
+
+        if (odometer !== undefined && odometer !== null && odometer !== '') {
+            const reading = Number(odometer);
+            if (isNaN(reading) || reading < (trip.vehicleReadings?.opening || 0)) {
+                throw new AppError('Stop odometer reading cannot be less than the opening reading', 400);
+            }
+            stop.odometer = reading;
+        }
+
+        stop.status = status;
+        stop.visitedAt = status === 'planned' ? undefined : (visitedAt ? new Date(visitedAt) : new Date());
+        if (notes !== undefined) stop.notes = notes;
+
+        trip.updatedBy = req.user._id;
+        await trip.save();
+
+        successResponse(res, "Route stop updated successfully", 200, stop);
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Transfer trip to another supervisor
 export const transferTrip = async (req, res, next) => {
     try {
@@ -1641,6 +2273,7 @@ export const transferTrip = async (req, res, next) => {
         const originalTrip = await Trip.findOne(query)
             .populate('purchases.supplier', 'vendorName name');
         if (!originalTrip) throw new AppError('Trip not found', 404);
+        await assertPeriodOpen(originalTrip.date);
 
         // Get vendor name from first purchase of original trip
         let vendorNameFromOriginalTrip = '';
@@ -1690,6 +2323,7 @@ export const transferTrip = async (req, res, next) => {
         if (vehicle.currentStatus !== 'idle') {
             throw new AppError('Vehicle is not available for new trip', 400);
         }
+        const complianceOverride = assertVehicleCompliant(vehicle);
 
         // Calculate average weight and rate for transfer
         const avgWeight = transferBirds.weight / transferBirds.birds;
@@ -1711,6 +2345,7 @@ export const transferTrip = async (req, res, next) => {
             },
             rentPerKm: vehicle.rentPerKm || 0,
             transferredFrom: originalTrip._id,
+            ...(complianceOverride && { complianceOverride }),
             // Add transferred birds as purchase record
             purchases: [{
                 supplier: null, // No actual supplier - this is transferred stock
@@ -1732,10 +2367,10 @@ export const transferTrip = async (req, res, next) => {
         await newTrip.save();
 
         // Update vehicle status for new trip
-        await Vehicle.findByIdAndUpdate(vehicleId, {
+        const updatedVehicle = await Vehicle.findByIdAndUpdate(vehicleId, {
             currentStatus: 'in-transit',
             updatedBy: req.user._id
-        });
+        }, { new: true });
 
         // Update original trip summary to reflect transferred birds
         // Note: We don't remove from actual purchases/sales/stock, just track the transfer
@@ -1784,6 +2419,17 @@ export const transferTrip = async (req, res, next) => {
             .populate('purchases.supplier', 'vendorName contactNumber')
             .populate('transferredFrom', 'tripId');
 
+        // Both supervisors hear about the transfer
+        const transferDetails = {
+            fromTrip: originalTrip._id,
+            toTrip: newTrip._id,
+            birds: transferBirds.birds,
+            weight: transferBirds.weight
+        };
+        emitTripEvent('trip:transferred', originalTrip, transferDetails);
+        emitTripEvent('trip:transferred', newTrip, transferDetails);
+        if (updatedVehicle) emitVehicleStatus(updatedVehicle, newTrip.supervisor);
+
         successResponse(res, "Trip transferred successfully", 200, {
             originalTrip: populatedOriginalTrip,
             newTrip: populatedNewTrip,
@@ -1798,6 +2444,30 @@ export const transferTrip = async (req, res, next) => {
     }
 };
 
+// Location breadcrumb of a trip, with its distance next to the odometer distance
+export const getTripLocations = async (req, res, next) => {
+    try {
+        let query = { _id: req.params.id };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        }
+
+        const trip = await Trip.findOne(query).select('tripId status vehicle vehicleReadings');
+        if (!trip) throw new AppError('Trip not found!', 404);
+
+        const breadcrumb = await getTripBreadcrumb(trip);
+
+        successResponse(res, "Trip locations retrieved successfully", 200, {
+            tripId: trip.tripId,
+            status: trip.status,
+            vehicle: trip.vehicle,
+            ...breadcrumb
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Get trip transfer history
 export const getTripTransferHistory = async (req, res, next) => {
     try {
@@ -1840,7 +2510,7 @@ export const getTripTransferHistory = async (req, res, next) => {
 export const completeTripDetails = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { driver, labour, route, vehicleReadings } = req.body;
+        const { driver, labour, crew, route, vehicleReadings } = req.body;
 
         // Only supervisor can complete their own trip details
         let query = { _id: id };
@@ -1850,6 +2520,7 @@ export const completeTripDetails = async (req, res, next) => {
 
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found or access denied', 404);
+        await assertPeriodOpen(trip.date);
 
         // Validate it's a transferred trip
         if (trip.type !== 'transferred') {
@@ -1857,7 +2528,8 @@ export const completeTripDetails = async (req, res, next) => {
         }
 
         // Validate required fields
-        if (!driver || !route?.from || !route?.to || !vehicleReadings?.opening) {
+        const assignedCrew = crew ? await buildTripCrew(crew, trip.crew || [], trip.date) : null;
+        if (!(assignedCrew?.driver || driver) || !route?.from || !route?.to || !vehicleReadings?.opening) {
             throw new AppError('Driver, route locations, and opening odometer are required', 400);
         }
 
@@ -1866,12 +2538,14 @@ export const completeTripDetails = async (req, res, next) => {
         }
 
         // Update trip details
-        trip.driver = driver;
-        trip.labour = labour || '';
+        if (assignedCrew) trip.crew = assignedCrew.crew;
+        trip.driver = assignedCrew?.driver || driver;
+        trip.labour = assignedCrew?.labour || labour || '';
         trip.route = {
             from: route.from,
             to: route.to,
-            distance: route.distance || 0
+            distance: route.distance || 0,
+            stops: route.stops ? await buildRouteStops(route.stops, trip.route?.stops || []) : trip.route?.stops || []
         };
         // trip.place = place || '';
         trip.vehicleReadings.opening = vehicleReadings.opening;
@@ -1,4 +1,14 @@
+import mongoose from "mongoose";
 import Vehicle from "../models/Vehicle.js";
+import VehicleLocation from "../models/VehicleLocation.js";
+import Trip from "../models/Trip.js";
+import { emitVehicleStatus } from "../utils/socket.js";
+import {
+    getComplianceSettings,
+    findExpiringDocuments,
+    getExpiredDocuments,
+    hasActiveComplianceOverride
+} from "../services/vehicleComplianceService.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
 
@@ -56,6 +66,9 @@ export const updateVehicle = async (req, res, next) => {
         if (!updatedVehicle) {
             throw new AppError("Vehicle not found!", 404);
         }
+        if (data.currentStatus !== undefined) {
+            emitVehicleStatus(updatedVehicle);
+        }
         successResponse(res, "Vehicle updated!", 200, updatedVehicle)
     } catch (error) {
         next(error);
@@ -79,4 +92,230 @@ export const deleteVehicle = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+const toPing = (point) => {
+    const lng = Number(point.lng);
+    const lat = Number(point.lat);
+    if (isNaN(lng) || isNaN(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+        throw new AppError("Valid lng and lat are required", 400);
+    }
+    const recordedAt = point.recordedAt ? new Date(point.recordedAt) : new Date();
+    if (isNaN(recordedAt.getTime())) {
+        throw new AppError("Invalid recordedAt", 400);
+    }
+    return {
+        location: { type: "Point", coordinates: [lng, lat] },
+        accuracy: point.accuracy,
+        speed: point.speed,
+        heading: point.heading,
+        recordedAt
+    };
+};
+
+// Location ping from the supervisor's phone: one point, or queued points sent together as `points`
+export const addVehicleLocation = async (req, res, next) => {
+    const { id } = req?.params;
+    try {
+        const vehicle = await Vehicle.findOne({ _id: id, isActive: true });
+        if (!vehicle) {
+            throw new AppError("Vehicle not found!", 404);
+        }
+
+        // Pings belong to the vehicle's running trip
+        const tripQuery = { vehicle: vehicle._id, status: { $ne: 'completed' } };
+        if (req.body.tripId) tripQuery._id = req.body.tripId;
+        if (req.user.role === 'supervisor') tripQuery.supervisor = req.user._id;
+        const trip = await Trip.findOne(tripQuery).sort({ date: -1 }).select('_id');
+        if (!trip && req.user.role === 'supervisor') {
+            throw new AppError("No running trip of yours found for this vehicle", 400);
+        }
+
+        const points = (Array.isArray(req.body.points) ? req.body.points : [req.body]).map(toPing);
+        if (points.length === 0) {
+            throw new AppError("At least one location point is required", 400);
+        }
+        const pings = await VehicleLocation.insertMany(points.map(point => ({
+            ...point,
+            vehicle: vehicle._id,
+            trip: trip?._id,
+            recordedBy: req.user._id
+        })));
+
+        // Vehicle keeps its latest known position
+        const latest = points.reduce((a, b) => (b.recordedAt > a.recordedAt ? b : a));
+        await Vehicle.updateOne(
+            {
+                _id: vehicle._id,
+                $or: [{ locationUpdatedAt: { $exists: false } }, { locationUpdatedAt: { $lt: latest.recordedAt } }]
+            },
+            { location: latest.location, locationUpdatedAt: latest.recordedAt }
+        );
+
+        successResponse(res, "Location recorded", 201, pings);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Vehicles whose last reported position is within radiusKm of a point, nearest first
+export const getNearbyVehicles = async (req, res, next) => {
+    try {
+        const lng = Number(req.query.lng);
+        const lat = Number(req.query.lat);
+        const radiusKm = req.query.radiusKm !== undefined ? Number(req.query.radiusKm) : 10;
+        if (isNaN(lng) || isNaN(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+            throw new AppError("Valid lng and lat are required", 400);
+        }
+        if (isNaN(radiusKm) || radiusKm <= 0) {
+            throw new AppError("radiusKm must be a positive number", 400);
+        }
+
+        const vehicles = await Vehicle.aggregate([
+            {
+                $geoNear: {
+                    near: { type: "Point", coordinates: [lng, lat] },
+                    distanceField: "distanceMeters",
+                    maxDistance: radiusKm * 1000,
+                    spherical: true,
+                    query: { isActive: true, locationUpdatedAt: { $exists: true } }
+                }
+            },
+            {
+                $project: {
+                    vehicleNumber: 1,
+                    type: 1,
+                    currentStatus: 1,
+                    location: 1,
+                    locationUpdatedAt: 1,
+                    distanceKm: { $round: [{ $divide: ["$distanceMeters", 1000] }, 2] }
+                }
+            }
+        ]);
+
+        successResponse(res, "Nearby vehicles", 200, vehicles);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Recent pings of a vehicle, optionally for one trip
+export const getVehicleLocations = async (req, res, next) => {
+    const { id } = req?.params;
+    try {
+        const { tripId, from, to, limit = 500 } = req.query;
+        const query = { vehicle: id };
+        if (tripId) {
+            if (!mongoose.Types.ObjectId.isValid(tripId)) {
+                throw new AppError("Invalid trip id", 400);
+            }
+            query.trip = tripId;
+        }
+        if (from || to) {
+            query.recordedAt = {};
+            if (from) query.recordedAt.$gte = new Date(from);
+            if (to) query.recordedAt.$lte = new Date(to);
+        }
+
+        const pings = await VehicleLocation.find(query)
+            .sort({ recordedAt: -1 })
+            .limit(Math.min(parseInt(limit) || 500, 5000))
+            .lean();
+
+        successResponse(res, "Vehicle locations", 200, pings);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Documents expiring within the largest alert window, soonest first
+export const getVehicleCompliance = async (req, res, next) => {
+    try {
+        const settings = await getComplianceSettings();
+        const days = req.query.days !== undefined ? Number(req.query.days) : Math.max(0, ...settings.alertDays);
+        if (isNaN(days) || days < 0) {
+            throw new AppError("days must be a non-negative number", 400);
+        }
+
+        const items = await findExpiringDocuments([days]);
+        const documents = items.map(item => ({
+            vehicleId: item.vehicle._id,
+            vehicleNumber: item.vehicle.vehicleNumber,
+            currentStatus: item.vehicle.currentStatus,
+            document: item.field,
+            label: item.label,
+            endDate: item.endDate,
+            daysLeft: item.daysLeft,
+            isExpired: item.daysLeft < 0
+        }));
+
+        successResponse(res, "Vehicle compliance", 200, {
+            days,
+            alertDays: settings.alertDays,
+            documents,
+            expiredCount: documents.filter(doc => doc.isExpired).length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Let a vehicle with expired documents start trips until validUntil (admin only)
+export const setComplianceOverride = async (req, res, next) => {
+    const { id } = req?.params;
+    try {
+        const { reason, validUntil } = req.body;
+        if (!reason || !String(reason).trim()) {
+            throw new AppError("Reason is required for a compliance override", 400);
+        }
+
+        // Defaults to the end of today
+        const until = validUntil ? new Date(validUntil) : new Date();
+        if (isNaN(until.getTime())) {
+            throw new AppError("Invalid validUntil date", 400);
+        }
+        if (!validUntil) until.setHours(23, 59, 59, 999);
+        if (until < new Date()) {
+            throw new AppError("validUntil must be in the future", 400);
+        }
+
+        const vehicle = await Vehicle.findOne({ _id: id, isActive: true });
+        if (!vehicle) {
+            throw new AppError("Vehicle not found!", 404);
+        }
+
+        vehicle.complianceOverride = {
+            reason: String(reason).trim(),
+            validUntil: until,
+            overriddenBy: req.user._id,
+            overriddenAt: new Date()
+        };
+        vehicle.updatedBy = req.user._id;
+        await vehicle.save();
+
+        successResponse(res, "Compliance override saved", 200, {
+            vehicle,
+            expiredDocuments: getExpiredDocuments(vehicle),
+            overrideActive: hasActiveComplianceOverride(vehicle)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const clearComplianceOverride = async (req, res, next) => {
+    const { id } = req?.params;
+    try {
+        const vehicle = await Vehicle.findOneAndUpdate(
+            { _id: id, isActive: true },
+            { $unset: { complianceOverride: 1 }, updatedBy: req.user._id },
+            { new: true }
+        );
+        if (!vehicle) {
+            throw new AppError("Vehicle not found!", 404);
+        }
+
+        successResponse(res, "Compliance override removed", 200, vehicle);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -9,6 +9,8 @@ import AppError from "../utils/AppError.js";
 
 
 import { syncOutstandingBalance } from "../utils/balanceUtils.js";
+import { isEntryForAccount, entryAccountConditions } from "../utils/voucherEntryUtils.js";
+import { getFinancialYearForDate, getCarriedOpenings } from "../services/financialYearService.js";
 
 export const addVendor = async (req, res, next) => {
     try {
@@ -230,9 +232,7 @@ export const getVendorLedger = async (req, res, next) => {
                         }
                     }
                 },
-                {
-                    'entries.account': vendor.vendorName
-                }
+                ...entryAccountConditions('vendor', id, [vendor.vendorName])
             ],
             isActive: true,
             ...dateQuery
@@ -279,13 +279,22 @@ export const getVendorLedger = async (req, res, next) => {
         }
 
         if (startDate && filterType !== 'PURCHASE') {
+            // Once the previous year is closed its carried opening stands in for everything before the year
+            const prevDate = { $lt: new Date(startDate) };
+            const financialYear = await getFinancialYearForDate(prevDate.$lt);
+            const carriedOpening = (await getCarriedOpenings(financialYear)).get(`vendor:${vendor._id}`);
+            if (carriedOpening !== undefined) {
+                periodOpeningBalance = -carriedOpening;
+                prevDate.$gte = new Date(financialYear.startDate);
+            }
+
             // Fetch all previous trips
             // ... (Only fetch previous balances if NOT filtering for specific records)
             // Fetch all previous trips
             const prevTrips = await Trip.find({
                 'purchases.supplier': id,
                 status: 'completed',
-                date: { $lt: new Date(startDate) }
+                date: prevDate
             }).lean();
 
             // Fetch all previous vouchers
@@ -300,12 +309,10 @@ export const getVendorLedger = async (req, res, next) => {
                             }
                         }
                     },
-                    {
-                        'entries.account': vendor.vendorName
-                    }
+                    ...entryAccountConditions('vendor', id, [vendor.vendorName])
                 ],
                 isActive: true,
-                date: { $lt: new Date(startDate) }
+                date: prevDate
             }).lean();
 
             // Fetch all previous Indirect Sales
@@ -313,22 +320,15 @@ export const getVendorLedger = async (req, res, next) => {
                 vendor: id,
                 isActive: true,
                 // status: 'completed',
-                date: { $lt: new Date(startDate) }
+                date: prevDate
             }).lean().populate('customer', '_id shopName ownerName');
 
             // Calculate impact of previous transactions
             for (const trip of prevTrips) {
                 const purchases = trip.purchases.filter(p => p.supplier && p.supplier.toString() === id);
                 for (const purchase of purchases) {
-                    let tripAmount = purchase.amount || 0;
-
-                    // Logic to deduct TDS from previous trips calculation if applicable
-                    if (vendor.tdsApplicable && (vendor.tdsUpdatedAt && new Date(trip.date) > new Date(vendor.tdsUpdatedAt))) {
-                        const tdsAmount = tripAmount * 0.001; // 0.1% TDS
-                        tripAmount -= tdsAmount;
-                    }
-
-                    periodOpeningBalance += tripAmount; // Purchase increases payable (Credit), net of TDS
+                    // Purchase increases payable (Credit); TDS is deducted on the payment voucher
+                    periodOpeningBalance += purchase.amount || 0;
                 }
             }
 
@@ -337,7 +337,7 @@ export const getVendorLedger = async (req, res, next) => {
                 let type = 'debit'; // default to reducing payable
 
                 if (voucher.voucherType === 'Journal') {
-                    const entry = voucher.entries.find(e => e.account === vendor.vendorName);
+                    const entry = voucher.entries.find(e => isEntryForAccount(e, 'vendor', id, [vendor.vendorName]));
                     if (entry) {
                         if (entry.creditAmount > 0) {
                             amount = entry.creditAmount;
@@ -374,17 +374,11 @@ export const getVendorLedger = async (req, res, next) => {
             const prevStocks = await InventoryStock.find({
                 vendorId: id,
                 type: { $in: ['purchase', 'opening'] },
-                date: { $lt: new Date(startDate) }
+                date: prevDate
             }).lean();
 
             for (const stock of prevStocks) {
-                let stockAmount = stock.amount || 0;
-                // Add TDS logic if needed here too, assuming consistent 
-                if (vendor.tdsApplicable && (vendor.tdsUpdatedAt && new Date(stock.date) > new Date(vendor.tdsUpdatedAt))) {
-                    const tdsAmount = stockAmount * 0.001;
-                    stockAmount -= tdsAmount;
-                }
-                periodOpeningBalance += stockAmount;
+                periodOpeningBalance += stock.amount || 0;
             }
         }
 
@@ -396,12 +390,6 @@ export const getVendorLedger = async (req, res, next) => {
             const purchases = trip.purchases.filter(p => p.supplier && p.supplier._id.toString() === id);
 
             purchases.forEach((purchase, index) => {
-                // Calculate TDS for current period trips
-                let lessTDS = 0;
-                if (vendor.tdsApplicable && (vendor.tdsUpdatedAt && new Date(trip.date) > new Date(vendor.tdsUpdatedAt))) {
-                    lessTDS = (purchase.amount || 0) * 0.001; // 0.1% TDS
-                }
-
                 ledgerEntries.push({
                     _id: trip._id,
                     uniqueId: `TRIP-${trip._id}-${purchase._id || index}`, // Ensure unique ID for multiple purchases
@@ -419,7 +407,6 @@ export const getVendorLedger = async (req, res, next) => {
                     avgWeight: purchase.avgWeight,
                     rate: purchase.rate,
                     amount: purchase.amount,
-                    lessTDS: lessTDS,
                     tripId: trip.tripId,
                     voucherNo: '-',
                     timestamp: new Date(trip.date).getTime()
@@ -448,7 +435,6 @@ export const getVendorLedger = async (req, res, next) => {
                     avgWeight: purchase.avg || (purchase.birds > 0 ? purchase.weight / purchase.birds : 0),
                     rate: purchase.rate,
                     amount: purchase.amount,
-                    lessTDS: 0,
                     tripId: '-',
                     voucherNo: sale.invoiceNumber || '-',
                     timestamp: new Date(sale.date).getTime()
@@ -458,11 +444,6 @@ export const getVendorLedger = async (req, res, next) => {
 
         // Process Inventory Stocks
         for (const stock of inventoryStocks) {
-            let lessTDS = 0;
-            if (vendor.tdsApplicable && (vendor.tdsUpdatedAt && new Date(stock.date) > new Date(vendor.tdsUpdatedAt))) {
-                lessTDS = (stock.amount || 0) * 0.001;
-            }
-
             ledgerEntries.push({
                 _id: stock._id,
                 uniqueId: `STOCK-${stock._id}`,
@@ -480,7 +461,6 @@ export const getVendorLedger = async (req, res, next) => {
                 avgWeight: stock.avgWeight || (stock.birds > 0 ? stock.weight / stock.birds : 0),
                 rate: stock.rate,
                 amount: stock.amount,
-                lessTDS: lessTDS,
                 tripId: '-',
                 voucherNo: '-', // Could use RefNo if needed
                 timestamp: new Date(stock.date).getTime(),
@@ -494,7 +474,7 @@ export const getVendorLedger = async (req, res, next) => {
             let amountType = 'debit'; // default
 
             if (voucher.voucherType === 'Journal') {
-                const entry = voucher.entries.find(e => e.account === vendor.vendorName);
+                const entry = voucher.entries.find(e => isEntryForAccount(e, 'vendor', id, [vendor.vendorName]));
                 if (entry) {
                     if (entry.creditAmount > 0) {
                         amount = entry.creditAmount;
@@ -530,7 +510,6 @@ export const getVendorLedger = async (req, res, next) => {
                     avgWeight: 0,
                     rate: 0,
                     amount: amount,
-                    lessTDS: 0,
                     tripId: '-',
                     voucherNo: voucher.voucherNumber ? `VCH-${voucher.voucherNumber}` : '-',
                     timestamp: new Date(voucher.date).getTime(),
@@ -564,7 +543,6 @@ export const getVendorLedger = async (req, res, next) => {
             avgWeight: 0,
             rate: 0,
             amount: 0,
-            lessTDS: 0,
             tripId: '-',
             voucherNo: '-',
             balance: periodOpeningBalance,
@@ -574,9 +552,6 @@ export const getVendorLedger = async (req, res, next) => {
         const transactionEntries = ledgerEntries.map(entry => {
             if (entry.type === 'PURCHASE') {
                 runningBalance += entry.amount; // Credit (Payable increases)
-                if (entry.lessTDS) {
-                    runningBalance -= entry.lessTDS; // Reduce payable by TDS amount
-                }
             } else if (entry.amountType === 'credit') {
                 runningBalance += entry.amount; // Journal Credit increases Payable
             } else if (entry.amountType === 'debit' || entry.type === 'PAYMENT' || entry.type === 'RECEIPT') {
@@ -611,21 +586,6 @@ export const getVendorLedger = async (req, res, next) => {
                 + inventoryStocks.reduce((sum, s) => sum + (s.amount || 0), 0)
         };
 
-        // Update Vendor Outstanding Balance (Only if no date filter is applied)
-        if (!startDate && !endDate && calculatedEntries.length > 0) {
-            const finalLedgerBalance = calculatedEntries[calculatedEntries.length - 1].balance;
-            const newBalanceType = finalLedgerBalance >= 0 ? 'credit' : 'debit';
-            const newBalanceAmount = Math.abs(finalLedgerBalance);
-
-            // Only update if different to avoid unnecessary writes
-            if (vendor.outstandingBalance !== newBalanceAmount || vendor.outstandingBalanceType !== newBalanceType) {
-                await Vendor.findByIdAndUpdate(id, {
-                    outstandingBalance: newBalanceAmount,
-                    outstandingBalanceType: newBalanceType
-                });
-            }
-        }
-
         successResponse(res, "Vendor ledger fetched successfully", 200, {
             ledger: paginatedEntries,
             pagination: {
@@ -3,15 +3,22 @@ import Customer from "../models/Customer.js";
 import Vendor from "../models/Vendor.js";
 import Ledger from "../models/Ledger.js";
 import Sequence from "../models/Sequence.js";
+import Trip from "../models/Trip.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 import mongoose from "mongoose";
-import { addToBalance, subtractFromBalance } from "../utils/balanceUtils.js";
+import { applyVoucherBalances } from "../services/voucherService.js";
+import { assertPeriodOpen } from "../services/periodLockService.js";
+import { computeVoucherTds } from "../services/tdsService.js";
 
 export const createVoucher = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { voucherType, date, party, partyName, parties, account, entries, narration } = req.body;
 
+        await assertPeriodOpen(date || new Date(), session);
+
         const isPaymentOrReceipt = voucherType === 'Payment' || voucherType === 'Receipt';
 
         // Validate required fields based on voucher type
@@ -64,7 +71,10 @@ export const createVoucher = async (req, res, next) => {
             }
         }
 
-        const nextVoucherNumber = await Sequence.getNextValue('voucherNumber');
+        // Deduct TDS for TDS-applicable vendors (payments) and customers (receipts)
+        const tds = isPaymentOrReceipt ? await computeVoucherTds(voucherType, parties, req.user._id, session) : null;
+
+        const nextVoucherNumber = await Sequence.getNextValue('voucherNumber', session);
 
         // Generate partyName for Payment/Receipt vouchers from parties array
         let generatedPartyName = null;
@@ -101,8 +111,9 @@ export const createVoucher = async (req, res, next) => {
             date: date || new Date(),
             party: party || null,
             partyName: partyName || generatedPartyName || (partyData ? partyData.shopName || partyData.vendorName : null),
-            parties: isPaymentOrReceipt ? parties : undefined,
+            parties: isPaymentOrReceipt ? tds.parties : undefined,
             account: isPaymentOrReceipt ? account : undefined,
+            tdsLedger: tds ? tds.tdsLedger : undefined,
             entries: entries || [],
             narration,
             createdBy: req.user._id,
@@ -110,184 +121,11 @@ export const createVoucher = async (req, res, next) => {
         };
 
         const voucher = new Voucher(voucherData);
-        const savedVoucher = await voucher.save();
-
-        // Update balances for Payment/Receipt vouchers (always update for these voucher types)
-        if (isPaymentOrReceipt) {
-            // Update party outstanding balances (customers, ledgers, or vendors)
-            for (let partyItem of parties) {
-                try {
-                    const partyType = partyItem.partyType || 'customer'; // Default to customer for backward compatibility
-
-                    if (partyType === 'customer') {
-                        const customer = await Customer.findById(partyItem.partyId);
-                        if (customer) {
-                            // Payment: customer balance increases (debit to customer - we owe them)
-                            // Receipt: customer balance decreases (credit to customer - they pay us)
-                            const transactionType = voucherType === 'Payment' ? 'debit' : 'credit';
-                            const newBalance = addToBalance(
-                                customer.outstandingBalance || 0,
-                                customer.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            customer.outstandingBalance = newBalance.amount;
-                            customer.outstandingBalanceType = newBalance.type;
-                            customer.updatedBy = req.user._id;
-                            await customer.save();
-                        }
-                    } else if (partyType === 'ledger') {
-                        const ledger = await Ledger.findById(partyItem.partyId);
-                        if (ledger) {
-                            // Payment: ledger balance decreases (credit to ledger)
-                            // Receipt: ledger balance increases (debit to ledger)
-                            const transactionType = voucherType === 'Payment' ? 'credit' : 'debit';
-                            const newBalance = addToBalance(
-                                ledger.outstandingBalance || 0,
-                                ledger.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            ledger.outstandingBalance = newBalance.amount;
-                            ledger.outstandingBalanceType = newBalance.type;
-                            ledger.updatedBy = req.user._id;
-                            await ledger.save();
-                        }
-                    } else if (partyType === 'vendor') {
-                        // Vendors might have ledgers, check if vendor has a ledger
-                        const vendorLedger = await Ledger.findOne({ vendor: partyItem.partyId });
-                        if (vendorLedger) {
-                            // Payment: vendor ledger balance decreases (credit to ledger)
-                            // Receipt: vendor ledger balance increases (debit to ledger)
-                            const transactionType = voucherType === 'Payment' ? 'credit' : 'debit';
-                            const newBalance = addToBalance(
-                                vendorLedger.outstandingBalance || 0,
-                                vendorLedger.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            vendorLedger.outstandingBalance = newBalance.amount;
-                            vendorLedger.outstandingBalanceType = newBalance.type;
-                            vendorLedger.updatedBy = req.user._id;
-                            await vendorLedger.save();
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error updating ${partyItem.partyType || 'party'} balance for party ${partyItem.partyId}:`, error);
-                    // Continue with other parties even if one fails
-                }
-            }
+        const savedVoucher = await voucher.save({ session });
 
-            // Update account ledger balance
-            try {
-                const accountLedger = await Ledger.findById(account);
-                if (accountLedger) {
-                    // Payment: account balance decreases (credit to account)
-                    // Receipt: account balance increases (debit to account)
-                    const totalAmount = parties.reduce((sum, p) => sum + p.amount, 0);
-                    const transactionType = voucherType === 'Payment' ? 'credit' : 'debit';
-                    const newBalance = addToBalance(
-                        accountLedger.outstandingBalance || 0,
-                        accountLedger.outstandingBalanceType || 'debit',
-                        totalAmount,
-                        transactionType
-                    );
-
-                    accountLedger.outstandingBalance = newBalance.amount;
-                    accountLedger.outstandingBalanceType = newBalance.type;
-                    accountLedger.updatedBy = req.user._id;
-                    await accountLedger.save();
-                }
-            } catch (error) {
-                console.error('Error updating account ledger balance:', error);
-                // Don't fail the voucher creation if balance update fails
-            }
-        } else {
-            // Update balances for Contra/Journal vouchers
-            // These vouchers use 'entries' array with 'account' (ledger name), 'debitAmount', 'creditAmount'
-            if (entries && entries.length > 0) {
-                for (let entry of entries) {
-                    try {
-                        // Find account doc (Ledger, Customer, or Vendor)
-                        // Try Ledger by slug or name
-                        let accountDoc = await Ledger.findOne({
-                            $or: [
-                                { slug: entry.account },
-                                { name: entry.account }
-                            ]
-                        });
-                        let accountType = 'ledger';
-
-                        if (!accountDoc) {
-                            // Try Customer
-                            accountDoc = await Customer.findOne({
-                                $or: [
-                                    { shopName: entry.account },
-                                    { ownerName: entry.account }
-                                ]
-                            });
-                            accountType = 'customer';
-                        }
+        await applyVoucherBalances(savedVoucher, req.user._id, session);
 
-                        if (!accountDoc) {
-                            // Try Vendor
-                            accountDoc = await Vendor.findOne({ vendorName: entry.account });
-                            accountType = 'vendor';
-                        }
-
-                        if (accountDoc) {
-                            const debitAmount = entry.debitAmount || 0;
-                            const creditAmount = entry.creditAmount || 0;
-
-                            if (debitAmount > 0) {
-                                // Debit transaction - Money IN / Receivables Increase
-                                const newBalance = addToBalance(
-                                    accountDoc.outstandingBalance || 0,
-                                    accountDoc.outstandingBalanceType || 'debit',
-                                    debitAmount,
-                                    'debit'
-                                );
-                                accountDoc.outstandingBalance = newBalance.amount;
-                                accountDoc.outstandingBalanceType = newBalance.type;
-                                accountDoc.updatedBy = req.user._id;
-                                await accountDoc.save();
-                            }
-
-                            if (creditAmount > 0) {
-                                // Credit transaction - Money OUT / Payables Increase
-                                // For Asset accounts/Receivables (Debit balance), Credit means DECREASE
-                                // For Liability accounts/Payables (Credit balance), Credit means INCREASE
-
-                                // We use subtractFromBalance with 'debit' transaction type to effectively REDUCE a debit balance
-                                // If the account is already 'credit' (liability), subtractFromBalance handles the math correctly 
-                                // (Credit - (-Debit) = Credit + Debit) -> Wait, logic check:
-                                // subtractFromBalance(amount, type, subtractAmount, subType)
-                                // If current is 100 Credit. We want to ADD 10 Credit.
-                                // subtract(100, Credit, 10, Debit) -> -100 - (10) = -110 -> 110 Credit. Correct.
-
-                                const newBalance = subtractFromBalance(
-                                    accountDoc.outstandingBalance || 0,
-                                    accountDoc.outstandingBalanceType || 'debit',
-                                    creditAmount,
-                                    'debit' // Treating the subtraction as removing 'debit' value
-                                );
-                                accountDoc.outstandingBalance = newBalance.amount;
-                                accountDoc.outstandingBalanceType = newBalance.type;
-                                accountDoc.updatedBy = req.user._id;
-                                await accountDoc.save();
-                            }
-                        } else {
-                            console.warn(`Account not found for name: ${entry.account}`);
-                        }
-                    } catch (error) {
-                        console.error(`Error updating ledger balance for entry account ${entry.account}:`, error);
-                    }
-                }
-            }
-        }
+        await session.commitTransaction();
 
         // Populate party data for response
         const populatedVoucher = await Voucher.findById(savedVoucher._id)
@@ -299,7 +137,10 @@ export const createVoucher = async (req, res, next) => {
 
         successResponse(res, "Voucher created successfully", 201, populatedVoucher);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
@@ -386,14 +227,17 @@ export const getVoucherById = async (req, res, next) => {
 };
 
 export const updateVoucher = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
         const { voucherType, date, party, partyName, parties, account, entries, narration } = req.body;
 
-        const voucher = await Voucher.findById(id);
+        const voucher = await Voucher.findOne({ _id: id, isActive: true }).session(session);
         if (!voucher) {
             throw new AppError('Voucher not found', 404);
         }
+        await assertPeriodOpen([voucher.date, date], session);
 
         const isPaymentOrReceipt = voucherType === 'Payment' || voucherType === 'Receipt';
 
@@ -447,27 +291,85 @@ export const updateVoucher = async (req, res, next) => {
             generatedPartyName = partyNames.length > 0 ? partyNames.join(', ') : null;
         }
 
+        // Recompute TDS on the new parties, keeping certificates already recorded against a party
+        let tds = null;
+        if (isPaymentOrReceipt && parties) {
+            tds = await computeVoucherTds(voucherType, parties, req.user._id, session);
+            tds.parties.forEach(partyItem => {
+                const previous = (voucher.parties || []).find(p => String(p.partyId) === String(partyItem.partyId));
+                if (!partyItem.tdsCertificate && previous && previous.tdsCertificate && previous.tdsCertificate.number) {
+                    partyItem.tdsCertificate = previous.tdsCertificate;
+                }
+            });
+        }
+
         const updateData = {
             ...(voucherType && { voucherType }),
             ...(date && { date }),
             ...(party !== undefined && { party: party || null }),
             partyName: partyName || generatedPartyName || (partyData ? partyData.shopName || partyData.vendorName : null),
-            ...(isPaymentOrReceipt && parties && { parties }),
+            ...(tds && { parties: tds.parties, tdsLedger: tds.tdsLedger }),
             ...(isPaymentOrReceipt && account && { account }),
             ...(entries && { entries }),
             ...(narration !== undefined && { narration }),
             updatedBy: req.user._id
         };
 
-        const updatedVoucher = await Voucher.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('party', 'shopName vendorName')
+        // Undo the old postings, save the new version and post it again
+        await applyVoucherBalances(voucher, req.user._id, session, true);
+
+        voucher.set(updateData);
+        await voucher.save();
+
+        await applyVoucherBalances(voucher, req.user._id, session);
+
+        await session.commitTransaction();
+
+        const updatedVoucher = await Voucher.findById(id)
+            .populate('party', 'shopName vendorName')
             .populate('createdBy', 'name')
             .populate('updatedBy', 'name');
 
         successResponse(res, "Voucher updated successfully", 200, updatedVoucher);
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        next(error);
+    } finally {
+        session.endSession();
+    }
+};
+
+// Record the TDS certificate (Form 16A) for a party on a Payment/Receipt voucher
+export const updateTdsCertificate = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { partyId, certificateNumber, certificateDate } = req.body;
+
+        const voucher = await Voucher.findOne({ _id: id, isActive: true });
+        if (!voucher) {
+            throw new AppError('Voucher not found', 404);
+        }
+        await assertPeriodOpen(voucher.date);
+
+        const partyItem = (voucher.parties || []).find(p => String(p.partyId) === String(partyId));
+        if (!partyItem) {
+            throw new AppError('Party not found on this voucher', 404);
+        }
+        if (!partyItem.tdsAmount) {
+            throw new AppError('No TDS was deducted for this party', 400);
+        }
+        if (!certificateNumber) {
+            throw new AppError('Certificate number is required', 400);
+        }
+
+        partyItem.tdsCertificate = {
+            number: certificateNumber,
+            date: certificateDate || new Date()
+        };
+        voucher.updatedBy = req.user._id;
+        await voucher.save();
+
+        successResponse(res, "TDS certificate recorded", 200, voucher);
     } catch (error) {
         next(error);
     }
@@ -483,22 +385,43 @@ export const getNextVoucherNumber = async (req, res, next) => {
 };
 
 export const deleteVoucher = async (req, res, next) => {
+    const session = await mongoose.startSession();
     try {
+        session.startTransaction();
         const { id } = req.params;
 
-        const voucher = await Voucher.findByIdAndUpdate(
-            id,
-            { isActive: false, updatedBy: req.user._id },
-            { new: true }
-        );
+        const voucher = await Voucher.findOne({ _id: id, isActive: true }).session(session);
 
         if (!voucher) {
             throw new AppError('Voucher not found', 404);
         }
+        await assertPeriodOpen(voucher.date, session);
+
+        // Reverse the voucher's postings before soft deleting it
+        await applyVoucherBalances(voucher, req.user._id, session, true);
+
+        // Wages paid on this voucher become payable again, one audited update per trip
+        const paidTrips = await Trip.find({ 'crew.wageVoucher': voucher._id }).select('_id').session(session).lean();
+        for (const trip of paidTrips) {
+            await Trip.updateOne(
+                { _id: trip._id },
+                { $unset: { 'crew.$[member].wageVoucher': 1 } },
+                { arrayFilters: [{ 'member.wageVoucher': voucher._id }], session }
+            );
+        }
+
+        voucher.isActive = false;
+        voucher.updatedBy = req.user._id;
+        await voucher.save();
+
+        await session.commitTransaction();
 
         successResponse(res, "Voucher deleted successfully", 200, voucher);
     } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
         next(error);
+    } finally {
+        session.endSession();
     }
 };
 
@@ -0,0 +1,27 @@
+import { runComplianceAlerts } from '../services/vehicleComplianceService.js';
+
+// Alerts are raised once per document and window, so a few checks a day are enough
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let running = false;
+
+const checkVehicleCompliance = async () => {
+    if (running) return;
+    running = true;
+    try {
+        // Alerts land in notifications/SMS; only failures are logged
+        await runComplianceAlerts();
+    } catch (error) {
+        console.error('Vehicle compliance check failed:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+// Start the periodic document expiry check; runs once right away
+export default function startVehicleComplianceJob() {
+    checkVehicleCompliance();
+    const timer = setInterval(checkVehicleCompliance, CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,8 @@
+import { auditStorage } from '../utils/auditTrail.js';
+
+// Makes the current request (user, IP, route) available to the audit log model hooks
+const auditContext = (req, res, next) => {
+  auditStorage.run({ req }, next);
+};
+
+export default auditContext;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const fieldChangeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// Who changed which financial document, from where, and the field-level before/after values
+const auditLogSchema = new mongoose.Schema({
+    entity: {
+        type: String,
+        required: [true, "Entity is required"]
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Entity ID is required"]
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    changes: [fieldChangeSchema],
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorRole: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    method: {
+        type: String
+    },
+    route: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
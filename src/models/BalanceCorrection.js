@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+const balanceSnapshotSchema = new mongoose.Schema({
+    amount: { type: Number, default: 0 },
+    type: { type: String, enum: ['debit', 'credit'], default: 'debit' }
+}, { _id: false });
+
+// One record per outstanding balance overwritten by the reconciliation report
+const balanceCorrectionSchema = new mongoose.Schema({
+    accountType: {
+        type: String,
+        enum: ['customer', 'vendor', 'ledger'],
+        required: [true, "Account type is required"]
+    },
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Account is required"]
+    },
+    accountName: {
+        type: String,
+        trim: true
+    },
+    previousBalance: balanceSnapshotSchema,
+    correctedBalance: balanceSnapshotSchema,
+    // Signed (debit positive) change applied to the stored balance
+    difference: {
+        type: Number,
+        default: 0
+    },
+    reason: {
+        type: String,
+        trim: true,
+        default: 'reconciliation'
+    },
+    appliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+balanceCorrectionSchema.index({ accountType: 1, accountId: 1, createdAt: -1 });
+
+const BalanceCorrection = mongoose.model("BalanceCorrection", balanceCorrectionSchema);
+
+export default BalanceCorrection;
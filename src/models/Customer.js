@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
 import validator from "validator";
 
 const customerSchema = new mongoose.Schema({
@@ -86,6 +87,30 @@ const customerSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // TDS section the customer deducts on its payments to us (e.g. 194Q)
+  tdsSection: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Maximum outstanding (debit) balance allowed after a sale; 0 means no limit
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit limit cannot be negative']
+  },
+  // Days allowed before a sale is considered overdue
+  creditDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit days cannot be negative']
+  },
+  // What happens when a sale would take the balance over the credit limit
+  creditLimitPolicy: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn'
+  },
   group: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Group',
@@ -105,6 +130,8 @@ const customerSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+customerSchema.plugin(auditPlugin);
+
 const Customer = mongoose.model("Customer", customerSchema);
 
 export default Customer;
\ No newline at end of file
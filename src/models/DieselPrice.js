@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Pump price of diesel at a station for a day; fills are checked against it
+const dieselPriceSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DieselStation",
+    required: [true, "Station is required"],
+  },
+  date: {
+    type: Date,
+    required: [true, "Date is required"], // Start of the day the price applies to
+  },
+  rate: {
+    type: Number,
+    required: [true, "Rate is required"],
+    min: [0.01, "Rate must be greater than zero"],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+},
+{
+  timestamps: true,
+});
+
+dieselPriceSchema.pre('validate', function (next) {
+  if (this.date) {
+    const day = new Date(this.date);
+    day.setHours(0, 0, 0, 0);
+    this.date = day;
+  }
+  next();
+});
+
+dieselPriceSchema.index({ station: 1, date: -1 }, { unique: true });
+
+export default mongoose.model("DieselPrice", dieselPriceSchema);
@@ -14,6 +14,11 @@ const dieselStationSchema = new mongoose.Schema({
     maxlength: [200, "Location cannot exceed 200 characters"],
     default: '',
   },
+  // Sundry Creditors ledger that credit fills at this pump are posted to
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ledger",
+  },
   isActive: {
     type: Boolean,
     default: true,
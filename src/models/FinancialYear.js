@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
+
+const financialYearSchema = new mongoose.Schema({
+    // e.g. "2024-25"
+    label: {
+        type: String,
+        required: [true, "Label is required"],
+        trim: true
+    },
+    startDate: {
+        type: Date,
+        required: [true, "Start date is required"]
+    },
+    endDate: {
+        type: Date,
+        required: [true, "End date is required"]
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    // Reports default to the active year; only one year is active at a time
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    // Net profit (positive) or loss (negative) transferred to Reserves & Surplus on closing
+    netProfit: {
+        type: Number,
+        default: 0
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: {
+        type: Date
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+financialYearSchema.index({ startDate: 1 }, { unique: true });
+financialYearSchema.index({ isActive: 1 });
+
+financialYearSchema.plugin(auditPlugin);
+
+const FinancialYear = mongoose.model("FinancialYear", financialYearSchema);
+
+export default FinancialYear;
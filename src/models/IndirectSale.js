@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import gstDetailsSchema from './gstDetailsSchema.js';
+import { auditPlugin } from '../utils/auditTrail.js';
 
 const purchaseSchema = new mongoose.Schema({
     dcNumber: {
@@ -85,6 +87,11 @@ const indirectSaleSchema = new mongoose.Schema({
         ref: 'Vendor',
         required: true
     },
+    // Product bought from the vendor and sold to the customer
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    },
     place: {
         type: String,
         trim: true,
@@ -113,6 +120,15 @@ const indirectSaleSchema = new mongoose.Schema({
         type: summarySchema,
         default: () => ({})
     },
+    // GST on the sale to the customer, recalculated whenever the sale amount changes
+    gstApplicable: {
+        type: Boolean,
+        default: false
+    },
+    gst: {
+        type: gstDetailsSchema,
+        default: undefined
+    },
     notes: {
         type: String,
         trim: true
@@ -210,6 +226,8 @@ indirectSaleSchema.methods.recalculateSummary = function () {
     };
 };
 
+indirectSaleSchema.plugin(auditPlugin);
+
 const IndirectSale = mongoose.model('IndirectSale', indirectSaleSchema);
 
 export default IndirectSale;
@@ -1,5 +1,7 @@
 
 import mongoose from "mongoose";
+import gstDetailsSchema from "./gstDetailsSchema.js";
+import { auditPlugin } from "../utils/auditTrail.js";
 
 const inventoryStockSchema = new mongoose.Schema({
   inventoryType: {
@@ -8,6 +10,8 @@ const inventoryStockSchema = new mongoose.Schema({
     required: true
   },
 
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+
   type: {
     type: String,
     enum: [
@@ -57,11 +61,25 @@ const inventoryStockSchema = new mongoose.Schema({
   discount: { type: Number, default: 0 },
   balance: { type: Number, default: 0 }, // For Sale: Remaining balance of this transaction
 
+  // Set when an admin allowed this sale beyond the customer's credit limit
+  creditOverride: {
+    overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    overriddenAt: { type: Date },
+    reason: { type: String, trim: true },
+    creditLimit: { type: Number },
+    balanceAfter: { type: Number }
+  },
+
+  // Tax breakup when GST was applied to a sale
+  gst: { type: gstDetailsSchema, default: undefined },
+
   billNumber: String, // Similar to refNo but specific for sales
 
   date: { type: Date, required: true }
 }, { timestamps: true });
 
+inventoryStockSchema.plugin(auditPlugin);
+
 const InventoryStock = mongoose.model("InventoryStock", inventoryStockSchema);
 
 export default InventoryStock;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
 
 const ledgerSchema = new mongoose.Schema({
     name: {
@@ -111,6 +112,8 @@ ledgerSchema.pre('save', function (next) {
 });
 
 
+ledgerSchema.plugin(auditPlugin);
+
 const Ledger = mongoose.model("Ledger", ledgerSchema);
 
 export default Ledger;
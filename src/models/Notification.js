@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// In-app notification for a role (e.g. all admins) or for one user
+const notificationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        trim: true // e.g. 'vehicle_document_expiry'
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    severity: {
+        type: String,
+        enum: ['info', 'warning', 'critical'],
+        default: 'info'
+    },
+    audience: [{
+        type: String,
+        enum: ['superadmin', 'admin', 'supervisor', 'customer']
+    }],
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Set for notifications meant for one user
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Stops a scheduled job from raising the same notification twice
+    dedupeKey: {
+        type: String,
+        trim: true
+    },
+    // Set while an SMS copy of the notification still has to go out; the job retries until it is sent
+    smsPending: {
+        type: Boolean,
+        default: false
+    },
+    readBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+notificationSchema.index({ audience: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ smsPending: 1 }, { partialFilterExpression: { smsPending: true } });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
 import validator from "validator";
 
 const paymentSchema = new mongoose.Schema({
@@ -175,6 +176,8 @@ paymentSchema.virtual('statusDisplay').get(function() {
   return statuses[this.status] || 'Unknown';
 });
 
+paymentSchema.plugin(auditPlugin);
+
 const Payment = mongoose.model("Payment", paymentSchema);
 
 export default Payment;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A closed accounting period. Entries dated inside a locked period cannot be created, changed or deleted.
+const periodLockSchema = new mongoose.Schema({
+    periodType: {
+        type: String,
+        enum: ['month', 'financial_year'],
+        required: [true, "Period type is required"]
+    },
+    // e.g. "2025-03" for a month, "2024-25" for a financial year
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    isLocked: {
+        type: Boolean,
+        default: true
+    },
+    lockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lockedAt: {
+        type: Date
+    },
+    reopenedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reopenedAt: {
+        type: Date
+    },
+    reopenReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+periodLockSchema.index({ periodType: 1, startDate: 1 }, { unique: true });
+periodLockSchema.index({ isLocked: 1, startDate: 1, endDate: 1 });
+
+const PeriodLock = mongoose.model("PeriodLock", periodLockSchema);
+
+export default PeriodLock;
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// Append-only journal of every amount moved on a customer, vendor or ledger balance.
+// Corrections are posted as new (reversing) lines; existing postings are never changed.
+const postingSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    accountType: {
+        type: String,
+        enum: ['customer', 'vendor', 'ledger'],
+        required: [true, "Account type is required"]
+    },
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Account is required"]
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: [0, "Debit cannot be negative"]
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: [0, "Credit cannot be negative"]
+    },
+    sourceType: {
+        type: String,
+        enum: ['trip_sale', 'trip_purchase', 'inventory_stock', 'indirect_sale', 'payment', 'voucher', 'trip_diesel', 'vehicle_maintenance', 'adjustment', 'migration', 'year_close'],
+        required: [true, "Source type is required"]
+    },
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Sub-document within the source (e.g. a sale inside a trip)
+    sourceLineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    narration: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        immutable: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+postingSchema.index({ accountType: 1, accountId: 1, date: 1 });
+postingSchema.index({ sourceType: 1, sourceId: 1 });
+
+// Postings are append-only
+postingSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Postings are append-only and cannot be modified'));
+    }
+    next();
+});
+
+const rejectChange = function (next) {
+    next(new Error('Postings are append-only and cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    postingSchema.pre(op, rejectChange);
+});
+
+const Posting = mongoose.model("Posting", postingSchema);
+
+export default Posting;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
+
+const productSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Product name is required"],
+        trim: true,
+        minlength: [2, "Product name must be at least 2 characters"],
+        maxlength: [100, "Product name cannot exceed 100 characters"]
+    },
+    category: {
+        type: String,
+        enum: ['broiler', 'layer', 'country', 'cull', 'feed', 'other'],
+        default: 'broiler'
+    },
+    // Which inventory the product is stocked in
+    inventoryType: {
+        type: String,
+        enum: ['bird', 'feed'],
+        default: 'bird'
+    },
+    unit: {
+        type: String,
+        trim: true,
+        default: 'kg'
+    },
+    hsnCode: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // GST rate in percent; used instead of the GST_SETTINGS product rate when set
+    taxRate: {
+        type: Number,
+        min: [0, "Tax rate cannot be negative"]
+    },
+    // Used for purchases/sales/stock entries that do not name a product (one per inventory type)
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+productSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+productSchema.index({ inventoryType: 1, isDefault: 1 });
+
+productSchema.plugin(auditPlugin);
+
+const Product = mongoose.model("Product", productSchema);
+
+export default Product;
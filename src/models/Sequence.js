@@ -15,11 +15,11 @@ const sequenceSchema = new mongoose.Schema({
   timestamps: true
 });
 
-sequenceSchema.statics.getNextValue = async function(name) {
+sequenceSchema.statics.getNextValue = async function(name, session = null) {
   const sequence = await this.findOneAndUpdate(
     { name },
     { $inc: { value: 1 } },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
   );
   return sequence.value;
 };
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../utils/auditTrail.js';
 
 const settingSchema = new mongoose.Schema({
     key: {
@@ -24,6 +25,8 @@ const settingSchema = new mongoose.Schema({
     timestamps: true
 });
 
+settingSchema.plugin(auditPlugin);
+
 const Setting = mongoose.model('Setting', settingSchema);
 
 export default Setting;
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
+
+// Drivers, labour and cleaners who go out on trips
+const staffSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Staff name is required"],
+        trim: true,
+        minlength: [2, "Staff name must be at least 2 characters"],
+        maxlength: [100, "Staff name cannot exceed 100 characters"]
+    },
+    role: {
+        type: String,
+        enum: ['driver', 'labour', 'cleaner'],
+        required: [true, "Staff role is required"]
+    },
+    mobileNumber: {
+        type: String,
+        trim: true,
+        match: [/^\d{10}$/, "Mobile number must be 10 digits"]
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    licenceNumber: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    licenceExpiry: {
+        type: Date
+    },
+    // Paid per calendar day on trips (daily) or a fixed allowance per trip (per_trip)
+    wageType: {
+        type: String,
+        enum: ['daily', 'per_trip'],
+        default: 'per_trip'
+    },
+    dailyWage: {
+        type: Number,
+        default: 0,
+        min: [0, "Daily wage cannot be negative"]
+    },
+    tripAllowance: {
+        type: Number,
+        default: 0,
+        min: [0, "Trip allowance cannot be negative"]
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Drivers need a licence on record
+staffSchema.pre('validate', function (next) {
+    if (this.role === 'driver' && !this.licenceNumber) {
+        this.invalidate('licenceNumber', 'Licence number is required for drivers');
+    }
+    next();
+});
+
+staffSchema.index({ role: 1, isActive: 1, name: 1 });
+staffSchema.index({ licenceNumber: 1 }, { unique: true, partialFilterExpression: { isActive: true, licenceNumber: { $type: 'string' } } });
+
+staffSchema.plugin(auditPlugin);
+
+const Staff = mongoose.model("Staff", staffSchema);
+
+export default Staff;
@@ -1,5 +1,33 @@
 import mongoose from "mongoose";
+import gstDetailsSchema from "./gstDetailsSchema.js";
+import { auditPlugin } from "../utils/auditTrail.js";
 import Sequence from "./Sequence.js";
+import { sumByProduct } from "../services/productService.js";
+import { allocateLots } from "../services/lotService.js";
+
+// Weight a sale, stock entry, transfer or loss took from a purchase lot, at that lot's cost
+const lotAllocationSchema = new mongoose.Schema({
+    lot: { type: mongoose.Schema.Types.ObjectId }, // Purchase _id
+    dcNumber: { type: String, default: '' },
+    weight: { type: Number, default: 0 },
+    rate: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 }
+}, { _id: false });
+
+// Planned drop along the route; sales made there link to it through sales.stop
+const routeStopSchema = new mongoose.Schema({
+    sequence: { type: Number, required: true }, // Order of the stop on the route
+    location: { type: String, trim: true, default: '' },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    expectedBirds: { type: Number, default: 0, min: 0 },
+    expectedWeight: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: ['planned', 'visited', 'partial', 'skipped'], default: 'planned' },
+    visitedAt: { type: Date },
+    odometer: { type: Number, min: 0 }, // Odometer reading when the stop was marked
+    notes: { type: String, trim: true, default: '' },
+    deliveredBirds: { type: Number, default: 0 }, // Calculated from linked sales
+    deliveredWeight: { type: Number, default: 0 } // Calculated from linked sales
+});
 
 const tripSchema = new mongoose.Schema({
     tripId: { 
@@ -17,28 +45,58 @@ const tripSchema = new mongoose.Schema({
     supervisor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     driver: { type: String, required: true },
     labour: { type: String, default: '' }, // Optional labour worker name
+    // Staff on the trip; driver/labour above keep the names (older trips only have those)
+    crew: [{
+        staff: { type: mongoose.Schema.Types.ObjectId, ref: 'Staff', required: true },
+        role: { type: String, enum: ['driver', 'labour', 'cleaner'], required: true },
+        name: { type: String, trim: true }, // Name snapshot when assigned
+        wageVoucher: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' } // Payment voucher the wage was paid on
+    }],
+    complianceOverride: {
+        overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, trim: true },
+        expiredDocuments: [{ type: String }]
+    }, // Set when the trip started on a vehicle with expired documents under an admin override
     route: {
         from: { type: String, required: true }, // Start location
         to: { type: String, required: true }, // End location
-        distance: Number
+        distance: Number,
+        stops: [routeStopSchema] // Planned stops in route order
     },
 
     // Vehicle Readings
     vehicleReadings: {
         opening: { type: Number, required: true }, // Opening odometer reading
         closing: { type: Number }, // Closing odometer reading
-        totalDistance: { type: Number } // Calculated distance
+        totalDistance: { type: Number }, // Calculated distance
+        gpsDistance: { type: Number } // Breadcrumb distance from location pings, set on completion
     },
 
     // Diesel and Rent
     diesel: {
         stations: [{
+            station: { type: mongoose.Schema.Types.ObjectId, ref: 'DieselStation' },
+            ledger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' }, // Station ledger the fill was posted to
             name: String,
             stationName: String,
             volume: Number,
             rate: Number,
             amount: Number,
             receipt: String,
+            // Calculated: checks against the station's price, the tank size and the vehicle's usual km/l
+            flags: [{
+                _id: false,
+                type: { type: String, enum: ['rate', 'tank', 'efficiency'] },
+                message: String,
+                expected: Number,
+                actual: Number
+            }],
+            review: {
+                status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+                reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+                reviewedAt: Date,
+                note: String
+            }, // Set while the fill has flags
             timestamp: { type: Date, default: Date.now }
         }],
         totalVolume: { type: Number, default: 0 },
@@ -67,12 +125,15 @@ const tripSchema = new mongoose.Schema({
     purchases: [{
         supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' },
         vendorName: { type: String, default: '' }, // Vendor name stored for transferred trips
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
         dcNumber: { type: String, required: true },
         birds: { type: Number, required: true },
         weight: { type: Number, required: true },
         avgWeight: { type: Number }, // Calculated field
         rate: { type: Number, required: true },
         amount: { type: Number, required: true },
+        consumedWeight: { type: Number, default: 0 }, // Calculated: weight taken by sales, stock, transfers and losses
+        remainingWeight: { type: Number, default: 0 }, // Calculated: weight left in this lot
         // paymentMode: { type: String, enum: ['cash', 'credit', 'advance'], default: 'cash' },
         // paymentStatus: { type: String, enum: ['paid', 'pending', 'partial'], default: 'pending' },
         timestamp: { type: Date, default: Date.now }
@@ -81,15 +142,20 @@ const tripSchema = new mongoose.Schema({
     // Bird Sales
     sales: [{
         client: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+        stop: { type: mongoose.Schema.Types.ObjectId }, // route.stops _id the sale was made at
         billNumber: { type: String, required: true },
         birds: { type: Number, required: true },
         weight: { type: Number, required: true },
         avgWeight: { type: Number }, // Calculated field
         rate: { type: Number, required: true },
         amount: { type: Number, required: true },
-        product: { type: String, default: '' }, // Vendor name from first purchase
-        profitMargin: { type: Number, default: 0 }, // Calculated: (saleRate - avgPurchaseRate)
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        product: { type: String, default: '' }, // Product name (vendor name from first purchase for older sales)
+        profitMargin: { type: Number, default: 0 }, // Calculated: (saleRate - cost per kg of the lots used)
         profitAmount: { type: Number, default: 0 }, // Calculated: profitMargin * weight
+        selectedLots: [{ type: mongoose.Schema.Types.ObjectId }], // Purchase lots to sell from first (FIFO otherwise)
+        lotAllocations: [lotAllocationSchema], // Calculated: lots this sale used
+        costAmount: { type: Number, default: 0 }, // Calculated: cost of the lots used
         // paymentMode: { type: String, enum: ['cash', 'online', 'credit'], default: 'cash' },
         // paymentStatus: { type: String, enum: ['paid', 'pending', 'partial'], default: 'pending' },
         receivedAmount: { type: Number, default: 0 },
@@ -107,6 +173,14 @@ const tripSchema = new mongoose.Schema({
         balanceForCashPaid: { type: Number, default: 0 }, // Balance after subtracting cashPaid
         balanceForOnlinePaid: { type: Number, default: 0 }, // Balance after subtracting onlinePaid
         balanceForDiscount: { type: Number, default: 0 }, // Balance after subtracting discount
+        creditOverride: {
+            overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            overriddenAt: { type: Date },
+            reason: { type: String, trim: true },
+            creditLimit: { type: Number },
+            balanceAfter: { type: Number }
+        }, // Set when an admin allowed this sale beyond the customer's credit limit
+        gst: { type: gstDetailsSchema, default: undefined }, // Tax breakup when GST was applied to the sale
         timestamp: { type: Date, default: Date.now }
     }],
 
@@ -119,6 +193,7 @@ const tripSchema = new mongoose.Schema({
         total: { type: Number, required: true }, // Calculated field
         reason: { type: String }, // Reason for death
         date: { type: Date, required: true },
+        lotAllocations: [lotAllocationSchema], // Calculated: lots the dead birds came from
         timestamp: { type: Date, default: Date.now }
     }],
 
@@ -130,7 +205,10 @@ const tripSchema = new mongoose.Schema({
         value: { type: Number, default: 0 }, // Not counted in profit
         rate: { type: Number, required: true }, // Purchase rate for this stock
         addedAt: { type: Date, default: Date.now },
-        notes: { type: String, default: '' }
+        notes: { type: String, default: '' },
+        selectedLots: [{ type: mongoose.Schema.Types.ObjectId }], // Purchase lots to stock from first (FIFO otherwise)
+        lotAllocations: [lotAllocationSchema], // Calculated: lots this stock came from
+        costAmount: { type: Number, default: 0 } // Calculated: cost of the lots used
     }],
 
     // Trip Summary
@@ -165,7 +243,21 @@ const tripSchema = new mongoose.Schema({
         avgPurchaseRate: { type: Number, default: 0 }, // Average purchase rate for calculations
         birdsProfit: { type: Number, default: 0 }, // Birds profit: Total Sales - Total Purchases - Total Expenses - Gross Rent
         grossRent: { type: Number, default: 0 }, // Gross rent: rentPerKm * totalDistance
-        tripProfit: { type: Number, default: 0 } // Trip profit: netRent + birdsProfit
+        tripProfit: { type: Number, default: 0 }, // Trip profit: netRent + birdsProfit
+        // Purchases and customer sales per product (sales profit at the product's own average purchase rate)
+        productBreakdown: [{
+            _id: false,
+            productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+            product: { type: String, default: '' },
+            birdsPurchased: { type: Number, default: 0 },
+            weightPurchased: { type: Number, default: 0 },
+            purchaseAmount: { type: Number, default: 0 },
+            avgPurchaseRate: { type: Number, default: 0 },
+            birdsSold: { type: Number, default: 0 },
+            weightSold: { type: Number, default: 0 },
+            salesAmount: { type: Number, default: 0 },
+            profitAmount: { type: Number, default: 0 }
+        }]
     },
 
     status: { 
@@ -196,6 +288,8 @@ const tripSchema = new mongoose.Schema({
             rate: { type: Number, required: true }
         },
         reason: { type: String, required: true },
+        lotAllocations: [lotAllocationSchema], // Calculated: lots the transferred birds came from
+        costAmount: { type: Number, default: 0 }, // Calculated: cost of the lots used
         transferredAt: { type: Date, default: Date.now },
         transferredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
     }],
@@ -243,7 +337,7 @@ tripSchema.pre('save', async function(next) {
     // Generate tripId if not provided (always generate for new trips)
     if (this.isNew && !this.tripId) {
         try {
-            const sequenceValue = await Sequence.getNextValue('tripId');
+            const sequenceValue = await Sequence.getNextValue('tripId', this.$session());
             // Generate 4-6 digit number (pad with zeros if needed, max 6 digits)
             const tripNumber = String(sequenceValue).padStart(4, '0').slice(0, 6);
             this.tripId = `TRP-${tripNumber}`;
@@ -267,6 +361,15 @@ tripSchema.pre('save', async function(next) {
         });
     }
 
+    // Delivered quantity per planned stop from the sales linked to it
+    if (this.route?.stops?.length) {
+        this.route.stops.forEach(stop => {
+            const stopSales = (this.sales || []).filter(sale => sale.stop && String(sale.stop) === String(stop._id));
+            stop.deliveredBirds = stopSales.reduce((sum, sale) => sum + (sale.birds || 0), 0);
+            stop.deliveredWeight = Number(stopSales.reduce((sum, sale) => sum + (sale.weight || 0), 0).toFixed(2));
+        });
+    }
+
     if (this.diesel?.stations?.length) {
         this.diesel.stations.forEach((station) => {
             const stationName = station.stationName || station.name || '';
@@ -290,6 +393,36 @@ tripSchema.pre('save', async function(next) {
         this.summary.totalPurchaseAmount / this.summary.totalWeightPurchased : 0;
     this.summary.avgPurchaseRate = Number(avgPurchaseRate.toFixed(2));
 
+    // Purchases are lots: sales, stock, transfers and losses use them up first-in-first-out
+    // (or from the lots they name) and are costed at what those lots were bought for
+    const purchaseLots = (this.purchases || []).map(purchase => ({
+        id: purchase._id,
+        dcNumber: purchase.dcNumber,
+        productId: purchase.productId,
+        date: purchase.timestamp,
+        weight: purchase.weight || 0,
+        rate: purchase.weight > 0 ? purchase.amount / purchase.weight : (purchase.rate || 0)
+    }));
+    const { allocations: lotAllocations, consumed: lotConsumed } = allocateLots(purchaseLots, [
+        ...(this.sales || []).filter(sale => sale.weight > 0).map(sale => ({
+            key: `sale:${sale._id}`, date: sale.timestamp, weight: sale.weight, productId: sale.productId, selectedLots: sale.selectedLots
+        })),
+        ...(this.stocks || []).map(stock => ({
+            key: `stock:${stock._id}`, date: stock.addedAt, weight: stock.weight, selectedLots: stock.selectedLots
+        })),
+        ...(this.transferHistory || []).map(transfer => ({
+            key: `transfer:${transfer._id}`, date: transfer.transferredAt, weight: transfer.transferredStock?.weight
+        })),
+        ...(this.losses || []).map(loss => ({
+            key: `loss:${loss._id}`, date: loss.date || loss.timestamp, weight: loss.weight
+        }))
+    ], { fallbackRate: avgPurchaseRate });
+
+    (this.purchases || []).forEach(purchase => {
+        purchase.consumedWeight = lotConsumed.get(String(purchase._id)) || 0;
+        purchase.remainingWeight = Number(((purchase.weight || 0) - purchase.consumedWeight).toFixed(2));
+    });
+
     if (this.sales && this.sales.length > 0) {
         // Get vendor name from first purchase (if purchases exist)
         let firstVendorName = '';
@@ -308,7 +441,7 @@ tripSchema.pre('save', async function(next) {
                     // Supplier is an ObjectId, need to fetch it
                     try {
                         const Vendor = mongoose.model('Vendor');
-                        const vendor = await Vendor.findById(firstPurchase.supplier);
+                        const vendor = await Vendor.findById(firstPurchase.supplier).session(this.$session());
                         if (vendor) {
                             firstVendorName = vendor.vendorName || vendor.name || '';
                         }
@@ -332,9 +465,13 @@ tripSchema.pre('save', async function(next) {
                 sale.product = firstVendorName;
             }
             
-            // Calculate profit margin and profit amount
-            sale.profitMargin = Number((sale.rate - avgPurchaseRate).toFixed(2));
-            sale.profitAmount = Number((sale.profitMargin * sale.weight).toFixed(2));
+            // Calculate profit margin and profit amount from the cost of the lots the sale used
+            const saleLots = lotAllocations.get(`sale:${sale._id}`);
+            sale.lotAllocations = saleLots ? saleLots.lots : [];
+            sale.costAmount = saleLots ? saleLots.cost : 0;
+            const saleCostRate = sale.weight > 0 ? sale.costAmount / sale.weight : avgPurchaseRate;
+            sale.profitMargin = Number((sale.rate - saleCostRate).toFixed(2));
+            sale.profitAmount = Number(((sale.rate * (sale.weight || 0)) - sale.costAmount).toFixed(2));
             // Calculate receivedAmount from cashPaid + onlinePaid
             sale.receivedAmount = (sale.cashPaid || 0) + (sale.onlinePaid || 0);
             
@@ -344,7 +481,7 @@ tripSchema.pre('save', async function(next) {
             if (sale.client) {
                 try {
                     const Customer = mongoose.model('Customer');
-                    const customer = await Customer.findById(sale.client);
+                    const customer = await Customer.findById(sale.client).session(this.$session());
                     if (customer) {
                         const globalOutstandingBalance = customer.outstandingBalance || 0;
                         const totalPaid = (sale.onlinePaid || 0) + (sale.cashPaid || 0);
@@ -407,14 +544,15 @@ tripSchema.pre('save', async function(next) {
             if (loss.quantity && loss.weight) {
                 loss.avgWeight = Number((loss.weight / loss.quantity).toFixed(2));
             }
-            // Ensure rate uses average purchase rate (formula: total purchase cost / total purchase weight)
-            if (avgPurchaseRate > 0) {
+            // Loss is the cost of the lots the dead birds came from (rate is that cost per kg)
+            const lossLots = lotAllocations.get(`loss:${loss._id}`);
+            loss.lotAllocations = lossLots ? lossLots.lots : [];
+            if (loss.weight && avgPurchaseRate > 0 && lossLots) {
+                loss.total = lossLots.cost;
+                loss.rate = Number((lossLots.cost / loss.weight).toFixed(2));
+            } else if (avgPurchaseRate > 0) {
                 loss.rate = Number(avgPurchaseRate.toFixed(2));
             }
-            // Calculate total loss using average purchase rate
-            if (loss.weight && avgPurchaseRate > 0) {
-                loss.total = Number((loss.weight * avgPurchaseRate).toFixed(2));
-            }
         });
     }
 
@@ -470,12 +608,14 @@ tripSchema.pre('save', async function(next) {
         return sum;
     }, 0);
     
-    // Calculate transfer profit margin (rate * weight - purchase cost)
+    // Calculate transfer profit margin (rate * weight - cost of the lots transferred)
     const totalTransferredProfitMargin = this.transferHistory.reduce((sum, transfer) => {
         const stock = transfer.transferredStock;
+        const transferLots = lotAllocations.get(`transfer:${transfer._id}`);
+        transfer.lotAllocations = transferLots ? transferLots.lots : [];
+        transfer.costAmount = transferLots ? transferLots.cost : 0;
         if (stock && stock.rate && stock.weight) {
-            const profitMargin = stock.rate - avgPurchaseRate;
-            return sum + (profitMargin * stock.weight);
+            return sum + (stock.rate * stock.weight) - transfer.costAmount;
         }
         return sum;
     }, 0);
@@ -483,11 +623,18 @@ tripSchema.pre('save', async function(next) {
     this.summary.birdsTransferred = totalTransferredBirds;
     this.summary.weightTransferred = totalTransferredWeight;
 
-    // Calculate stock profit margin (value - purchase cost)
+    // Calculate stock profit margin (value - cost of the lots stocked)
     const totalStockProfitMargin = this.stocks.reduce((sum, stock) => {
+        const stockLots = lotAllocations.get(`stock:${stock._id}`);
+        stock.lotAllocations = stockLots ? stockLots.lots : [];
+        stock.costAmount = stockLots ? stockLots.cost : 0;
+        // Set when a purchase was edited: stock is carried at cost
+        if (this.$locals.revalueStocksAtCost && stock.weight && stockLots) {
+            stock.value = stock.costAmount;
+            stock.rate = Number((stock.costAmount / stock.weight).toFixed(2));
+        }
         if (stock.value && stock.weight && avgPurchaseRate > 0) {
-            const purchaseCost = stock.weight * avgPurchaseRate;
-            return sum + (stock.value - purchaseCost);
+            return sum + (stock.value - stock.costAmount);
         }
         return sum;
     }, 0);
@@ -547,6 +694,28 @@ tripSchema.pre('save', async function(next) {
     // Calculate trip profit: netRent + birdsProfit
     this.summary.tripProfit = Number(((netRent || 0) + (this.summary.birdsProfit || 0)).toFixed(2));
 
+    // Per-product breakdown of purchases and customer sales
+    const purchasesByProduct = sumByProduct(this.purchases || [], ['birds', 'weight', 'amount']);
+    const salesByProduct = sumByProduct((this.sales || []).filter(sale => sale.productId), ['birds', 'weight', 'amount', 'profitAmount']);
+    const productNames = new Map((this.sales || []).filter(sale => sale.productId).map(sale => [String(sale.productId), sale.product]));
+    const productKeys = [...new Set([...purchasesByProduct.keys(), ...salesByProduct.keys()])].filter(Boolean);
+    this.summary.productBreakdown = productKeys.map(key => {
+        const purchased = purchasesByProduct.get(key) || { birds: 0, weight: 0, amount: 0 };
+        const sold = salesByProduct.get(key) || { birds: 0, weight: 0, amount: 0, profitAmount: 0 };
+        return {
+            productId: key,
+            product: productNames.get(key) || '',
+            birdsPurchased: purchased.birds,
+            weightPurchased: Number(purchased.weight.toFixed(2)),
+            purchaseAmount: Number(purchased.amount.toFixed(2)),
+            avgPurchaseRate: purchased.weight > 0 ? Number((purchased.amount / purchased.weight).toFixed(2)) : 0,
+            birdsSold: sold.birds,
+            weightSold: Number(sold.weight.toFixed(2)),
+            salesAmount: Number(sold.amount.toFixed(2)),
+            profitAmount: Number(sold.profitAmount.toFixed(2))
+        };
+    });
+
     // Validate vehicle readings if closing reading is provided
     if (this.vehicleReadings.opening && this.vehicleReadings.closing) {
         if (this.vehicleReadings.closing < this.vehicleReadings.opening) {
@@ -558,6 +727,8 @@ tripSchema.pre('save', async function(next) {
     next();
 });
 
+tripSchema.plugin(auditPlugin);
+
 const Trip = mongoose.model('Trip', tripSchema);
 
 export default Trip;
\ No newline at end of file
@@ -106,6 +106,11 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Admin permission to sell beyond a customer's blocking credit limit
+    canOverrideCreditLimit: {
+        type: Boolean,
+        default: false
+    },
 
     // Approval workflow
     approvalStatus: {
@@ -54,6 +54,12 @@ const vehicleSchema = new mongoose.Schema({
         required: [true, 'National permit end date is required']
     },
 
+    // Fuel tank size; fills above it are flagged for review
+    tankCapacityLitres: {
+        type: Number,
+        min: [0, 'Tank capacity cannot be negative']
+    },
+
     rentPerKm: {
         type: Number,
         required: [true, 'Rent per KM is required'],
@@ -66,6 +72,14 @@ const vehicleSchema = new mongoose.Schema({
         default: "idle"
     },
 
+    // Lets trips start while mandatory documents are expired, until validUntil
+    complianceOverride: {
+        reason: { type: String, trim: true },
+        validUntil: { type: Date },
+        overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        overriddenAt: { type: Date }
+    },
+
     isActive: {
         type: Boolean,
         default: true
@@ -86,6 +100,12 @@ const vehicleSchema = new mongoose.Schema({
             }
         }
     },
+
+    // Time of the latest location ping; unset until the vehicle reports its position
+    locationUpdatedAt: {
+        type: Date
+    },
+
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// One location ping from a supervisor's phone; the pings of a trip form its breadcrumb trail
+const vehicleLocationSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    trip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Trip'
+    },
+    location: {
+        type: {
+            type: String,
+            enum: ["Point"],
+            default: "Point"
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: true,
+            validate: {
+                validator: arr => arr.length === 2 &&
+                    arr[0] >= -180 && arr[0] <= 180 &&
+                    arr[1] >= -90 && arr[1] <= 90,
+                message: "Coordinates must be [longitude, latitude]"
+            }
+        }
+    },
+    accuracy: { type: Number, min: 0 }, // Metres, as reported by the phone
+    speed: { type: Number, min: 0 }, // Metres per second
+    heading: { type: Number, min: 0, max: 360 },
+    recordedAt: { type: Date, required: true }, // When the phone took the reading
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+vehicleLocationSchema.index({ trip: 1, recordedAt: 1 });
+vehicleLocationSchema.index({ vehicle: 1, recordedAt: -1 });
+vehicleLocationSchema.index({ location: "2dsphere" });
+
+const VehicleLocation = mongoose.model("VehicleLocation", vehicleLocationSchema);
+
+export default VehicleLocation;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
+
+const partSchema = new mongoose.Schema({
+    name: { type: String, required: [true, "Part name is required"], trim: true },
+    quantity: { type: Number, default: 1, min: [0, "Quantity cannot be negative"] },
+    rate: { type: Number, default: 0, min: [0, "Rate cannot be negative"] },
+    amount: { type: Number, default: 0 } // Calculated: quantity * rate
+}, { _id: false });
+
+// One service or repair of a vehicle; its cost is posted to the vehicle maintenance expense ledger
+const vehicleMaintenanceSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: [true, "Vehicle is required"]
+    },
+    serviceType: {
+        type: String,
+        enum: ['general-service', 'oil-change', 'tyre', 'battery', 'brake', 'engine', 'electrical', 'body', 'accident-repair', 'other'],
+        required: [true, "Service type is required"]
+    },
+    description: { type: String, trim: true, default: '' },
+    serviceDate: { type: Date, required: [true, "Service date is required"] },
+    odometer: { type: Number, min: [0, "Odometer cannot be negative"] },
+
+    // Workshop: a vendor account (paid on credit) or just a name when paid on the spot
+    vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' },
+    workshopName: { type: String, trim: true, default: '' },
+
+    parts: [partSchema],
+    partsAmount: { type: Number, default: 0 }, // Calculated
+    labourAmount: { type: Number, default: 0, min: [0, "Labour amount cannot be negative"] },
+    amount: { type: Number, default: 0 }, // Calculated: parts + labour
+
+    // Cash/bank ledger the bill was paid from; without it the bill is owed to the vendor
+    paidFromLedger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    expenseLedger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+
+    nextDueOdometer: { type: Number, min: [0, "Next due odometer cannot be negative"] },
+    nextDueDate: { type: Date },
+
+    // In-progress entries keep the vehicle in maintenance
+    status: {
+        type: String,
+        enum: ['in-progress', 'completed'],
+        default: 'completed'
+    },
+    completedAt: { type: Date },
+
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+    timestamps: true
+});
+
+vehicleMaintenanceSchema.pre('validate', function (next) {
+    (this.parts || []).forEach(part => {
+        part.amount = Number(((part.quantity || 0) * (part.rate || 0)).toFixed(2));
+    });
+    this.partsAmount = Number((this.parts || []).reduce((sum, part) => sum + part.amount, 0).toFixed(2));
+    this.amount = Number((this.partsAmount + (this.labourAmount || 0)).toFixed(2));
+
+    if (this.status === 'completed' && !this.completedAt) {
+        this.completedAt = new Date();
+    }
+    if (this.status === 'in-progress') {
+        this.completedAt = undefined;
+    }
+    next();
+});
+
+vehicleMaintenanceSchema.index({ vehicle: 1, serviceDate: -1 });
+vehicleMaintenanceSchema.index({ vehicle: 1, status: 1, isActive: 1 });
+
+vehicleMaintenanceSchema.plugin(auditPlugin);
+
+const VehicleMaintenance = mongoose.model("VehicleMaintenance", vehicleMaintenanceSchema);
+
+export default VehicleMaintenance;
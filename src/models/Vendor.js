@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
 import validator from "validator";
 import User from './User.js';
 
@@ -111,6 +112,12 @@ const vendorSchema = new mongoose.Schema({
         maxlength: [100, "Country name too long"]
     },
     defaultPaymentMode: { type: String, default: 'cash' },
+    // Days after a purchase bill before it falls due
+    paymentTermsDays: {
+        type: Number,
+        default: 0,
+        min: [0, "Payment terms cannot be negative"]
+    },
 
     isActive: {
         type: Boolean,
@@ -139,6 +146,18 @@ const vendorSchema = new mongoose.Schema({
     tdsUpdatedAt: {
         type: Date
     },
+    // TDS section deducted on payments (e.g. 194Q); falls back to the default section in TDS_SETTINGS
+    tdsSection: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    panNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, "Invalid PAN number"]
+    },
     group: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Group',
@@ -181,6 +200,8 @@ const vendorSchema = new mongoose.Schema({
 vendorSchema.index({ email: 1 }, { unique: true });
 vendorSchema.index({ contactNumber: 1 }, { unique: true });
 
+vendorSchema.plugin(auditPlugin);
+
 const Vendor = mongoose.model("Vendor", vendorSchema);
 
 export default Vendor;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
 
 const voucherSchema = new mongoose.Schema({
   voucherNumber: {
@@ -38,10 +39,34 @@ const voucherSchema = new mongoose.Schema({
       enum: ['customer', 'ledger', 'vendor'],
       required: false
     },
+    // Gross amount settled against the party; the account moves by netAmount
     amount: {
       type: Number,
       default: 0,
       min: [0, "Amount cannot be negative"]
+    },
+    tdsSection: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    tdsRate: {
+      type: Number,
+      default: 0
+    },
+    tdsAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "TDS amount cannot be negative"]
+    },
+    netAmount: {
+      type: Number,
+      min: [0, "Net amount cannot be negative"]
+    },
+    // Form 16A issued to the vendor (payments) or received from the customer (receipts)
+    tdsCertificate: {
+      number: { type: String, trim: true },
+      date: { type: Date }
     }
   }],
   // For Payment/Receipt vouchers - selected account ledger
@@ -50,12 +75,40 @@ const voucherSchema = new mongoose.Schema({
     ref: 'Ledger',
     required: false
   },
+  // For Payment/Receipt vouchers with TDS - TDS payable (payments) or receivable (receipts) ledger
+  tdsLedger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: false
+  },
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  tdsAmount: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: 0
+  },
   entries: [{
+    // Name snapshot at posting time; accountType/accountId identify the account
     account: {
       type: String,
       required: true,
       trim: true
     },
+    accountType: {
+      type: String,
+      enum: ['ledger', 'customer', 'vendor'],
+      required: false
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false
+    },
     debitAmount: {
       type: Number,
       default: 0,
@@ -115,6 +168,26 @@ const voucherSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Resolve an entry account name to a ledger, customer or vendor reference
+// (ledger slug/name first, then customer shop/owner name, then vendor name)
+voucherSchema.statics.resolveEntryAccount = async function(name, session = null) {
+  if (!name) return null;
+
+  const Ledger = mongoose.model('Ledger');
+  const ledger = await Ledger.findOne({ $or: [{ slug: name }, { name }] }).select('_id').session(session);
+  if (ledger) return { accountType: 'ledger', accountId: ledger._id };
+
+  const Customer = mongoose.model('Customer');
+  const customer = await Customer.findOne({ $or: [{ shopName: name }, { ownerName: name }] }).select('_id').session(session);
+  if (customer) return { accountType: 'customer', accountId: customer._id };
+
+  const Vendor = mongoose.model('Vendor');
+  const vendor = await Vendor.findOne({ vendorName: name }).select('_id').session(session);
+  if (vendor) return { accountType: 'vendor', accountId: vendor._id };
+
+  return null;
+};
+
 // Pre-save middleware to generate entries for Payment/Receipt vouchers and calculate totals
 voucherSchema.pre('save', async function(next) {
   // For Payment/Receipt vouchers, generate entries from parties and account
@@ -123,7 +196,7 @@ voucherSchema.pre('save', async function(next) {
     
     // Get account ledger name
     const Ledger = mongoose.model('Ledger');
-    const accountLedger = await Ledger.findById(this.account);
+    const accountLedger = await Ledger.findById(this.account).session(this.$session());
     const accountName = accountLedger ? accountLedger.name : 'Account';
     
     // For each party, create an entry
@@ -133,15 +206,15 @@ voucherSchema.pre('save', async function(next) {
         let partyName = '';
         if (party.partyType === 'customer') {
           const Customer = mongoose.model('Customer');
-          const customer = await Customer.findById(party.partyId);
+          const customer = await Customer.findById(party.partyId).session(this.$session());
           partyName = customer ? (customer.shopName || customer.ownerName || 'Customer') : 'Customer';
         } else if (party.partyType === 'ledger') {
           const Ledger = mongoose.model('Ledger');
-          const ledger = await Ledger.findById(party.partyId);
+          const ledger = await Ledger.findById(party.partyId).session(this.$session());
           partyName = ledger ? ledger.name : 'Ledger';
         } else if (party.partyType === 'vendor') {
           const Vendor = mongoose.model('Vendor');
-          const vendor = await Vendor.findById(party.partyId);
+          const vendor = await Vendor.findById(party.partyId).session(this.$session());
           partyName = vendor ? vendor.vendorName : 'Vendor';
         }
         
@@ -149,6 +222,8 @@ voucherSchema.pre('save', async function(next) {
           // Payment: Debit party, Credit account
           this.entries.push({
             account: partyName,
+            accountType: party.partyType || 'customer',
+            accountId: party.partyId,
             debitAmount: party.amount,
             creditAmount: 0
           });
@@ -156,6 +231,8 @@ voucherSchema.pre('save', async function(next) {
           // Receipt: Debit account, Credit party
           this.entries.push({
             account: partyName,
+            accountType: party.partyType || 'customer',
+            accountId: party.partyId,
             debitAmount: 0,
             creditAmount: party.amount
           });
@@ -163,12 +240,20 @@ voucherSchema.pre('save', async function(next) {
       }
     }
     
-    // Add account entry
-    const totalAmount = this.parties.reduce((sum, p) => sum + (p.amount || 0), 0);
+    // Add account entry (net of TDS)
+    const grossAmount = this.parties.reduce((sum, p) => sum + (p.amount || 0), 0);
+    const tdsAmount = this.parties.reduce((sum, p) => sum + (p.tdsAmount || 0), 0);
+    const totalAmount = grossAmount - tdsAmount;
+    this.grossAmount = grossAmount;
+    this.tdsAmount = tdsAmount;
+    this.netAmount = totalAmount;
+
     if (this.voucherType === 'Payment') {
       // Payment: Credit account (money going out)
       this.entries.push({
         account: accountName,
+        accountType: 'ledger',
+        accountId: this.account,
         debitAmount: 0,
         creditAmount: totalAmount
       });
@@ -176,12 +261,37 @@ voucherSchema.pre('save', async function(next) {
       // Receipt: Debit account (money coming in)
       this.entries.push({
         account: accountName,
+        accountType: 'ledger',
+        accountId: this.account,
         debitAmount: totalAmount,
         creditAmount: 0
       });
     }
+
+    // TDS entry: Payment credits TDS payable, Receipt debits TDS receivable
+    if (tdsAmount > 0 && this.tdsLedger) {
+      const tdsLedger = await Ledger.findById(this.tdsLedger).session(this.$session());
+      this.entries.push({
+        account: tdsLedger ? tdsLedger.name : 'TDS',
+        accountType: 'ledger',
+        accountId: this.tdsLedger,
+        debitAmount: this.voucherType === 'Receipt' ? tdsAmount : 0,
+        creditAmount: this.voucherType === 'Payment' ? tdsAmount : 0
+      });
+    }
   }
   
+  // Link Contra/Journal entries that only carry an account name
+  for (let entry of this.entries) {
+    if (!entry.accountId && entry.account) {
+      const ref = await this.constructor.resolveEntryAccount(entry.account, this.$session());
+      if (ref) {
+        entry.accountType = ref.accountType;
+        entry.accountId = ref.accountId;
+      }
+    }
+  }
+
   // Calculate total debit and credit
   this.totalDebit = this.entries.reduce((sum, entry) => sum + (entry.debitAmount || 0), 0);
   this.totalCredit = this.entries.reduce((sum, entry) => sum + (entry.creditAmount || 0), 0);
@@ -209,6 +319,10 @@ voucherSchema.index({ voucherNumber: 1 });
 voucherSchema.index({ voucherType: 1 });
 voucherSchema.index({ date: -1 });
 voucherSchema.index({ party: 1 });
+voucherSchema.index({ 'entries.accountId': 1 });
+voucherSchema.index({ 'parties.partyId': 1, date: -1 });
+
+voucherSchema.plugin(auditPlugin);
 
 const Voucher = mongoose.model("Voucher", voucherSchema);
 
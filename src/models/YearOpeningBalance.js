@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { auditPlugin } from "../utils/auditTrail.js";
+
+// Opening balance of a customer, vendor or ledger for one financial year,
+// carried forward from the previous year's closing balance
+const yearOpeningBalanceSchema = new mongoose.Schema({
+    financialYear: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: true
+    },
+    accountType: {
+        type: String,
+        enum: ['customer', 'vendor', 'ledger'],
+        required: true
+    },
+    accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    accountName: {
+        type: String,
+        trim: true
+    },
+    openingBalance: {
+        type: Number,
+        default: 0
+    },
+    openingBalanceType: {
+        type: String,
+        enum: ['debit', 'credit'],
+        default: 'debit'
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform(doc, ret) {
+            ret.id = ret._id;
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+yearOpeningBalanceSchema.index({ financialYear: 1, accountType: 1, accountId: 1 }, { unique: true });
+
+yearOpeningBalanceSchema.plugin(auditPlugin);
+
+const YearOpeningBalance = mongoose.model("YearOpeningBalance", yearOpeningBalanceSchema);
+
+export default YearOpeningBalance;
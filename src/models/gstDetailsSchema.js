@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Tax breakup stored on a GST sale; amounts are carved out of the (tax-inclusive) sale amount
+const gstDetailsSchema = new mongoose.Schema({
+    applied: { type: Boolean, default: false },
+    hsnCode: { type: String, trim: true, default: '' },
+    taxRate: { type: Number, default: 0 }, // Total rate in percent (e.g. 5 = 2.5% CGST + 2.5% SGST)
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    supplyType: { type: String, enum: ['intra', 'inter'], default: 'intra' },
+    invoiceType: { type: String, enum: ['B2B', 'B2C'], default: 'B2C' },
+    customerGstin: { type: String, trim: true, default: '' },
+    placeOfSupply: { type: String, trim: true, default: '' }, // Two digit state code
+    // Duties & Taxes ledgers the tax was posted to
+    cgstLedger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    sgstLedger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    igstLedger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' }
+}, { _id: false });
+
+export default gstDetailsSchema;
@@ -0,0 +1,10 @@
+import express from 'express';
+const router = express.Router();
+
+import * as auditController from '../controllers/audit.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/', authenticateToken, authorize(["superadmin"]), auditController.getAuditLogs);
+
+export default router;
@@ -3,7 +3,12 @@ import {
   createDieselStation,
   getDieselStations,
   updateDieselStation,
-  deleteDieselStation
+  deleteDieselStation,
+  getDieselStationStatement,
+  addDieselPrice,
+  getDieselPrices,
+  getDieselAnomalies,
+  reviewDieselAnomaly
 } from '../controllers/dieselStation.controller.js';
 import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
@@ -12,6 +17,11 @@ const router = express.Router();
 
 router.post('/', authenticateToken, authorize(['superadmin', 'admin']), createDieselStation);
 router.get('/', authenticateToken, authorize(['superadmin', 'admin', 'supervisor']), getDieselStations);
+router.get('/anomalies', authenticateToken, authorize(['superadmin', 'admin']), getDieselAnomalies);
+router.put('/anomalies/:tripId/:fillId', authenticateToken, authorize(['superadmin', 'admin']), reviewDieselAnomaly);
+router.get('/:id/statement', authenticateToken, authorize(['superadmin', 'admin']), getDieselStationStatement);
+router.post('/:id/prices', authenticateToken, authorize(['superadmin', 'admin']), addDieselPrice);
+router.get('/:id/prices', authenticateToken, authorize(['superadmin', 'admin', 'supervisor']), getDieselPrices);
 router.put('/:id', authenticateToken, authorize(['superadmin', 'admin']), updateDieselStation);
 router.delete('/:id', authenticateToken, authorize(['superadmin', 'admin']), deleteDieselStation);
 
@@ -0,0 +1,15 @@
+import express from 'express';
+const router = express.Router();
+
+import * as financialYearController from '../controllers/financialYear.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/', authenticateToken, authorize(["admin", "superadmin"]), financialYearController.getFinancialYears);
+router.get('/active', authenticateToken, authorize(["admin", "superadmin"]), financialYearController.getActiveYear);
+router.post('/', authenticateToken, authorize(["admin", "superadmin"]), financialYearController.addFinancialYear);
+router.put('/:id/activate', authenticateToken, authorize(["admin", "superadmin"]), financialYearController.activateFinancialYear);
+router.post('/:id/close', authenticateToken, authorize(["superadmin"]), financialYearController.closeFinancialYear);
+router.get('/:id/openings', authenticateToken, authorize(["admin", "superadmin"]), financialYearController.getYearOpeningBalances);
+
+export default router;
@@ -17,6 +17,15 @@ import balanceSheetRouter from './balanceSheet.routes.js';
 import securityRouter from './security.routes.js';
 import settingRouter from './setting.routes.js';
 import inventoryStockRouter from './inventoryStock.routes.js';
+import postingRouter from './posting.routes.js';
+import reconciliationRouter from './reconciliation.routes.js';
+import auditRouter from './audit.routes.js';
+import periodLockRouter from './periodLock.routes.js';
+import financialYearRouter from './financialYear.routes.js';
+import reportRouter from './report.routes.js';
+import productRouter from './product.routes.js';
+import notificationRouter from './notification.routes.js';
+import staffRouter from './staff.routes.js';
 
 router.use('/auth', authRouter);
 router.use('/user', userRouter);
@@ -35,5 +44,14 @@ router.use('/balance-sheet', balanceSheetRouter);
 router.use('/security', securityRouter);
 router.use('/settings', settingRouter);
 router.use('/inventory-stock', inventoryStockRouter);
+router.use('/postings', postingRouter);
+router.use('/reconciliation', reconciliationRouter);
+router.use('/audit', auditRouter);
+router.use('/periods', periodLockRouter);
+router.use('/financial-years', financialYearRouter);
+router.use('/reports', reportRouter);
+router.use('/products', productRouter);
+router.use('/notifications', notificationRouter);
+router.use('/staff', staffRouter);
 
 export default router;
@@ -20,6 +20,7 @@ router.get('/stats/daily', authorize(['supervisor', 'admin', 'superadmin']), inv
 
 router.get('/', authorize(['supervisor', 'admin', 'superadmin']), inventoryController.getStocks);
 
+router.get('/:id/invoice.pdf', authorize(['supervisor', 'admin', 'superadmin']), inventoryController.getSaleInvoice);
 router.put('/:id', authorize(['supervisor', 'admin', 'superadmin']), inventoryController.updateStock);
 router.delete('/:id', authorize(['admin', 'superadmin']), inventoryController.deleteStock);
 
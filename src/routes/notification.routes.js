@@ -0,0 +1,11 @@
+import express from 'express';
+const router = express.Router();
+
+import * as notificationController from '../controllers/notification.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+
+router.get('/', authenticateToken, notificationController.getNotifications);
+router.patch('/read-all', authenticateToken, notificationController.markAllNotificationsRead);
+router.patch('/:id/read', authenticateToken, notificationController.markNotificationRead);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+const router = express.Router();
+
+import * as periodLockController from '../controllers/periodLock.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/', authenticateToken, authorize(["admin", "superadmin"]), periodLockController.getPeriodLocks);
+router.post('/close', authenticateToken, authorize(["admin", "superadmin"]), periodLockController.closePeriod);
+router.put('/:id/reopen', authenticateToken, authorize(["superadmin"]), periodLockController.reopenPeriod);
+
+export default router;
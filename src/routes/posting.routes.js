@@ -0,0 +1,11 @@
+import express from 'express';
+const router = express.Router();
+
+import * as postingController from '../controllers/posting.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/:accountType/:id', authenticateToken, authorize(["admin", "superadmin"]), postingController.getAccountPostings);
+router.get('/:accountType/:id/recompute', authenticateToken, authorize(["admin", "superadmin"]), postingController.recomputeAccountBalance);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+    createProduct,
+    getProducts,
+    getProductById,
+    updateProduct,
+    deleteProduct
+} from '../controllers/product.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+const router = express.Router();
+
+router.post('/', authenticateToken, authorize(['superadmin', 'admin']), createProduct);
+router.get('/', authenticateToken, authorize(['superadmin', 'admin', 'supervisor']), getProducts);
+router.get('/:id', authenticateToken, authorize(['superadmin', 'admin', 'supervisor']), getProductById);
+router.put('/:id', authenticateToken, authorize(['superadmin', 'admin']), updateProduct);
+router.delete('/:id', authenticateToken, authorize(['superadmin', 'admin']), deleteProduct);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+const router = express.Router();
+
+import * as reconciliationController from '../controllers/reconciliation.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/', authenticateToken, authorize(["admin", "superadmin"]), reconciliationController.getReconciliationReport);
+router.get('/corrections', authenticateToken, authorize(["admin", "superadmin"]), reconciliationController.getBalanceCorrections);
+router.post('/apply', authenticateToken, authorize(["superadmin"]), reconciliationController.applyReconciliation);
+
+export default router;
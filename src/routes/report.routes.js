@@ -0,0 +1,17 @@
+import express from 'express';
+const router = express.Router();
+
+import * as reportController from '../controllers/report.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/trial-balance', authenticateToken, authorize(["admin", "superadmin"]), reportController.getTrialBalance);
+router.get('/receivables-aging', authenticateToken, authorize(["admin", "superadmin"]), reportController.getReceivablesAging);
+router.get('/payables-aging', authenticateToken, authorize(["admin", "superadmin"]), reportController.getPayablesAging);
+router.get('/payables-schedule', authenticateToken, authorize(["admin", "superadmin"]), reportController.getPayablesSchedule);
+router.get('/gstr1', authenticateToken, authorize(["admin", "superadmin"]), reportController.getGstr1);
+router.get('/tds-summary', authenticateToken, authorize(["admin", "superadmin"]), reportController.getTdsSummary);
+router.get('/route-stops', authenticateToken, authorize(["admin", "superadmin"]), reportController.getRouteStopReport);
+router.get('/vehicles', authenticateToken, authorize(["admin", "superadmin"]), reportController.getVehicleReport);
+
+export default router;
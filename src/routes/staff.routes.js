@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    createStaff,
+    getStaff,
+    getStaffById,
+    updateStaff,
+    deleteStaff,
+    getStaffWages,
+    createWageVouchers
+} from '../controllers/staff.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+const router = express.Router();
+
+router.post('/', authenticateToken, authorize(['superadmin', 'admin']), createStaff);
+router.get('/', authenticateToken, authorize(['superadmin', 'admin', 'supervisor']), getStaff);
+router.get('/wages', authenticateToken, authorize(['superadmin', 'admin']), getStaffWages);
+router.post('/wages/vouchers', authenticateToken, authorize(['superadmin', 'admin']), createWageVouchers);
+router.get('/:id', authenticateToken, authorize(['superadmin', 'admin', 'supervisor']), getStaffById);
+router.put('/:id', authenticateToken, authorize(['superadmin', 'admin']), updateStaff);
+router.delete('/:id', authenticateToken, authorize(['superadmin', 'admin']), deleteStaff);
+
+export default router;
@@ -20,6 +20,7 @@ router.post('/:id/purchase', authenticateToken, authorize(['supervisor']), tripC
 router.put('/:id/purchase/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editPurchase);
 router.post('/:id/sale', authenticateToken, authorize(['supervisor']), tripController.addSale);
 router.put('/:id/sale/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editSale);
+router.get('/:id/sale/:index/invoice.pdf', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getSaleInvoice);
 router.put('/:id/diesel', authenticateToken, authorize(['supervisor']), tripController.updateTripDiesel);
 router.put('/:id/diesel/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editDieselStation);
 router.put('/:id/expenses', authenticateToken, authorize(['supervisor']), tripController.updateTripExpenses);
@@ -32,9 +33,12 @@ router.put('/:id/death-birds', authenticateToken, authorize(['supervisor']), tri
 router.put('/:id/complete', authenticateToken, authorize(['supervisor']), tripController.completeTrip);
 router.put('/:id/complete-details', authenticateToken, authorize(['supervisor']), tripController.completeTripDetails);
 router.put('/:id/status', authenticateToken, authorize(['supervisor']), tripController.updateTripStatus);
+router.put('/:id/stops', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.updateRouteStops);
+router.put('/:id/stops/:stopId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.updateStopStatus);
 
 // Trip transfer routes (Supervisor)
 router.post('/:id/transfer', authenticateToken, authorize(['supervisor']), tripController.transferTrip);
 router.get('/:id/transfer-history', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripTransferHistory);
+router.get('/:id/locations', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripLocations);
 
 export default router;
\ No newline at end of file
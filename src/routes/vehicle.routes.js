@@ -2,14 +2,29 @@ import express from 'express';
 const router = express.Router();
 
 import * as vehicleController from '../controllers/vehicle.controller.js';
+import * as maintenanceController from '../controllers/maintenance.controller.js';
 import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
 
 
 router.post('/', authenticateToken, authorize(["superadmin","admin",]), vehicleController.addVehicle);
 router.get('/', authenticateToken, authorize(["superadmin","admin","supervisor"]), vehicleController.getVehicles);
+router.get('/nearby', authenticateToken, authorize(["superadmin","admin"]), vehicleController.getNearbyVehicles);
+router.get('/compliance', authenticateToken, authorize(["superadmin","admin"]), vehicleController.getVehicleCompliance);
 router.get('/:id', authenticateToken, authorize(["superadmin","admin","supervisor"]), vehicleController.getVehicleById);
 router.put('/:id', authenticateToken, authorize(["superadmin","admin",]), vehicleController.updateVehicle);
 router.delete('/:id', authenticateToken, authorize(["superadmin","admin",]), vehicleController.deleteVehicle);
+router.post('/:id/location', authenticateToken, authorize(["superadmin","admin","supervisor"]), vehicleController.addVehicleLocation);
+router.put('/:id/compliance-override', authenticateToken, authorize(["superadmin","admin"]), vehicleController.setComplianceOverride);
+router.delete('/:id/compliance-override', authenticateToken, authorize(["superadmin","admin"]), vehicleController.clearComplianceOverride);
+router.get('/:id/locations', authenticateToken, authorize(["superadmin","admin"]), vehicleController.getVehicleLocations);
+
+// Maintenance and service log
+router.get('/:id/service-status', authenticateToken, authorize(["superadmin","admin","supervisor"]), maintenanceController.getServiceStatus);
+router.post('/:id/maintenance', authenticateToken, authorize(["superadmin","admin"]), maintenanceController.addMaintenance);
+router.get('/:id/maintenance', authenticateToken, authorize(["superadmin","admin"]), maintenanceController.getMaintenanceEntries);
+router.get('/:id/maintenance/:entryId', authenticateToken, authorize(["superadmin","admin"]), maintenanceController.getMaintenanceById);
+router.put('/:id/maintenance/:entryId', authenticateToken, authorize(["superadmin","admin"]), maintenanceController.updateMaintenance);
+router.delete('/:id/maintenance/:entryId', authenticateToken, authorize(["superadmin","admin"]), maintenanceController.deleteMaintenance);
 
 export default router;
\ No newline at end of file
@@ -13,6 +13,7 @@ router.get('/stats', authenticateToken, authorize(["admin", "superadmin"]), vouc
 router.get('/export', authenticateToken, authorize(["admin", "superadmin"]), voucherController.exportVouchers);
 router.get('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherController.getVoucherById);
 router.put('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherController.updateVoucher);
+router.patch('/:id/tds-certificate', authenticateToken, authorize(["admin", "superadmin"]), voucherController.updateTdsCertificate);
 router.delete('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherController.deleteVoucher);
 
 export default router;
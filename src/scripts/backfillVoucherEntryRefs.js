@@ -0,0 +1,95 @@
+import connectDB from '../configs/database.js';
+import Voucher from '../models/Voucher.js';
+import Ledger from '../models/Ledger.js';
+import Customer from '../models/Customer.js';
+import Vendor from '../models/Vendor.js';
+import { config } from 'dotenv';
+import path from 'path';
+
+// Ensure env is loaded (redundant if connectDB does it, but safe)
+config({ path: path.join(process.cwd(), 'src', '.env') });
+
+const normalize = (name) => (name ? name.toString().trim().toLowerCase() : '');
+
+// For Payment/Receipt vouchers the entries were generated from parties + account,
+// so match the entry name against those documents before a global name lookup
+const buildVoucherCandidates = async (voucher) => {
+    const candidates = [];
+
+    if (voucher.account) {
+        const ledger = await Ledger.findById(voucher.account).select('name').lean();
+        if (ledger) candidates.push({ name: ledger.name, accountType: 'ledger', accountId: ledger._id });
+    }
+
+    for (const party of voucher.parties || []) {
+        if (!party.partyId) continue;
+        const partyType = party.partyType || 'customer';
+        if (partyType === 'customer') {
+            const customer = await Customer.findById(party.partyId).select('shopName ownerName').lean();
+            if (customer) {
+                candidates.push({ name: customer.shopName, accountType: 'customer', accountId: customer._id });
+                candidates.push({ name: customer.ownerName, accountType: 'customer', accountId: customer._id });
+            }
+        } else if (partyType === 'ledger') {
+            const ledger = await Ledger.findById(party.partyId).select('name').lean();
+            if (ledger) candidates.push({ name: ledger.name, accountType: 'ledger', accountId: ledger._id });
+        } else if (partyType === 'vendor') {
+            const vendor = await Vendor.findById(party.partyId).select('vendorName').lean();
+            if (vendor) candidates.push({ name: vendor.vendorName, accountType: 'vendor', accountId: vendor._id });
+        }
+    }
+
+    return candidates;
+};
+
+const backfillVoucherEntryRefs = async () => {
+    try {
+        await connectDB();
+        console.log('Connected to Database');
+
+        const vouchers = await Voucher.find({
+            entries: { $elemMatch: { accountId: { $exists: false } } }
+        }).lean();
+        console.log(`Found ${vouchers.length} vouchers with unlinked entries.`);
+
+        let linked = 0;
+        let unresolved = 0;
+
+        for (const voucher of vouchers) {
+            const candidates = await buildVoucherCandidates(voucher);
+            let changed = false;
+
+            for (const entry of voucher.entries) {
+                if (entry.accountId) continue;
+
+                let ref = candidates.find(c => c.name && normalize(c.name) === normalize(entry.account));
+                if (!ref) ref = await Voucher.resolveEntryAccount(entry.account);
+
+                if (ref) {
+                    entry.accountType = ref.accountType;
+                    entry.accountId = ref.accountId;
+                    changed = true;
+                    linked++;
+                } else {
+                    unresolved++;
+                    console.warn(`Voucher ${voucher.voucherNumber}: no account found for "${entry.account}"`);
+                }
+            }
+
+            if (changed) {
+                // Update entries directly so the pre-save hook does not regenerate them
+                await Voucher.updateOne({ _id: voucher._id }, { $set: { entries: voucher.entries } });
+                console.log(`Updated voucher: ${voucher.voucherNumber}`);
+            }
+        }
+
+        console.log(`Linked ${linked} entries, ${unresolved} left unresolved.`);
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+};
+
+backfillVoucherEntryRefs();
@@ -0,0 +1,68 @@
+import connectDB from '../configs/database.js';
+import DieselStation from '../models/DieselStation.js';
+import Trip from '../models/Trip.js';
+import User from '../models/User.js';
+import { getStationLedger } from '../services/dieselStationService.js';
+import { config } from 'dotenv';
+import path from 'path';
+
+// Ensure env is loaded (redundant if connectDB does it, but safe)
+config({ path: path.join(process.cwd(), 'src', '.env') });
+
+const normalize = (name) => (name ? name.toString().trim().toLowerCase() : '');
+
+// Give every station its ledger and link older trip diesel fills to stations by name.
+// Linked fills are not posted: they were recorded before station ledgers existed.
+const linkDieselStations = async () => {
+    try {
+        await connectDB();
+        console.log('Connected to Database');
+
+        const systemUser = await User.findOne({ role: 'superadmin' }) || await User.findOne({ role: 'admin' });
+        if (!systemUser) {
+            throw new Error('No admin user found to own the station ledgers');
+        }
+
+        const stations = await DieselStation.find({ isActive: true });
+        const stationsByName = new Map();
+        for (const station of stations) {
+            if (!station.ledger) {
+                await getStationLedger(station, systemUser._id);
+                console.log(`Created ledger for station: ${station.name}`);
+            }
+            stationsByName.set(normalize(station.name), station);
+        }
+
+        const trips = await Trip.find({
+            'diesel.stations': { $elemMatch: { station: { $exists: false } } }
+        }).select('tripId diesel.stations').lean();
+        console.log(`Found ${trips.length} trips with unlinked diesel fills.`);
+
+        let linked = 0;
+        let unresolved = 0;
+        for (const trip of trips) {
+            const updates = {};
+            trip.diesel.stations.forEach((fill, index) => {
+                if (fill.station) return;
+                const station = stationsByName.get(normalize(fill.stationName || fill.name));
+                if (station) {
+                    updates[`diesel.stations.${index}.station`] = station._id;
+                    linked += 1;
+                } else {
+                    unresolved += 1;
+                }
+            });
+            if (Object.keys(updates).length > 0) {
+                await Trip.updateOne({ _id: trip._id }, { $set: updates });
+            }
+        }
+
+        console.log(`Linked ${linked} fills; ${unresolved} fills name no known station.`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Linking diesel stations failed:', error);
+        process.exit(1);
+    }
+};
+
+linkDieselStations();
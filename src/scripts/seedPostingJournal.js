@@ -0,0 +1,61 @@
+import connectDB from '../configs/database.js';
+import Posting from '../models/Posting.js';
+import Customer from '../models/Customer.js';
+import Vendor from '../models/Vendor.js';
+import Ledger from '../models/Ledger.js';
+import { postingLine, recordPostings } from '../services/postingService.js';
+import { toSignedValue } from '../utils/balanceUtils.js';
+import { config } from 'dotenv';
+import path from 'path';
+
+// Ensure env is loaded (redundant if connectDB does it, but safe)
+config({ path: path.join(process.cwd(), 'src', '.env') });
+
+// Balances moved before the journal existed are carried in as one migration posting per account:
+// (stored outstanding balance - opening balance), so the derived balance starts equal to the stored one.
+// It is dated when the account was created, before any of its transactions, so balances as on past dates include it.
+const seedAccounts = async (accountType, AccountModel, defaultType) => {
+    const accounts = await AccountModel.find({}).select('openingBalance openingBalanceType outstandingBalance outstandingBalanceType createdAt').lean();
+    let seeded = 0;
+
+    for (const account of accounts) {
+        const hasPostings = await Posting.exists({ accountType, accountId: account._id });
+        if (hasPostings) continue;
+
+        const difference = Number((
+            toSignedValue(account.outstandingBalance || 0, account.outstandingBalanceType || defaultType) -
+            toSignedValue(account.openingBalance || 0, account.openingBalanceType || defaultType)
+        ).toFixed(2));
+        if (difference === 0) continue;
+
+        await recordPostings([
+            postingLine(accountType, account._id, difference, difference > 0 ? 'debit' : 'credit', 'Balance brought into postings journal')
+        ], {
+            sourceType: 'migration',
+            sourceId: account._id,
+            date: account.createdAt || new Date(0)
+        });
+        seeded++;
+    }
+
+    console.log(`Seeded ${seeded} of ${accounts.length} ${accountType} accounts.`);
+};
+
+const seedPostingJournal = async () => {
+    try {
+        await connectDB();
+        console.log('Connected to Database');
+
+        await seedAccounts('customer', Customer, 'debit');
+        await seedAccounts('vendor', Vendor, 'credit');
+        await seedAccounts('ledger', Ledger, 'debit');
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+};
+
+seedPostingJournal();
@@ -0,0 +1,57 @@
+import connectDB from '../configs/database.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { config } from 'dotenv';
+import path from 'path';
+
+// Ensure env is loaded (redundant if connectDB does it, but safe)
+config({ path: path.join(process.cwd(), 'src', '.env') });
+
+// Products traded today; broiler and feed are the defaults for entries that do not name a product
+const defaultProducts = [
+    { name: 'Broiler Chicken', category: 'broiler', inventoryType: 'bird', hsnCode: '0105', isDefault: true },
+    { name: 'Layer', category: 'layer', inventoryType: 'bird', hsnCode: '0105' },
+    { name: 'Country Bird', category: 'country', inventoryType: 'bird', hsnCode: '0105' },
+    { name: 'Cull', category: 'cull', inventoryType: 'bird', hsnCode: '0105' },
+    { name: 'Feed', category: 'feed', inventoryType: 'feed', hsnCode: '2309', isDefault: true }
+];
+
+const seedProducts = async () => {
+    try {
+        await connectDB();
+        console.log('Connected to Database');
+
+        const systemUser = await User.findOne({ role: 'superadmin' }) || await User.findOne({ role: 'admin' });
+        if (!systemUser) {
+            throw new Error('No admin user found to own the products');
+        }
+
+        for (const productData of defaultProducts) {
+            const existing = await Product.findOne({ name: productData.name, isActive: true });
+            if (existing) {
+                console.log(`Product already exists: ${productData.name}`);
+                continue;
+            }
+
+            // Keep an existing default for the inventory type
+            const hasDefault = productData.isDefault &&
+                await Product.exists({ inventoryType: productData.inventoryType, isDefault: true, isActive: true });
+
+            await Product.create({
+                ...productData,
+                isDefault: Boolean(productData.isDefault && !hasDefault),
+                createdBy: systemUser._id,
+                updatedBy: systemUser._id
+            });
+            console.log(`Created product: ${productData.name}`);
+        }
+
+        console.log('Product seeding completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Product seeding failed:', error);
+        process.exit(1);
+    }
+};
+
+seedProducts();
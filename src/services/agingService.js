@@ -0,0 +1,84 @@
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day ranges used by the receivables and payables aging reports
+export const AGING_BUCKETS = [
+    { key: '0-7', from: 0, to: 7 },
+    { key: '8-15', from: 8, to: 15 },
+    { key: '16-30', from: 16, to: 30 },
+    { key: '31-60', from: 31, to: 60 },
+    { key: '60+', from: 61, to: Infinity }
+];
+
+/**
+ * Whole days from a date to the as-on date (negative when the date is in the future)
+ * @param {Date} date
+ * @param {Date} asOn
+ * @returns {Number}
+ */
+export const daysBetween = (date, asOn) => Math.floor((new Date(asOn).getTime() - new Date(date).getTime()) / DAY_MS);
+
+/**
+ * Find the aging bucket for a number of days
+ * @param {Number} days
+ * @param {Array} buckets - Bucket definitions (defaults to AGING_BUCKETS)
+ * @returns {String|null} - Bucket key, or null for days before the first bucket
+ */
+export const bucketForDays = (days, buckets = AGING_BUCKETS) => {
+    const bucket = buckets.find(b => days >= b.from && days <= b.to);
+    return bucket ? bucket.key : null;
+};
+
+/**
+ * Settle charges first-in-first-out against the total of settlements and return what is still open
+ * @param {Array<Object>} charges - [{ date, amount, ... }] (e.g. sale amounts owed)
+ * @param {Number} settledTotal - Total paid/received/discounted against the charges
+ * @param {Object} options - { asOn, ageFrom } where ageFrom(charge) returns the date aging starts from
+ * @returns {Object} - { openItems: [{ ...charge, outstanding, days }], unappliedCredit }
+ */
+export const settleFifo = (charges, settledTotal, { asOn = new Date(), ageFrom = (charge) => charge.date } = {}) => {
+    let remaining = Math.max(0, settledTotal);
+    const openItems = [];
+
+    [...charges]
+        .filter(charge => (charge.amount || 0) > 0)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(charge => {
+            const applied = Math.min(remaining, charge.amount);
+            remaining -= applied;
+
+            const outstanding = Number((charge.amount - applied).toFixed(2));
+            if (outstanding >= 0.01) {
+                openItems.push({
+                    ...charge,
+                    outstanding,
+                    days: daysBetween(ageFrom(charge), asOn)
+                });
+            }
+        });
+
+    return {
+        openItems,
+        unappliedCredit: Number(remaining.toFixed(2))
+    };
+};
+
+/**
+ * Total open items per aging bucket
+ * @param {Array<Object>} openItems - Items returned by settleFifo
+ * @param {Object} options - { buckets, beforeFirstKey } where beforeFirstKey collects items aged below the first bucket
+ * @returns {Object} - { '0-7': 1200, ..., total }
+ */
+export const bucketTotals = (openItems, { buckets = AGING_BUCKETS, beforeFirstKey = null } = {}) => {
+    const totals = {};
+    if (beforeFirstKey) totals[beforeFirstKey] = 0;
+    buckets.forEach(b => { totals[b.key] = 0; });
+    totals.total = 0;
+
+    openItems.forEach(item => {
+        const key = bucketForDays(item.days, buckets) || beforeFirstKey || buckets[0].key;
+        totals[key] = Number((totals[key] + item.outstanding).toFixed(2));
+        totals.total = Number((totals.total + item.outstanding).toFixed(2));
+    });
+
+    return totals;
+};
@@ -0,0 +1,77 @@
+import User from "../models/User.js";
+import AppError from "../utils/AppError.js";
+
+/**
+ * Check a customer's balance after a sale against their credit limit
+ * @param {Object} customer - Customer document
+ * @param {Number} balanceAfterSigned - Signed balance after the sale (debit positive)
+ * @returns {Object|null} - { creditLimit, balanceAfter, exceededBy, policy } when the limit is exceeded
+ */
+export const evaluateCreditLimit = (customer, balanceAfterSigned) => {
+    const creditLimit = Number(customer.creditLimit) || 0;
+    if (creditLimit <= 0 || balanceAfterSigned <= creditLimit) return null;
+
+    return {
+        creditLimit,
+        balanceAfter: Number(balanceAfterSigned.toFixed(2)),
+        exceededBy: Number((balanceAfterSigned - creditLimit).toFixed(2)),
+        policy: customer.creditLimitPolicy || 'warn'
+    };
+};
+
+/**
+ * Check whether a user may sell beyond a blocking credit limit
+ * Superadmins always can; admins need the canOverrideCreditLimit permission
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Boolean}
+ */
+export const canOverrideCreditLimit = async (user, session = null) => {
+    if (!user) return false;
+    if (user.role === 'superadmin') return true;
+    if (user.role !== 'admin') return false;
+
+    // Token payloads can be stale, so read the permission from the user record
+    const record = await User.findById(user._id).select('canOverrideCreditLimit isActive').session(session);
+    return !!(record && record.isActive !== false && record.canOverrideCreditLimit);
+};
+
+/**
+ * Apply a customer's credit limit policy to a sale
+ * 'warn' customers get a warning; 'block' customers are rejected unless an admin with the
+ * override permission sends override: true, in which case the override is returned for the sale
+ * @param {Object} customer - Customer document
+ * @param {Number} balanceAfterSigned - Signed balance after the sale (debit positive)
+ * @param {Object} options - { user, override, reason, session }
+ * @returns {Object} - { warning, creditOverride } (null when not applicable)
+ */
+export const enforceCreditLimit = async (customer, balanceAfterSigned, { user, override = false, reason = '', session = null } = {}) => {
+    const check = evaluateCreditLimit(customer, balanceAfterSigned);
+    if (!check) return { warning: null, creditOverride: null };
+
+    const customerName = customer.shopName || customer.ownerName || 'Customer';
+    const message = `${customerName} would exceed the credit limit of ${check.creditLimit} by ${check.exceededBy} (balance after sale: ${check.balanceAfter})`;
+
+    if (check.policy !== 'block') {
+        return { warning: { message, ...check }, creditOverride: null };
+    }
+
+    if (!override) {
+        throw new AppError(`${message}. An admin override is required for this sale`, 403);
+    }
+
+    if (!(await canOverrideCreditLimit(user, session))) {
+        throw new AppError('You do not have permission to override credit limits', 403);
+    }
+
+    return {
+        warning: { message, ...check, overridden: true },
+        creditOverride: {
+            overriddenBy: user._id,
+            overriddenAt: new Date(),
+            reason: reason || '',
+            creditLimit: check.creditLimit,
+            balanceAfter: check.balanceAfter
+        }
+    };
+};
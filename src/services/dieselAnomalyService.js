@@ -0,0 +1,182 @@
+import Setting from "../models/Setting.js";
+import DieselPrice from "../models/DieselPrice.js";
+import Trip from "../models/Trip.js";
+import Vehicle from "../models/Vehicle.js";
+import Notification from "../models/Notification.js";
+import { emitNotification } from "../utils/socket.js";
+
+// Used when the DIESEL_ANOMALY setting is missing or leaves a field out
+export const DEFAULT_ANOMALY_SETTINGS = {
+    rateTolerancePercent: 2, // Allowed difference from the station's price for the day
+    priceLookbackDays: 3, // Use the latest price this many days back when the day has none
+    efficiencyBandPercent: 25, // Allowed difference from the vehicle's average km/l
+    efficiencyHistoryTrips: 10, // Completed trips the average is taken over
+    minHistoryTrips: 3 // Fewer trips than this and km/l is not checked
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * Read the diesel anomaly settings merged over the defaults
+ * @returns {Object}
+ */
+export const getAnomalySettings = async () => {
+    const setting = await Setting.findOne({ key: 'DIESEL_ANOMALY' }).lean();
+    const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+    return { ...DEFAULT_ANOMALY_SETTINGS, ...value };
+};
+
+/**
+ * Station price that applies to a fill date: that day's record, else the latest within the lookback
+ * @param {ObjectId} stationId
+ * @param {Date} date
+ * @param {Number} lookbackDays
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object|null} - DieselPrice document
+ */
+export const getStationPrice = async (stationId, date, lookbackDays = DEFAULT_ANOMALY_SETTINGS.priceLookbackDays, session = null) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return DieselPrice.findOne({
+        station: stationId,
+        date: { $lte: day, $gte: new Date(day.getTime() - lookbackDays * DAY_MS) }
+    }).sort({ date: -1 }).session(session).lean();
+};
+
+/**
+ * Usual km/l of a vehicle from its recent completed trips
+ * @param {ObjectId} vehicleId
+ * @param {ObjectId} excludeTripId - Trip being checked
+ * @param {Object} settings - Anomaly settings
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object|null} - { average, min, max, trips } or null without enough history
+ */
+export const getEfficiencyBand = async (vehicleId, excludeTripId, settings, session = null) => {
+    const history = await Trip.find({
+        _id: { $ne: excludeTripId },
+        vehicle: vehicleId,
+        status: 'completed',
+        'vehicleReadings.totalDistance': { $gt: 0 },
+        'diesel.totalVolume': { $gt: 0 }
+    })
+        .sort({ date: -1 })
+        .limit(settings.efficiencyHistoryTrips)
+        .select('vehicleReadings.totalDistance diesel.totalVolume')
+        .session(session)
+        .lean();
+    if (history.length < settings.minHistoryTrips) return null;
+
+    const average = history.reduce((sum, trip) => sum + trip.vehicleReadings.totalDistance / trip.diesel.totalVolume, 0) / history.length;
+    return {
+        average: round(average),
+        min: round(average * (1 - settings.efficiencyBandPercent / 100)),
+        max: round(average * (1 + settings.efficiencyBandPercent / 100)),
+        trips: history.length
+    };
+};
+
+/**
+ * Flag a trip's diesel fills: rate off the station's price, volume above the tank, and (once the
+ * trip's distance is known) km/l outside the vehicle's usual band. Review decisions are kept while
+ * a fill's flags stay the same; a fill with new flags goes back to pending.
+ * @param {Object} trip - Trip document with its new fills set
+ * @param {Array<Object>} oldFills - Fills before the change (plain objects)
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Array<Object>} - Fills that were newly flagged
+ */
+export const applyDieselFlags = async (trip, oldFills = [], session = null) => {
+    const fills = trip.diesel?.stations || [];
+    if (fills.length === 0) return [];
+
+    const settings = await getAnomalySettings();
+    const vehicle = await Vehicle.findById(trip.vehicle).select('vehicleNumber tankCapacityLitres').session(session).lean();
+
+    const tripFlags = [];
+    const distance = trip.vehicleReadings?.totalDistance || 0;
+    const volume = fills.reduce((sum, fill) => sum + (fill.volume || 0), 0);
+    if (distance > 0 && volume > 0) {
+        const band = await getEfficiencyBand(trip.vehicle, trip._id, settings, session);
+        const kmpl = round(distance / volume);
+        if (band && (kmpl < band.min || kmpl > band.max)) {
+            tripFlags.push({
+                type: 'efficiency',
+                message: `Trip gives ${kmpl} km/l; this vehicle usually gives ${band.min}-${band.max} km/l`,
+                expected: band.average,
+                actual: kmpl
+            });
+        }
+    }
+
+    const newlyFlagged = [];
+    for (const fill of fills) {
+        const flags = [...tripFlags];
+
+        if (fill.station && fill.rate > 0) {
+            const price = await getStationPrice(fill.station, fill.timestamp || trip.date, settings.priceLookbackDays, session);
+            if (price) {
+                const deviation = ((fill.rate - price.rate) / price.rate) * 100;
+                if (Math.abs(deviation) > settings.rateTolerancePercent) {
+                    flags.push({
+                        type: 'rate',
+                        message: `Rate ${fill.rate} is ${round(Math.abs(deviation))}% ${deviation > 0 ? 'above' : 'below'} the station price of ${price.rate}`,
+                        expected: price.rate,
+                        actual: fill.rate
+                    });
+                }
+            }
+        }
+
+        if (vehicle?.tankCapacityLitres > 0 && fill.volume > vehicle.tankCapacityLitres) {
+            flags.push({
+                type: 'tank',
+                message: `${fill.volume} L is more than the ${vehicle.tankCapacityLitres} L tank of ${vehicle.vehicleNumber}`,
+                expected: vehicle.tankCapacityLitres,
+                actual: fill.volume
+            });
+        }
+
+        const previous = fill._id && oldFills.find(old => String(old._id) === String(fill._id));
+        const sameFlags = previous &&
+            JSON.stringify((previous.flags || []).map(f => f.type).sort()) === JSON.stringify(flags.map(f => f.type).sort());
+
+        fill.flags = flags;
+        if (flags.length === 0) {
+            fill.review = undefined;
+        } else if (sameFlags && previous.review?.status) {
+            fill.review = previous.review;
+        } else {
+            fill.review = { status: 'pending' };
+            newlyFlagged.push(fill);
+        }
+    }
+
+    return newlyFlagged;
+};
+
+/**
+ * Tell admins about newly flagged fills (one notification per fill and set of flags)
+ * @param {Object} trip - Trip document
+ * @param {Array<Object>} fills - Fills returned by applyDieselFlags
+ */
+export const notifyFlaggedFills = async (trip, fills) => {
+    for (const fill of fills) {
+        const types = fill.flags.map(flag => flag.type).sort().join(',');
+        const dedupeKey = `diesel-fill:${fill._id}:${types}`;
+        if (await Notification.exists({ dedupeKey })) continue;
+        try {
+            const notification = await Notification.create({
+                type: 'diesel_fill_flagged',
+                title: 'Diesel fill needs review',
+                message: `${trip.tripId}: ${fill.flags.map(flag => flag.message).join('; ')}`,
+                severity: 'warning',
+                audience: ['admin', 'superadmin'],
+                data: { tripId: trip._id, tripNumber: trip.tripId, fillId: fill._id, flags: fill.flags },
+                dedupeKey
+            });
+            emitNotification(notification);
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
@@ -0,0 +1,183 @@
+import mongoose from "mongoose";
+import DieselStation from "../models/DieselStation.js";
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import AppError from "../utils/AppError.js";
+import { postingLine, recordPostings, applyLinesToBalances } from "./postingService.js";
+
+const DIESEL_EXPENSE_LEDGER = { name: 'DIESEL EXPENSES', groupSlug: 'direct-expenses' };
+
+const findGroup = async (slug, session) => {
+    const group = await Group.findOne({ slug }).session(session);
+    if (!group) {
+        throw new AppError(`Group "${slug}" not found. Initialize the predefined groups first.`, 400);
+    }
+    return group;
+};
+
+/**
+ * Get (or create) the Sundry Creditors ledger of a diesel station
+ * @param {Object} station - DieselStation document
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - Ledger document
+ */
+export const getStationLedger = async (station, userId, session = null) => {
+    if (station.ledger) {
+        const existing = await Ledger.findById(station.ledger).session(session);
+        if (existing) return existing;
+    }
+
+    const group = await findGroup('sundry-creditors', session);
+    const [ledger] = await Ledger.create([{
+        name: station.name,
+        slug: `diesel-station-${station._id}`,
+        group: group._id,
+        ledgerType: 'other',
+        openingBalance: 0,
+        openingBalanceType: 'credit',
+        outstandingBalance: 0,
+        outstandingBalanceType: 'credit',
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+
+    station.ledger = ledger._id;
+    station.updatedBy = userId;
+    await station.save({ session });
+    return ledger;
+};
+
+/**
+ * Get (or create) the expense ledger diesel fills are debited to
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - Ledger document
+ */
+export const getDieselExpenseLedger = async (userId, session = null) => {
+    const group = await findGroup(DIESEL_EXPENSE_LEDGER.groupSlug, session);
+    let ledger = await Ledger.findOne({ group: group._id, name: DIESEL_EXPENSE_LEDGER.name }).session(session);
+    if (!ledger) {
+        [ledger] = await Ledger.create([{
+            name: DIESEL_EXPENSE_LEDGER.name,
+            group: group._id,
+            ledgerType: 'other',
+            openingBalance: 0,
+            openingBalanceType: 'debit',
+            outstandingBalance: 0,
+            outstandingBalanceType: 'debit',
+            createdBy: userId,
+            updatedBy: userId
+        }], { session });
+    }
+    return ledger;
+};
+
+const sameFill = (a, b) => String(a.ledger || '') === String(b.ledger || '') &&
+    String(a.station || '') === String(b.station || '') &&
+    Number(a.amount || 0) === Number(b.amount || 0) &&
+    new Date(a.timestamp || 0).getTime() === new Date(b.timestamp || 0).getTime();
+
+/**
+ * Link trip diesel fills to their stations. Fills sent with a station id use that station; older
+ * clients sending only a name are matched by station name. Linked fills carry the station ledger
+ * they post to, except fills recorded before stations had ledgers that come back unchanged.
+ * @param {Array<Object>} fills - Fills as sent by the client
+ * @param {Array<Object>} oldFills - Fills currently on the trip (plain objects)
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Array<Object>} - Fills to store on the trip
+ */
+export const resolveDieselFills = async (fills, oldFills = [], userId, session = null) => {
+    if (!Array.isArray(fills)) {
+        throw new AppError('Diesel stations must be a list', 400);
+    }
+
+    const resolved = [];
+    for (const fill of fills) {
+        const stationId = fill.station?._id || fill.station || null;
+        let station = null;
+        if (stationId) {
+            if (!mongoose.Types.ObjectId.isValid(stationId)) {
+                throw new AppError('Invalid diesel station id', 400);
+            }
+            station = await DieselStation.findOne({ _id: stationId, isActive: true }).session(session);
+            if (!station) throw new AppError('Diesel station not found', 404);
+        } else {
+            const name = (fill.stationName || fill.name || '').trim();
+            if (name) {
+                const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                station = await DieselStation.findOne({ name: { $regex: `^${escaped}$`, $options: 'i' }, isActive: true }).session(session);
+            }
+        }
+
+        const next = { ...fill, station: station ? station._id : undefined, ledger: undefined };
+        if (station) {
+            next.stationName = station.name;
+            next.name = station.name;
+            const ledger = await getStationLedger(station, userId, session);
+            next.ledger = ledger._id;
+        }
+
+        // A fill from before station ledgers existed stays unposted until it is changed
+        const previous = fill._id && oldFills.find(old => String(old._id) === String(fill._id));
+        if (previous && !previous.ledger && next.ledger &&
+            Number(next.amount || 0) === Number(previous.amount || 0) &&
+            new Date(next.timestamp || previous.timestamp).getTime() === new Date(previous.timestamp).getTime()) {
+            next.ledger = undefined;
+        }
+
+        resolved.push(next);
+    }
+    return resolved;
+};
+
+/**
+ * Journal lines of one diesel fill: diesel expense debited, station ledger credited
+ * @param {Object} fill - Trip diesel fill
+ * @param {ObjectId} expenseLedgerId - Diesel expense ledger
+ * @param {String} narration
+ * @param {Boolean} reverse - Build the reversing lines
+ * @returns {Array<Object>}
+ */
+export const dieselFillPostingLines = (fill, expenseLedgerId, narration, reverse = false) => {
+    if (!fill.ledger || !(fill.amount > 0)) return [];
+    return [
+        postingLine('ledger', expenseLedgerId, fill.amount, reverse ? 'credit' : 'debit', narration),
+        postingLine('ledger', fill.ledger, fill.amount, reverse ? 'debit' : 'credit', narration)
+    ];
+};
+
+/**
+ * Post what changed between the old and new fills of a trip: changed or removed fills are reversed
+ * on their original date, changed or added fills are posted on theirs
+ * @param {Object} trip - Trip document (after the new fills are set)
+ * @param {Array<Object>} oldFills - Fills before the change (plain objects)
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ */
+export const syncDieselPostings = async (trip, oldFills, userId, session = null) => {
+    const newFills = trip.diesel.stations.map(fill => fill.toObject ? fill.toObject() : fill);
+    const unchanged = (fill, others) => others.some(other => String(other._id) === String(fill._id) && sameFill(fill, other));
+
+    const toReverse = oldFills.filter(fill => fill.ledger && !unchanged(fill, newFills));
+    const toPost = newFills.filter(fill => fill.ledger && !unchanged(fill, oldFills));
+    if (toReverse.length === 0 && toPost.length === 0) return;
+
+    const expenseLedger = await getDieselExpenseLedger(userId, session);
+    const narration = (fill) => `Diesel ${fill.volume || 0} L at ${fill.stationName || fill.name || 'station'} (${trip.tripId})`;
+
+    for (const [fills, reverse] of [[toReverse, true], [toPost, false]]) {
+        for (const fill of fills) {
+            const lines = dieselFillPostingLines(fill, expenseLedger._id, narration(fill), reverse);
+            await applyLinesToBalances(lines, userId, session);
+            await recordPostings(lines, {
+                sourceType: 'trip_diesel',
+                sourceId: trip._id,
+                sourceLineId: fill._id,
+                date: fill.timestamp || trip.date,
+                userId
+            }, session);
+        }
+    }
+};
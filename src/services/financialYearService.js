@@ -0,0 +1,62 @@
+import FinancialYear from "../models/FinancialYear.js";
+import YearOpeningBalance from "../models/YearOpeningBalance.js";
+import { financialYearRange } from "./periodLockService.js";
+import { toSignedValue } from "../utils/balanceUtils.js";
+
+/**
+ * Get the April-March financial year start year for a date
+ * @param {Date} date
+ * @returns {Number} - 2024 for any date from 1 Apr 2024 to 31 Mar 2025
+ */
+export const financialYearStartYear = (date = new Date()) => {
+    const d = new Date(date);
+    return d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+};
+
+/**
+ * Get the financial year containing a date
+ * Falls back to a plain April-March range when no year is recorded for it
+ * @param {Date} date
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - FinancialYear document or { label, startDate, endDate }
+ */
+export const getFinancialYearForDate = async (date = new Date(), session = null) => {
+    const d = new Date(date);
+    const year = await FinancialYear.findOne({ startDate: { $lte: d }, endDate: { $gte: d } }).session(session);
+    if (year) return year;
+
+    return financialYearRange(financialYearStartYear(d));
+};
+
+/**
+ * Get the financial year reports should default to
+ * Falls back to the year containing today, and to a plain April-March range when no year is recorded
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - FinancialYear document or { label, startDate, endDate }
+ */
+export const getActiveFinancialYear = async (session = null) => {
+    const active = await FinancialYear.findOne({ isActive: true }).session(session);
+    if (active) return active;
+
+    return getFinancialYearForDate(new Date(), session);
+};
+
+/**
+ * Get the opening balances carried into a financial year when the previous year was closed
+ * @param {Object} financialYear - FinancialYear document (a plain range has nothing carried into it)
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Map} - 'accountType:accountId' => signed opening balance
+ */
+export const getCarriedOpenings = async (financialYear, session = null) => {
+    const carried = new Map();
+    if (!financialYear?._id) return carried;
+
+    const openings = await YearOpeningBalance.find({ financialYear: financialYear._id }).session(session).lean();
+    openings.forEach(opening => {
+        carried.set(
+            `${opening.accountType}:${opening.accountId}`,
+            toSignedValue(opening.openingBalance || 0, opening.openingBalanceType || 'debit')
+        );
+    });
+    return carried;
+};
@@ -0,0 +1,209 @@
+import Setting from "../models/Setting.js";
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import AppError from "../utils/AppError.js";
+import { addToBalance } from "../utils/balanceUtils.js";
+import { postingLine } from "./postingService.js";
+
+// Used when the GST_SETTINGS setting is missing or leaves a field out
+export const DEFAULT_GST_SETTINGS = {
+    companyGstin: '',
+    products: {
+        bird: { hsnCode: '0105', taxRate: 0 },
+        feed: { hsnCode: '2309', taxRate: 0 }
+    }
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const TAX_LEDGERS = {
+    cgst: 'OUTPUT CGST',
+    sgst: 'OUTPUT SGST',
+    igst: 'OUTPUT IGST'
+};
+
+const round = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * Read the GST settings merged over the defaults
+ * @returns {Object} - { companyGstin, products: { [product]: { hsnCode, taxRate } } }
+ */
+export const getGstSettings = async () => {
+    const setting = await Setting.findOne({ key: 'GST_SETTINGS' }).lean();
+    const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+    return {
+        ...DEFAULT_GST_SETTINGS,
+        ...value,
+        products: { ...DEFAULT_GST_SETTINGS.products, ...(value.products || {}) }
+    };
+};
+
+/**
+ * Check whether a value is a well-formed GSTIN (a PAN or blank value is not)
+ * @param {String} value
+ * @returns {Boolean}
+ */
+export const isGstin = (value) => GSTIN_PATTERN.test(String(value || '').trim().toUpperCase());
+
+/**
+ * Get the two digit state code from a GSTIN
+ * @param {String} gstin
+ * @returns {String|null}
+ */
+export const stateCodeFromGstin = (gstin) => (isGstin(gstin) ? String(gstin).trim().slice(0, 2) : null);
+
+/**
+ * Work out the GST contained in a tax-inclusive sale amount
+ * CGST/SGST when the customer's GSTIN is in the company's state (or the customer has no GSTIN), IGST otherwise
+ * @param {Object} params - { amount, product, customerGstin, settings }
+ * @returns {Object} - GST details (see gstDetailsSchema), without ledgers
+ */
+export const calculateGst = ({ amount, product = 'bird', customerGstin = '', settings = DEFAULT_GST_SETTINGS }) => {
+    const productSettings = settings.products?.[product];
+    if (!productSettings) {
+        throw new AppError(`GST settings not found for product "${product}"`, 400);
+    }
+
+    const companyState = stateCodeFromGstin(settings.companyGstin);
+    if (!companyState) {
+        throw new AppError('Set a valid company GSTIN in the GST settings before applying GST', 400);
+    }
+
+    const gstin = isGstin(customerGstin) ? String(customerGstin).trim().toUpperCase() : '';
+    const placeOfSupply = gstin ? gstin.slice(0, 2) : companyState;
+    const supplyType = placeOfSupply === companyState ? 'intra' : 'inter';
+
+    const taxRate = Number(productSettings.taxRate) || 0;
+    const total = round(amount);
+    const taxableValue = round(total / (1 + taxRate / 100));
+    const totalTax = round(total - taxableValue);
+
+    const cgst = supplyType === 'intra' ? round(totalTax / 2) : 0;
+    const sgst = supplyType === 'intra' ? round(totalTax - cgst) : 0;
+    const igst = supplyType === 'inter' ? totalTax : 0;
+
+    return {
+        applied: true,
+        hsnCode: productSettings.hsnCode || '',
+        taxRate,
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        totalTax,
+        supplyType,
+        invoiceType: gstin ? 'B2B' : 'B2C',
+        customerGstin: gstin,
+        placeOfSupply
+    };
+};
+
+/**
+ * Find or create the output tax ledgers under the Duties & Taxes group
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - { cgst, sgst, igst } ledger documents
+ */
+export const getTaxLedgers = async (userId, session = null) => {
+    const group = await Group.findOne({ slug: 'duties-taxes' }).session(session);
+    if (!group) {
+        throw new AppError('Duties & Taxes group not found. Initialize the predefined groups first.', 400);
+    }
+
+    const ledgers = {};
+    for (const [key, name] of Object.entries(TAX_LEDGERS)) {
+        let ledger = await Ledger.findOne({ group: group._id, name }).session(session);
+        if (!ledger) {
+            [ledger] = await Ledger.create([{
+                name,
+                group: group._id,
+                ledgerType: 'other',
+                openingBalance: 0,
+                openingBalanceType: 'credit',
+                outstandingBalance: 0,
+                outstandingBalanceType: 'credit',
+                createdBy: userId,
+                updatedBy: userId
+            }], { session });
+        }
+        ledgers[key] = ledger;
+    }
+    return ledgers;
+};
+
+/**
+ * Build the GST details for a sale, including the tax ledgers it posts to
+ * @param {Object} params - { amount, product, customerGstin, userId, session } where product is a GST_SETTINGS
+ *                          product key or a Product document (its HSN code and rate win over the settings when set)
+ * @returns {Object} - GST details to store on the sale
+ */
+export const buildSaleGst = async ({ amount, product = 'bird', customerGstin = '', userId, session = null }) => {
+    const settings = await getGstSettings();
+
+    let productKey = product || 'bird';
+    if (typeof product === 'object') {
+        productKey = product.inventoryType || 'bird';
+        const base = settings.products[productKey] || {};
+        settings.products = {
+            ...settings.products,
+            [productKey]: {
+                hsnCode: product.hsnCode || base.hsnCode || '',
+                taxRate: product.taxRate ?? base.taxRate ?? 0
+            }
+        };
+    }
+
+    const gst = calculateGst({ amount, product: productKey, customerGstin, settings });
+    const ledgers = await getTaxLedgers(userId, session);
+
+    return {
+        ...gst,
+        cgstLedger: ledgers.cgst._id,
+        sgstLedger: ledgers.sgst._id,
+        igstLedger: ledgers.igst._id
+    };
+};
+
+/**
+ * Journal lines crediting the output tax ledgers with a sale's GST
+ * @param {Object} gst - GST details stored on the sale
+ * @param {Boolean} reverse - Reverse the lines (when the sale is edited or removed)
+ * @returns {Array} - Posting lines
+ */
+export const gstPostingLines = (gst, reverse = false) => {
+    if (!gst || !gst.applied) return [];
+    const type = reverse ? 'debit' : 'credit';
+
+    return [
+        gst.cgstLedger && postingLine('ledger', gst.cgstLedger, gst.cgst, type, 'Output CGST'),
+        gst.sgstLedger && postingLine('ledger', gst.sgstLedger, gst.sgst, type, 'Output SGST'),
+        gst.igstLedger && postingLine('ledger', gst.igstLedger, gst.igst, type, 'Output IGST')
+    ].filter(Boolean);
+};
+
+/**
+ * Update the stored balances of the output tax ledgers for a sale's GST
+ * @param {Object} gst - GST details stored on the sale
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @param {Boolean} reverse - Take the tax back out (when the sale is edited or removed)
+ */
+export const applyGstToLedgers = async (gst, userId, session = null, reverse = false) => {
+    if (!gst || !gst.applied) return;
+
+    for (const line of gstPostingLines(gst, reverse)) {
+        const ledger = await Ledger.findById(line.accountId).session(session);
+        if (!ledger) continue;
+
+        const newBalance = addToBalance(
+            ledger.outstandingBalance || 0,
+            ledger.outstandingBalanceType || 'credit',
+            line.debit || line.credit,
+            line.debit > 0 ? 'debit' : 'credit'
+        );
+        ledger.outstandingBalance = newBalance.amount;
+        ledger.outstandingBalanceType = newBalance.type;
+        ledger.updatedBy = userId;
+        await ledger.save({ session });
+    }
+};
@@ -0,0 +1,165 @@
+import PDFDocument from "pdfkit";
+import Setting from "../models/Setting.js";
+
+// Layout used when the INVOICE_LAYOUT setting is missing or leaves a field out
+export const DEFAULT_INVOICE_LAYOUT = {
+    title: 'SALE INVOICE',
+    companyName: '',
+    companyAddress: '',
+    companyPhone: '',
+    companyGstNumber: '',
+    companyPanNumber: '',
+    paperSize: 'A5',
+    accentColor: '#1f2937',
+    currencyLabel: 'Rs.',
+    showPayments: true,
+    showBalance: true,
+    footerNote: 'Thank you for your business.'
+};
+
+/**
+ * Read the invoice layout from the INVOICE_LAYOUT setting merged over the defaults
+ * @returns {Object} - Layout
+ */
+export const getInvoiceLayout = async () => {
+    const setting = await Setting.findOne({ key: 'INVOICE_LAYOUT' }).lean();
+    const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+    return { ...DEFAULT_INVOICE_LAYOUT, ...value };
+};
+
+const formatAmount = (value, layout) => `${layout.currencyLabel} ${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+
+/**
+ * Render a sale invoice as a PDF
+ * @param {Object} invoice - { billNumber, date, reference, customer: { shopName, ownerName, place, contact, gstOrPanNumber },
+ *                            birds, weight, avgWeight, rate, amount, cashPaid, onlinePaid, discount, balance, gst }
+ * @param {Object} layout - Layout from getInvoiceLayout
+ * @returns {Promise<Buffer>}
+ */
+export const renderSaleInvoice = (invoice, layout = DEFAULT_INVOICE_LAYOUT) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: layout.paperSize || 'A5', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Header
+    if (layout.companyName) {
+        doc.font('Helvetica-Bold').fontSize(16).fillColor(layout.accentColor).text(layout.companyName, { align: 'center' });
+    }
+    doc.font('Helvetica').fontSize(9).fillColor('#000000');
+    if (layout.companyAddress) doc.text(layout.companyAddress, { align: 'center' });
+    const companyIds = [
+        layout.companyPhone && `Phone: ${layout.companyPhone}`,
+        layout.companyGstNumber && `GSTIN: ${layout.companyGstNumber}`,
+        layout.companyPanNumber && `PAN: ${layout.companyPanNumber}`
+    ].filter(Boolean).join('   ');
+    if (companyIds) doc.text(companyIds, { align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(layout.accentColor).text(layout.title, { align: 'center' });
+    doc.moveDown(0.5);
+
+    // Bill details and customer
+    const customer = invoice.customer || {};
+    const detailsTop = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor('#000000');
+    doc.text(`Bill No: ${invoice.billNumber || ''}`, left, detailsTop);
+    doc.text(`Date: ${formatDate(invoice.date)}`);
+    if (invoice.reference) doc.text(invoice.reference);
+
+    doc.font('Helvetica-Bold').text(customer.shopName || customer.ownerName || '', left + width / 2, detailsTop, { width: width / 2 });
+    doc.font('Helvetica');
+    if (customer.shopName && customer.ownerName) doc.text(customer.ownerName, { width: width / 2 });
+    if (customer.place) doc.text(customer.place, { width: width / 2 });
+    if (customer.contact) doc.text(`Phone: ${customer.contact}`, { width: width / 2 });
+    if (customer.gstOrPanNumber) doc.text(`GST/PAN: ${customer.gstOrPanNumber}`, { width: width / 2 });
+
+    doc.x = left;
+    doc.moveDown(1);
+
+    // Item table
+    const columns = [
+        { label: 'Birds', value: String(invoice.birds || 0) },
+        { label: 'Weight (kg)', value: Number(invoice.weight || 0).toFixed(2) },
+        { label: 'Avg Wt (kg)', value: Number(invoice.avgWeight || 0).toFixed(2) },
+        { label: 'Rate', value: Number(invoice.rate || 0).toFixed(2) },
+        { label: 'Amount', value: Number(invoice.amount || 0).toFixed(2) }
+    ];
+    const columnWidth = width / columns.length;
+    const tableTop = doc.y;
+
+    doc.rect(left, tableTop, width, 18).fill(layout.accentColor);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#ffffff');
+    columns.forEach((column, i) => {
+        doc.text(column.label, left + i * columnWidth, tableTop + 5, { width: columnWidth, align: 'center' });
+    });
+
+    doc.font('Helvetica').fillColor('#000000');
+    columns.forEach((column, i) => {
+        doc.text(column.value, left + i * columnWidth, tableTop + 24, { width: columnWidth, align: 'center' });
+    });
+    doc.moveTo(left, tableTop + 40).lineTo(left + width, tableTop + 40).strokeColor('#cccccc').stroke();
+
+    // Totals (with the tax breakup when GST was applied; the sale amount includes the tax)
+    const totals = [];
+    const gst = invoice.gst;
+    if (gst && gst.applied) {
+        totals.push([`Taxable Value (HSN ${gst.hsnCode})`, gst.taxableValue]);
+        if (gst.supplyType === 'inter') {
+            totals.push([`IGST @ ${gst.taxRate}%`, gst.igst]);
+        } else {
+            totals.push([`CGST @ ${gst.taxRate / 2}%`, gst.cgst], [`SGST @ ${gst.taxRate / 2}%`, gst.sgst]);
+        }
+    }
+    totals.push(['Sale Amount', invoice.amount]);
+    if (layout.showPayments) {
+        totals.push(
+            ['Cash Paid', invoice.cashPaid],
+            ['Online Paid', invoice.onlinePaid],
+            ['Discount', invoice.discount]
+        );
+    }
+
+    let y = tableTop + 50;
+    const labelX = left + width / 2;
+    const labelWidth = width / 4;
+    totals.forEach(([label, value]) => {
+        doc.font('Helvetica').text(label, labelX, y, { width: labelWidth });
+        doc.text(formatAmount(value, layout), labelX + labelWidth, y, { width: labelWidth, align: 'right' });
+        y += 14;
+    });
+
+    if (layout.showBalance) {
+        doc.moveTo(labelX, y).lineTo(left + width, y).strokeColor('#cccccc').stroke();
+        y += 5;
+        doc.font('Helvetica-Bold').text('Balance', labelX, y, { width: labelWidth });
+        doc.text(formatAmount(invoice.balance, layout), labelX + labelWidth, y, { width: labelWidth, align: 'right' });
+        y += 14;
+    }
+
+    if (layout.footerNote) {
+        doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555')
+            .text(layout.footerNote, left, y + 20, { width, align: 'center' });
+    }
+
+    doc.end();
+});
+
+/**
+ * Send a rendered invoice as an inline PDF response
+ * @param {Object} res - Express response
+ * @param {Buffer} buffer - PDF content
+ * @param {String} billNumber - Used for the file name
+ */
+export const sendInvoicePdf = (res, buffer, billNumber) => {
+    const safeName = String(billNumber || 'invoice').replace(/[^a-zA-Z0-9_-]/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice_${safeName}.pdf"`);
+    res.send(buffer);
+};
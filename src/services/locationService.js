@@ -0,0 +1,61 @@
+import VehicleLocation from "../models/VehicleLocation.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+// Pings less accurate than this (metres) are left out of the breadcrumb distance
+export const MAX_BREADCRUMB_ACCURACY = 100;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two [longitude, latitude] points
+ * @param {Array<Number>} from - [lng, lat]
+ * @param {Array<Number>} to - [lng, lat]
+ * @returns {Number} - Distance in km
+ */
+export const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Distance along a breadcrumb trail, skipping pings with poor accuracy
+ * @param {Array<Object>} pings - VehicleLocation documents in recordedAt order
+ * @returns {Number} - Distance in km (2 decimals)
+ */
+export const breadcrumbDistanceKm = (pings) => {
+    const points = pings.filter(ping => ping.accuracy === undefined || ping.accuracy === null || ping.accuracy <= MAX_BREADCRUMB_ACCURACY);
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += haversineKm(points[i - 1].location.coordinates, points[i].location.coordinates);
+    }
+    return Number(distance.toFixed(2));
+};
+
+/**
+ * Breadcrumb trail of a trip with its distance, compared with the odometer distance when the trip has one
+ * @param {Object} trip - Trip document (vehicleReadings used for the comparison)
+ * @returns {Object} - { points, pingCount, gpsDistance, odometerDistance, difference, differencePercent }
+ */
+export const getTripBreadcrumb = async (trip) => {
+    const points = await VehicleLocation.find({ trip: trip._id })
+        .select('location accuracy speed heading recordedAt')
+        .sort({ recordedAt: 1 })
+        .lean();
+
+    const gpsDistance = breadcrumbDistanceKm(points);
+    const odometerDistance = trip.vehicleReadings?.totalDistance ?? null;
+    const difference = odometerDistance !== null ? Number((odometerDistance - gpsDistance).toFixed(2)) : null;
+
+    return {
+        points,
+        pingCount: points.length,
+        gpsDistance,
+        odometerDistance,
+        difference,
+        differencePercent: odometerDistance > 0 ? Number(((difference / odometerDistance) * 100).toFixed(2)) : null
+    };
+};
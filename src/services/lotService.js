@@ -0,0 +1,64 @@
+const round = (value) => Number(Number(value || 0).toFixed(2));
+
+const EPSILON = 0.0001;
+
+/**
+ * Allocate weight taken out of a trip (sales, stock, transfers, losses) to its purchase lots.
+ * Consumptions are handled in date order; each uses the lots it names first (selectedLots), then the
+ * oldest lots with weight left. Lots of the consumption's product are used when it has one and the
+ * trip bought that product. Weight beyond what the lots hold is costed at the fallback rate.
+ * @param {Array<Object>} lots - [{ id, dcNumber, productId, date, weight, rate }]
+ * @param {Array<Object>} consumptions - [{ key, date, weight, productId, selectedLots }]
+ * @param {Object} options - { fallbackRate }
+ * @returns {Object} - { allocations: Map key -> { lots: [{ lot, dcNumber, weight, rate, cost }], cost, unallocatedWeight },
+ *                       consumed: Map lotId -> weight }
+ */
+export const allocateLots = (lots, consumptions, { fallbackRate = 0 } = {}) => {
+    const orderedLots = lots
+        .map((lot, index) => ({ ...lot, index, remaining: Number(lot.weight) || 0 }))
+        .sort((a, b) => (new Date(a.date) - new Date(b.date)) || (a.index - b.index));
+    const lotsById = new Map(orderedLots.map(lot => [String(lot.id), lot]));
+
+    const allocations = new Map();
+
+    consumptions
+        .map((consumption, index) => ({ ...consumption, index }))
+        .sort((a, b) => (new Date(a.date) - new Date(b.date)) || (a.index - b.index))
+        .forEach(consumption => {
+            let needed = Number(consumption.weight) || 0;
+            const productId = consumption.productId ? String(consumption.productId) : null;
+            const sameProduct = productId && orderedLots.some(lot => String(lot.productId || '') === productId);
+            const eligible = (lot) => !sameProduct || String(lot.productId || '') === productId;
+
+            const selected = (consumption.selectedLots || [])
+                .map(id => lotsById.get(String(id)))
+                .filter(lot => lot && eligible(lot));
+            const candidates = [...selected, ...orderedLots.filter(lot => eligible(lot) && !selected.includes(lot))];
+
+            const used = [];
+            let cost = 0;
+            for (const lot of candidates) {
+                if (needed <= EPSILON) break;
+                if (lot.remaining <= EPSILON) continue;
+
+                const weight = Math.min(needed, lot.remaining);
+                lot.remaining -= weight;
+                needed -= weight;
+                cost += weight * lot.rate;
+                used.push({ lot: lot.id, dcNumber: lot.dcNumber, weight: round(weight), rate: round(lot.rate), cost: round(weight * lot.rate) });
+            }
+
+            const unallocatedWeight = needed > EPSILON ? needed : 0;
+            cost += unallocatedWeight * fallbackRate;
+
+            allocations.set(consumption.key, {
+                lots: used,
+                cost: round(cost),
+                unallocatedWeight: round(unallocatedWeight)
+            });
+        });
+
+    const consumed = new Map(orderedLots.map(lot => [String(lot.id), round((Number(lot.weight) || 0) - lot.remaining)]));
+
+    return { allocations, consumed };
+};
@@ -0,0 +1,102 @@
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import Trip from "../models/Trip.js";
+import VehicleMaintenance from "../models/VehicleMaintenance.js";
+import AppError from "../utils/AppError.js";
+import { postingLine } from "./postingService.js";
+
+const MAINTENANCE_LEDGER = { name: 'VEHICLE MAINTENANCE', groupSlug: 'indirect-expenses' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get (or create) the expense ledger vehicle maintenance is posted to
+ * @param {ObjectId} userId - User creating the ledger when it does not exist
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - Ledger document
+ */
+export const getMaintenanceLedger = async (userId, session = null) => {
+    const group = await Group.findOne({ slug: MAINTENANCE_LEDGER.groupSlug }).session(session);
+    if (!group) {
+        throw new AppError(`Group "${MAINTENANCE_LEDGER.groupSlug}" not found. Initialize the predefined groups first.`, 400);
+    }
+
+    let ledger = await Ledger.findOne({ group: group._id, name: MAINTENANCE_LEDGER.name }).session(session);
+    if (!ledger) {
+        [ledger] = await Ledger.create([{
+            name: MAINTENANCE_LEDGER.name,
+            group: group._id,
+            ledgerType: 'other',
+            openingBalance: 0,
+            openingBalanceType: 'debit',
+            outstandingBalance: 0,
+            outstandingBalanceType: 'debit',
+            createdBy: userId,
+            updatedBy: userId
+        }], { session });
+    }
+    return ledger;
+};
+
+/**
+ * Journal lines for a maintenance bill: expense debited, cash/bank ledger or vendor credited
+ * @param {Object} entry - VehicleMaintenance document (unpopulated)
+ * @param {Boolean} reverse - Build the reversing lines
+ * @returns {Array<Object>} - Posting lines
+ */
+export const maintenancePostingLines = (entry, reverse = false) => {
+    if (!entry.isActive || !(entry.amount > 0)) return [];
+    const debit = reverse ? 'credit' : 'debit';
+    const credit = reverse ? 'debit' : 'credit';
+
+    const lines = [postingLine('ledger', entry.expenseLedger, entry.amount, debit, `Vehicle maintenance (${entry.serviceType})`)];
+    if (entry.paidFromLedger) {
+        lines.push(postingLine('ledger', entry.paidFromLedger, entry.amount, credit, 'Paid for vehicle maintenance'));
+    } else if (entry.vendor) {
+        lines.push(postingLine('vendor', entry.vendor, entry.amount, credit, 'Vehicle maintenance bill'));
+    }
+    return lines;
+};
+
+/**
+ * Service due status of a vehicle from its latest scheduled maintenance and latest closing odometer
+ * @param {ObjectId} vehicleId
+ * @param {Date} asOn
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object|null} - { isOverdue, nextDueOdometer, nextDueDate, currentOdometer, kmOverdue, daysOverdue, lastService }
+ *                          or null when no next service is scheduled
+ */
+export const getServiceDueStatus = async (vehicleId, asOn = new Date(), session = null) => {
+    const lastService = await VehicleMaintenance.findOne({
+        vehicle: vehicleId,
+        isActive: true,
+        status: 'completed',
+        $or: [{ nextDueOdometer: { $gt: 0 } }, { nextDueDate: { $ne: null } }]
+    }).sort({ serviceDate: -1, createdAt: -1 }).session(session).lean();
+    if (!lastService) return null;
+
+    const lastTrip = await Trip.findOne({ vehicle: vehicleId, 'vehicleReadings.closing': { $gt: 0 } })
+        .sort({ 'vehicleReadings.closing': -1 })
+        .select('tripId vehicleReadings.closing')
+        .session(session)
+        .lean();
+    const currentOdometer = Math.max(lastTrip?.vehicleReadings?.closing || 0, lastService.odometer || 0);
+
+    const kmOverdue = lastService.nextDueOdometer > 0 ? currentOdometer - lastService.nextDueOdometer : null;
+    const daysOverdue = lastService.nextDueDate ? Math.floor((asOn - new Date(lastService.nextDueDate)) / DAY_MS) : null;
+
+    return {
+        isOverdue: (kmOverdue !== null && kmOverdue >= 0) || (daysOverdue !== null && daysOverdue >= 0),
+        nextDueOdometer: lastService.nextDueOdometer || null,
+        nextDueDate: lastService.nextDueDate || null,
+        currentOdometer,
+        kmOverdue,
+        daysOverdue,
+        lastService: {
+            id: lastService._id,
+            serviceType: lastService.serviceType,
+            serviceDate: lastService.serviceDate,
+            odometer: lastService.odometer
+        }
+    };
+};
@@ -0,0 +1,72 @@
+import PeriodLock from "../models/PeriodLock.js";
+import AppError from "../utils/AppError.js";
+
+/**
+ * Get the start/end of a calendar month
+ * @param {String} month - "YYYY-MM"
+ * @returns {Object} - { label, startDate, endDate }
+ */
+export const monthRange = (month) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+        throw new AppError('Month must be in YYYY-MM format', 400);
+    }
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    return {
+        label: month,
+        startDate: new Date(year, monthIndex, 1, 0, 0, 0, 0),
+        endDate: new Date(year, monthIndex + 1, 0, 23, 59, 59, 999)
+    };
+};
+
+/**
+ * Get the start/end of an April-March financial year
+ * @param {Number|String} startYear - Calendar year the financial year starts in (2024 for 2024-25)
+ * @returns {Object} - { label, startDate, endDate }
+ */
+export const financialYearRange = (startYear) => {
+    const year = parseInt(startYear);
+    if (!year || year < 2000 || year > 2100) {
+        throw new AppError('Financial year must be the starting year, e.g. 2024 for 2024-25', 400);
+    }
+    return {
+        label: `${year}-${String((year + 1) % 100).padStart(2, '0')}`,
+        startDate: new Date(year, 3, 1, 0, 0, 0, 0),
+        endDate: new Date(year + 1, 2, 31, 23, 59, 59, 999)
+    };
+};
+
+/**
+ * Find the locked period containing a date
+ * @param {Date} date
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object|null} - PeriodLock document
+ */
+export const findLockedPeriod = async (date, session = null) => {
+    return PeriodLock.findOne({
+        isLocked: true,
+        startDate: { $lte: date },
+        endDate: { $gte: date }
+    }).session(session);
+};
+
+/**
+ * Reject a change when any of its dates falls inside a locked period
+ * Pass both the old and the new date when an entry is being moved
+ * @param {Date|Array<Date>} dates - Entry date(s); empty values are ignored
+ * @param {ClientSession} session - Optional mongoose session
+ */
+export const assertPeriodOpen = async (dates, session = null) => {
+    const list = (Array.isArray(dates) ? dates : [dates])
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .filter(date => !isNaN(date.getTime()));
+
+    for (const date of list) {
+        const period = await findLockedPeriod(date, session);
+        if (period) {
+            throw new AppError(`The period ${period.label} is closed. A superadmin must reopen it before entries dated ${date.toISOString().split('T')[0]} can be changed`, 403);
+        }
+    }
+};
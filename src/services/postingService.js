@@ -0,0 +1,192 @@
+import mongoose from "mongoose";
+import Posting from "../models/Posting.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import AppError from "../utils/AppError.js";
+import { addToBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+
+const accountModels = {
+    customer: Customer,
+    vendor: Vendor,
+    ledger: Ledger
+};
+
+// Natural side of a balance when the document does not say otherwise
+const defaultBalanceTypes = {
+    customer: 'debit',
+    vendor: 'credit',
+    ledger: 'debit'
+};
+
+/**
+ * Get the model backing an account type
+ * @param {String} accountType - 'customer', 'vendor' or 'ledger'
+ * @returns {mongoose.Model|undefined}
+ */
+export const getAccountModel = (accountType) => accountModels[accountType];
+
+/**
+ * Build a posting line for an amount moved on an account
+ * @param {String} accountType - 'customer', 'vendor' or 'ledger'
+ * @param {Object|ObjectId} account - Account document or its ID
+ * @param {Number} amount - Amount moved (always positive)
+ * @param {String} transactionType - 'debit' or 'credit'
+ * @param {String} narration - Short description of the line
+ * @returns {Object} - Posting line
+ */
+export const postingLine = (accountType, account, amount, transactionType, narration = '') => {
+    const value = Math.abs(Number(amount) || 0);
+    return {
+        accountType,
+        accountId: account?._id || account,
+        debit: transactionType === 'debit' ? value : 0,
+        credit: transactionType === 'credit' ? value : 0,
+        narration
+    };
+};
+
+/**
+ * Append the posting lines of one transaction source (zero lines are skipped)
+ * @param {Array} lines - Lines built with postingLine
+ * @param {Object} source - { sourceType, sourceId, sourceLineId, date, userId }
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Array} - Created postings
+ */
+export const recordPostings = async (lines, source, session = null) => {
+    const docs = lines
+        .filter(line => line && line.accountId && (line.debit > 0 || line.credit > 0))
+        .map(line => ({
+            ...line,
+            date: source.date || new Date(),
+            sourceType: source.sourceType,
+            sourceId: source.sourceId || null,
+            sourceLineId: source.sourceLineId || null,
+            createdBy: source.userId
+        }));
+
+    if (docs.length === 0) return [];
+    return Posting.insertMany(docs, { session });
+};
+
+/**
+ * Move the stored outstanding balances of the accounts in a set of posting lines
+ * @param {Array<Object>} lines - Lines built with postingLine
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ */
+export const applyLinesToBalances = async (lines, userId, session = null) => {
+    for (const line of lines) {
+        if (!line.accountId || !(line.debit > 0 || line.credit > 0)) continue;
+        const Model = getAccountModel(line.accountType);
+        const account = await Model.findById(line.accountId).session(session);
+        if (!account) {
+            throw new AppError(`${line.accountType} account not found`, 404);
+        }
+
+        const newBalance = addToBalance(
+            account.outstandingBalance || 0,
+            account.outstandingBalanceType || defaultBalanceTypes[line.accountType],
+            line.debit > 0 ? line.debit : line.credit,
+            line.debit > 0 ? 'debit' : 'credit'
+        );
+        account.outstandingBalance = newBalance.amount;
+        account.outstandingBalanceType = newBalance.type;
+        account.updatedBy = userId;
+        await account.save({ session });
+    }
+};
+
+/**
+ * Derive an account's balance from its opening balance and postings
+ * @param {String} accountType - 'customer', 'vendor' or 'ledger'
+ * @param {Object} account - Account document (needs openingBalance/openingBalanceType)
+ * @param {Object} options - { asOn, session }
+ * @returns {Object} - { opening, debitTotal, creditTotal, postingCount, balance: { amount, type } }
+ */
+export const deriveAccountBalance = async (accountType, account, { asOn = null, session = null } = {}) => {
+    const match = {
+        accountType,
+        accountId: new mongoose.Types.ObjectId(account._id.toString())
+    };
+    if (asOn) match.date = { $lte: new Date(asOn) };
+
+    const [totals] = await Posting.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                debitTotal: { $sum: '$debit' },
+                creditTotal: { $sum: '$credit' },
+                postingCount: { $sum: 1 }
+            }
+        }
+    ]).session(session);
+
+    const debitTotal = totals?.debitTotal || 0;
+    const creditTotal = totals?.creditTotal || 0;
+    const openingSigned = toSignedValue(
+        account.openingBalance || 0,
+        account.openingBalanceType || defaultBalanceTypes[accountType]
+    );
+
+    return {
+        opening: fromSignedValue(openingSigned),
+        debitTotal,
+        creditTotal,
+        postingCount: totals?.postingCount || 0,
+        balance: fromSignedValue(Number((openingSigned + debitTotal - creditTotal).toFixed(2)))
+    };
+};
+
+/**
+ * Total postings per account in one pass
+ * @param {Object} match - Posting filter (e.g. { date: { $lte: asOn } })
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Map} - 'accountType:accountId' => { debitTotal, creditTotal }
+ */
+export const sumPostingsByAccount = async (match = {}, session = null) => {
+    const totals = await Posting.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { accountType: '$accountType', accountId: '$accountId' },
+                debitTotal: { $sum: '$debit' },
+                creditTotal: { $sum: '$credit' }
+            }
+        }
+    ]).session(session);
+
+    const totalsMap = new Map();
+    totals.forEach(({ _id, debitTotal, creditTotal }) => {
+        totalsMap.set(`${_id.accountType}:${_id.accountId}`, { debitTotal, creditTotal });
+    });
+    return totalsMap;
+};
+
+/**
+ * Compare an account's stored outstanding balance with the balance derived from postings
+ * @param {String} accountType - 'customer', 'vendor' or 'ledger'
+ * @param {Object} account - Account document
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - { stored, derived, difference, inSync }
+ */
+export const compareAccountBalance = async (accountType, account, session = null) => {
+    const derived = await deriveAccountBalance(accountType, account, { session });
+    const stored = {
+        amount: account.outstandingBalance || 0,
+        type: account.outstandingBalanceType || defaultBalanceTypes[accountType]
+    };
+
+    // Positive difference means the stored balance is more on the debit side than the journal
+    const difference = Number((
+        toSignedValue(stored.amount, stored.type) - toSignedValue(derived.balance.amount, derived.balance.type)
+    ).toFixed(2));
+
+    return {
+        stored,
+        derived,
+        difference,
+        inSync: Math.abs(difference) < 0.01
+    };
+};
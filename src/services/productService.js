@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import AppError from "../utils/AppError.js";
+
+/**
+ * Get the product an entry refers to, falling back to the default product of its inventory type
+ * @param {ObjectId|String} productId - Product sent with the entry (optional)
+ * @param {String} inventoryType - 'bird' or 'feed', used to pick the default product
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object|null} - Product document, or null when none is given and no default is set
+ */
+export const resolveProduct = async (productId, inventoryType = 'bird', session = null) => {
+    if (productId) {
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            throw new AppError('Invalid product id', 400);
+        }
+        const product = await Product.findOne({ _id: productId, isActive: true }).session(session);
+        if (!product) {
+            throw new AppError('Product not found', 404);
+        }
+        if (product.inventoryType !== inventoryType) {
+            throw new AppError(`${product.name} is not a ${inventoryType} product`, 400);
+        }
+        return product;
+    }
+
+    return Product.findOne({ inventoryType, isDefault: true, isActive: true }).session(session);
+};
+
+/**
+ * Per-product totals keyed by product id ('' for entries without a product)
+ * @param {Array<Object>} rows - [{ productId, ...numbers }]
+ * @param {Array<String>} fields - Numeric fields to add up
+ * @returns {Map} - productId -> { productId, ...totals }
+ */
+export const sumByProduct = (rows, fields) => {
+    const totals = new Map();
+    rows.forEach(row => {
+        const key = row.productId ? String(row.productId) : '';
+        if (!totals.has(key)) {
+            totals.set(key, { productId: row.productId || null, ...Object.fromEntries(fields.map(f => [f, 0])) });
+        }
+        const entry = totals.get(key);
+        fields.forEach(f => { entry[f] += Number(row[f]) || 0; });
+    });
+    return totals;
+};
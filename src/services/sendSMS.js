@@ -43,6 +43,12 @@ const sendSMS = async (template_name, variables_values, numbers) => {
             return null;
         }
 
+        // Templates are added before their DLT approval comes through
+        if (!template.template_id) {
+            console.warn('Template has no DLT template id yet:', template_name);
+            return null;
+        }
+
 
         const payload = {
             route: template.route || "dlt",
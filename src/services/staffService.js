@@ -0,0 +1,137 @@
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import Staff from "../models/Staff.js";
+import Trip from "../models/Trip.js";
+import AppError from "../utils/AppError.js";
+
+const WAGES_LEDGER = { name: 'STAFF WAGES', groupSlug: 'direct-expenses' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (value) => Number(Number(value || 0).toFixed(2));
+
+/**
+ * Get (or create) the expense ledger staff wages are paid against
+ * @param {ObjectId} userId - User creating the ledger when it does not exist
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - Ledger document
+ */
+export const getWagesLedger = async (userId, session = null) => {
+    const group = await Group.findOne({ slug: WAGES_LEDGER.groupSlug }).session(session);
+    if (!group) {
+        throw new AppError(`Group "${WAGES_LEDGER.groupSlug}" not found. Initialize the predefined groups first.`, 400);
+    }
+
+    let ledger = await Ledger.findOne({ group: group._id, name: WAGES_LEDGER.name }).session(session);
+    if (!ledger) {
+        [ledger] = await Ledger.create([{
+            name: WAGES_LEDGER.name,
+            group: group._id,
+            ledgerType: 'other',
+            openingBalance: 0,
+            openingBalanceType: 'debit',
+            outstandingBalance: 0,
+            outstandingBalanceType: 'debit',
+            createdBy: userId,
+            updatedBy: userId
+        }], { session });
+    }
+    return ledger;
+};
+
+// Calendar days (as date strings) a trip ran on, from its date to its completion
+const tripDays = (trip) => {
+    const first = new Date(trip.date);
+    const completedAt = trip.completionDetails?.completedAt ? new Date(trip.completionDetails.completedAt) : first;
+    const last = new Date(Math.max(completedAt.getTime(), first.getTime()));
+    first.setHours(0, 0, 0, 0);
+
+    const days = [];
+    for (let day = first; day <= last; day = new Date(day.getTime() + DAY_MS)) {
+        days.push(day.toDateString());
+    }
+    return days;
+};
+
+/**
+ * Wages earned by staff on completed trips that started and finished within a period, so a trip
+ * running past the period end is paid whole in the next one. Daily-wage staff earn for each
+ * calendar day they were on a trip (a day counts once however many trips it had); per-trip staff
+ * earn their allowance per trip. Trips already paid on a wage voucher are shown but not payable.
+ * @param {Object} options - { startDate, endDate, staffIds, session }
+ * @returns {Array<Object>} - One row per staff member with trips, days, earned, paid and payable amounts
+ */
+export const computeStaffWages = async ({ startDate, endDate, staffIds = null, session = null }) => {
+    const tripQuery = {
+        status: 'completed',
+        date: { $gte: startDate, $lte: endDate },
+        // Trips completed before completedAt was recorded count on their date
+        'completionDetails.completedAt': { $not: { $gt: endDate } },
+        'crew.0': { $exists: true }
+    };
+    if (staffIds) tripQuery['crew.staff'] = { $in: staffIds };
+
+    const trips = await Trip.find(tripQuery)
+        .select('tripId date completionDetails.completedAt vehicle crew')
+        .populate('vehicle', 'vehicleNumber')
+        .sort({ date: 1 })
+        .session(session)
+        .lean();
+
+    const rows = new Map();
+    trips.forEach(trip => {
+        trip.crew.forEach(member => {
+            const staffId = String(member.staff);
+            if (staffIds && !staffIds.some(id => String(id) === staffId)) return;
+            if (!rows.has(staffId)) rows.set(staffId, { staffId, trips: [] });
+            rows.get(staffId).trips.push({
+                tripRef: trip._id,
+                tripId: trip.tripId,
+                date: trip.date,
+                vehicle: trip.vehicle?.vehicleNumber || '',
+                role: member.role,
+                days: tripDays(trip),
+                wageVoucher: member.wageVoucher || null
+            });
+        });
+    });
+    if (rows.size === 0) return [];
+
+    const staffList = await Staff.find({ _id: { $in: [...rows.keys()] } }).session(session).lean();
+
+    return staffList.map(staff => {
+        const row = rows.get(String(staff._id));
+        const paidTrips = row.trips.filter(trip => trip.wageVoucher);
+        const unpaidTrips = row.trips.filter(trip => !trip.wageVoucher);
+
+        const allDays = new Set(row.trips.flatMap(trip => trip.days));
+        const paidDays = new Set(paidTrips.flatMap(trip => trip.days));
+        const unpaidDays = new Set(unpaidTrips.flatMap(trip => trip.days).filter(day => !paidDays.has(day)));
+
+        const earned = staff.wageType === 'daily'
+            ? allDays.size * (staff.dailyWage || 0)
+            : row.trips.length * (staff.tripAllowance || 0);
+        const payable = staff.wageType === 'daily'
+            ? unpaidDays.size * (staff.dailyWage || 0)
+            : unpaidTrips.length * (staff.tripAllowance || 0);
+
+        return {
+            staff: {
+                id: staff._id,
+                name: staff.name,
+                role: staff.role,
+                mobileNumber: staff.mobileNumber || '',
+                wageType: staff.wageType,
+                dailyWage: staff.dailyWage || 0,
+                tripAllowance: staff.tripAllowance || 0
+            },
+            trips: row.trips.map(({ days, ...trip }) => ({ ...trip, days: days.length })),
+            tripCount: row.trips.length,
+            unpaidTripCount: unpaidTrips.length,
+            days: allDays.size,
+            unpaidDays: unpaidDays.size,
+            earned: round(earned),
+            paid: round(earned - payable),
+            payable: round(payable)
+        };
+    }).sort((a, b) => a.staff.name.localeCompare(b.staff.name));
+};
@@ -0,0 +1,169 @@
+import Setting from "../models/Setting.js";
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import AppError from "../utils/AppError.js";
+import { financialYearRange } from "./periodLockService.js";
+
+// Used when the TDS_SETTINGS setting is missing or leaves a field out (rates in percent)
+export const DEFAULT_TDS_SETTINGS = {
+    defaultSection: '194Q',
+    sections: {
+        '194Q': { rate: 0.1, description: 'Purchase of goods' },
+        '194C': { rate: 1, description: 'Contractors' },
+        '194H': { rate: 2, description: 'Commission or brokerage' },
+        '194J': { rate: 10, description: 'Professional or technical services' }
+    }
+};
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// TDS we deduct on payments is a liability; TDS customers deduct on their payments to us is an asset
+const TDS_LEDGERS = {
+    payable: { name: 'TDS PAYABLE', groupSlug: 'duties-taxes', balanceType: 'credit' },
+    receivable: { name: 'TDS RECEIVABLE', groupSlug: 'loans-advances-asset', balanceType: 'debit' }
+};
+
+/**
+ * Read the TDS settings merged over the defaults
+ * @returns {Object} - { defaultSection, sections: { [section]: { rate, description } } }
+ */
+export const getTdsSettings = async () => {
+    const setting = await Setting.findOne({ key: 'TDS_SETTINGS' }).lean();
+    const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+    return {
+        ...DEFAULT_TDS_SETTINGS,
+        ...value,
+        sections: { ...DEFAULT_TDS_SETTINGS.sections, ...(value.sections || {}) }
+    };
+};
+
+/**
+ * Get the PAN from a PAN or GSTIN value
+ * @param {String} value
+ * @returns {String} - PAN, or '' when the value is neither
+ */
+export const panFromTaxId = (value) => {
+    const id = String(value || '').trim().toUpperCase();
+    if (PAN_PATTERN.test(id)) return id;
+    if (GSTIN_PATTERN.test(id)) return id.slice(2, 12);
+    return '';
+};
+
+/**
+ * TDS on an amount, rounded to the nearest rupee
+ * @param {Number} amount - Gross amount
+ * @param {Number} rate - Rate in percent
+ * @returns {Number}
+ */
+export const calculateTds = (amount, rate) => Math.round((Number(amount) || 0) * (Number(rate) || 0) / 100);
+
+/**
+ * Get the start/end of a quarter of an April-March financial year
+ * @param {Number|String} startYear - Calendar year the financial year starts in
+ * @param {Number|String} quarter - 1 (Apr-Jun) to 4 (Jan-Mar)
+ * @returns {Object} - { label, startDate, endDate }
+ */
+export const financialQuarterRange = (startYear, quarter) => {
+    const fy = financialYearRange(startYear);
+    const q = parseInt(quarter);
+    if (!q || q < 1 || q > 4) {
+        throw new AppError('Quarter must be 1 (Apr-Jun), 2 (Jul-Sep), 3 (Oct-Dec) or 4 (Jan-Mar)', 400);
+    }
+    const startMonth = 3 + (q - 1) * 3;
+    const year = fy.startDate.getFullYear();
+    return {
+        label: `${fy.label} Q${q}`,
+        startDate: new Date(year, startMonth, 1, 0, 0, 0, 0),
+        endDate: new Date(year, startMonth + 3, 0, 23, 59, 59, 999)
+    };
+};
+
+/**
+ * Find or create the TDS payable or receivable ledger
+ * @param {String} kind - 'payable' or 'receivable'
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - Ledger document
+ */
+export const getTdsLedger = async (kind, userId, session = null) => {
+    const config = TDS_LEDGERS[kind];
+    const group = await Group.findOne({ slug: config.groupSlug }).session(session);
+    if (!group) {
+        throw new AppError(`Group "${config.groupSlug}" not found. Initialize the predefined groups first.`, 400);
+    }
+
+    let ledger = await Ledger.findOne({ group: group._id, name: config.name }).session(session);
+    if (!ledger) {
+        [ledger] = await Ledger.create([{
+            name: config.name,
+            group: group._id,
+            ledgerType: 'other',
+            openingBalance: 0,
+            openingBalanceType: config.balanceType,
+            outstandingBalance: 0,
+            outstandingBalanceType: config.balanceType,
+            createdBy: userId,
+            updatedBy: userId
+        }], { session });
+    }
+    return ledger;
+};
+
+/**
+ * Work out the TDS on each party of a Payment or Receipt voucher.
+ * Payments to TDS-applicable vendors deduct TDS (payable); receipts from TDS-applicable customers
+ * carry the TDS the customer deducted (receivable). Party amounts stay gross: they settle the party's
+ * balance in full, while the cash/bank account only moves by the net amount.
+ * @param {String} voucherType - 'Payment' or 'Receipt'
+ * @param {Array} parties - Voucher parties ({ partyId, partyType, amount, tdsSection })
+ * @param {ObjectId} userId
+ * @param {ClientSession} session - Optional mongoose session
+ * @returns {Object} - { parties, tdsLedger, grossAmount, tdsAmount, netAmount }
+ */
+export const computeVoucherTds = async (voucherType, parties, userId, session = null) => {
+    const partyType = voucherType === 'Payment' ? 'vendor' : 'customer';
+    const PartyModel = partyType === 'vendor' ? Vendor : Customer;
+    let settings = null;
+
+    const result = [];
+    for (const item of parties) {
+        const party = item.toObject ? item.toObject() : { ...item };
+        party.tdsSection = undefined;
+        party.tdsRate = 0;
+        party.tdsAmount = 0;
+
+        if ((party.partyType || 'customer') === partyType) {
+            const doc = await PartyModel.findById(party.partyId).select('tdsApplicable tdsSection').session(session);
+            if (doc && doc.tdsApplicable) {
+                settings = settings || await getTdsSettings();
+                const section = String(item.tdsSection || doc.tdsSection || settings.defaultSection || '').toUpperCase();
+                const sectionSettings = settings.sections[section];
+                if (!sectionSettings) {
+                    throw new AppError(`TDS rate not configured for section "${section}"`, 400);
+                }
+                party.tdsSection = section;
+                party.tdsRate = Number(sectionSettings.rate) || 0;
+                party.tdsAmount = calculateTds(party.amount, party.tdsRate);
+            }
+        }
+        party.netAmount = Number(((party.amount || 0) - party.tdsAmount).toFixed(2));
+        result.push(party);
+    }
+
+    const grossAmount = result.reduce((sum, p) => sum + (p.amount || 0), 0);
+    const tdsAmount = result.reduce((sum, p) => sum + p.tdsAmount, 0);
+    const tdsLedger = tdsAmount > 0
+        ? await getTdsLedger(voucherType === 'Payment' ? 'payable' : 'receivable', userId, session)
+        : null;
+
+    return {
+        parties: result,
+        tdsLedger: tdsLedger ? tdsLedger._id : null,
+        grossAmount,
+        tdsAmount,
+        netAmount: Number((grossAmount - tdsAmount).toFixed(2))
+    };
+};
@@ -0,0 +1,219 @@
+import Setting from "../models/Setting.js";
+import Vehicle from "../models/Vehicle.js";
+import User from "../models/User.js";
+import Notification from "../models/Notification.js";
+import AppError from "../utils/AppError.js";
+import sendSMS from "./sendSMS.js";
+import { emitNotification } from "../utils/socket.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mandatory vehicle documents and the Vehicle fields holding their end dates
+export const VEHICLE_DOCUMENTS = [
+    { field: 'insuranceEndDate', label: 'Insurance' },
+    { field: 'pucEndDate', label: 'PUC' },
+    { field: 'roadTaxEndDate', label: 'Road Tax' },
+    { field: 'fitnessEndDate', label: 'Fitness' },
+    { field: 'nationalPermitEndDate', label: 'National Permit' }
+];
+
+// Used when the VEHICLE_COMPLIANCE setting is missing or leaves a field out
+export const DEFAULT_COMPLIANCE_SETTINGS = {
+    alertDays: [30, 15, 7, 0], // Days before expiry at which admins are alerted
+    sendSms: true
+};
+
+/**
+ * Read the vehicle compliance settings merged over the defaults
+ * @returns {Object} - { alertDays, sendSms }
+ */
+export const getComplianceSettings = async () => {
+    const setting = await Setting.findOne({ key: 'VEHICLE_COMPLIANCE' }).lean();
+    const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+    const merged = { ...DEFAULT_COMPLIANCE_SETTINGS, ...value };
+    merged.alertDays = [...new Set((merged.alertDays || []).map(Number).filter(days => !isNaN(days) && days >= 0))]
+        .sort((a, b) => b - a);
+    return merged;
+};
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Whole days from asOn to a document's end date (negative once it has expired)
+ * @param {Date} endDate
+ * @param {Date} asOn
+ * @returns {Number}
+ */
+export const daysUntil = (endDate, asOn = new Date()) =>
+    Math.round((startOfDay(endDate) - startOfDay(asOn)) / DAY_MS);
+
+/**
+ * Documents of a vehicle that have expired as on a date
+ * @param {Object} vehicle - Vehicle document
+ * @param {Date} asOn
+ * @returns {Array<Object>} - [{ field, label, endDate, daysOverdue }]
+ */
+export const getExpiredDocuments = (vehicle, asOn = new Date()) => VEHICLE_DOCUMENTS
+    .filter(({ field }) => vehicle[field] && daysUntil(vehicle[field], asOn) < 0)
+    .map(({ field, label }) => ({
+        field,
+        label,
+        endDate: vehicle[field],
+        daysOverdue: -daysUntil(vehicle[field], asOn)
+    }));
+
+/**
+ * Whether an admin override lets the vehicle run with expired documents
+ * @param {Object} vehicle - Vehicle document
+ * @param {Date} asOn
+ * @returns {Boolean}
+ */
+export const hasActiveComplianceOverride = (vehicle, asOn = new Date()) =>
+    !!(vehicle.complianceOverride?.validUntil && vehicle.complianceOverride.validUntil >= asOn);
+
+/**
+ * Refuse a vehicle with expired documents unless an admin override is active
+ * @param {Object} vehicle - Vehicle document
+ * @param {Date} asOn
+ * @returns {Object|null} - Override details to keep on the trip when the override was used
+ */
+export const assertVehicleCompliant = (vehicle, asOn = new Date()) => {
+    const expired = getExpiredDocuments(vehicle, asOn);
+    if (expired.length === 0) return null;
+
+    if (!hasActiveComplianceOverride(vehicle, asOn)) {
+        const documents = expired.map(doc => `${doc.label} (expired ${startOfDay(doc.endDate).toLocaleDateString('en-IN')})`).join(', ');
+        throw new AppError(`Vehicle ${vehicle.vehicleNumber} has expired documents: ${documents}. An admin override is required to start a trip`, 403);
+    }
+
+    return {
+        overriddenBy: vehicle.complianceOverride.overriddenBy,
+        reason: vehicle.complianceOverride.reason,
+        expiredDocuments: expired.map(doc => doc.label)
+    };
+};
+
+/**
+ * Vehicle documents expiring within the largest alert window (or already expired)
+ * @param {Array<Number>} alertDays - Alert windows, in days
+ * @param {Date} asOn
+ * @returns {Array<Object>} - [{ vehicle, field, label, endDate, daysLeft, alertWindow }]
+ */
+export const findExpiringDocuments = async (alertDays, asOn = new Date()) => {
+    const maxWindow = Math.max(0, ...alertDays);
+    const horizon = new Date(startOfDay(asOn).getTime() + (maxWindow + 1) * DAY_MS);
+
+    const vehicles = await Vehicle.find({
+        isActive: true,
+        $or: VEHICLE_DOCUMENTS.map(({ field }) => ({ [field]: { $lt: horizon } }))
+    }).select(['vehicleNumber', 'currentStatus', ...VEHICLE_DOCUMENTS.map(doc => doc.field)].join(' ')).lean();
+
+    const windowsAscending = [...alertDays].sort((a, b) => a - b);
+    const items = [];
+    vehicles.forEach(vehicle => {
+        VEHICLE_DOCUMENTS.forEach(({ field, label }) => {
+            if (!vehicle[field]) return;
+            const daysLeft = daysUntil(vehicle[field], asOn);
+            // Smallest window the document has reached; expired documents fall in the smallest one
+            const alertWindow = windowsAscending.find(days => daysLeft <= days);
+            if (alertWindow === undefined) return;
+            items.push({ vehicle, field, label, endDate: vehicle[field], daysLeft, alertWindow });
+        });
+    });
+
+    return items.sort((a, b) => a.daysLeft - b.daysLeft);
+};
+
+/**
+ * Send the SMS copy of a compliance notification and clear its pending flag once the provider accepts it.
+ * sendSMS returns null when SMS is disabled, the template has no DLT id yet or the request fails,
+ * so the notification stays pending and a later run tries again.
+ * @param {Object} notification - Notification document
+ * @param {Array<String>} values - Template variables
+ * @param {Array<String>} numbers - Admin mobile numbers
+ * @returns {Boolean} - Whether the SMS was sent
+ */
+const sendComplianceSms = async (notification, values, numbers) => {
+    const response = await sendSMS('vehicle_document_expiry', values, numbers);
+    if (!response || response.return === false) return false;
+
+    notification.smsPending = false;
+    await notification.save();
+    return true;
+};
+
+/**
+ * Raise notifications (and SMS to admins) for documents that reached an alert window.
+ * Each document is alerted once per window (an SMS that could not go out is retried on later runs),
+ * so running this more often is harmless.
+ * @param {Date} asOn
+ * @returns {Object} - { checked, notified }
+ */
+export const runComplianceAlerts = async (asOn = new Date()) => {
+    const settings = await getComplianceSettings();
+    if (settings.alertDays.length === 0) return { checked: 0, notified: 0 };
+
+    const items = await findExpiringDocuments(settings.alertDays, asOn);
+    const admins = settings.sendSms
+        ? await User.find({ role: { $in: ['admin', 'superadmin'] }, isActive: true }).select('mobileNumber').lean()
+        : [];
+    const adminNumbers = [...new Set(admins.map(admin => admin.mobileNumber).filter(Boolean))];
+
+    let notified = 0;
+    for (const item of items) {
+        const endDateLabel = startOfDay(item.endDate).toLocaleDateString('en-IN');
+        const dedupeKey = `vehicle-doc:${item.vehicle._id}:${item.field}:${startOfDay(item.endDate).toISOString().slice(0, 10)}:${item.alertWindow}`;
+        const smsValues = [item.vehicle.vehicleNumber, item.label, endDateLabel];
+
+        const existing = await Notification.findOne({ dedupeKey }).select('smsPending');
+        if (existing) {
+            // Raised by an earlier run; only the SMS copy may still be outstanding
+            if (existing.smsPending && adminNumbers.length > 0) {
+                await sendComplianceSms(existing, smsValues, adminNumbers);
+            }
+            continue;
+        }
+
+        const expired = item.daysLeft < 0;
+        const message = expired
+            ? `${item.label} of vehicle ${item.vehicle.vehicleNumber} expired on ${endDateLabel}`
+            : item.daysLeft === 0
+                ? `${item.label} of vehicle ${item.vehicle.vehicleNumber} expires today`
+                : `${item.label} of vehicle ${item.vehicle.vehicleNumber} expires on ${endDateLabel} (${item.daysLeft} days left)`;
+
+        let notification;
+        try {
+            notification = await Notification.create({
+                type: 'vehicle_document_expiry',
+                title: expired ? 'Vehicle document expired' : 'Vehicle document expiring',
+                message,
+                severity: item.daysLeft <= 0 ? 'critical' : item.daysLeft <= 7 ? 'warning' : 'info',
+                audience: ['admin', 'superadmin'],
+                data: {
+                    vehicleId: item.vehicle._id,
+                    vehicleNumber: item.vehicle.vehicleNumber,
+                    document: item.field,
+                    endDate: item.endDate,
+                    daysLeft: item.daysLeft
+                },
+                dedupeKey,
+                smsPending: adminNumbers.length > 0
+            });
+        } catch (error) {
+            if (error.code === 11000) continue; // Raised by another run in the meantime
+            throw error;
+        }
+
+        emitNotification(notification);
+        if (notification.smsPending) {
+            await sendComplianceSms(notification, smsValues, adminNumbers);
+        }
+        notified += 1;
+    }
+
+    return { checked: items.length, notified };
+};
@@ -0,0 +1,205 @@
+import Voucher from "../models/Voucher.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import Posting from "../models/Posting.js";
+import { addToBalance, subtractFromBalance } from "../utils/balanceUtils.js";
+import { postingLine, recordPostings } from "./postingService.js";
+
+// Post a voucher's amounts to party/account outstanding balances.
+// With reverse = true the same postings are undone (used on update/delete).
+export const applyVoucherBalances = async (voucher, userId, session, reverse = false) => {
+    const { voucherType, parties, account, entries, tdsLedger } = voucher;
+    const flip = (type) => reverse ? (type === 'debit' ? 'credit' : 'debit') : type;
+    const lines = [];
+
+    // Update balances for Payment/Receipt vouchers (always update for these voucher types)
+    if (voucherType === 'Payment' || voucherType === 'Receipt') {
+        // Update party outstanding balances (customers, ledgers, or vendors)
+        for (let partyItem of parties) {
+            const partyType = partyItem.partyType || 'customer'; // Default to customer for backward compatibility
+
+            if (partyType === 'customer') {
+                const customer = await Customer.findById(partyItem.partyId).session(session);
+                if (customer) {
+                    // Payment: customer balance increases (debit to customer - we owe them)
+                    // Receipt: customer balance decreases (credit to customer - they pay us)
+                    const transactionType = flip(voucherType === 'Payment' ? 'debit' : 'credit');
+                    const newBalance = addToBalance(
+                        customer.outstandingBalance || 0,
+                        customer.outstandingBalanceType || 'debit',
+                        partyItem.amount,
+                        transactionType
+                    );
+
+                    customer.outstandingBalance = newBalance.amount;
+                    customer.outstandingBalanceType = newBalance.type;
+                    customer.updatedBy = userId;
+                    await customer.save();
+                    lines.push(postingLine('customer', customer, partyItem.amount, transactionType, voucher.voucherNumber));
+                }
+            } else if (partyType === 'ledger') {
+                const ledger = await Ledger.findById(partyItem.partyId).session(session);
+                if (ledger) {
+                    // Payment: ledger balance decreases (credit to ledger)
+                    // Receipt: ledger balance increases (debit to ledger)
+                    const transactionType = flip(voucherType === 'Payment' ? 'credit' : 'debit');
+                    const newBalance = addToBalance(
+                        ledger.outstandingBalance || 0,
+                        ledger.outstandingBalanceType || 'debit',
+                        partyItem.amount,
+                        transactionType
+                    );
+
+                    ledger.outstandingBalance = newBalance.amount;
+                    ledger.outstandingBalanceType = newBalance.type;
+                    ledger.updatedBy = userId;
+                    await ledger.save();
+                    lines.push(postingLine('ledger', ledger, partyItem.amount, transactionType, voucher.voucherNumber));
+                }
+            } else if (partyType === 'vendor') {
+                // Vendor payments and receipts move the Vendor account that purchases are credited to.
+                // Vouchers posted before that went to the vendor's linked ledger with the opposite sign;
+                // the journal shows which way a voucher went, so it is reversed the same way
+                const postedToVendor = !reverse || await Posting.exists({
+                    sourceType: 'voucher',
+                    sourceId: voucher._id,
+                    accountType: 'vendor',
+                    accountId: partyItem.partyId
+                }).session(session);
+                const vendorAccount = postedToVendor
+                    ? await Vendor.findById(partyItem.partyId).session(session)
+                    : await Ledger.findOne({ vendor: partyItem.partyId }).session(session);
+                if (vendorAccount) {
+                    // Payment: what we owe the vendor decreases (debit to vendor)
+                    // Receipt: credit to vendor
+                    const paymentSide = postedToVendor ? 'debit' : 'credit';
+                    const receiptSide = postedToVendor ? 'credit' : 'debit';
+                    const transactionType = flip(voucherType === 'Payment' ? paymentSide : receiptSide);
+                    const newBalance = addToBalance(
+                        vendorAccount.outstandingBalance || 0,
+                        vendorAccount.outstandingBalanceType || (postedToVendor ? 'credit' : 'debit'),
+                        partyItem.amount,
+                        transactionType
+                    );
+
+                    vendorAccount.outstandingBalance = newBalance.amount;
+                    vendorAccount.outstandingBalanceType = newBalance.type;
+                    vendorAccount.updatedBy = userId;
+                    await vendorAccount.save();
+                    lines.push(postingLine(postedToVendor ? 'vendor' : 'ledger', vendorAccount, partyItem.amount, transactionType, voucher.voucherNumber));
+                }
+            }
+        }
+
+        // Update account ledger balance
+        const accountLedger = await Ledger.findById(account).session(session);
+        if (accountLedger) {
+            // Payment: account balance decreases (credit to account)
+            // Receipt: account balance increases (debit to account)
+            // Only the amount net of TDS moves through the account
+            const totalAmount = parties.reduce((sum, p) => sum + p.amount - (p.tdsAmount || 0), 0);
+            const transactionType = flip(voucherType === 'Payment' ? 'credit' : 'debit');
+            const newBalance = addToBalance(
+                accountLedger.outstandingBalance || 0,
+                accountLedger.outstandingBalanceType || 'debit',
+                totalAmount,
+                transactionType
+            );
+
+            accountLedger.outstandingBalance = newBalance.amount;
+            accountLedger.outstandingBalanceType = newBalance.type;
+            accountLedger.updatedBy = userId;
+            await accountLedger.save();
+            lines.push(postingLine('ledger', accountLedger, totalAmount, transactionType, voucher.voucherNumber));
+        }
+
+        // TDS deducted on the voucher
+        // Payment: TDS payable increases (credit), Receipt: TDS receivable increases (debit)
+        const tdsAmount = parties.reduce((sum, p) => sum + (p.tdsAmount || 0), 0);
+        const tdsLedgerDoc = tdsAmount > 0 && tdsLedger ? await Ledger.findById(tdsLedger).session(session) : null;
+        if (tdsLedgerDoc) {
+            const transactionType = flip(voucherType === 'Payment' ? 'credit' : 'debit');
+            const newBalance = addToBalance(
+                tdsLedgerDoc.outstandingBalance || 0,
+                tdsLedgerDoc.outstandingBalanceType || 'credit',
+                tdsAmount,
+                transactionType
+            );
+
+            tdsLedgerDoc.outstandingBalance = newBalance.amount;
+            tdsLedgerDoc.outstandingBalanceType = newBalance.type;
+            tdsLedgerDoc.updatedBy = userId;
+            await tdsLedgerDoc.save();
+            lines.push(postingLine('ledger', tdsLedgerDoc, tdsAmount, transactionType, voucher.voucherNumber));
+        }
+    } else {
+        // Update balances for Contra/Journal vouchers
+        // These vouchers use 'entries' array with 'accountType'/'accountId' (plus 'account' name snapshot), 'debitAmount', 'creditAmount'
+        if (entries && entries.length > 0) {
+            for (let entry of entries) {
+                // Find account doc (Ledger, Customer, or Vendor) by its entry reference
+                // Entries saved before references existed are resolved by name
+                const ref = entry.accountId
+                    ? { accountType: entry.accountType, accountId: entry.accountId }
+                    : await Voucher.resolveEntryAccount(entry.account, session);
+                const AccountModel = ref ? { ledger: Ledger, customer: Customer, vendor: Vendor }[ref.accountType] : null;
+                const accountDoc = AccountModel ? await AccountModel.findById(ref.accountId).session(session) : null;
+
+                if (accountDoc) {
+                    const debitAmount = entry.debitAmount || 0;
+                    const creditAmount = entry.creditAmount || 0;
+
+                    if (debitAmount > 0) {
+                        // Debit transaction - Money IN / Receivables Increase
+                        const newBalance = addToBalance(
+                            accountDoc.outstandingBalance || 0,
+                            accountDoc.outstandingBalanceType || 'debit',
+                            debitAmount,
+                            flip('debit')
+                        );
+                        accountDoc.outstandingBalance = newBalance.amount;
+                        accountDoc.outstandingBalanceType = newBalance.type;
+                        accountDoc.updatedBy = userId;
+                        await accountDoc.save();
+                        lines.push(postingLine(ref.accountType, accountDoc, debitAmount, flip('debit'), voucher.voucherNumber));
+                    }
+
+                    if (creditAmount > 0) {
+                        // Credit transaction - Money OUT / Payables Increase
+                        // For Asset accounts/Receivables (Debit balance), Credit means DECREASE
+                        // For Liability accounts/Payables (Credit balance), Credit means INCREASE
+
+                        // We use subtractFromBalance with 'debit' transaction type to effectively REDUCE a debit balance
+                        // If the account is already 'credit' (liability), subtractFromBalance handles the math correctly 
+                        // (Credit - (-Debit) = Credit + Debit) -> Wait, logic check:
+                        // subtractFromBalance(amount, type, subtractAmount, subType)
+                        // If current is 100 Credit. We want to ADD 10 Credit.
+                        // subtract(100, Credit, 10, Debit) -> -100 - (10) = -110 -> 110 Credit. Correct.
+
+                        const newBalance = subtractFromBalance(
+                            accountDoc.outstandingBalance || 0,
+                            accountDoc.outstandingBalanceType || 'debit',
+                            creditAmount,
+                            flip('debit') // Treating the subtraction as removing 'debit' value
+                        );
+                        accountDoc.outstandingBalance = newBalance.amount;
+                        accountDoc.outstandingBalanceType = newBalance.type;
+                        accountDoc.updatedBy = userId;
+                        await accountDoc.save();
+                        lines.push(postingLine(ref.accountType, accountDoc, creditAmount, flip('credit'), voucher.voucherNumber));
+                    }
+                } else {
+                    console.warn(`Account not found for name: ${entry.account}`);
+                }
+            }
+        }
+    }
+
+    await recordPostings(lines, {
+        sourceType: 'voucher',
+        sourceId: voucher._id,
+        date: voucher.date,
+        userId
+    }, session);
+};
@@ -0,0 +1,447 @@
+import { toSignedValue } from "./balanceUtils.js";
+import { isEntryForAccount } from "./voucherEntryUtils.js";
+
+// Balance calculators working on pre-fetched vouchers, trips, stocks and indirect sales.
+// Debit/credit totals are derived from the source documents; the final balance is the stored outstanding balance.
+
+// Calculate ledger balance from vouchers up to asOnDate
+
+// Updated to accept ledgerDoc and calculate correctly using outstandingBalance
+export const calculateLedgerBalance = (ledgerDoc, startDate = null, endDate = null, preFetchedVouchers = null, preFetchedTrips = null, preFetchedStocks = null) => {
+    try {
+        let periodDebit = 0;
+        let periodCredit = 0;
+        let voucherAmount = 0;
+        const start = startDate ? new Date(startDate) : null;
+        const end = endDate ? new Date(endDate) : null;
+        if (end) end.setHours(23, 59, 59, 999);
+
+        const ledgerId = ledgerDoc._id;
+        const ledgerName = ledgerDoc.name;
+
+        // Process Vouchers (using logic from getLedgerTransactions)
+        if (Array.isArray(preFetchedVouchers)) {
+            preFetchedVouchers.forEach(v => {
+                const vDate = new Date(v.date);
+                if (end && vDate > end) return;
+
+                // For period stats, we only count within start/end
+                const isInPeriod = (!start || vDate >= start);
+
+                let debit = 0;
+                let credit = 0;
+                let isMatch = false;
+
+                // Determine Debit/Credit
+                if (v.voucherType === 'Payment' || v.voucherType === 'Receipt') {
+                    if (v.account && v.account.toString() === ledgerId.toString()) {
+                        // Header match: the account moves by what was actually paid or received, net of TDS
+                        const totalAmount = v.parties ? v.parties.reduce((sum, p) => sum + (p.amount || 0) - (p.tdsAmount || 0), 0) : 0;
+                        if (v.voucherType === 'Payment') credit += totalAmount;
+                        else debit += totalAmount;
+                        isMatch = true;
+                    }
+                    if (v.tdsLedger && v.tdsLedger.toString() === ledgerId.toString()) {
+                        // TDS deducted on a payment is owed to the government; TDS on a receipt is claimable
+                        const tdsAmount = v.parties ? v.parties.reduce((sum, p) => sum + (p.tdsAmount || 0), 0) : 0;
+                        if (v.voucherType === 'Payment') credit += tdsAmount;
+                        else debit += tdsAmount;
+                        isMatch = isMatch || tdsAmount > 0;
+                    }
+                    if (v.parties) {
+                        v.parties.forEach(p => {
+                            if (p.partyId && p.partyId.toString() === ledgerId.toString()) {
+                                if (v.voucherType === 'Payment') debit += p.amount || 0;
+                                else credit += p.amount || 0;
+                                isMatch = true;
+                            }
+                        });
+                    }
+                } else {
+                    // Journal/Contra
+                    if (v.entries) {
+                        v.entries.forEach(e => {
+                            if (isEntryForAccount(e, 'ledger', ledgerId, [ledgerName])) {
+                                debit += e.debitAmount || 0;
+                                credit += e.creditAmount || 0;
+                                isMatch = true;
+                            }
+                        });
+                    }
+                }
+
+                if (isInPeriod && isMatch) {
+                    periodDebit += debit;
+                    periodCredit += credit;
+                    // Discount logic (heuristic: Journals are often adjustments/discounts)
+                    if (v.voucherType === 'Journal' || v.voucherType === 'Contra') {
+                        voucherAmount += (debit + credit);
+                    }
+                }
+            });
+        }
+
+        // Process Trips
+        if (Array.isArray(preFetchedTrips)) {
+            preFetchedTrips.forEach(t => {
+                const tDate = new Date(t.createdAt);
+                if (end && tDate > end) return;
+                const isInPeriod = (!start || tDate >= start);
+
+                if (isInPeriod && t.sales) {
+                    t.sales.forEach(s => {
+                        let localDebit = 0;
+                        if (s.cashLedger && s.cashLedger.toString() === ledgerId.toString()) {
+                            localDebit += s.cashPaid || 0;
+                        }
+                        if (s.onlineLedger && s.onlineLedger.toString() === ledgerId.toString()) {
+                            localDebit += s.onlinePaid || 0;
+                        }
+                        if (localDebit > 0) periodDebit += localDebit;
+                    });
+                }
+            });
+        }
+
+        // Process Stocks
+        if (Array.isArray(preFetchedStocks)) {
+            preFetchedStocks.forEach(s => {
+                const sDate = new Date(s.date);
+                if (end && sDate > end) return;
+                const isInPeriod = (!start || sDate >= start);
+
+                if (isInPeriod) {
+                    let debit = 0;
+                    // Cash Payment
+                    if (s.cashLedgerId && s.cashLedgerId.toString() === ledgerId.toString()) {
+                        debit += s.cashPaid || 0;
+                    }
+                    // Online Payment
+                    if (s.onlineLedgerId && s.onlineLedgerId.toString() === ledgerId.toString()) {
+                        debit += s.onlinePaid || 0;
+                    }
+                    // Expense 
+                    if (s.expenseLedgerId && s.expenseLedgerId.toString() === ledgerId.toString()) {
+                        debit += s.amount || 0;
+                    }
+                    periodDebit += debit;
+                }
+            });
+        }
+
+        // Final Balance is trusted from DB
+        const finalSigned = toSignedValue(ledgerDoc.outstandingBalance || 0, ledgerDoc.outstandingBalanceType || 'debit');
+
+        // Calculated Opening = Closing - (Debit - Credit)
+        // This opening balance is derived to make the math work for the period report
+        const calculatedOpening = finalSigned - (periodDebit - periodCredit);
+
+        return {
+            debitTotal: periodDebit,
+            creditTotal: periodCredit,
+            finalBalance: finalSigned,
+            openingBalance: calculatedOpening,
+            discountAndOther: voucherAmount
+        };
+    } catch (error) {
+        console.error('Error calculating ledger balance:', error);
+        return { debitTotal: 0, creditTotal: 0, finalBalance: 0, openingBalance: 0 };
+    }
+};
+
+
+
+
+// Calculate customer balance from vouchers and sales up to asOnDate
+// Calculate customer balance (using logic from getCustomerPurchaseLedger)
+export const calculateCustomerBalance = (customerDoc, startDate = null, endDate = null, preFetchedVouchers = null, preFetchedTrips = null, preFetchedIndirectSales = null, preFetchedStocks = null) => {
+    try {
+        let periodDebit = 0; // Sales count as Debit (Receivable)
+        let periodCredit = 0; // Receipts count as Credit
+        let birdsTotal = 0;
+        let weightTotal = 0;
+        let discountAndOther = 0;
+
+        const start = startDate ? new Date(startDate) : null;
+        const end = endDate ? new Date(endDate) : null;
+        if (end) end.setHours(23, 59, 59, 999);
+
+        const customerId = customerDoc._id;
+        const customerName = customerDoc.shopName || customerDoc.ownerName || '';
+
+        // 1. Process Vouchers
+        if (Array.isArray(preFetchedVouchers)) {
+            preFetchedVouchers.forEach(v => {
+                const vDate = new Date(v.date);
+                if (end && vDate > end) return;
+                const isInPeriod = (!start || vDate >= start);
+
+                if (isInPeriod) {
+                    let amount = 0;
+                    let isMatch = false;
+                    let type = '';
+
+                    if (v.voucherType === 'Payment') {
+                        const partyData = v.parties?.find(p => p.partyId && p.partyId.toString() === customerId.toString());
+                        if (partyData) {
+                            amount = partyData.amount || 0;
+                            type = 'Payment'; // Treated as RECEIPT in Admin logic? No, wait.
+                            // getCustomerPurchaseLedger: Payment Voucher -> Particulars = "RECEIPT" (Customer balance INCREASES? Line 1063: Balance + Amount)
+                            // This is unusual. Usually Payment to Customer = Debit (Receivable increases or Liability decreases).
+                            // We owe them money/refund? Or we gave them money?
+                            // If we gave them money (Payment), they owe us more (Debit). 
+                            // So Payment -> Debit.
+                            periodDebit += amount;
+                            isMatch = true;
+                        }
+                    } else if (v.voucherType === 'Receipt') {
+                        // Receipt from Customer -> Credit (Decreases Receivable).
+                        const partyData = v.parties?.find(p => p.partyId && p.partyId.toString() === customerId.toString());
+                        if (partyData) {
+                            amount = partyData.amount || 0;
+                            periodCredit += amount;
+                            isMatch = true;
+                        }
+                    } else {
+                        // Journal
+                        const entry = v.entries?.find(e => isEntryForAccount(e, 'customer', customerId, [customerName]));
+                        if (entry) {
+                            amount = entry.debitAmount || entry.creditAmount;
+                            if (entry.debitAmount > 0) periodDebit += amount;
+                            else periodCredit += amount;
+
+                            // Add to Discount/Other if Journal
+                            discountAndOther += amount;
+                            isMatch = true;
+                        }
+                    }
+                }
+            });
+        }
+
+        // 2. Process Trips (Direct Sales)
+        if (Array.isArray(preFetchedTrips)) {
+            preFetchedTrips.forEach(trip => {
+                const tDate = new Date(trip.createdAt);
+                if (end && tDate > end) return;
+                const isInPeriod = (!start || tDate >= start);
+
+                if (isInPeriod && trip.sales) {
+                    trip.sales.forEach(sale => {
+                        if (sale.client && sale.client.toString() === customerId.toString()) {
+                            // Sale Amount -> Debit
+                            periodDebit += sale.amount || 0;
+                            // Payments (Cash/Online) -> Credit
+                            periodCredit += (sale.cashPaid || 0) + (sale.onlinePaid || 0) + (sale.discount || 0);
+
+                            birdsTotal += (sale.birds || sale.birdsCount || 0);
+                            weightTotal += sale.weight || 0;
+                            discountAndOther += sale.discount || 0;
+                        }
+                    });
+                }
+            });
+        }
+
+        // 3. Process Indirect Sales
+        if (Array.isArray(preFetchedIndirectSales)) {
+            preFetchedIndirectSales.forEach(sale => {
+                const sDate = new Date(sale.date);
+                if (end && sDate > end) return;
+                const isInPeriod = (!start || sDate >= start);
+
+                if (isInPeriod && sale.customer && sale.customer.toString() === customerId.toString()) {
+                    const salesInfo = sale.sales || {};
+                    // Indirect Sale -> Debit
+                    periodDebit += salesInfo.amount || 0;
+
+                    birdsTotal += salesInfo.birds || 0;
+                    weightTotal += salesInfo.weight || 0;
+                }
+            });
+        }
+
+        // 4. Process Stocks (Direct Sales via Manage Stocks)
+        if (Array.isArray(preFetchedStocks)) {
+            preFetchedStocks.forEach(stock => {
+                const sDate = new Date(stock.date);
+                if (end && sDate > end) return;
+                const isInPeriod = (!start || sDate >= start);
+
+                if (isInPeriod && stock.customerId && stock.customerId.toString() === customerId.toString()) {
+                    if (stock.type === 'sale' || stock.type === 'receipt') {
+                        if (stock.type === 'sale') {
+                            periodDebit += stock.amount || 0;
+                            birdsTotal += stock.birds || 0;
+                            weightTotal += stock.weight || 0;
+                        }
+                        // Payments within stock
+                        periodCredit += (stock.cashPaid || 0) + (stock.onlinePaid || 0) + (stock.discount || 0);
+                        discountAndOther += stock.discount || 0;
+                    }
+                }
+            });
+        }
+
+        const finalSigned = toSignedValue(customerDoc.outstandingBalance || 0, customerDoc.outstandingBalanceType || 'debit');
+        const calculatedOpening = finalSigned - (periodDebit - periodCredit);
+
+        return {
+            debitTotal: periodDebit,
+            creditTotal: periodCredit,
+            finalBalance: finalSigned,
+            openingBalance: calculatedOpening,
+            birdsTotal,
+            weightTotal,
+            discountAndOther
+        };
+    } catch (error) {
+        console.error('Error calculating customer balance:', error);
+        return { debitTotal: 0, creditTotal: 0, finalBalance: 0, openingBalance: 0, birdsTotal: 0, weightTotal: 0 };
+    }
+};
+
+
+// Calculate vendor balance from vouchers and purchases up to asOnDate
+// Calculate vendor balance (using logic from getVendorLedger)
+export const calculateVendorBalance = (vendorDoc, startDate = null, endDate = null, preFetchedVouchers = null, preFetchedTrips = null, preFetchedStocks = null, preFetchedIndirectSales = null) => {
+    try {
+        let periodDebit = 0; // Payable Decreases (Payments)
+        let periodCredit = 0; // Payable Increases (Purchases)
+        let birdsTotal = 0;
+        let weightTotal = 0;
+        let discountAndOther = 0;
+
+        const start = startDate ? new Date(startDate) : null;
+        const end = endDate ? new Date(endDate) : null;
+        if (end) end.setHours(23, 59, 59, 999);
+
+        const vendorId = vendorDoc._id;
+        const vendorName = vendorDoc.vendorName;
+
+        // 1. Vouchers
+        if (Array.isArray(preFetchedVouchers)) {
+            preFetchedVouchers.forEach(v => {
+                const vDate = new Date(v.date);
+                if (end && vDate > end) return;
+                const isInPeriod = (!start || vDate >= start);
+
+                if (isInPeriod) {
+                    let amount = 0;
+                    let type = 'debit';
+
+                    if (v.voucherType === 'Journal') {
+                        const entry = v.entries?.find(e => isEntryForAccount(e, 'vendor', vendorId, [vendorName]));
+                        if (entry) {
+                            if (entry.creditAmount > 0) {
+                                amount = entry.creditAmount;
+                                type = 'credit';
+                            } else {
+                                amount = entry.debitAmount;
+                                type = 'debit';
+                            }
+                        }
+                    } else {
+                        // Payment/Receipt
+                        let isMatch = false;
+                        if (v.parties && v.parties.length > 0) {
+                            const partyEntry = v.parties.find(p => p.partyId && p.partyId.toString() === vendorId.toString() && p.partyType === 'vendor');
+                            if (partyEntry) {
+                                amount = partyEntry.amount || 0;
+                                isMatch = true;
+                            }
+                        } else if (v.party && v.party.toString() === vendorId.toString()) { // Old schema support
+                            amount = v.totalDebit || v.totalCredit;
+                            isMatch = true;
+                        }
+
+                        if (isMatch) {
+                            // Payment/Receipt usually reduces payable -> Debit
+                            type = 'debit';
+                        }
+                    }
+
+                    if (amount > 0) {
+                        if (type === 'credit') {
+                            periodCredit += amount;
+                            if (v.voucherType === 'Journal' || v.voucherType === 'Receipt') discountAndOther += amount;
+                        } else {
+                            periodDebit += amount;
+                        }
+                    }
+                }
+            });
+        }
+
+        // 2. Trips (Purchases)
+        if (Array.isArray(preFetchedTrips)) {
+            preFetchedTrips.forEach(trip => {
+                const tDate = new Date(trip.createdAt);
+                if (end && tDate > end) return;
+                const isInPeriod = (!start || tDate >= start);
+
+                if (isInPeriod) {
+                    trip.purchases.forEach(purchase => {
+                        if (purchase.supplier && purchase.supplier.toString() === vendorId.toString()) {
+                            periodCredit += purchase.amount || 0;
+                            birdsTotal += purchase.birds || 0;
+                            weightTotal += purchase.weight || 0;
+                        }
+                    });
+                }
+            });
+        }
+
+        // 3. Indirect Sales (Vendor is seller to company)
+        if (Array.isArray(preFetchedIndirectSales)) {
+            preFetchedIndirectSales.forEach(sale => {
+                const sDate = new Date(sale.date);
+                if (end && sDate > end) return;
+                const isInPeriod = (!start || sDate >= start);
+
+                if (isInPeriod && sale.vendor && sale.vendor.toString() === vendorId.toString()) {
+                    // Vendor sold to us -> We owe them -> Credit
+                    periodCredit += sale.summary?.totalPurchaseAmount || 0;
+                    birdsTotal += sale.summary?.totalPurchaseBirds || 0;
+                    weightTotal += sale.summary?.totalPurchaseWeight || 0;
+                }
+            });
+        }
+
+        // 4. Stocks (Purchases)
+        if (Array.isArray(preFetchedStocks)) {
+            preFetchedStocks.forEach(stock => {
+                const sDate = new Date(stock.date);
+                if (end && sDate > end) return;
+                const isInPeriod = (!start || sDate >= start);
+
+                const stockVendorId = stock.vendorId?._id || stock.vendorId;
+                if (isInPeriod && stockVendorId && stockVendorId.toString() === vendorId.toString()) {
+                    if (stock.type === 'purchase' || stock.type === 'opening') { // Typically purchase
+                        periodCredit += stock.amount || 0;
+                        birdsTotal += stock.birds || 0;
+                        weightTotal += stock.weight || 0;
+                    }
+                }
+            });
+        }
+
+        const finalSigned = toSignedValue(vendorDoc.outstandingBalance || 0, vendorDoc.outstandingBalanceType || 'credit');
+        // Vendor Opening: Closing - (Credit - Debit)  [Net Increase - Net Decrease]
+        // Since Credit Increases balance for Vendor.
+        const calculatedOpening = finalSigned - (periodCredit - periodDebit);
+
+        return {
+            debitTotal: periodDebit,
+            creditTotal: periodCredit,
+            finalBalance: finalSigned,
+            openingBalance: calculatedOpening,
+            birdsTotal,
+            weightTotal,
+            discountAndOther
+        };
+    } catch (error) {
+        console.error('Error calculating vendor balance:', error);
+        return { debitTotal: 0, creditTotal: 0, finalBalance: 0, openingBalance: 0, birdsTotal: 0, weightTotal: 0 };
+    }
+};
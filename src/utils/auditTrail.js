@@ -0,0 +1,205 @@
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+
+// Request context (actor, IP, route) for the model hooks that write audit logs
+export const auditStorage = new AsyncLocalStorage();
+
+const IGNORED_FIELDS = ['__v', 'createdAt', 'updatedAt', 'updatedBy', 'password'];
+
+const isIgnored = (path) => IGNORED_FIELDS.some(field => path === field || path.endsWith(`.${field}`));
+
+const normalizeValue = (value) => {
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+/**
+ * Flatten a document into dotted paths (arrays by index) with comparable leaf values
+ * @param {Object} value - Plain document
+ * @param {String} prefix - Path prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} - { 'sales.0.amount': 1200, ... }
+ */
+const flatten = (value, prefix = '', result = {}) => {
+    const normalized = normalizeValue(value);
+    const isContainer = normalized !== null && typeof normalized === 'object';
+
+    if (!isContainer || (Array.isArray(normalized) && normalized.length === 0) || (!Array.isArray(normalized) && Object.keys(normalized).length === 0)) {
+        if (prefix) result[prefix] = normalized === undefined ? null : normalized;
+        return result;
+    }
+
+    Object.keys(normalized).forEach(key => {
+        flatten(normalized[key], prefix ? `${prefix}.${key}` : key, result);
+    });
+    return result;
+};
+
+/**
+ * Build the field-level changes between two versions of a document
+ * @param {Object|null} before - Document before the change
+ * @param {Object|null} after - Document after the change
+ * @returns {Array<Object>} - [{ field, before, after }]
+ */
+export const diffDocuments = (before, after) => {
+    const beforeFlat = before ? flatten(before) : {};
+    const afterFlat = after ? flatten(after) : {};
+    const fields = new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)]);
+
+    const changes = [];
+    fields.forEach(field => {
+        if (field === '_id' || isIgnored(field)) return;
+        const oldValue = beforeFlat[field] === undefined ? null : beforeFlat[field];
+        const newValue = afterFlat[field] === undefined ? null : afterFlat[field];
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    });
+    return changes;
+};
+
+/**
+ * Write an audit log entry using the current request context
+ * Audit failures are logged and never break the original write
+ * @param {Object} entry - { entity, entityId, action, changes }
+ * @param {ClientSession} session - Session of the audited write, so the log follows its transaction
+ */
+export const writeAuditLog = async ({ entity, entityId, action, changes }, session = null) => {
+    if (action === 'update' && changes.length === 0) return;
+
+    const req = auditStorage.getStore()?.req;
+
+    try {
+        await AuditLog.create([{
+            entity,
+            entityId,
+            action,
+            changes,
+            actor: req?.user?._id || null,
+            actorRole: req?.user?.role,
+            ip: req ? (req.headers['x-forwarded-for'] || req.ip) : undefined,
+            method: req?.method,
+            route: req ? req.originalUrl : 'system'
+        }], { session });
+    } catch (error) {
+        console.error(`Failed to write audit log for ${entity} ${entityId}:`, error);
+    }
+};
+
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false });
+
+/**
+ * Mongoose plugin recording create/update/delete of a model in the audit log
+ * Covers document saves, findOneAndUpdate/updateOne/findOneAndDelete/deleteOne queries
+ * and, one entry per document, updateMany/deleteMany/insertMany
+ * @param {mongoose.Schema} schema
+ */
+export const auditPlugin = (schema) => {
+    // Only documents being saved are diffed, against the version currently stored
+    schema.pre('save', async function () {
+        this.$locals.auditWasNew = this.isNew;
+        if (this.isNew) return;
+
+        const stored = await this.constructor.findById(this._id).session(this.$session() || null).lean();
+        this.$locals.auditOriginal = stored ? snapshot(this.constructor.hydrate(stored)) : null;
+    });
+
+    schema.post('save', async function () {
+        const wasNew = this.$locals.auditWasNew;
+
+        await writeAuditLog({
+            entity: this.constructor.modelName,
+            entityId: this._id,
+            action: wasNew ? 'create' : 'update',
+            changes: diffDocuments(wasNew ? null : this.$locals.auditOriginal, snapshot(this))
+        }, this.$session());
+    });
+
+    const loadBefore = async function () {
+        this._auditBefore = await this.model.findOne(this.getFilter())
+            .session(this.getOptions().session || null)
+            .lean();
+    };
+
+    const loadBeforeMany = async function () {
+        this._auditBefore = await this.model.find(this.getFilter())
+            .session(this.getOptions().session || null)
+            .lean();
+    };
+
+    schema.pre(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, loadBefore);
+    schema.pre(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, loadBefore);
+    schema.pre(['updateMany', 'deleteMany'], { document: false, query: true }, loadBeforeMany);
+
+    schema.post(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function () {
+        const session = this.getOptions().session || null;
+        const before = this._auditBefore;
+        const after = before
+            ? await this.model.findById(before._id).session(session).lean()
+            : await this.model.findOne(this.getFilter()).session(session).lean(); // upsert
+        if (!after) return;
+
+        await writeAuditLog({
+            entity: this.model.modelName,
+            entityId: after._id,
+            action: before ? 'update' : 'create',
+            changes: diffDocuments(before, after)
+        }, session);
+    });
+
+    schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+        const before = this._auditBefore;
+        if (!before) return;
+
+        await writeAuditLog({
+            entity: this.model.modelName,
+            entityId: before._id,
+            action: 'delete',
+            changes: diffDocuments(before, null)
+        }, this.getOptions().session || null);
+    });
+
+    schema.post('updateMany', { document: false, query: true }, async function () {
+        const session = this.getOptions().session || null;
+        const before = this._auditBefore || [];
+        if (before.length === 0) return;
+
+        const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).session(session).lean();
+        const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+        for (const doc of before) {
+            await writeAuditLog({
+                entity: this.model.modelName,
+                entityId: doc._id,
+                action: 'update',
+                changes: diffDocuments(doc, afterById.get(doc._id.toString()) || null)
+            }, session);
+        }
+    });
+
+    schema.post('deleteMany', { document: false, query: true }, async function () {
+        const session = this.getOptions().session || null;
+        for (const doc of this._auditBefore || []) {
+            await writeAuditLog({
+                entity: this.model.modelName,
+                entityId: doc._id,
+                action: 'delete',
+                changes: diffDocuments(doc, null)
+            }, session);
+        }
+    });
+
+    // Inserted documents carry the insertMany session; lean inserts come back as plain objects
+    schema.post('insertMany', async function (docs) {
+        for (const doc of docs) {
+            const isDocument = doc instanceof mongoose.Document;
+            await writeAuditLog({
+                entity: this.modelName,
+                entityId: doc._id,
+                action: 'create',
+                changes: diffDocuments(null, isDocument ? snapshot(doc) : doc)
+            }, isDocument ? doc.$session() : null);
+        }
+    });
+};
@@ -1,6 +1,6 @@
 import cors from 'cors';
 
-const allowedOrigins = [
+export const allowedOrigins = [
     'http://localhost:5174',
     'http://localhost:5173',
     'https://poultry-record-frontend.vercel.app',
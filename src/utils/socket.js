@@ -0,0 +1,127 @@
+import { Server } from 'socket.io';
+import jwt from 'jsonwebtoken';
+import { allowedOrigins } from './cors.js';
+
+let io = null;
+
+export const ADMIN_ROOM = 'admins';
+export const userRoom = (userId) => `user:${userId}`;
+
+// Same token sources as authenticateToken: Bearer header, or the token / accessToken cookie
+const tokenFromHandshake = (handshake) => {
+    if (handshake.auth?.token) return handshake.auth.token;
+
+    const authHeader = handshake.headers?.authorization;
+    if (authHeader) return authHeader.split(' ')[1];
+
+    const cookies = Object.fromEntries((handshake.headers?.cookie || '')
+        .split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name]) => name)
+        .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+    return cookies.token || cookies.accessToken;
+};
+
+export default function initializeSocket(server) {
+    io = new Server(server, {
+        cors: {
+            origin: allowedOrigins,
+            credentials: true
+        }
+    });
+
+    io.use((socket, next) => {
+        try {
+            const token = tokenFromHandshake(socket.handshake);
+            if (!token) throw new Error('Unauthorized user!!');
+
+            const decodeData = jwt.verify(token, process.env.JWT_SECRET);
+            if (!decodeData?._doc) throw new Error('Unauthorized user!!');
+
+            socket.user = decodeData._doc;
+            next();
+        } catch (error) {
+            next(new Error('Unauthorized user!!'));
+        }
+    });
+
+    // Admins see every event; everyone else only events addressed to their own room
+    io.on('connection', (socket) => {
+        socket.join(userRoom(socket.user._id));
+        if (['admin', 'superadmin'].includes(socket.user.role)) {
+            socket.join(ADMIN_ROOM);
+        }
+    });
+
+    return io;
+}
+
+// No-op until initializeSocket has run (scripts, serverless deployments)
+const emitToRooms = (rooms, event, payload) => {
+    if (!io) return;
+    const targets = [...new Set(rooms.filter(Boolean).map(String))];
+    if (targets.length === 0) return;
+    io.to(targets).emit(event, { ...payload, emittedAt: new Date() });
+};
+
+/**
+ * Trip event for admins and the trip's supervisor
+ * @param {String} event - e.g. 'trip:sale-added'
+ * @param {Object} trip - Trip document (supervisor may be populated)
+ * @param {Object} data - Extra payload
+ */
+export const emitTripEvent = (event, trip, data = {}) => {
+    const supervisorId = trip.supervisor?._id || trip.supervisor;
+    emitToRooms([ADMIN_ROOM, supervisorId && userRoom(supervisorId)], event, {
+        tripId: trip._id,
+        tripNumber: trip.tripId,
+        status: trip.status,
+        ...data
+    });
+};
+
+/**
+ * Payment event for admins and the user who submitted the payment
+ * @param {String} event - 'payment:submitted' or 'payment:verified'
+ * @param {Object} payment - Payment document
+ */
+export const emitPaymentEvent = (event, payment) => {
+    const submittedBy = payment.submittedBy?._id || payment.submittedBy;
+    emitToRooms([ADMIN_ROOM, submittedBy && userRoom(submittedBy)], event, {
+        paymentId: payment._id,
+        customer: payment.customer?._id || payment.customer,
+        amount: payment.amount,
+        status: payment.status
+    });
+};
+
+/**
+ * Vehicle status change for admins (and the supervisor running it, when given)
+ * @param {Object} vehicle - { _id, vehicleNumber, currentStatus }
+ * @param {ObjectId} supervisorId - Optional supervisor of the trip that moved the vehicle
+ */
+export const emitVehicleStatus = (vehicle, supervisorId = null) => {
+    emitToRooms([ADMIN_ROOM, supervisorId && userRoom(supervisorId)], 'vehicle:status-changed', {
+        vehicleId: vehicle._id,
+        vehicleNumber: vehicle.vehicleNumber,
+        currentStatus: vehicle.currentStatus
+    });
+};
+
+/**
+ * New in-app notification for the users it is meant for
+ * @param {Object} notification - Notification document
+ */
+export const emitNotification = (notification) => {
+    const rooms = notification.user
+        ? [userRoom(notification.user)]
+        : (notification.audience || []).some(role => ['admin', 'superadmin'].includes(role)) ? [ADMIN_ROOM] : [];
+    emitToRooms(rooms, 'notification:new', {
+        notificationId: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        severity: notification.severity,
+        data: notification.data
+    });
+};
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const normalizeName = (name) => (name ? name.toString().trim().toLowerCase() : '');
+
+/**
+ * Check whether a voucher entry posts to the given account
+ * Linked entries are matched on accountType + accountId; the account name
+ * is only a snapshot and is used for entries that were never linked
+ * @param {Object} entry - Voucher entry
+ * @param {String} accountType - 'ledger', 'customer' or 'vendor'
+ * @param {String|ObjectId} accountId - Account document ID
+ * @param {Array<String>} accountNames - Names to fall back to for unlinked entries
+ * @returns {Boolean}
+ */
+export const isEntryForAccount = (entry, accountType, accountId, accountNames = []) => {
+    if (!entry) return false;
+
+    if (entry.accountId) {
+        return entry.accountType === accountType && entry.accountId.toString() === accountId.toString();
+    }
+
+    const entryName = normalizeName(entry.account);
+    return entryName !== '' && accountNames.some(name => normalizeName(name) === entryName);
+};
+
+/**
+ * Build query conditions matching vouchers with an entry for the given account
+ * Returns an array meant to be spread into an existing $or
+ * @param {String} accountType - 'ledger', 'customer' or 'vendor'
+ * @param {String|ObjectId} accountId - Account document ID
+ * @param {Array<String>} accountNames - Names to fall back to for unlinked entries
+ * @returns {Array<Object>}
+ */
+export const entryAccountConditions = (accountType, accountId, accountNames = []) => {
+    const names = accountNames.filter(Boolean);
+    const conditions = [
+        { entries: { $elemMatch: { accountType, accountId: new mongoose.Types.ObjectId(accountId.toString()) } } }
+    ];
+
+    if (names.length > 0) {
+        conditions.push({ entries: { $elemMatch: { accountId: null, account: { $in: names } } } });
+    }
+
+    return conditions;
+};
@@ -0,0 +1,87 @@
+import { before, after, afterEach } from "node:test";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+
+import Group from "../../src/models/Group.js";
+import Ledger from "../../src/models/Ledger.js";
+
+// User every controller call in the tests acts as
+export const userId = new mongoose.Types.ObjectId();
+
+const restores = [];
+
+// Put back the methods replaced by failAfter
+const restoreInjectedFailures = () => {
+    while (restores.length > 0) restores.pop()();
+};
+
+/**
+ * Run the calling test file against an in-memory single-node replica set (transactions need one)
+ */
+export const useReplicaSet = () => {
+    let replSet;
+
+    before(async () => {
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+        await mongoose.connect(replSet.getUri());
+        // Create the collections up front so the transactions under test only write documents
+        await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+    });
+
+    after(async () => {
+        await mongoose.disconnect();
+        if (replSet) await replSet.stop();
+    });
+
+    afterEach(restoreInjectedFailures);
+};
+
+// Empty every collection straight through the driver, so no audit hooks run
+export const clearDatabase = () => Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+);
+
+/**
+ * Let the original method run, then fail as if the next step of the request had crashed
+ * @param {Object} target - Model or prototype owning the method
+ * @param {String} method - Method name
+ */
+export const failAfter = (target, method) => {
+    const original = target[method];
+    target[method] = async function (...args) {
+        await original.apply(this, args);
+        throw new Error(`Injected failure after ${method}`);
+    };
+    restores.push(() => { target[method] = original; });
+};
+
+/**
+ * Call a controller the way express would and hand back what reached next()
+ * @param {Function} controller
+ * @param {Object} request - { params, body }
+ * @returns {Object} - { res, error }
+ */
+export const runController = async (controller, { params = {}, body = {} } = {}) => {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; }
+    };
+    let nextError = null;
+    await controller({ params, body, query: {}, user: { _id: userId, role: 'admin' } }, res, (error) => { nextError = error; });
+    return { res, error: nextError };
+};
+
+// Cash ledger with a debit opening balance
+export const createCashLedger = async (openingBalance = 5000) => {
+    const cashGroup = await Group.create({ name: 'Cash-in-Hand', type: 'Assets', createdBy: userId, updatedBy: userId });
+    return Ledger.create({
+        name: 'Cash',
+        group: cashGroup._id,
+        openingBalance,
+        openingBalanceType: 'debit',
+        outstandingBalance: openingBalance,
+        outstandingBalanceType: 'debit',
+        createdBy: userId,
+        updatedBy: userId
+    });
+};
@@ -0,0 +1,110 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Group from "../src/models/Group.js";
+import Ledger from "../src/models/Ledger.js";
+import Staff from "../src/models/Staff.js";
+import Trip from "../src/models/Trip.js";
+import Posting from "../src/models/Posting.js";
+import AuditLog from "../src/models/AuditLog.js";
+import { createWageVouchers } from "../src/controllers/staff.controller.js";
+import { deleteVoucher } from "../src/controllers/voucher.controller.js";
+import { userId, useReplicaSet, clearDatabase, runController, createCashLedger } from "./helpers/testDb.js";
+
+useReplicaSet();
+
+const fixtures = {};
+
+const completedTrip = (date, completedAt) => Trip.create({
+    date,
+    vehicle: new mongoose.Types.ObjectId(),
+    supervisor: userId,
+    driver: 'Test Driver',
+    route: { from: 'Farm', to: 'Market' },
+    vehicleReadings: { opening: 1000 },
+    status: 'completed',
+    completionDetails: { completedAt },
+    crew: [{ staff: fixtures.driver._id, role: 'driver', name: fixtures.driver.name }]
+});
+
+const ledgerBalance = async (id) => {
+    const ledger = await Ledger.findById(id).lean();
+    return { amount: ledger.outstandingBalance, type: ledger.outstandingBalanceType };
+};
+
+const postingTotals = async (accountId) => {
+    const postings = await Posting.find(accountId ? { accountId } : {}).lean();
+    return postings.reduce((sum, p) => ({ debit: sum.debit + p.debit, credit: sum.credit + p.credit }), { debit: 0, credit: 0 });
+};
+
+const wageRun = () => runController(createWageVouchers, {
+    body: { from: '2026-03-01', to: '2026-03-31', date: '2026-03-31', account: fixtures.cashLedger._id.toString() }
+});
+
+beforeEach(async () => {
+    await clearDatabase();
+
+    fixtures.cashLedger = await createCashLedger(5000);
+    await Group.create({ name: 'Direct Expenses', slug: 'direct-expenses', type: 'Expenses', createdBy: userId, updatedBy: userId });
+    fixtures.driver = await Staff.create({
+        name: 'Test Driver',
+        role: 'driver',
+        licenceNumber: 'MH1234567890',
+        wageType: 'per_trip',
+        tripAllowance: 500,
+        createdBy: userId,
+        updatedBy: userId
+    });
+    fixtures.paidTrip = await completedTrip(new Date('2026-03-10T06:00:00'), new Date('2026-03-11T18:00:00'));
+    // Still out at the period end, so paid with the next period
+    fixtures.lateTrip = await completedTrip(new Date('2026-03-31T06:00:00'), new Date('2026-04-01T18:00:00'));
+});
+
+describe('Staff wage run', () => {
+    test('posts debit STAFF WAGES / credit account and the journal balances', async () => {
+        const { res, error } = await wageRun();
+        assert.equal(error, null);
+        assert.equal(res.body.data.total, 500);
+
+        const wagesLedger = await Ledger.findOne({ name: 'STAFF WAGES' }).lean();
+        assert.deepEqual(await ledgerBalance(wagesLedger._id), { amount: 500, type: 'debit' });
+        assert.deepEqual(await ledgerBalance(fixtures.cashLedger._id), { amount: 4500, type: 'debit' });
+
+        assert.deepEqual(await postingTotals(wagesLedger._id), { debit: 500, credit: 0 });
+        assert.deepEqual(await postingTotals(fixtures.cashLedger._id), { debit: 0, credit: 500 });
+        const journal = await postingTotals();
+        assert.equal(journal.debit, journal.credit);
+    });
+
+    test('stamps only trips completed within the period, through the audit trail', async () => {
+        const { res, error } = await wageRun();
+        assert.equal(error, null);
+        const voucherId = res.body.data.vouchers[0].voucherId;
+
+        const paidTrip = await Trip.findById(fixtures.paidTrip._id).lean();
+        const lateTrip = await Trip.findById(fixtures.lateTrip._id).lean();
+        assert.equal(String(paidTrip.crew[0].wageVoucher), String(voucherId));
+        assert.equal(lateTrip.crew[0].wageVoucher, undefined);
+
+        const stampLogs = await AuditLog.find({ entity: 'Trip', entityId: fixtures.paidTrip._id, action: 'update' }).lean();
+        assert.equal(stampLogs.length, 1);
+    });
+
+    test('deleting the wage voucher reverses the postings and unstamps the trips', async () => {
+        const { res } = await wageRun();
+        const voucherId = res.body.data.vouchers[0].voucherId;
+
+        const { error } = await runController(deleteVoucher, { params: { id: voucherId.toString() } });
+        assert.equal(error, null);
+
+        const wagesLedger = await Ledger.findOne({ name: 'STAFF WAGES' }).lean();
+        assert.deepEqual(await ledgerBalance(wagesLedger._id), { amount: 0, type: 'debit' });
+        assert.deepEqual(await ledgerBalance(fixtures.cashLedger._id), { amount: 5000, type: 'debit' });
+
+        const paidTrip = await Trip.findById(fixtures.paidTrip._id).lean();
+        assert.equal(paidTrip.crew[0].wageVoucher, undefined);
+        const tripLogs = await AuditLog.countDocuments({ entity: 'Trip', entityId: fixtures.paidTrip._id, action: 'update' });
+        assert.equal(tripLogs, 2);
+    });
+});
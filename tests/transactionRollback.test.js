@@ -0,0 +1,293 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import Group from "../src/models/Group.js";
+import Ledger from "../src/models/Ledger.js";
+import Customer from "../src/models/Customer.js";
+import Vendor from "../src/models/Vendor.js";
+import Trip from "../src/models/Trip.js";
+import Payment from "../src/models/Payment.js";
+import Voucher from "../src/models/Voucher.js";
+import Posting from "../src/models/Posting.js";
+import InventoryStock from "../src/models/InventoryStock.js";
+import { addSale } from "../src/controllers/trip.controller.js";
+import { verifyPayment } from "../src/controllers/payment.controller.js";
+import { createVoucher, updateVoucher, deleteVoucher } from "../src/controllers/voucher.controller.js";
+import {
+    addSale as addStockSale,
+    addReceipt as addStockReceipt,
+    addConsume,
+    addPurchase as addStockPurchase,
+    updateStock
+} from "../src/controllers/inventoryStock.controller.js";
+import { userId, useReplicaSet, clearDatabase, failAfter, runController, createCashLedger } from "./helpers/testDb.js";
+
+useReplicaSet();
+
+const fixtures = {};
+
+// Everything the requests under test may write to
+const snapshot = async () => {
+    const [customer, vendor, cashLedger, trip, payment, vouchers, activeVouchers, postings, stocks, ledgers] = await Promise.all([
+        Customer.findById(fixtures.customer._id).lean(),
+        Vendor.findById(fixtures.vendor._id).lean(),
+        Ledger.findById(fixtures.cashLedger._id).lean(),
+        Trip.findById(fixtures.trip._id).lean(),
+        Payment.findById(fixtures.payment._id).lean(),
+        Voucher.countDocuments(),
+        Voucher.countDocuments({ isActive: true }),
+        Posting.countDocuments(),
+        InventoryStock.find().sort({ _id: 1 }).lean(),
+        Ledger.countDocuments()
+    ]);
+    return {
+        customer: { amount: customer.outstandingBalance, type: customer.outstandingBalanceType },
+        vendor: { amount: vendor.outstandingBalance, type: vendor.outstandingBalanceType },
+        cashLedger: { amount: cashLedger.outstandingBalance, type: cashLedger.outstandingBalanceType },
+        sales: trip.sales.map(sale => ({ billNumber: sale.billNumber, cashPaid: sale.cashPaid, balance: sale.balance })),
+        payment: { status: payment.status, verifiedAt: payment.verifiedAt || null },
+        vouchers,
+        activeVouchers,
+        postings,
+        stocks: stocks.map(stock => ({ type: stock.type, amount: stock.amount, cashPaid: stock.cashPaid })),
+        ledgers
+    };
+};
+
+const receiptVoucherBody = (amount) => ({
+    voucherType: 'Receipt',
+    date: new Date(),
+    parties: [{ partyId: fixtures.customer._id.toString(), partyType: 'customer', amount }],
+    account: fixtures.cashLedger._id.toString(),
+    narration: 'Rollback test'
+});
+
+const stockSaleBody = (amount) => ({
+    customerId: fixtures.customer._id.toString(),
+    birds: 5,
+    weight: 10,
+    rate: amount / 10,
+    amount,
+    cashPaid: 500,
+    onlinePaid: 0,
+    discount: 0,
+    cashLedgerId: fixtures.cashLedger._id.toString()
+});
+
+beforeEach(async () => {
+    await clearDatabase();
+
+    fixtures.cashLedger = await createCashLedger(5000);
+    // Feed consumption books to a FEED CONSUME ledger created under this group
+    await Group.create({ name: 'Direct Expenses', slug: 'direct-expenses', type: 'Expenses', createdBy: userId, updatedBy: userId });
+    const creditorsGroup = await Group.create({ name: 'Sundry Creditors', type: 'Liability', createdBy: userId, updatedBy: userId });
+
+    fixtures.customer = await Customer.create({
+        shopName: 'Test Traders',
+        ownerName: 'Test Owner',
+        contact: '+919876543210',
+        gstOrPanNumber: 'ABCDE1234F',
+        place: 'Test Place',
+        openingBalance: 1000,
+        openingBalanceType: 'debit',
+        outstandingBalance: 1000,
+        outstandingBalanceType: 'debit',
+        createdBy: userId,
+        updatedBy: userId
+    });
+    fixtures.vendor = await Vendor.create({
+        vendorName: 'Test Farms',
+        contactNumber: '+919876543211',
+        email: 'farms@example.com',
+        group: creditorsGroup._id,
+        openingBalance: 2000,
+        openingBalanceType: 'credit',
+        outstandingBalance: 2000,
+        outstandingBalanceType: 'credit',
+        createdBy: userId,
+        updatedBy: userId
+    });
+    fixtures.trip = await Trip.create({
+        date: new Date(),
+        vehicle: new mongoose.Types.ObjectId(),
+        supervisor: userId,
+        driver: 'Test Driver',
+        route: { from: 'Farm', to: 'Market' },
+        vehicleReadings: { opening: 1000 },
+        purchases: [{ dcNumber: 'DC-1', birds: 100, weight: 200, rate: 100, amount: 20000 }],
+        sales: [{ client: fixtures.customer._id, billNumber: 'B-1', birds: 10, weight: 20, rate: 120, amount: 2400 }]
+    });
+    fixtures.payment = await Payment.create({
+        customer: fixtures.customer._id,
+        trip: fixtures.trip._id,
+        sale: fixtures.trip.sales[0]._id,
+        amount: 400,
+        paymentMethod: 'cash',
+        customerDetails: { name: 'Test Owner', mobileNumber: '+919876543210' },
+        submittedBy: userId
+    });
+});
+
+describe('Rollback when a request fails part-way', () => {
+    test('addSale leaves customer, ledger and trip unchanged when it fails after the trip is saved', async () => {
+        const beforeState = await snapshot();
+        failAfter(Trip.prototype, 'save');
+
+        const { error } = await runController(addSale, {
+            params: { id: fixtures.trip._id.toString() },
+            body: {
+                client: fixtures.customer._id.toString(),
+                billNumber: 'B-2',
+                birds: 5,
+                weight: 10,
+                rate: 120,
+                amount: 1200,
+                cashPaid: 500,
+                cashLedger: fixtures.cashLedger._id.toString()
+            }
+        });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('verifyPayment leaves payment, customer and sale unchanged when it fails after the trip is saved', async () => {
+        const beforeState = await snapshot();
+        failAfter(Trip.prototype, 'save');
+
+        const { error } = await runController(verifyPayment, {
+            params: { id: fixtures.payment._id.toString() },
+            body: { status: 'verified' }
+        });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('createVoucher leaves customer and ledger unchanged when it fails after the balances are moved', async () => {
+        const beforeState = await snapshot();
+        // Postings are the voucher's last write, after the voucher save and both balance updates
+        failAfter(Posting, 'insertMany');
+
+        const { error } = await runController(createVoucher, { body: receiptVoucherBody(300) });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('updateVoucher keeps the original voucher postings when it fails after reversing them', async () => {
+        const { res } = await runController(createVoucher, { body: receiptVoucherBody(300) });
+        const voucherId = res.body.data._id.toString();
+        const beforeState = await snapshot();
+        // The first journal write is the reversal of the original voucher
+        failAfter(Posting, 'insertMany');
+
+        const { error } = await runController(updateVoucher, { params: { id: voucherId }, body: receiptVoucherBody(500) });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('deleteVoucher keeps the voucher and its balances when it fails after the reversal', async () => {
+        const { res } = await runController(createVoucher, { body: receiptVoucherBody(300) });
+        const voucherId = res.body.data._id.toString();
+        const beforeState = await snapshot();
+        // Soft deleting the voucher is the last write, after the balances are reversed
+        failAfter(Voucher.prototype, 'save');
+
+        const { error } = await runController(deleteVoucher, { params: { id: voucherId } });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('stock addSale leaves customer and ledger unchanged when it fails after the stock is saved', async () => {
+        const beforeState = await snapshot();
+        failAfter(InventoryStock.prototype, 'save');
+
+        const { error } = await runController(addStockSale, { body: stockSaleBody(1200) });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('stock addReceipt leaves customer and ledger unchanged when it fails after the stock is saved', async () => {
+        const beforeState = await snapshot();
+        failAfter(InventoryStock.prototype, 'save');
+
+        const { error } = await runController(addStockReceipt, {
+            body: {
+                customerId: fixtures.customer._id.toString(),
+                cashPaid: 300,
+                cashLedgerId: fixtures.cashLedger._id.toString()
+            }
+        });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('addConsume leaves no expense ledger or stock behind when it fails after the ledger is debited', async () => {
+        const beforeState = await snapshot();
+        failAfter(Posting, 'insertMany');
+
+        const { error } = await runController(addConsume, { body: { inventoryType: 'feed', weight: 10, rate: 30 } });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('stock addPurchase leaves the vendor unchanged when it fails after the balance is moved', async () => {
+        const beforeState = await snapshot();
+        failAfter(Posting, 'insertMany');
+
+        const { error } = await runController(addStockPurchase, {
+            body: { vendorId: fixtures.vendor._id.toString(), birds: 100, weight: 200, rate: 100, amount: 20000 }
+        });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('updateStock leaves customer, ledger and stock unchanged when it fails after the balances are moved', async () => {
+        const { res } = await runController(addStockSale, { body: stockSaleBody(1200) });
+        const stockId = res.body.data._id.toString();
+        const beforeState = await snapshot();
+        failAfter(Posting, 'insertMany');
+
+        const { error } = await runController(updateStock, { params: { id: stockId }, body: stockSaleBody(1500) });
+
+        assert.match(error?.message || '', /Injected failure/);
+        assert.deepEqual(await snapshot(), beforeState);
+    });
+
+    test('the same requests go through when nothing fails', async () => {
+        const { error: saleError } = await runController(addSale, {
+            params: { id: fixtures.trip._id.toString() },
+            body: {
+                client: fixtures.customer._id.toString(),
+                billNumber: 'B-2',
+                birds: 5,
+                weight: 10,
+                rate: 120,
+                amount: 1200,
+                cashPaid: 500,
+                cashLedger: fixtures.cashLedger._id.toString()
+            }
+        });
+        assert.equal(saleError, null);
+
+        const { error: paymentError } = await runController(verifyPayment, {
+            params: { id: fixtures.payment._id.toString() },
+            body: { status: 'verified' }
+        });
+        assert.equal(paymentError, null);
+
+        const state = await snapshot();
+        assert.deepEqual(state.customer, { amount: 1300, type: 'debit' }); // 1000 + 1200 - 500 - 400
+        assert.deepEqual(state.cashLedger, { amount: 5500, type: 'debit' });
+        assert.equal(state.payment.status, 'verified');
+        assert.ok(state.postings > 0);
+    });
+});